@@ -0,0 +1,135 @@
+// audience-tags.js - Interest and location tags for handlers, and how well they fit a campaign's targeting
+
+// Ids are stored on users and campaigns and used in callback data - don't rename them
+const INTEREST_TAGS = [
+    { id: 'fintech', label: '💳 Fintech' },
+    { id: 'crypto', label: '🪙 Crypto' },
+    { id: 'tech', label: '💻 Tech & Gadgets' },
+    { id: 'fashion', label: '👗 Fashion' },
+    { id: 'beauty', label: '💄 Beauty' },
+    { id: 'gaming', label: '🎮 Gaming' },
+    { id: 'food', label: '🍲 Food & Drinks' },
+    { id: 'football', label: '⚽ Football' },
+    { id: 'sports', label: '🏀 Other Sports' },
+    { id: 'music', label: '🎵 Music' },
+    { id: 'movies', label: '🎬 Movies & TV' },
+    { id: 'comedy', label: '😂 Comedy' },
+    { id: 'education', label: '📚 Education' },
+    { id: 'business', label: '💼 Business' },
+    { id: 'health', label: '🏋️ Health & Fitness' },
+    { id: 'travel', label: '✈️ Travel' },
+    { id: 'parenting', label: '👶 Parenting' },
+    { id: 'politics', label: '🗳️ News & Politics' },
+    { id: 'religion', label: '🙏 Faith' },
+    { id: 'betting', label: '🎲 Sports Betting' }
+];
+
+const MAX_INTERESTS = 6;
+
+// The 36 states plus the FCT
+const NIGERIAN_STATES = [
+    { id: 'abia', label: 'Abia' },
+    { id: 'adamawa', label: 'Adamawa' },
+    { id: 'akwa_ibom', label: 'Akwa Ibom' },
+    { id: 'anambra', label: 'Anambra' },
+    { id: 'bauchi', label: 'Bauchi' },
+    { id: 'bayelsa', label: 'Bayelsa' },
+    { id: 'benue', label: 'Benue' },
+    { id: 'borno', label: 'Borno' },
+    { id: 'cross_river', label: 'Cross River' },
+    { id: 'delta', label: 'Delta' },
+    { id: 'ebonyi', label: 'Ebonyi' },
+    { id: 'edo', label: 'Edo' },
+    { id: 'ekiti', label: 'Ekiti' },
+    { id: 'enugu', label: 'Enugu' },
+    { id: 'fct', label: 'FCT (Abuja)' },
+    { id: 'gombe', label: 'Gombe' },
+    { id: 'imo', label: 'Imo' },
+    { id: 'jigawa', label: 'Jigawa' },
+    { id: 'kaduna', label: 'Kaduna' },
+    { id: 'kano', label: 'Kano' },
+    { id: 'katsina', label: 'Katsina' },
+    { id: 'kebbi', label: 'Kebbi' },
+    { id: 'kogi', label: 'Kogi' },
+    { id: 'kwara', label: 'Kwara' },
+    { id: 'lagos', label: 'Lagos' },
+    { id: 'nasarawa', label: 'Nasarawa' },
+    { id: 'niger', label: 'Niger' },
+    { id: 'ogun', label: 'Ogun' },
+    { id: 'ondo', label: 'Ondo' },
+    { id: 'osun', label: 'Osun' },
+    { id: 'oyo', label: 'Oyo' },
+    { id: 'plateau', label: 'Plateau' },
+    { id: 'rivers', label: 'Rivers' },
+    { id: 'sokoto', label: 'Sokoto' },
+    { id: 'taraba', label: 'Taraba' },
+    { id: 'yobe', label: 'Yobe' },
+    { id: 'zamfara', label: 'Zamfara' }
+];
+
+// How much each part of a campaign's targeting counts when both are set
+const MATCH_WEIGHTS = {
+    interests: 0.7,
+    location: 0.3
+};
+
+// A handler at or above this score counts as a match for the campaign
+const MATCH_THRESHOLD = 0.5;
+
+// Keep known ids only, without duplicates (for request bodies and stored values)
+function normalizeInterests(values) {
+    const list = Array.isArray(values) ? values : (values ? String(values).split(',') : []);
+    const ids = list.map(value => String(value).trim().toLowerCase());
+    return [...new Set(ids.filter(id => INTEREST_TAGS.some(tag => tag.id === id)))];
+}
+
+function normalizeStates(values) {
+    const list = Array.isArray(values) ? values : (values ? String(values).split(',') : []);
+    const ids = list.map(value => String(value).trim().toLowerCase().replace(/\s+/g, '_'));
+    return [...new Set(ids.filter(id => NIGERIAN_STATES.some(state => state.id === id)))];
+}
+
+function getInterestLabel(id) {
+    return (INTEREST_TAGS.find(tag => tag.id === id) || {}).label || id;
+}
+
+function getStateLabel(id) {
+    return (NIGERIAN_STATES.find(state => state.id === id) || {}).label || id;
+}
+
+// 0-1 fit between a handler's tags and a campaign's targeting, or null when the campaign targets nothing
+function scoreAudienceMatch(user, campaign) {
+    const targetInterests = campaign.targetInterests || [];
+    const targetStates = campaign.targetStates || [];
+    const parts = [];
+
+    if (targetInterests.length > 0) {
+        const interests = user.interests || [];
+        const shared = targetInterests.filter(id => interests.includes(id)).length;
+
+        // Sharing two target tags is already a strong fit, even if the campaign lists more
+        parts.push({ weight: MATCH_WEIGHTS.interests, value: Math.min(1, shared / Math.min(2, targetInterests.length)) });
+    }
+
+    if (targetStates.length > 0) {
+        const state = user.location && user.location.state;
+        parts.push({ weight: MATCH_WEIGHTS.location, value: state && targetStates.includes(state) ? 1 : 0 });
+    }
+
+    if (parts.length === 0) return null;
+
+    const totalWeight = parts.reduce((sum, part) => sum + part.weight, 0);
+    return Math.round((parts.reduce((sum, part) => sum + (part.value * part.weight), 0) / totalWeight) * 100) / 100;
+}
+
+module.exports = {
+    INTEREST_TAGS,
+    MAX_INTERESTS,
+    NIGERIAN_STATES,
+    MATCH_THRESHOLD,
+    normalizeInterests,
+    normalizeStates,
+    getInterestLabel,
+    getStateLabel,
+    scoreAudienceMatch
+};
@@ -0,0 +1,117 @@
+// auth.js - Marketer password hashing, sessions and Express middleware
+const crypto = require('crypto');
+const { Marketer, MarketerSession } = require('./models');
+
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS) || 7;
+const SCRYPT_KEY_LENGTH = 64;
+
+// Passwords are stored as "salt:hash" using scrypt
+function hashPassword(password) {
+    return new Promise((resolve, reject) => {
+        const salt = crypto.randomBytes(16).toString('hex');
+
+        crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, derivedKey) => {
+            if (error) return reject(error);
+            resolve(`${salt}:${derivedKey.toString('hex')}`);
+        });
+    });
+}
+
+function verifyPassword(password, passwordHash) {
+    return new Promise((resolve, reject) => {
+        const [salt, storedHash] = (passwordHash || '').split(':');
+
+        if (!salt || !storedHash) return resolve(false);
+
+        crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, derivedKey) => {
+            if (error) return reject(error);
+
+            const storedBuffer = Buffer.from(storedHash, 'hex');
+            resolve(storedBuffer.length === derivedKey.length && crypto.timingSafeEqual(storedBuffer, derivedKey));
+        });
+    });
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Issue a new bearer token for a marketer
+async function createSession(marketer) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + (SESSION_TTL_DAYS * 24 * 60 * 60 * 1000));
+
+    await MarketerSession.create({
+        marketerId: marketer._id,
+        tokenHash: hashToken(token),
+        expiresAt: expiresAt
+    });
+
+    return { token, expiresAt };
+}
+
+async function destroySession(token) {
+    await MarketerSession.deleteOne({ tokenHash: hashToken(token) });
+}
+
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+// Attaches req.marketer or responds 401
+async function requireMarketer(req, res, next) {
+    try {
+        const token = getBearerToken(req);
+
+        if (!token) {
+            return res.status(401).json({ success: false, message: 'Please log in to continue' });
+        }
+
+        const session = await MarketerSession.findOne({
+            tokenHash: hashToken(token),
+            expiresAt: { $gt: new Date() }
+        });
+
+        const marketer = session ? await Marketer.findById(session.marketerId) : null;
+
+        if (!marketer) {
+            return res.status(401).json({ success: false, message: 'Your session has expired. Please log in again.' });
+        }
+
+        req.marketer = marketer;
+        req.sessionToken = token;
+        next();
+    } catch (error) {
+        console.error('❌ Auth error:', error);
+        res.status(500).json({ success: false, message: 'Authentication failed' });
+    }
+}
+
+// Use after requireMarketer
+function requireAdmin(req, res, next) {
+    if (!req.marketer || req.marketer.role !== 'admin') {
+        return res.status(403).json({ success: false, message: 'Admin access required' });
+    }
+    next();
+}
+
+// Use after requireMarketer. Admins can always get through.
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.marketer || (req.marketer.role !== 'admin' && !roles.includes(req.marketer.role))) {
+            return res.status(403).json({ success: false, message: 'You don\'t have access to this action' });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    createSession,
+    destroySession,
+    requireMarketer,
+    requireAdmin,
+    requireRole
+};
@@ -0,0 +1,303 @@
+// broadcast-queue.js - Redis-backed queue for Telegram broadcasts
+//
+// Delivery is at-least-once: a worker moves each job into its own processing list and only
+// removes it once the job is sent, rescheduled or recorded as failed. Jobs left behind by a
+// worker that died are put back on the queue, so a crash mid-send can repeat that one message.
+const crypto = require('crypto');
+const os = require('os');
+const { createClient } = require('redis');
+
+const KEYS = {
+    queue: 'broadcast:queue',
+    delayed: 'broadcast:delayed',
+    failed: 'broadcast:failed',
+    stats: 'broadcast:stats',
+    pausedUntil: 'broadcast:paused_until',
+    rate: 'broadcast:rate',
+    chat: 'broadcast:chat',
+    workers: 'broadcast:workers',
+    processing: 'broadcast:processing',
+    heartbeat: 'broadcast:heartbeat'
+};
+
+const MAX_ATTEMPTS = 5;
+const FAILED_LOG_SIZE = 100;
+const IDLE_WAIT_MS = 1000;
+// A worker that hasn't checked in for this long is treated as dead and its jobs are put back
+const WORKER_TTL_MS = 60 * 1000;
+const RECOVERY_INTERVAL_MS = 30 * 1000;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// node-telegram-bot-api puts Telegram's JSON error on error.response.body
+function getTelegramError(error) {
+    const body = error.response && error.response.body;
+    return body && typeof body === 'object' ? body : {};
+}
+
+class BroadcastQueue {
+    // send(chatId, text, options) delivers one message; onBlocked(chatId, error) runs on a 403.
+    // `client` is a node-redis client to use instead of connecting to REDIS_URL.
+    constructor({ send, onBlocked, client }) {
+        this.send = send;
+        this.onBlocked = onBlocked || (async () => {});
+        // Telegram allows ~30 messages/second overall and ~1/second per chat; stay a little under
+        this.ratePerSecond = parseInt(process.env.BROADCAST_RATE_PER_SECOND) || 25;
+        this.perChatIntervalMs = parseInt(process.env.BROADCAST_PER_CHAT_INTERVAL_MS) || 1100;
+        this.running = false;
+        this.loop = null;
+        this.lastRecoveryAt = 0;
+
+        this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+        this.processingKey = `${KEYS.processing}:${this.workerId}`;
+
+        this.client = client || createClient({ url: process.env.REDIS_URL || 'redis://localhost:6379' });
+        this.client.on('error', (error) => {
+            console.error('❌ Broadcast queue Redis error:', error.message);
+        });
+
+        console.log('📬 BroadcastQueue initialized:');
+        console.log('  - Redis URL:', process.env.REDIS_URL ? 'Present' : 'Missing (using localhost)');
+        console.log('  - Rate limit:', `${this.ratePerSecond}/s`);
+    }
+
+    // Telegram answers 403 when the user blocked the bot, deleted their account or never started it
+    static isBlockedError(error) {
+        return getTelegramError(error).error_code === 403;
+    }
+
+    async start() {
+        if (!this.client.isOpen) {
+            await this.client.connect();
+        }
+
+        await this.heartbeat();
+        await this.client.sAdd(KEYS.workers, this.workerId);
+
+        this.running = true;
+        this.loop = this.work();
+        console.log('📬 Broadcast worker started');
+    }
+
+    async stop() {
+        this.running = false;
+        if (this.loop) await this.loop;
+
+        if (this.client.isOpen) {
+            // Every tick finishes its job, so the processing list is empty by now
+            await this.client.sRem(KEYS.workers, this.workerId);
+            await this.client.del(`${KEYS.heartbeat}:${this.workerId}`);
+            await this.client.quit();
+        }
+    }
+
+    async heartbeat() {
+        await this.client.set(`${KEYS.heartbeat}:${this.workerId}`, '1', { PX: WORKER_TTL_MS });
+    }
+
+    // Put back the jobs of workers that stopped checking in (they died mid-job)
+    async recoverOrphanedJobs() {
+        const workerIds = await this.client.sMembers(KEYS.workers);
+        let recovered = 0;
+
+        for (const workerId of workerIds) {
+            if (workerId === this.workerId) continue;
+            if (await this.client.exists(`${KEYS.heartbeat}:${workerId}`)) continue;
+
+            // LMOVE is atomic, so two workers recovering the same list can't both requeue a job
+            while (await this.client.lMove(`${KEYS.processing}:${workerId}`, KEYS.queue, 'RIGHT', 'LEFT')) {
+                recovered++;
+            }
+            await this.client.sRem(KEYS.workers, workerId);
+        }
+
+        if (recovered > 0) {
+            await this.client.hIncrBy(KEYS.stats, 'recovered', recovered);
+            console.log(`📬 Requeued ${recovered} broadcast job(s) from stopped workers`);
+        }
+
+        return recovered;
+    }
+
+    // Queue a single message
+    async enqueue(chatId, text, options = {}) {
+        return this.enqueueMany([{ chatId, text, options }]);
+    }
+
+    // Queue many messages in one round trip
+    async enqueueMany(messages) {
+        if (messages.length === 0) return 0;
+
+        const now = Date.now();
+        const jobs = messages.map(({ chatId, text, options = {} }) => JSON.stringify({
+            chatId: chatId.toString(),
+            text,
+            options,
+            attempts: 0,
+            enqueuedAt: now
+        }));
+
+        await this.client.rPush(KEYS.queue, jobs);
+        return jobs.length;
+    }
+
+    async getStats() {
+        const [depth, delayed, counters, recentFailures] = await Promise.all([
+            this.client.lLen(KEYS.queue),
+            this.client.zCard(KEYS.delayed),
+            this.client.hGetAll(KEYS.stats),
+            this.client.lRange(KEYS.failed, 0, 9)
+        ]);
+
+        return {
+            depth,
+            delayed,
+            sent: parseInt(counters.sent) || 0,
+            failed: parseInt(counters.failed) || 0,
+            retried: parseInt(counters.retried) || 0,
+            blocked: parseInt(counters.blocked) || 0,
+            recovered: parseInt(counters.recovered) || 0,
+            recentFailures: recentFailures.map(entry => JSON.parse(entry))
+        };
+    }
+
+    async work() {
+        while (this.running) {
+            try {
+                await this.heartbeat();
+
+                if (Date.now() - this.lastRecoveryAt >= RECOVERY_INTERVAL_MS) {
+                    this.lastRecoveryAt = Date.now();
+                    await this.recoverOrphanedJobs();
+                }
+
+                const busy = await this.tick();
+                if (!busy) await sleep(IDLE_WAIT_MS);
+            } catch (error) {
+                console.error('❌ Broadcast worker error:', error.message);
+                await sleep(IDLE_WAIT_MS);
+            }
+        }
+    }
+
+    // Handle at most one job. Returns false when there was nothing to do.
+    async tick() {
+        await this.promoteDelayed();
+
+        // A 429 pauses every worker, not just the one that hit it. Wait in short steps so the heartbeat keeps up.
+        const pausedUntil = parseInt(await this.client.get(KEYS.pausedUntil)) || 0;
+        if (pausedUntil > Date.now()) {
+            await sleep(Math.min(pausedUntil - Date.now(), IDLE_WAIT_MS));
+            return true;
+        }
+
+        // The job stays in our processing list until it's dealt with, so a crash can't lose it
+        const raw = await this.client.lMove(KEYS.queue, this.processingKey, 'LEFT', 'RIGHT');
+        if (!raw) return false;
+
+        const job = JSON.parse(raw);
+
+        if (!(await this.acquireGlobalSlot())) {
+            // Out of budget for this second - put it back at the front and wait
+            await this.client.lMove(this.processingKey, KEYS.queue, 'RIGHT', 'LEFT');
+            await sleep(1000 - (Date.now() % 1000));
+            return true;
+        }
+
+        const chatFree = await this.client.set(`${KEYS.chat}:${job.chatId}`, '1', { NX: true, PX: this.perChatIntervalMs });
+        try {
+            if (chatFree) {
+                await this.process(job);
+            } else {
+                await this.schedule(job, this.perChatIntervalMs);
+            }
+        } catch (error) {
+            // Anything unexpected still ends up counted, rather than stuck in the processing list
+            await this.recordFailure(job, error);
+        }
+
+        await this.client.lRem(this.processingKey, 1, raw);
+        return true;
+    }
+
+    async process(job) {
+        try {
+            await this.send(job.chatId, job.text, job.options);
+            await this.client.hIncrBy(KEYS.stats, 'sent', 1);
+        } catch (error) {
+            const telegramError = getTelegramError(error);
+
+            if (telegramError.error_code === 429) {
+                const retryAfterMs = ((telegramError.parameters && telegramError.parameters.retry_after) || 1) * 1000;
+
+                await this.client.set(KEYS.pausedUntil, String(Date.now() + retryAfterMs), { PX: retryAfterMs });
+                await this.schedule(job, retryAfterMs);
+                await this.client.hIncrBy(KEYS.stats, 'retried', 1);
+                console.log(`⏳ Telegram rate limit hit, retrying in ${retryAfterMs / 1000}s`);
+                return;
+            }
+
+            if (BroadcastQueue.isBlockedError(error)) {
+                await this.client.hIncrBy(KEYS.stats, 'blocked', 1);
+                await this.onBlocked(job.chatId, error);
+                return;
+            }
+
+            job.attempts += 1;
+
+            // 400s (bad chat, bad markup) won't succeed on retry
+            if (telegramError.error_code !== 400 && job.attempts < MAX_ATTEMPTS) {
+                await this.schedule(job, Math.pow(2, job.attempts) * 1000);
+                await this.client.hIncrBy(KEYS.stats, 'retried', 1);
+                return;
+            }
+
+            await this.recordFailure(job, error);
+        }
+    }
+
+    // Retry later via the delayed set (scored by when it becomes due)
+    async schedule(job, delayMs) {
+        await this.client.zAdd(KEYS.delayed, { score: Date.now() + delayMs, value: JSON.stringify(job) });
+    }
+
+    // Move due retries back onto the queue. zRem decides which worker owns each one.
+    async promoteDelayed() {
+        const due = await this.client.zRangeByScore(KEYS.delayed, 0, Date.now(), { LIMIT: { offset: 0, count: 100 } });
+
+        for (const raw of due) {
+            if (await this.client.zRem(KEYS.delayed, raw)) {
+                await this.client.rPush(KEYS.queue, raw);
+            }
+        }
+    }
+
+    // Shared per-second counter so every replica counts against the same limit
+    async acquireGlobalSlot() {
+        const key = `${KEYS.rate}:${Math.floor(Date.now() / 1000)}`;
+        const count = await this.client.incr(key);
+
+        if (count === 1) {
+            await this.client.pExpire(key, 2000);
+        }
+
+        return count <= this.ratePerSecond;
+    }
+
+    async recordFailure(job, error) {
+        await this.client.hIncrBy(KEYS.stats, 'failed', 1);
+        await this.client.lPush(KEYS.failed, JSON.stringify({
+            chatId: job.chatId,
+            attempts: job.attempts,
+            error: error.message,
+            failedAt: new Date().toISOString()
+        }));
+        await this.client.lTrim(KEYS.failed, 0, FAILED_LOG_SIZE - 1);
+
+        console.log(`❌ Failed to deliver message to ${job.chatId}: ${error.message}`);
+    }
+}
+
+module.exports = BroadcastQueue;
@@ -0,0 +1,133 @@
+// campaign-refund-service.js - Refunds of unspent campaign budgets. A cancelled campaign only
+// becomes refunded once Paystack has accepted the refund; failed refunds are retried.
+const { Campaign } = require('./models');
+const { InvalidTransitionError } = require('./campaign-state-machine');
+
+// A failed refund is retried after this long, and an attempt still marked pending
+// after this long died with its process
+const REFUND_RETRY_MS = 30 * 60 * 1000;
+
+// Paystack refused the refund; the campaign stays cancelled with payment.refundStatus 'failed'
+class RefundError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RefundError';
+        this.statusCode = 502;
+    }
+}
+
+class CampaignRefundService {
+    constructor({ paystackService, ledgerService, campaignStateMachine }) {
+        this.paystackService = paystackService;
+        this.ledgerService = ledgerService;
+        this.campaignStateMachine = campaignStateMachine;
+    }
+
+    // What the marketer gets back: whatever the campaign didn't pay out to handlers
+    getRefundAmount(campaign) {
+        if (!campaign.payment || campaign.payment.status !== 'success') return 0;
+        if (campaign.payment.refundStatus === 'success') return campaign.payment.refundedAmount || 0;
+
+        return Math.max(0, campaign.payment.amount - (campaign.totalPaidOut || 0));
+    }
+
+    // Send the unspent budget back, then move the campaign from cancelled to refunded.
+    // Throws RefundError, leaving the campaign cancelled, when the refund doesn't go through.
+    async refund(campaignId, { reason, actor = 'system' } = {}) {
+        let campaign = await Campaign.findById(campaignId);
+
+        if (!campaign) {
+            throw new Error(`Campaign ${campaignId} not found`);
+        }
+
+        if (campaign.status !== 'cancelled') {
+            throw new InvalidTransitionError(campaign.status, 'refunded');
+        }
+
+        const amount = this.getRefundAmount(campaign);
+
+        if (amount > 0) {
+            // A refund Paystack already accepted is never sent twice
+            if (campaign.payment.refundStatus !== 'success') {
+                campaign = await this.sendRefund(campaign, amount);
+            }
+
+            await this.ledgerService.refundCampaign(campaign, amount);
+        } else {
+            console.log(`ℹ️ Campaign ${campaign._id} has nothing to refund`);
+        }
+
+        return this.campaignStateMachine.transition(campaign._id, 'refunded', { reason, actor, from: 'cancelled' });
+    }
+
+    async sendRefund(campaign, amount) {
+        const now = new Date();
+
+        // Claim the attempt so two callers can't both refund the same payment
+        const claimed = await Campaign.findOneAndUpdate(
+            {
+                _id: campaign._id,
+                status: 'cancelled',
+                $or: [
+                    { 'payment.refundStatus': null },
+                    { 'payment.refundStatus': 'failed' },
+                    { 'payment.refundStatus': 'pending', 'payment.refundAttemptedAt': { $lt: new Date(now.getTime() - REFUND_RETRY_MS) } }
+                ]
+            },
+            { 'payment.refundStatus': 'pending', 'payment.refundAttemptedAt': now },
+            { new: true }
+        );
+
+        if (!claimed) {
+            throw new RefundError(`A refund for campaign ${campaign._id} is already in progress`);
+        }
+
+        try {
+            await this.paystackService.createRefund(campaign.payment.reference, amount);
+        } catch (error) {
+            console.error(`❌ Refund failed for ${campaign.brandName}:`, error.message);
+            await Campaign.updateOne(
+                { _id: campaign._id },
+                { 'payment.refundStatus': 'failed', 'payment.refundFailureReason': error.message }
+            );
+            throw new RefundError(`Refund of ₦${amount.toLocaleString()} failed: ${error.message}`);
+        }
+
+        console.log(`💸 Refunded ₦${amount} for ${campaign.brandName}`);
+
+        return Campaign.findOneAndUpdate(
+            { _id: campaign._id },
+            { 'payment.refundStatus': 'success', 'payment.refundedAmount': amount, 'payment.refundFailureReason': null },
+            { new: true }
+        );
+    }
+
+    // Cancelled campaigns whose refund failed, or stopped before the campaign was marked refunded
+    async retryFailed() {
+        const retryBefore = new Date(Date.now() - REFUND_RETRY_MS);
+
+        const campaigns = await Campaign.find({
+            status: 'cancelled',
+            $or: [
+                { 'payment.refundStatus': 'success' },
+                { 'payment.refundStatus': { $in: ['failed', 'pending'] }, 'payment.refundAttemptedAt': { $lt: retryBefore } }
+            ]
+        }).limit(20);
+
+        let refunded = 0;
+
+        for (const campaign of campaigns) {
+            try {
+                await this.refund(campaign._id, { reason: 'Refund retried' });
+                refunded++;
+            } catch (error) {
+                if (error instanceof InvalidTransitionError || error instanceof RefundError) continue;
+                console.error(`❌ Error retrying refund for campaign ${campaign._id}:`, error);
+            }
+        }
+
+        return refunded;
+    }
+}
+
+module.exports = { CampaignRefundService, RefundError, REFUND_RETRY_MS };
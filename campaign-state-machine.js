@@ -0,0 +1,122 @@
+// campaign-state-machine.js - Campaign lifecycle with enforced transitions
+const { Campaign } = require('./models');
+
+// Allowed moves between campaign statuses
+const CAMPAIGN_TRANSITIONS = {
+    draft: ['awaiting_payment', 'cancelled'],
+    awaiting_payment: ['pending', 'cancelled'],
+    pending: ['active', 'cancelled'],
+    active: ['paused', 'completed', 'cancelled'],
+    paused: ['active', 'completed', 'cancelled'],
+    completed: [],
+    cancelled: ['refunded'],
+    refunded: []
+};
+
+const CAMPAIGN_STATUSES = Object.keys(CAMPAIGN_TRANSITIONS);
+
+class InvalidTransitionError extends Error {
+    constructor(from, to) {
+        super(`Cannot move campaign from ${from} to ${to}`);
+        this.name = 'InvalidTransitionError';
+        this.statusCode = 409;
+        this.from = from;
+        this.to = to;
+    }
+}
+
+class CampaignStateMachine {
+    constructor() {
+        this.hooks = {};
+    }
+
+    canTransition(from, to) {
+        return (CAMPAIGN_TRANSITIONS[from] || []).includes(to);
+    }
+
+    // Register a side-effect to run after a campaign enters a status
+    on(status, handler) {
+        if (!CAMPAIGN_STATUSES.includes(status)) {
+            throw new Error(`Unknown campaign status: ${status}`);
+        }
+
+        this.hooks[status] = this.hooks[status] || [];
+        this.hooks[status].push(handler);
+        return this;
+    }
+
+    // Timestamps stamped when entering a status
+    getStamps(campaign, to, now) {
+        const stamps = {};
+
+        if (to === 'active' && !campaign.startedAt) stamps.startedAt = now;
+        if (to === 'paused') stamps.pausedAt = now;
+        if (to === 'completed') stamps.completedAt = now;
+        if (to === 'cancelled') stamps.cancelledAt = now;
+        if (to === 'refunded') stamps.refundedAt = now;
+
+        return stamps;
+    }
+
+    // Move a campaign to a new status. `set` holds extra fields written in the same update;
+    // `from` only allows the move while the campaign is still in that status.
+    async transition(campaignId, to, { reason, actor = 'system', set = {}, from: expectedFrom } = {}) {
+        const campaign = await Campaign.findById(campaignId);
+
+        if (!campaign) {
+            throw new Error(`Campaign ${campaignId} not found`);
+        }
+
+        const from = campaign.status;
+
+        if ((expectedFrom && from !== expectedFrom) || !this.canTransition(from, to)) {
+            throw new InvalidTransitionError(from, to);
+        }
+
+        const now = new Date();
+
+        // Conditional on the old status so two callers can't both win the same transition
+        const updated = await Campaign.findOneAndUpdate(
+            { _id: campaign._id, status: from },
+            {
+                $set: {
+                    ...set,
+                    ...this.getStamps(campaign, to, now),
+                    status: to
+                },
+                $push: {
+                    statusHistory: { from, to, at: now, reason, actor }
+                }
+            },
+            { new: true }
+        );
+
+        if (!updated) {
+            const current = await Campaign.findById(campaign._id);
+            throw new InvalidTransitionError(current ? current.status : from, to);
+        }
+
+        console.log(`🔀 Campaign ${updated.brandName}: ${from} → ${to}${reason ? ` (${reason})` : ''}`);
+
+        await this.runHooks(to, updated, { from, reason, actor });
+
+        return updated;
+    }
+
+    async runHooks(status, campaign, context) {
+        for (const handler of this.hooks[status] || []) {
+            try {
+                await handler(campaign, context);
+            } catch (error) {
+                console.error(`❌ Campaign ${status} side-effect failed for ${campaign._id}:`, error);
+            }
+        }
+    }
+}
+
+module.exports = {
+    CampaignStateMachine,
+    InvalidTransitionError,
+    CAMPAIGN_TRANSITIONS,
+    CAMPAIGN_STATUSES
+};
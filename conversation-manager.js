@@ -0,0 +1,108 @@
+// conversation-manager.js - Persistent multi-step bot conversations
+const { ConversationState } = require('./models');
+
+const DEFAULT_TTL_MINUTES = 30;
+
+class ConversationManager {
+    constructor() {
+        // flow name -> { step name -> async (msg, state) => {} }
+        this.flows = {};
+        // flow name -> steps that stay active when the user runs another command
+        this.keepOnCommand = {};
+    }
+
+    // Register the text handlers for each step of a flow
+    register(flow, steps, { keepOnCommand = [] } = {}) {
+        this.flows[flow] = steps;
+        this.keepOnCommand[flow] = keepOnCommand;
+        return this;
+    }
+
+    // Start (or replace) the chat's conversation - a chat only ever has one
+    async start(chatId, flow, step, payload = {}, { ttlMinutes = DEFAULT_TTL_MINUTES } = {}) {
+        if (!this.flows[flow] || !this.flows[flow][step]) {
+            throw new Error(`Unknown conversation step: ${flow}.${step}`);
+        }
+
+        return ConversationState.findOneAndUpdate(
+            { chatId: chatId.toString() },
+            {
+                flow,
+                step,
+                payload,
+                expiresAt: new Date(Date.now() + (ttlMinutes * 60 * 1000))
+            },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+    }
+
+    // Move to another step and merge new payload values; keeps the existing expiry
+    async update(chatId, { step, payload } = {}) {
+        const state = await this.get(chatId);
+        if (!state) return null;
+
+        const changes = {};
+        if (step) changes.step = step;
+        if (payload) changes.payload = { ...(state.payload || {}), ...payload };
+
+        return ConversationState.findOneAndUpdate(
+            { chatId: chatId.toString() },
+            changes,
+            { new: true }
+        );
+    }
+
+    // Active, unexpired state for a chat (optionally only for one flow)
+    async get(chatId, flow) {
+        const state = await ConversationState.findOne({ chatId: chatId.toString() });
+
+        if (!state) return null;
+
+        if (state.expiresAt <= new Date()) {
+            await this.end(chatId);
+            return null;
+        }
+
+        if (flow && state.flow !== flow) return null;
+
+        return state;
+    }
+
+    async end(chatId) {
+        await ConversationState.deleteOne({ chatId: chatId.toString() });
+    }
+
+    // Single entry point for every incoming message
+    async handleMessage(msg) {
+        const chatId = msg.chat.id;
+        const text = msg.text;
+
+        if (!text) return;
+
+        const state = await this.get(chatId);
+        if (!state) return;
+
+        // Commands have their own handlers; any command other than /cancel just ends the flow.
+        // Only delete the state we read, in case the command itself has already started a new flow.
+        if (text.startsWith('/')) {
+            const keep = (this.keepOnCommand[state.flow] || []).includes(state.step);
+
+            if (!text.startsWith('/cancel') && !keep) {
+                await ConversationState.deleteOne({ _id: state._id, updatedAt: state.updatedAt });
+            }
+            return;
+        }
+
+        const handler = this.flows[state.flow] && this.flows[state.flow][state.step];
+
+        if (!handler) {
+            console.log(`⚠️ No handler for conversation step ${state.flow}.${state.step}, ending it`);
+            await this.end(chatId);
+            return;
+        }
+
+        await handler(msg, state);
+    }
+}
+
+module.exports = ConversationManager;
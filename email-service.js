@@ -0,0 +1,62 @@
+// email-service.js - Marketer emails through a pluggable nodemailer transport
+const nodemailer = require('nodemailer');
+const { EMAIL_TEMPLATES } = require('./email-templates');
+
+// EMAIL_TRANSPORT=smtp uses SMTP_URL; json/stream use nodemailer's in-memory transports (handy for tests)
+function createTransport() {
+    const mode = process.env.EMAIL_TRANSPORT || (process.env.SMTP_URL ? 'smtp' : 'json');
+
+    if (mode === 'smtp') {
+        return nodemailer.createTransport(process.env.SMTP_URL);
+    }
+
+    if (mode === 'stream') {
+        return nodemailer.createTransport({ streamTransport: true, buffer: true });
+    }
+
+    return nodemailer.createTransport({ jsonTransport: true });
+}
+
+class EmailService {
+    constructor(transport) {
+        this.transport = transport || createTransport();
+        this.from = process.env.EMAIL_FROM || 'Twitter Engagement Platform <no-reply@localhost>';
+
+        console.log('📧 EmailService initialized:');
+        console.log('  - Transport:', this.transport.transporter?.name || 'custom');
+    }
+
+    // Render a template and send it. Never throws - email must not break the calling flow.
+    async send(templateName, to, data) {
+        const template = EMAIL_TEMPLATES[templateName];
+
+        if (!template) {
+            console.error(`❌ Unknown email template: ${templateName}`);
+            return null;
+        }
+
+        if (!to) {
+            console.log(`⚠️ No recipient for ${templateName} email, skipping`);
+            return null;
+        }
+
+        try {
+            const { subject, text, html } = template(data);
+            const info = await this.transport.sendMail({
+                from: this.from,
+                to: to,
+                subject: subject,
+                text: text,
+                html: html
+            });
+
+            console.log(`📧 Sent ${templateName} email to ${to}`);
+            return info;
+        } catch (error) {
+            console.error(`❌ Failed to send ${templateName} email to ${to}:`, error.message);
+            return null;
+        }
+    }
+}
+
+module.exports = EmailService;
@@ -0,0 +1,123 @@
+// email-templates.js - Transactional emails sent to marketers
+// Each template takes plain data and returns { subject, text, html }
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function naira(amount) {
+    return `₦${Math.round(amount || 0).toLocaleString()}`;
+}
+
+// Shared layout so every email looks the same
+function layout(title, rows, footer) {
+    const body = rows.map(([label, value]) => (
+        `<tr><td style="padding:6px 12px;color:#555;">${escapeHtml(label)}</td>` +
+        `<td style="padding:6px 12px;font-weight:bold;">${escapeHtml(value)}</td></tr>`
+    )).join('');
+
+    return `<div style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;max-width:600px;margin:0 auto;">` +
+           `<div style="background:#1DA1F2;color:white;padding:20px;border-radius:10px 10px 0 0;"><h2 style="margin:0;">${escapeHtml(title)}</h2></div>` +
+           `<table style="width:100%;border-collapse:collapse;margin:15px 0;">${body}</table>` +
+           (footer ? `<p style="color:#555;">${footer}</p>` : '') +
+           `<p style="color:#999;font-size:12px;">Twitter Engagement Platform</p>` +
+           `</div>`;
+}
+
+function textLines(title, rows, footer) {
+    return [title, '', ...rows.map(([label, value]) => `${label}: ${value}`), '', footer || ''].join('\n').trim();
+}
+
+function render(subject, title, rows, footerText, footerHtml) {
+    return {
+        subject,
+        text: textLines(title, rows, footerText),
+        html: layout(title, rows, footerHtml ?? escapeHtml(footerText || ''))
+    };
+}
+
+const EMAIL_TEMPLATES = {
+    campaign_created({ campaign, paymentUrl }) {
+        return render(
+            `Campaign created: ${campaign.brandName}`,
+            '🚀 Your campaign has been created',
+            [
+                ['Campaign', campaign.brandName],
+                ['Package', campaign.package],
+                ['Amount due', naira(campaign.budget)],
+                ['Duration', `${campaign.duration} hours`]
+            ],
+            paymentUrl ? `Complete your payment to launch it: ${paymentUrl}` : 'Complete your payment to launch it.',
+            paymentUrl
+                ? `Complete your payment to launch it: <a href="${escapeHtml(paymentUrl)}">Pay now</a>`
+                : 'Complete your payment to launch it.'
+        );
+    },
+
+    payment_received({ campaign }) {
+        return render(
+            `Payment received: ${campaign.brandName}`,
+            '✅ Payment received',
+            [
+                ['Campaign', campaign.brandName],
+                ['Amount paid', naira(campaign.payment?.amount ?? campaign.budget)],
+                ['Reference', campaign.payment?.reference || '-']
+            ],
+            "We're matching handlers to your campaign now. We'll email you as soon as it goes live."
+        );
+    },
+
+    campaign_live({ campaign }) {
+        return render(
+            `Your campaign is live: ${campaign.brandName}`,
+            '📣 Your campaign is live',
+            [
+                ['Campaign', campaign.brandName],
+                ['Handlers selected', (campaign.participants || []).length],
+                ['Estimated reach', (campaign.estimatedReach || 0).toLocaleString()],
+                ['Runs for', `${campaign.duration} hours`]
+            ],
+            "Handlers are posting on schedule. You'll get a daily progress digest until the campaign ends."
+        );
+    },
+
+    daily_digest({ campaign, progress }) {
+        return render(
+            `Daily progress: ${campaign.brandName}`,
+            '📊 Daily campaign progress',
+            [
+                ['Campaign', campaign.brandName],
+                ['Status', campaign.status],
+                ['Assignments submitted', `${progress.submitted}/${progress.total}`],
+                ['Still scheduled', progress.pending],
+                ['Missed and reassigned', progress.skipped],
+                ['Time remaining', progress.hoursRemaining !== null ? `${progress.hoursRemaining} hours` : '-']
+            ],
+            'Final reach and engagement numbers will be in your report when the campaign completes.'
+        );
+    },
+
+    final_report({ campaign }) {
+        return render(
+            `Final report: ${campaign.brandName}`,
+            '🏁 Campaign complete',
+            [
+                ['Campaign', campaign.brandName],
+                ['Participants', campaign.actualParticipants || 0],
+                ['Total engagement', (campaign.totalEngagement || 0).toLocaleString()],
+                ['Actual reach', (campaign.actualReach || 0).toLocaleString()],
+                ['Estimated reach', (campaign.estimatedReach || 0).toLocaleString()],
+                ['Paid to handlers', naira(campaign.totalPaidOut)],
+                ['Budget', naira(campaign.budget)]
+            ],
+            'Thanks for running your campaign with us!'
+        );
+    }
+};
+
+module.exports = { EMAIL_TEMPLATES, escapeHtml };
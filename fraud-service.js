@@ -0,0 +1,247 @@
+// fraud-service.js - Sock-puppet and fraud scoring with a manual review queue
+const { User, Assignment } = require('./models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FRAUD_CONFIG = {
+    // Users at or above this score go to the review queue and stop getting assignments
+    reviewThreshold: parseInt(process.env.FRAUD_REVIEW_THRESHOLD) || 50
+};
+
+// Signals recorded when something happens (a payout, a submission) rather than recomputed from the profile
+const EVENT_SIGNALS = ['duplicate_bank_account', 'identical_content'];
+
+function normalizeContent(text) {
+    return (text || '').replace(/https?:\/\/\S+/g, '').replace(/[@#]\w+/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// "john_doe123" and "john_doe124" share the stem "john_doe"
+function handleStem(handle) {
+    return (handle || '').toLowerCase().replace(/[\d_]+$/, '');
+}
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class FraudService {
+    // Signals derived from the Twitter account and registration metadata
+    async getProfileSignals(user) {
+        const signals = [];
+        const metrics = user.twitterMetrics || {};
+
+        if (metrics.accountCreatedAt) {
+            const ageDays = (Date.now() - new Date(metrics.accountCreatedAt).getTime()) / DAY_MS;
+
+            // Details stay fixed for the same finding so a cleared review isn't reopened by a changing number
+            if (ageDays < 30) {
+                signals.push({ type: 'new_account', weight: 30, detail: 'Twitter account under 30 days old' });
+            } else if (ageDays < 90) {
+                signals.push({ type: 'new_account', weight: 15, detail: 'Twitter account under 90 days old' });
+            }
+
+            if (metrics.tweets !== undefined) {
+                const tweetsPerDay = metrics.tweets / Math.max(ageDays, 1);
+
+                if (metrics.tweets < 10) {
+                    signals.push({ type: 'tweet_cadence', weight: 15, detail: 'Fewer than 10 tweets' });
+                } else if (tweetsPerDay > 100) {
+                    signals.push({ type: 'tweet_cadence', weight: 20, detail: 'Over 100 tweets per day' });
+                }
+            }
+        }
+
+        if (metrics.followers !== undefined && metrics.following !== undefined) {
+            if (metrics.followers < 50 && metrics.following > Math.max(200, metrics.followers * 10)) {
+                signals.push({
+                    type: 'follower_ratio',
+                    weight: 20,
+                    detail: 'Under 50 followers while following far more accounts'
+                });
+            }
+        }
+
+        // The Bot API exposes no device details, so look for batches of look-alike registrations instead
+        const registeredAt = user.registeredAt || new Date();
+        const sameDay = {
+            telegramId: { $ne: user.telegramId },
+            registeredAt: {
+                $gte: new Date(registeredAt.getTime() - DAY_MS),
+                $lte: new Date(registeredAt.getTime() + DAY_MS)
+            }
+        };
+
+        if (user.firstName) {
+            const sameName = await User.countDocuments({
+                ...sameDay,
+                firstName: new RegExp(`^${escapeRegex(user.firstName)}$`, 'i'),
+                lastName: user.lastName || ''
+            });
+
+            if (sameName > 0) {
+                signals.push({
+                    type: 'shared_metadata',
+                    weight: 15,
+                    detail: `Other accounts named ${user.firstName} registered within a day`
+                });
+            }
+        }
+
+        const stem = handleStem(user.twitterHandle);
+        if (stem.length >= 3 && stem !== (user.twitterHandle || '').toLowerCase()) {
+            const similarHandles = await User.countDocuments({
+                telegramId: { $ne: user.telegramId },
+                twitterVerified: true,
+                twitterHandle: new RegExp(`^${escapeRegex(stem)}[\\d_]+$`)
+            });
+
+            if (similarHandles > 0) {
+                signals.push({
+                    type: 'similar_handles',
+                    weight: 20,
+                    detail: `Other verified handles like ${stem}…`
+                });
+            }
+        }
+
+        return signals;
+    }
+
+    // Another user already cashes out to this bank account
+    async checkBankAccount(user) {
+        if (!user.bankAccount || !user.bankAccount.accountNumber) return null;
+
+        const others = await User.find({
+            telegramId: { $ne: user.telegramId },
+            'bankAccount.accountNumber': user.bankAccount.accountNumber,
+            'bankAccount.bankCode': user.bankAccount.bankCode
+        }).select('telegramId');
+
+        if (others.length === 0) return null;
+
+        return {
+            type: 'duplicate_bank_account',
+            weight: 50,
+            label: 'Bank account',
+            relatedUserIds: others.map(other => other.telegramId)
+        };
+    }
+
+    // Someone else already posted exactly this text for an assignment
+    async checkSubmittedContent(assignment) {
+        const content = normalizeContent(assignment.actualContent);
+        if (content.length < 10) return null;
+
+        const candidates = await Assignment.find({
+            _id: { $ne: assignment._id },
+            userId: { $ne: assignment.userId },
+            campaignId: assignment.campaignId,
+            actualContent: { $ne: null }
+        }).select('userId actualContent');
+
+        const matches = candidates.filter(other => normalizeContent(other.actualContent) === content);
+        if (matches.length === 0) return null;
+
+        return {
+            type: 'identical_content',
+            weight: 30,
+            label: `Submitted text on campaign ${assignment.campaignId}`,
+            relatedUserIds: [...new Set(matches.map(other => other.userId))]
+        };
+    }
+
+    // Record a finding from checkBankAccount/checkSubmittedContent against everyone involved
+    async recordSharedFinding(user, finding) {
+        const result = await this.assess(user, [{
+            type: finding.type,
+            weight: finding.weight,
+            detail: `${finding.label} shared with ${finding.relatedUserIds.join(', ')}`
+        }]);
+
+        for (const relatedId of finding.relatedUserIds) {
+            const related = await User.findOne({ telegramId: relatedId });
+            if (!related) continue;
+
+            await this.assess(related, [{
+                type: finding.type,
+                weight: finding.weight,
+                detail: `${finding.label} shared with ${user.telegramId}`
+            }]);
+        }
+
+        return result;
+    }
+
+    // Recompute the user's fraud score and queue them for review if it's too high
+    async assess(user, newSignals = []) {
+        const previous = user.fraudSignals || [];
+        const profileSignals = await this.getProfileSignals(user);
+        const eventSignals = previous.filter(signal => EVENT_SIGNALS.includes(signal.type));
+
+        // Keep the original detection time for signals we've seen before
+        const now = new Date();
+        const merged = [];
+        for (const signal of [...eventSignals, ...profileSignals, ...newSignals.filter(Boolean)]) {
+            if (merged.some(existing => existing.type === signal.type && existing.detail === signal.detail)) continue;
+
+            const seen = previous.find(existing => existing.type === signal.type && existing.detail === signal.detail);
+            merged.push({
+                type: signal.type,
+                weight: signal.weight,
+                detail: signal.detail,
+                detectedAt: seen ? seen.detectedAt : (signal.detectedAt || now)
+            });
+        }
+
+        const score = Math.min(100, merged.reduce((sum, signal) => sum + signal.weight, 0));
+        const review = user.fraudReview || {};
+        const update = { fraudScore: score, fraudSignals: merged };
+
+        // A cleared user only goes back in the queue if something new turns up
+        const hasNewSignals = !review.reviewedAt || merged.some(signal => signal.detectedAt > review.reviewedAt);
+        const queue = score >= FRAUD_CONFIG.reviewThreshold &&
+            review.status !== 'pending' &&
+            review.status !== 'confirmed' &&
+            hasNewSignals;
+
+        if (queue) {
+            update.fraudReview = { status: 'pending', flaggedAt: now };
+            console.log(`🚩 User ${user.telegramId} queued for fraud review (score ${score})`);
+        }
+
+        const updatedUser = await User.findByIdAndUpdate(user._id, update, { new: true });
+        return { score, signals: merged, queued: queue, user: updatedUser };
+    }
+
+    // True when the user is in (or failed) review and shouldn't get work or money
+    isHeld(user) {
+        const status = user.fraudReview && user.fraudReview.status;
+        return status === 'pending' || status === 'confirmed';
+    }
+
+    async review(userId, { decision, note, reviewedBy }) {
+        if (!['cleared', 'confirmed'].includes(decision)) {
+            throw new Error(`Unknown review decision: ${decision}`);
+        }
+
+        const update = {
+            'fraudReview.status': decision,
+            'fraudReview.reviewedAt': new Date(),
+            'fraudReview.reviewedBy': reviewedBy,
+            'fraudReview.note': note
+        };
+
+        // Confirmed sock puppets are switched off for good
+        if (decision === 'confirmed') {
+            update.isActive = false;
+        }
+
+        return User.findOneAndUpdate(
+            { telegramId: userId, 'fraudReview.status': 'pending' },
+            update,
+            { new: true }
+        );
+    }
+}
+
+module.exports = { FraudService, FRAUD_CONFIG };
@@ -0,0 +1,167 @@
+// handler-scoring.js - Pluggable, weighted handler scoring for selection, plus reach-based earnings tiers
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Every factor maps a user to 0-1. `context.campaign` is the campaign being staffed;
+// `context.isProfileMatch` and `context.audienceScore` come from the server's audience matching.
+const DEFAULT_FACTORS = {
+    // Log scale so a few very large accounts don't crowd everyone else out (1M followers = 1)
+    followers(user) {
+        const followers = user.twitterMetrics?.followers || 0;
+        return Math.min(1, Math.log10(followers + 1) / 6);
+    },
+
+    // engagementRate is a percentage (see recordTwitterMetrics); 5% and above scores full marks
+    engagement(user) {
+        return Math.min(1, (user.engagementRate || 0) / 5);
+    },
+
+    // Older accounts are less likely to be throwaways; 5 years scores full marks
+    accountAge(user) {
+        const createdAt = user.twitterMetrics?.accountCreatedAt;
+        if (!createdAt) return 0.3;
+
+        const years = (Date.now() - new Date(createdAt).getTime()) / (365 * DAY_MS);
+        return Math.min(1, Math.max(0, years / 5));
+    },
+
+    // TwitterService.calculateUserValue tops out around 200
+    userValue(user) {
+        return Math.min(1, (user.twitterMetrics?.userValue || 0) / 200);
+    },
+
+    reliability(user) {
+        return Math.min(1, Math.max(0, (user.reliabilityScore ?? 100) / 100));
+    },
+
+    // Tag overlap when the campaign targets interests or states, otherwise the persona match
+    profileMatch(user, context) {
+        const audienceScore = context.audienceScore ? context.audienceScore(user, context.campaign) : null;
+        if (audienceScore !== null) return audienceScore;
+
+        if (!user.profileCompleted) return 0;
+        return context.isProfileMatch && context.isProfileMatch(user, context.campaign) ? 1 : 0.5;
+    },
+
+    // Spread work around - 10 days since the last campaign scores full marks
+    freshness(user) {
+        const lastParticipation = user.lastParticipation || user.registeredAt || new Date();
+        const days = (Date.now() - new Date(lastParticipation).getTime()) / DAY_MS;
+        return Math.min(1, Math.max(0, days / 10));
+    }
+};
+
+// Factor weights per campaign package; anything a package leaves out comes from `default`
+const PACKAGE_WEIGHTS = {
+    default: {
+        followers: 0.15,
+        engagement: 0.2,
+        accountAge: 0.1,
+        userValue: 0.1,
+        reliability: 0.2,
+        profileMatch: 0.1,
+        freshness: 0.15
+    },
+    // Small campaigns: share the work around and favour good audience fit
+    starter: {
+        followers: 0.1,
+        freshness: 0.25,
+        profileMatch: 0.15
+    },
+    growth: {},
+    // Bigger budgets buy reach and dependable handlers
+    premium: {
+        followers: 0.25,
+        engagement: 0.25,
+        freshness: 0.05
+    },
+    enterprise: {
+        followers: 0.3,
+        reliability: 0.25,
+        freshness: 0.05,
+        profileMatch: 0.05
+    }
+};
+
+// Earnings multiplier by measured reach (followers from the latest metrics refresh)
+const EARNINGS_TIERS = [
+    { name: 'macro', minReach: 50000, multiplier: 1.4 },
+    { name: 'mid', minReach: 10000, multiplier: 1.2 },
+    { name: 'micro', minReach: 1000, multiplier: 1 },
+    { name: 'nano', minReach: 0, multiplier: 0.8 }
+];
+
+// HANDLER_SCORING_WEIGHTS='{"premium":{"followers":0.4}}' overrides individual weights
+function loadWeightOverrides() {
+    if (!process.env.HANDLER_SCORING_WEIGHTS) return {};
+
+    try {
+        return JSON.parse(process.env.HANDLER_SCORING_WEIGHTS);
+    } catch (error) {
+        console.error('❌ Ignoring invalid HANDLER_SCORING_WEIGHTS:', error.message);
+        return {};
+    }
+}
+
+class HandlerScorer {
+    // `factors` and `weights` replace the built-in ones; HANDLER_SCORING_WEIGHTS still applies on top
+    constructor({ factors = DEFAULT_FACTORS, weights = PACKAGE_WEIGHTS } = {}) {
+        this.factors = { ...factors };
+        this.weights = {};
+
+        const overrides = loadWeightOverrides();
+        for (const packageName of new Set([...Object.keys(weights), ...Object.keys(overrides)])) {
+            this.weights[packageName] = { ...(weights[packageName] || {}), ...(overrides[packageName] || {}) };
+        }
+    }
+
+    // Add or replace a factor. It only counts once a package (or `default`) gives it a weight.
+    registerFactor(name, factor) {
+        if (typeof factor !== 'function') {
+            throw new TypeError(`Scoring factor ${name} must be a function`);
+        }
+
+        this.factors[name] = factor;
+        return this;
+    }
+
+    // Change some of a package's weights, keeping the rest
+    setWeights(packageName, weights) {
+        this.weights[packageName] = { ...(this.weights[packageName] || {}), ...weights };
+        return this;
+    }
+
+    getWeights(packageName) {
+        return { ...this.weights.default, ...(this.weights[packageName] || {}) };
+    }
+
+    // Weighted score from 0-100 with the per-factor values that produced it
+    score(user, context = {}) {
+        const weights = this.getWeights(context.campaign?.package);
+        const breakdown = {};
+        let total = 0;
+        let totalWeight = 0;
+
+        for (const [name, weight] of Object.entries(weights)) {
+            const factor = this.factors[name];
+            if (!factor || !weight) continue;
+
+            const value = factor(user, context);
+            breakdown[name] = Math.round(value * 100) / 100;
+            total += value * weight;
+            totalWeight += weight;
+        }
+
+        return {
+            score: totalWeight > 0 ? Math.round((total / totalWeight) * 1000) / 10 : 0,
+            breakdown
+        };
+    }
+
+    getEarningsTier(user) {
+        const reach = user.twitterMetrics?.followers || 0;
+        return EARNINGS_TIERS.find(tier => reach >= tier.minReach);
+    }
+}
+
+module.exports = { HandlerScorer };
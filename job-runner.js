@@ -0,0 +1,68 @@
+// job-runner.js - Background jobs on top of the cron package
+const { CronJob } = require('cron');
+
+class JobRunner {
+    constructor() {
+        this.jobs = new Map();
+    }
+
+    // Register a named job. A run is skipped if the previous one hasn't finished.
+    register(name, cronTime, handler) {
+        const entry = { name, cronTime, handler, running: false, lastRunAt: null, lastError: null };
+
+        entry.job = new CronJob(cronTime, () => this.run(name), null, false);
+        this.jobs.set(name, entry);
+
+        console.log(`⏱️ Job registered: ${name} (${cronTime})`);
+        return this;
+    }
+
+    async run(name) {
+        const entry = this.jobs.get(name);
+        if (!entry) {
+            throw new Error(`Unknown job: ${name}`);
+        }
+
+        if (entry.running) {
+            console.log(`⏭️ Job ${name} still running, skipping this tick`);
+            return;
+        }
+
+        entry.running = true;
+        try {
+            await entry.handler();
+            entry.lastError = null;
+        } catch (error) {
+            entry.lastError = error.message;
+            console.error(`❌ Job ${name} failed:`, error);
+        } finally {
+            entry.running = false;
+            entry.lastRunAt = new Date();
+        }
+    }
+
+    start() {
+        for (const entry of this.jobs.values()) {
+            entry.job.start();
+        }
+        console.log(`⏱️ Job runner started with ${this.jobs.size} job(s)`);
+    }
+
+    stop() {
+        for (const entry of this.jobs.values()) {
+            entry.job.stop();
+        }
+    }
+
+    status() {
+        return Array.from(this.jobs.values()).map(entry => ({
+            name: entry.name,
+            schedule: entry.cronTime,
+            running: entry.running,
+            lastRunAt: entry.lastRunAt,
+            lastError: entry.lastError
+        }));
+    }
+}
+
+module.exports = JobRunner;
@@ -0,0 +1,265 @@
+// ledger-service.js - Double-entry earnings ledger
+const { LedgerEntry } = require('./models');
+
+// Account naming:
+//   platform:payments_received      - charges collected from marketers through Paystack
+//   platform:campaign_budget        - money marketers paid for campaigns, not yet earned or refunded
+//   user:<telegramId>:pending       - earned on assignments still in progress
+//   user:<telegramId>:available     - released earnings the user can withdraw
+//   user:<telegramId>:processing    - withdrawals sent to the bank, not yet confirmed
+//   user:<telegramId>:paid_out      - withdrawals confirmed by the bank
+//   platform:adjustments            - manual corrections made by operators
+const PLATFORM_PAYMENTS_ACCOUNT = 'platform:payments_received';
+const PLATFORM_BUDGET_ACCOUNT = 'platform:campaign_budget';
+const PLATFORM_ADJUSTMENTS_ACCOUNT = 'platform:adjustments';
+
+function userAccount(userId, bucket) {
+    return `user:${userId}:${bucket}`;
+}
+
+class LedgerService {
+    // Write both legs of a posting. Re-posting the same reference is a no-op.
+    async post({ reference, debitAccount, creditAccount, amount, category, description, userId, campaignId, assignmentId, payoutId }) {
+        amount = Math.round(amount);
+
+        if (!amount || amount <= 0) {
+            return false;
+        }
+
+        const shared = {
+            reference,
+            amount,
+            category,
+            description,
+            userId,
+            campaignId,
+            assignmentId,
+            payoutId
+        };
+
+        try {
+            await LedgerEntry.insertMany([
+                { ...shared, account: debitAccount, direction: 'debit' },
+                { ...shared, account: creditAccount, direction: 'credit' }
+            ]);
+
+            console.log(`📒 Ledger: ${category} ₦${amount.toLocaleString()} ${debitAccount} → ${creditAccount}`);
+            return true;
+        } catch (error) {
+            if (error.code === 11000) {
+                console.log(`ℹ️ Ledger posting ${reference} already recorded`);
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    // Net balance of an account (credits increase what we owe the user)
+    async getAccountBalance(account) {
+        const result = await LedgerEntry.aggregate([
+            { $match: { account: account } },
+            {
+                $group: {
+                    _id: null,
+                    credits: { $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', 0] } },
+                    debits: { $sum: { $cond: [{ $eq: ['$direction', 'debit'] }, '$amount', 0] } }
+                }
+            }
+        ]);
+
+        return result.length > 0 ? result[0].credits - result[0].debits : 0;
+    }
+
+    async getBalances(userId) {
+        const [pending, available, processing, paidOut] = await Promise.all([
+            this.getAccountBalance(userAccount(userId, 'pending')),
+            this.getAccountBalance(userAccount(userId, 'available')),
+            this.getAccountBalance(userAccount(userId, 'processing')),
+            this.getAccountBalance(userAccount(userId, 'paid_out'))
+        ]);
+
+        return {
+            pending,
+            available,
+            processing,
+            paidOut,
+            totalEarned: available + processing + paidOut
+        };
+    }
+
+    // One line per posting that touched the user's accounts, newest first
+    async getRecentTransactions(userId, limit = 10) {
+        return LedgerEntry.find({ userId: userId, direction: 'credit' })
+            .sort({ createdAt: -1 })
+            .limit(limit);
+    }
+
+    // Marketer's charge verified - the campaign budget that earnings are paid from
+    async fundCampaign(campaign, amount) {
+        return this.post({
+            reference: `fund:${campaign._id}`,
+            debitAccount: PLATFORM_PAYMENTS_ACCOUNT,
+            creditAccount: PLATFORM_BUDGET_ACCOUNT,
+            amount,
+            category: 'campaign_funding',
+            description: `Payment ${campaign.payment.reference}`,
+            campaignId: campaign._id
+        });
+    }
+
+    // Unspent budget sent back to the marketer
+    async refundCampaign(campaign, amount) {
+        return this.post({
+            reference: `refund:${campaign._id}`,
+            debitAccount: PLATFORM_BUDGET_ACCOUNT,
+            creditAccount: PLATFORM_PAYMENTS_ACCOUNT,
+            amount,
+            category: 'campaign_refund',
+            description: `Refund of ${campaign.payment.reference}`,
+            campaignId: campaign._id
+        });
+    }
+
+    // Assignment earnings start out pending until the work is confirmed
+    async accrueAssignmentEarning(assignment, baseAmount, bonusAmount) {
+        const userId = assignment.userId;
+
+        await this.post({
+            reference: `accrue:${assignment._id}:base`,
+            debitAccount: PLATFORM_BUDGET_ACCOUNT,
+            creditAccount: userAccount(userId, 'pending'),
+            amount: baseAmount,
+            category: 'base_earning',
+            description: `${assignment.role} assignment`,
+            userId,
+            campaignId: assignment.campaignId,
+            assignmentId: assignment._id
+        });
+
+        await this.post({
+            reference: `accrue:${assignment._id}:bonus`,
+            debitAccount: PLATFORM_BUDGET_ACCOUNT,
+            creditAccount: userAccount(userId, 'pending'),
+            amount: bonusAmount,
+            category: 'profile_bonus',
+            description: 'Profile bonus',
+            userId,
+            campaignId: assignment.campaignId,
+            assignmentId: assignment._id
+        });
+    }
+
+    // Total still pending for a single assignment
+    async getAssignmentPending(assignment) {
+        const result = await LedgerEntry.aggregate([
+            { $match: { assignmentId: assignment._id, account: userAccount(assignment.userId, 'pending') } },
+            {
+                $group: {
+                    _id: null,
+                    credits: { $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', 0] } },
+                    debits: { $sum: { $cond: [{ $eq: ['$direction', 'debit'] }, '$amount', 0] } }
+                }
+            }
+        ]);
+
+        return result.length > 0 ? result[0].credits - result[0].debits : 0;
+    }
+
+    // Assignment confirmed - move its pending earnings to available
+    async releaseAssignmentEarning(assignment) {
+        const amount = await this.getAssignmentPending(assignment);
+
+        return this.post({
+            reference: `release:${assignment._id}`,
+            debitAccount: userAccount(assignment.userId, 'pending'),
+            creditAccount: userAccount(assignment.userId, 'available'),
+            amount,
+            category: 'earning_release',
+            description: 'Earnings released',
+            userId: assignment.userId,
+            campaignId: assignment.campaignId,
+            assignmentId: assignment._id
+        });
+    }
+
+    // Assignment not done - return its pending earnings to the campaign budget
+    async reverseAssignmentEarning(assignment, reason) {
+        const amount = await this.getAssignmentPending(assignment);
+
+        return this.post({
+            reference: `reverse:${assignment._id}`,
+            debitAccount: userAccount(assignment.userId, 'pending'),
+            creditAccount: PLATFORM_BUDGET_ACCOUNT,
+            amount,
+            category: 'earning_reversal',
+            description: reason || 'Assignment not completed',
+            userId: assignment.userId,
+            campaignId: assignment.campaignId,
+            assignmentId: assignment._id
+        });
+    }
+
+    // Withdrawal sent to the bank - hold the money in processing
+    async requestPayout(userId, payoutId, amount) {
+        return this.post({
+            reference: `payout:${payoutId}:request`,
+            debitAccount: userAccount(userId, 'available'),
+            creditAccount: userAccount(userId, 'processing'),
+            amount,
+            category: 'payout_request',
+            description: 'Withdrawal requested',
+            userId,
+            payoutId
+        });
+    }
+
+    async completePayout(userId, payoutId, amount) {
+        return this.post({
+            reference: `payout:${payoutId}:complete`,
+            debitAccount: userAccount(userId, 'processing'),
+            creditAccount: userAccount(userId, 'paid_out'),
+            amount,
+            category: 'payout_complete',
+            description: 'Withdrawal paid',
+            userId,
+            payoutId
+        });
+    }
+
+    // Operator correction to a user's available balance (negative amounts take money back)
+    async adjustBalance(userId, amount, { reference, reason }) {
+        const credit = amount > 0;
+
+        return this.post({
+            reference: `adjust:${reference}`,
+            debitAccount: credit ? PLATFORM_ADJUSTMENTS_ACCOUNT : userAccount(userId, 'available'),
+            creditAccount: credit ? userAccount(userId, 'available') : PLATFORM_ADJUSTMENTS_ACCOUNT,
+            amount: Math.abs(amount),
+            category: 'adjustment',
+            description: reason,
+            userId
+        });
+    }
+
+    // Transfer failed or was reversed - give the money back to available.
+    // `paidOut` is set when the bank returns a transfer it had already confirmed.
+    async reversePayout(userId, payoutId, amount, { paidOut = false } = {}) {
+        return this.post({
+            reference: `payout:${payoutId}:reversal`,
+            debitAccount: userAccount(userId, paidOut ? 'paid_out' : 'processing'),
+            creditAccount: userAccount(userId, 'available'),
+            amount,
+            category: 'payout_reversal',
+            description: 'Withdrawal returned',
+            userId,
+            payoutId
+        });
+    }
+}
+
+LedgerService.PLATFORM_PAYMENTS_ACCOUNT = PLATFORM_PAYMENTS_ACCOUNT;
+LedgerService.PLATFORM_BUDGET_ACCOUNT = PLATFORM_BUDGET_ACCOUNT;
+LedgerService.PLATFORM_ADJUSTMENTS_ACCOUNT = PLATFORM_ADJUSTMENTS_ACCOUNT;
+LedgerService.userAccount = userAccount;
+
+module.exports = LedgerService;
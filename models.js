@@ -20,6 +20,25 @@ const userSchema = new mongoose.Schema({
     verificationCode: String,
     verificationExpires: Date,
     verifiedAt: Date,
+    // Where the user is in bio verification (twitterVerified stays the flag everything else checks)
+    verificationStatus: {
+        type: String,
+        enum: ['unverified', 'awaiting_code', 'verification_pending_retry', 'verified'],
+        default: 'unverified',
+        index: true
+    },
+    // How the current verification was granted - see VerificationAudit for the full history
+    verificationMethod: {
+        type: String,
+        enum: ['bio_code', 'dev_bypass', null],
+        default: null
+    },
+    // Background rechecks after a Twitter API failure
+    verificationRetry: {
+        attempts: { type: Number, default: 0 },
+        nextAttemptAt: Date,
+        lastError: String
+    },
     registeredAt: {
         type: Date,
         default: Date.now
@@ -28,6 +47,13 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    // Set when Telegram says we can't message the user (blocked the bot, deleted account); cleared on /start
+    botBlockedAt: {
+        type: Date,
+        default: null,
+        index: true
+    },
+    // Legacy counter - balances are derived from LedgerEntry (see ledger-service.js)
     earnings: {
         type: Number,
         default: 0
@@ -46,26 +72,183 @@ const userSchema = new mongoose.Schema({
         type: Number,
         default: 5
     },
+    // Latest Twitter numbers (refreshed by the twitter-metrics-refresh job, history in TwitterMetricsSnapshot)
+    twitterMetrics: {
+        followers: Number,
+        following: Number,
+        tweets: Number,
+        verified: Boolean,
+        averageEngagement: Number,
+        userValue: Number,
+        accountCreatedAt: Date,
+        refreshedAt: Date
+    },
+    // 0-100 from recent assignment history (see reliability-service.js)
+    reliabilityScore: {
+        type: Number,
+        default: 100
+    },
+    reliabilityStats: {
+        sampleSize: Number,
+        delivered: Number,
+        missed: Number,
+        onTimeRate: Number,
+        qualityRate: Number,
+        updatedAt: Date
+    },
+    // Set when reliability drops too low; no new assignments until an admin reinstates them
+    suspendedAt: {
+        type: Date,
+        default: null,
+        index: true
+    },
+    suspensionReason: String,
+    // Set on reinstatement; reliability only counts assignments handed out after it
+    reliabilityReviewedAt: Date,
+    reliabilityReviewedBy: String,
+    // Sock-puppet / fraud scoring (see fraud-service.js)
+    fraudScore: {
+        type: Number,
+        default: 0
+    },
+    fraudSignals: [{
+        type: {
+            type: String
+        },
+        weight: Number,
+        detail: String,
+        detectedAt: Date
+    }],
+    // Users in review (or confirmed) get no assignments and can't withdraw
+    fraudReview: {
+        status: {
+            type: String,
+            enum: ['pending', 'cleared', 'confirmed']
+        },
+        flaggedAt: Date,
+        reviewedAt: Date,
+        reviewedBy: String,
+        note: String
+    },
+    // Payout destination (Paystack transfer recipient)
+    bankAccount: {
+        bankCode: String,
+        bankName: String,
+        accountNumber: String,
+        accountName: String,
+        recipientCode: String,
+        addedAt: Date
+    },
+    // Set while a withdrawal checks the balance and places its hold (see payout-service.js)
+    withdrawalLockedAt: Date,
     // Smart Profile Data
     profile: {
         primaryProfile: {
+            id: String,
             label: String,
             description: String,
             bestFor: [String],
-            authenticityLevel: String
+            authenticityLevel: String,
+            // Share of all persona points (0-1) that went to this persona
+            confidence: Number
         },
+        secondaryProfiles: [{
+            _id: false,
+            id: String,
+            label: String,
+            description: String,
+            bestFor: [String],
+            authenticityLevel: String,
+            confidence: Number
+        }],
         spendingPower: String,
         authenticityScore: Number,
         marketingValue: String,
-        recommendedCampaignTypes: [String]
+        recommendedCampaignTypes: [String],
+        // Answers that drove the primary persona, biggest first
+        explanation: [{
+            _id: false,
+            persona: String,
+            question: String,
+            option: String,
+            points: Number
+        }]
+    },
+    // Interest tags and location picked via /interests and /location (ids from audience-tags.js)
+    interests: {
+        type: [String],
+        index: true
     },
-    // Profile Answers (for re-analysis)
+    location: {
+        state: String,
+        city: String,
+        updatedAt: Date
+    },
+    // Profile Answers (for re-analysis) - option ids keyed by question id, plus the questionnaire
+    // version they were given against. Answers from before versioning hold option labels and no version.
     profileAnswers: {
-        age_range: String,
-        daily_routine: [String],
-        spending_priority: String,
-        influence_style: String,
-        discovery_style: [String]
+        questionnaire: String,
+        version: Number,
+        answers: mongoose.Schema.Types.Mixed,
+        completedAt: Date
+    },
+    // Questionnaire version whose persona rules produced `profile`
+    profileAnalyzedVersion: Number,
+    // Personas replaced by a re-analysis, most recent last
+    profileHistory: [{
+        _id: false,
+        profile: mongoose.Schema.Types.Mixed,
+        questionnaireVersion: Number,
+        replacedAt: Date,
+        reanalysisRunId: mongoose.Schema.Types.ObjectId
+    }]
+}, {
+    timestamps: true
+});
+
+// Marketer Schema (dashboard accounts that create and pay for campaigns)
+const marketerSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    passwordHash: {
+        type: String,
+        required: true
+    },
+    name: String,
+    companyName: String,
+    // support and finance are operator roles for the admin API; admin can do everything
+    role: {
+        type: String,
+        enum: ['marketer', 'support', 'finance', 'admin'],
+        default: 'marketer'
+    },
+    lastLoginAt: Date
+}, {
+    timestamps: true
+});
+
+// Marketer login sessions (only a hash of the bearer token is stored)
+const marketerSessionSchema = new mongoose.Schema({
+    marketerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Marketer',
+        required: true,
+        index: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+        expires: 0 // MongoDB removes the session once expiresAt passes
     }
 }, {
     timestamps: true
@@ -73,6 +256,11 @@ const userSchema = new mongoose.Schema({
 
 // Campaign Schema
 const campaignSchema = new mongoose.Schema({
+    ownerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Marketer',
+        index: true
+    },
     brandName: {
         type: String,
         required: true
@@ -82,19 +270,59 @@ const campaignSchema = new mongoose.Schema({
         required: true
     },
     targetAudience: String,
+    // Audience targeting matched against handlers' tags (ids from audience-tags.js); empty means anyone
+    targetInterests: [String],
+    targetStates: [String],
     campaignType: String,
     package: String,
     budget: {
         type: Number,
         required: true
     },
+    contactEmail: String,
     duration: Number,
     estimatedParticipants: Number,
     estimatedReach: Number,
     status: {
         type: String,
-        enum: ['pending', 'active', 'completed', 'cancelled'],
-        default: 'pending'
+        enum: ['draft', 'awaiting_payment', 'pending', 'active', 'paused', 'completed', 'cancelled', 'refunded'],
+        default: 'awaiting_payment'
+    },
+    // Every status change (see campaign-state-machine.js)
+    statusHistory: [{
+        from: String,
+        to: String,
+        at: Date,
+        reason: String,
+        actor: String
+    }],
+    // Paystack payment tracking
+    payment: {
+        reference: {
+            type: String,
+            index: true
+        },
+        amount: Number,
+        currency: {
+            type: String,
+            default: 'NGN'
+        },
+        status: {
+            type: String,
+            enum: ['initialized', 'success', 'failed']
+        },
+        authorizationUrl: String,
+        accessCode: String,
+        channel: String,
+        paidAt: Date,
+        refundedAmount: Number,
+        // Set once a refund is attempted; the campaign only becomes refunded after 'success'
+        refundStatus: {
+            type: String,
+            enum: ['pending', 'failed', 'success']
+        },
+        refundAttemptedAt: Date,
+        refundFailureReason: String
     },
     participants: [String], // Array of telegram IDs
     totalEngagement: {
@@ -115,7 +343,13 @@ const campaignSchema = new mongoose.Schema({
         default: Date.now
     },
     startedAt: Date,
-    completedAt: Date
+    pausedAt: Date,
+    completedAt: Date,
+    cancelledAt: Date,
+    refundedAt: Date,
+    lastDigestSentAt: Date,
+    // Last time createAutomaticAssignments tried to staff the campaign
+    assignmentAttemptedAt: Date
 }, {
     timestamps: true
 });
@@ -141,6 +375,11 @@ const assignmentSchema = new mongoose.Schema({
         type: Date,
         required: true
     },
+    // Deadline for submitting proof of the tweet
+    expiresAt: Date,
+    // Set by the reminder job when each message goes out (keeps reminders idempotent)
+    reminderSentAt: Date,
+    expiryReminderSentAt: Date,
     executedAt: Date,
     status: {
         type: String,
@@ -157,6 +396,7 @@ const assignmentSchema = new mongoose.Schema({
     },
     // Twitter engagement data
     tweetId: String,
+    engagementFetchedAt: Date,
     engagement: {
         likes: {
             type: Number,
@@ -170,6 +410,10 @@ const assignmentSchema = new mongoose.Schema({
             type: Number,
             default: 0
         },
+        quotes: {
+            type: Number,
+            default: 0
+        },
         impressions: {
             type: Number,
             default: 0
@@ -180,11 +424,37 @@ const assignmentSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
-    profileScore: Number
+    // Selection score (0-100) and reach tier at the time of assignment - see handler-scoring.js
+    selectionScore: Number,
+    earningsTier: String,
+    profileScore: Number,
+    // Reassignment chain when a handler misses their slot
+    replacesAssignmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Assignment'
+    },
+    skippedAt: Date,
+    // 'expired' counts against reliability; the others don't
+    skipReason: {
+        type: String,
+        enum: ['expired', 'campaign_closed', 'voided', 'reassigned']
+    },
+    // Content problems spotted automatically or by an admin
+    qualityFlags: [{
+        type: {
+            type: String,
+            enum: ['verbatim_copy', 'off_brief', 'deleted', 'spam', 'low_effort']
+        },
+        note: String,
+        flaggedBy: String,
+        flaggedAt: Date
+    }]
 }, {
     timestamps: true
 });
 
+assignmentSchema.index({ status: 1, scheduledTime: 1 });
+
 // Cooldown Schema
 const cooldownSchema = new mongoose.Schema({
     userId: {
@@ -203,7 +473,7 @@ const cooldownSchema = new mongoose.Schema({
     timestamps: true
 });
 
-// Profiling State Schema (for temporary storage)
+// Profiling State Schema (kept until the questionnaire is finished or restarted)
 const profilingStateSchema = new mongoose.Schema({
     userId: {
         type: String,
@@ -211,27 +481,323 @@ const profilingStateSchema = new mongoose.Schema({
         unique: true,
         index: true
     },
-    currentQuestion: {
+    // The questionnaire version this session was started on, so a new version doesn't change questions mid-way
+    questionnaireVersion: {
         type: Number,
-        default: 0
+        required: true
     },
+    currentQuestionId: String,
+    // Option ids keyed by question id
     answers: {
-        age_range: String,
-        daily_routine: [String],
-        spending_priority: String,
-        influence_style: String,
-        discovery_style: [String]
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Question ids answered so far, in order - the back button walks this
+    history: {
+        type: [String],
+        default: []
     },
-    questionOrder: [String],
     startedAt: {
         type: Date,
         default: Date.now
+    }
+    // No expiresAt any more: the old TTL index only removes documents that still have the field
+}, {
+    timestamps: true
+});
+
+// Questionnaire Schema (each published version is kept so old answers can still be read)
+const questionnaireSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['active', 'retired'],
+        default: 'active'
+    },
+    questions: [{
+        _id: false,
+        id: { type: String, required: true },
+        prompt: { type: String, required: true },
+        type: { type: String, enum: ['single', 'multiple'], required: true },
+        options: [{
+            _id: false,
+            id: { type: String, required: true },
+            label: { type: String, required: true }
+        }],
+        // Skip logic: only asked when every condition matches an earlier answer
+        showIf: [{
+            _id: false,
+            question: String,
+            anyOf: [String],
+            noneOf: [String]
+        }]
+    }],
+    // Persona rules for this version (see questionnaire-service.js)
+    scoring: mongoose.Schema.Types.Mixed,
+    publishedBy: String,
+    publishedAt: Date
+}, {
+    timestamps: true
+});
+
+questionnaireSchema.index({ key: 1, version: 1 }, { unique: true });
+questionnaireSchema.index({ key: 1, status: 1 });
+
+// Profile Re-analysis Run Schema (a dry run or an applied re-score of every completed profile)
+const transitionSchema = new mongoose.Schema({
+    from: String,
+    to: String,
+    count: Number
+}, { _id: false });
+
+const profileReanalysisRunSchema = new mongoose.Schema({
+    dryRun: {
+        type: Boolean,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['running', 'completed', 'failed'],
+        default: 'running'
+    },
+    questionnaireVersion: Number,
+    startedBy: String,
+    reason: String,
+    counts: {
+        scanned: { type: Number, default: 0 },
+        changed: { type: Number, default: 0 },
+        labelChanged: { type: Number, default: 0 },
+        spendingPowerChanged: { type: Number, default: 0 },
+        authenticityChanged: { type: Number, default: 0 },
+        skipped: { type: Number, default: 0 }
+    },
+    labelTransitions: [transitionSchema],
+    spendingPowerTransitions: [transitionSchema],
+    // A few changed users to eyeball before applying
+    samples: [{
+        _id: false,
+        telegramId: String,
+        before: { label: String, spendingPower: String, authenticityScore: Number },
+        after: { label: String, spendingPower: String, authenticityScore: Number }
+    }],
+    error: String,
+    completedAt: Date
+}, {
+    timestamps: true
+});
+
+// Only one run at a time
+profileReanalysisRunSchema.index({ status: 1 }, { unique: true, partialFilterExpression: { status: 'running' } });
+
+// Ledger Entry Schema (double-entry: every posting writes a balanced debit and credit)
+const ledgerEntrySchema = new mongoose.Schema({
+    // Shared by both legs of a posting, also used as the idempotency key
+    reference: {
+        type: String,
+        required: true
+    },
+    account: {
+        type: String,
+        required: true,
+        index: true
+    },
+    direction: {
+        type: String,
+        enum: ['debit', 'credit'],
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    category: {
+        type: String,
+        enum: [
+            'campaign_funding',
+            'campaign_refund',
+            'base_earning',
+            'profile_bonus',
+            'earning_release',
+            'earning_reversal',
+            'payout_request',
+            'payout_complete',
+            'payout_reversal',
+            'adjustment'
+        ],
+        required: true
+    },
+    description: String,
+    userId: {
+        type: String,
+        index: true
+    },
+    campaignId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Campaign'
+    },
+    assignmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Assignment',
+        index: true
+    },
+    payoutId: mongoose.Schema.Types.ObjectId
+}, {
+    timestamps: true
+});
+
+ledgerEntrySchema.index({ reference: 1, account: 1 }, { unique: true });
+
+// Payout Schema (withdrawals to Nigerian bank accounts via Paystack Transfers)
+const payoutSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    amount: {
+        type: Number,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'success', 'failed', 'reversed'],
+        default: 'pending'
+    },
+    reference: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    transferCode: String,
+    recipientCode: String,
+    bankName: String,
+    accountNumber: String,
+    accountName: String,
+    failureReason: String,
+    completedAt: Date
+}, {
+    timestamps: true
+});
+
+// Conversation State Schema (one in-progress bot flow per chat, survives restarts)
+const conversationStateSchema = new mongoose.Schema({
+    chatId: {
+        type: String,
+        required: true,
+        unique: true,
+        index: true
+    },
+    flow: {
+        type: String,
+        required: true
+    },
+    step: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
     },
     expiresAt: {
         type: Date,
-        default: Date.now,
-        expires: 3600 // Expires after 1 hour
+        required: true,
+        expires: 0 // MongoDB removes abandoned conversations
+    }
+}, {
+    timestamps: true,
+    minimize: false
+});
+
+// Verification Audit Schema (append-only record of every verification decision)
+const verificationAuditSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    twitterHandle: String,
+    event: {
+        type: String,
+        enum: ['verified', 'failed', 'retry_scheduled', 'retry_exhausted'],
+        required: true
+    },
+    method: {
+        type: String,
+        enum: ['bio_code', 'dev_bypass'],
+        required: true
+    },
+    // 'user' when they replied "verify", 'background_recheck' for the retry job, 'admin' from the admin API
+    trigger: {
+        type: String,
+        enum: ['user', 'background_recheck', 'admin'],
+        required: true
+    },
+    detail: String,
+    environment: String
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Twitter Metrics Snapshot Schema (history of a handler's Twitter numbers)
+const twitterMetricsSnapshotSchema = new mongoose.Schema({
+    userId: {
+        type: String,
+        required: true
+    },
+    twitterHandle: String,
+    followers: Number,
+    following: Number,
+    tweets: Number,
+    verified: Boolean,
+    averageEngagement: Number,
+    userValue: Number,
+    engagementRate: Number,
+    source: {
+        type: String,
+        enum: ['verification', 'refresh'],
+        required: true
     }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+twitterMetricsSnapshotSchema.index({ userId: 1, createdAt: -1 });
+
+// Admin Audit Log Schema (every action taken through /api/admin)
+const adminAuditLogSchema = new mongoose.Schema({
+    actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Marketer',
+        required: true
+    },
+    actorEmail: String,
+    actorRole: String,
+    action: {
+        type: String,
+        required: true,
+        index: true
+    },
+    targetType: {
+        type: String,
+        enum: ['user', 'campaign', 'assignment', 'marketer', 'questionnaire']
+    },
+    targetId: {
+        type: String,
+        index: true
+    },
+    reason: String,
+    details: mongoose.Schema.Types.Mixed
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
 });
 
 // Analytics Schema (for tracking platform performance)
@@ -263,7 +829,17 @@ const Campaign = mongoose.model('Campaign', campaignSchema);
 const Assignment = mongoose.model('Assignment', assignmentSchema);
 const Cooldown = mongoose.model('Cooldown', cooldownSchema);
 const ProfilingState = mongoose.model('ProfilingState', profilingStateSchema);
+const Questionnaire = mongoose.model('Questionnaire', questionnaireSchema);
+const ProfileReanalysisRun = mongoose.model('ProfileReanalysisRun', profileReanalysisRunSchema);
 const Analytics = mongoose.model('Analytics', analyticsSchema);
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+const Payout = mongoose.model('Payout', payoutSchema);
+const Marketer = mongoose.model('Marketer', marketerSchema);
+const MarketerSession = mongoose.model('MarketerSession', marketerSessionSchema);
+const ConversationState = mongoose.model('ConversationState', conversationStateSchema);
+const VerificationAudit = mongoose.model('VerificationAudit', verificationAuditSchema);
+const TwitterMetricsSnapshot = mongoose.model('TwitterMetricsSnapshot', twitterMetricsSnapshotSchema);
+const AdminAuditLog = mongoose.model('AdminAuditLog', adminAuditLogSchema);
 
 // Note: Indexes will be created automatically by MongoDB when needed
 
@@ -273,5 +849,15 @@ module.exports = {
     Assignment,
     Cooldown,
     ProfilingState,
-    Analytics
+    Questionnaire,
+    ProfileReanalysisRun,
+    Analytics,
+    LedgerEntry,
+    Payout,
+    Marketer,
+    MarketerSession,
+    ConversationState,
+    VerificationAudit,
+    TwitterMetricsSnapshot,
+    AdminAuditLog
 };
\ No newline at end of file
@@ -0,0 +1,201 @@
+// payout-service.js - Handler withdrawals: limits, balance holds and Paystack transfer settlement
+const { User, Payout } = require('./models');
+
+const WITHDRAWAL_CONFIG = {
+    minAmount: parseInt(process.env.WITHDRAWAL_MIN_AMOUNT) || 1000,
+    dailyCap: parseInt(process.env.WITHDRAWAL_DAILY_CAP) || 100000
+};
+
+// A withdrawal that dies while holding the lock stops blocking the user after this long
+const WITHDRAWAL_LOCK_MS = 60 * 1000;
+
+// Payouts the transfer webhook can still settle
+const OPEN_PAYOUT_STATUSES = ['pending', 'processing'];
+
+const TRANSFER_EVENT_STATUSES = {
+    'transfer.success': 'success',
+    'transfer.failed': 'failed',
+    'transfer.reversed': 'reversed'
+};
+
+// A withdrawal we refused; the message is meant for the handler
+class WithdrawalError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WithdrawalError';
+    }
+}
+
+class PayoutService {
+    constructor({ paystackService, ledgerService }) {
+        this.paystackService = paystackService;
+        this.ledgerService = ledgerService;
+    }
+
+    // Total the user has withdrawn (or is withdrawing) since midnight
+    async getWithdrawnToday(userId) {
+        const startOfDay = new Date();
+        startOfDay.setHours(0, 0, 0, 0);
+
+        const result = await Payout.aggregate([
+            {
+                $match: {
+                    userId: userId,
+                    createdAt: { $gte: startOfDay },
+                    status: { $in: ['pending', 'processing', 'success'] }
+                }
+            },
+            { $group: { _id: null, total: { $sum: '$amount' } } }
+        ]);
+
+        return result.length > 0 ? result[0].total : 0;
+    }
+
+    // Balance checks and the hold happen under a per-user lock, so two withdrawals
+    // sent at once can't both spend the same available balance
+    async acquireLock(userId) {
+        const user = await User.findOneAndUpdate(
+            {
+                telegramId: userId,
+                $or: [
+                    { withdrawalLockedAt: null },
+                    { withdrawalLockedAt: { $lt: new Date(Date.now() - WITHDRAWAL_LOCK_MS) } }
+                ]
+            },
+            { withdrawalLockedAt: new Date() }
+        );
+
+        return !!user;
+    }
+
+    async releaseLock(userId) {
+        await User.updateOne({ telegramId: userId }, { withdrawalLockedAt: null });
+    }
+
+    // Hold the amount and send it to the user's bank account. Throws WithdrawalError when refused.
+    async withdraw(user, amount) {
+        const userId = user.telegramId;
+
+        if (amount < WITHDRAWAL_CONFIG.minAmount) {
+            throw new WithdrawalError(`❌ Minimum withdrawal is ₦${WITHDRAWAL_CONFIG.minAmount.toLocaleString()}.`);
+        }
+
+        if (!(await this.acquireLock(userId))) {
+            throw new WithdrawalError(`⏳ Another withdrawal is still being processed. Please try again in a minute.`);
+        }
+
+        let payout;
+        try {
+            const balances = await this.ledgerService.getBalances(userId);
+            const withdrawnToday = await this.getWithdrawnToday(userId);
+
+            if (amount > balances.available) {
+                throw new WithdrawalError(`❌ You only have ₦${balances.available.toLocaleString()} available.`);
+            }
+
+            if (withdrawnToday + amount > WITHDRAWAL_CONFIG.dailyCap) {
+                const remaining = Math.max(0, WITHDRAWAL_CONFIG.dailyCap - withdrawnToday);
+                throw new WithdrawalError(`❌ That exceeds your daily limit. You can withdraw up to ₦${remaining.toLocaleString()} more today.`);
+            }
+
+            payout = await Payout.create({
+                userId: userId,
+                amount: amount,
+                status: 'pending',
+                reference: this.paystackService.generateReference('PAYOUT'),
+                recipientCode: user.bankAccount.recipientCode,
+                bankName: user.bankAccount.bankName,
+                accountNumber: user.bankAccount.accountNumber,
+                accountName: user.bankAccount.accountName
+            });
+
+            try {
+                // Hold the money before the transfer leaves
+                await this.ledgerService.requestPayout(userId, payout._id, amount);
+            } catch (error) {
+                await Payout.updateOne({ _id: payout._id, status: 'pending' }, { status: 'failed', failureReason: error.message });
+                throw error;
+            }
+        } finally {
+            await this.releaseLock(userId);
+        }
+
+        let transfer;
+        try {
+            transfer = await this.paystackService.initiateTransfer({
+                amount: amount,
+                recipientCode: payout.recipientCode,
+                reference: payout.reference,
+                reason: 'Twitter Engagement Platform earnings'
+            });
+        } catch (error) {
+            console.error('❌ Error initiating transfer:', error.message);
+            await this.settle(payout.reference, 'failed', error.message);
+
+            throw new WithdrawalError(
+                `❌ Withdrawal Failed\n\n` +
+                `We couldn't send ₦${amount.toLocaleString()} right now. Your balance has not been charged.\n` +
+                `Please try again later.`
+            );
+        }
+
+        // The transfer webhook may already have settled the payout - only a pending one moves on
+        const processing = await Payout.findOneAndUpdate(
+            { _id: payout._id, status: 'pending' },
+            { status: 'processing', transferCode: transfer.transferCode },
+            { new: true }
+        );
+
+        if (processing) return processing;
+
+        await Payout.updateOne({ _id: payout._id }, { transferCode: transfer.transferCode });
+        return Payout.findById(payout._id);
+    }
+
+    // Give an open payout its final status and post the matching ledger entry. A reversal can
+    // also follow a success, when the bank sends back a transfer it had already confirmed.
+    // Returns null if it was already settled (webhook retries, or a late transfer response).
+    async settle(reference, status, failureReason) {
+        const update = { status, completedAt: new Date() };
+        if (failureReason) update.failureReason = failureReason;
+
+        const settleable = status === 'reversed' ? [...OPEN_PAYOUT_STATUSES, 'success'] : OPEN_PAYOUT_STATUSES;
+
+        // Without { new: true } this returns the payout as it was, so we know what it's settling from
+        const previous = await Payout.findOneAndUpdate(
+            { reference, status: { $in: settleable } },
+            update
+        );
+
+        if (!previous) return null;
+
+        if (status === 'success') {
+            await this.ledgerService.completePayout(previous.userId, previous._id, previous.amount);
+        } else {
+            await this.ledgerService.reversePayout(previous.userId, previous._id, previous.amount, {
+                paidOut: previous.status === 'success'
+            });
+        }
+
+        return Payout.findById(previous._id);
+    }
+
+    // Transfer status updates from the Paystack webhook. Returns the settled payout, or null if there was nothing to do.
+    async handleTransferEvent(eventType, data) {
+        const status = TRANSFER_EVENT_STATUSES[eventType];
+        if (!status) return null;
+
+        const failureReason = status === 'success' ? null : (data.reason || data.gateway_response || eventType);
+        const payout = await this.settle(data.reference, status, failureReason);
+
+        if (!payout) {
+            console.log(`ℹ️ No open payout for transfer reference ${data.reference}`);
+            return null;
+        }
+
+        console.log(`🏦 Payout ${payout.reference} updated: ${payout.status}`);
+        return payout;
+    }
+}
+
+module.exports = { PayoutService, WithdrawalError, WITHDRAWAL_CONFIG };
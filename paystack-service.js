@@ -0,0 +1,184 @@
+// paystack-service.js - Paystack payments integration
+const axios = require('axios');
+const crypto = require('crypto');
+
+class PaystackService {
+    constructor() {
+        this.secretKey = process.env.PAYSTACK_SECRET_KEY;
+        // Overridable so tests can point at a local stub of the Paystack API
+        this.baseURL = process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co';
+        this.callbackURL = process.env.PAYSTACK_CALLBACK_URL;
+
+        console.log('💳 PaystackService initialized:');
+        console.log('  - Secret Key:', this.secretKey ? 'Present' : 'Missing');
+        console.log('  - Base URL:', this.baseURL);
+    }
+
+    // Shared request helper - Paystack wraps every response in { status, message, data }
+    async request(method, path, data) {
+        if (!this.secretKey) {
+            throw new Error('Paystack Secret Key not configured. Please add PAYSTACK_SECRET_KEY to environment variables.');
+        }
+
+        try {
+            const response = await axios({
+                method: method,
+                url: `${this.baseURL}${path}`,
+                data: data,
+                headers: {
+                    'Authorization': `Bearer ${this.secretKey}`,
+                    'Content-Type': 'application/json'
+                },
+                timeout: 10000
+            });
+
+            if (!response.data || !response.data.status) {
+                throw new Error(response.data?.message || 'Unexpected Paystack response');
+            }
+
+            return response.data.data;
+        } catch (error) {
+            console.error('❌ Paystack API error:', {
+                path: path,
+                status: error.response?.status,
+                data: error.response?.data,
+                message: error.message
+            });
+
+            if (error.response?.status === 401) {
+                throw new Error('401 Unauthorized: Invalid Paystack secret key');
+            } else if (error.response) {
+                throw new Error(`Paystack API Error: ${error.response.status} - ${error.response.data?.message || error.message}`);
+            } else {
+                throw error;
+            }
+        }
+    }
+
+    // Generate a unique transaction reference
+    generateReference(prefix = 'CMP') {
+        return `${prefix}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+    }
+
+    // Initialize a checkout transaction (amount is in Naira, Paystack expects kobo)
+    async initializeTransaction({ email, amount, reference, metadata }) {
+        console.log(`💳 Initializing Paystack transaction ${reference} for ₦${amount.toLocaleString()}`);
+
+        const payload = {
+            email: email,
+            amount: Math.round(amount * 100),
+            currency: 'NGN',
+            reference: reference,
+            metadata: metadata
+        };
+
+        if (this.callbackURL) {
+            payload.callback_url = this.callbackURL;
+        }
+
+        const data = await this.request('post', '/transaction/initialize', payload);
+
+        console.log('✅ Paystack transaction initialized');
+        return {
+            authorizationUrl: data.authorization_url,
+            accessCode: data.access_code,
+            reference: data.reference
+        };
+    }
+
+    // Confirm a transaction directly with Paystack
+    async verifyTransaction(reference) {
+        return this.request('get', `/transaction/verify/${encodeURIComponent(reference)}`);
+    }
+
+    // Check with Paystack that a charge succeeded for the full amount (in Naira) and currency we expect
+    async verifyCharge(reference, { amount, currency = 'NGN' }) {
+        const transaction = await this.verifyTransaction(reference);
+        const expectedAmount = Math.round(amount * 100);
+
+        return {
+            verified: transaction.status === 'success' && transaction.amount >= expectedAmount && transaction.currency === currency,
+            expectedAmount,
+            transaction
+        };
+    }
+
+    // Refund a successful charge (amount in Naira, omit for a full refund)
+    async createRefund(reference, amount) {
+        const payload = { transaction: reference };
+
+        if (amount) {
+            payload.amount = Math.round(amount * 100);
+        }
+
+        return this.request('post', '/refund', payload);
+    }
+
+    // Nigerian banks that support NUBAN transfers
+    async listBanks() {
+        return this.request('get', '/bank?country=nigeria&currency=NGN&perPage=100');
+    }
+
+    // Look up the account holder's name for a bank account
+    async resolveAccount(accountNumber, bankCode) {
+        const data = await this.request(
+            'get',
+            `/bank/resolve?account_number=${encodeURIComponent(accountNumber)}&bank_code=${encodeURIComponent(bankCode)}`
+        );
+
+        return {
+            accountNumber: data.account_number,
+            accountName: data.account_name
+        };
+    }
+
+    async createTransferRecipient({ name, accountNumber, bankCode }) {
+        const data = await this.request('post', '/transferrecipient', {
+            type: 'nuban',
+            name: name,
+            account_number: accountNumber,
+            bank_code: bankCode,
+            currency: 'NGN'
+        });
+
+        return data.recipient_code;
+    }
+
+    // Send money from the platform balance (amount is in Naira)
+    async initiateTransfer({ amount, recipientCode, reference, reason }) {
+        console.log(`🏦 Initiating Paystack transfer ${reference} for ₦${amount.toLocaleString()}`);
+
+        const data = await this.request('post', '/transfer', {
+            source: 'balance',
+            amount: Math.round(amount * 100),
+            recipient: recipientCode,
+            reference: reference,
+            reason: reason
+        });
+
+        return {
+            transferCode: data.transfer_code,
+            status: data.status
+        };
+    }
+
+    // Webhooks are signed with HMAC SHA512 of the raw body using the secret key
+    verifyWebhookSignature(rawBody, signature) {
+        if (!this.secretKey || !rawBody || !signature) {
+            return false;
+        }
+
+        const expected = crypto
+            .createHmac('sha512', this.secretKey)
+            .update(rawBody)
+            .digest('hex');
+
+        const expectedBuffer = Buffer.from(expected);
+        const signatureBuffer = Buffer.from(String(signature));
+
+        return expectedBuffer.length === signatureBuffer.length &&
+               crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+    }
+}
+
+module.exports = PaystackService;
@@ -0,0 +1,146 @@
+// persona-engine.js - Weighted persona scoring from profiling answers
+//
+// Scoring rules come from the questionnaire version (see profiling-questionnaire.js). Every persona
+// has points per answer option; all five answers contribute, and the highest total wins.
+
+// Ticking every box on a multiple-choice question shouldn't outweigh one considered answer,
+// so each selected option counts 1/sqrt(n) of its points
+function optionFactor(selectedCount) {
+    return selectedCount > 1 ? 1 / Math.sqrt(selectedCount) : 1;
+}
+
+function toArray(answer) {
+    if (answer === undefined || answer === null) return [];
+    return Array.isArray(answer) ? answer : [answer];
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+class PersonaEngine {
+    // Versions published before the engine used first-match rules instead of weights
+    static supports(scoring) {
+        return !!(scoring && Array.isArray(scoring.personas));
+    }
+
+    // Points per answer under a `{ questionId: { optionId: points } }` weight table
+    tally(weights, answers) {
+        const contributions = [];
+
+        for (const [questionId, optionWeights] of Object.entries(weights || {})) {
+            const selected = toArray(answers[questionId]);
+            const factor = optionFactor(selected.length);
+
+            for (const optionId of selected) {
+                const points = optionWeights[optionId];
+                if (!points) continue;
+
+                contributions.push({ question: questionId, option: optionId, points: round(points * factor) });
+            }
+        }
+
+        return {
+            total: round(contributions.reduce((sum, contribution) => sum + contribution.points, 0)),
+            contributions
+        };
+    }
+
+    // Score every persona, best first
+    rankPersonas(scoring, answers) {
+        return scoring.personas
+            .map(persona => ({ persona, ...this.tally(persona.weights, answers) }))
+            .sort((a, b) => b.total - a.total);
+    }
+
+    evaluate(scoring, answers) {
+        const ranked = this.rankPersonas(scoring, answers);
+        const minScore = scoring.minScore || 0;
+        const totalPoints = ranked.reduce((sum, entry) => sum + Math.max(0, entry.total), 0);
+        const confidenceOf = entry => (totalPoints > 0 ? round(Math.max(0, entry.total) / totalPoints) : 0);
+
+        // Too little signal for any persona: fall back to the default one
+        let primary = ranked[0];
+        if (!primary || primary.total < minScore) {
+            primary = ranked.find(entry => entry.persona.id === scoring.defaultPersona) || ranked[0];
+        }
+
+        const secondaryRatio = scoring.secondaryRatio || 0.6;
+        const secondary = ranked
+            .filter(entry => entry !== primary)
+            .filter(entry => entry.total >= minScore && entry.total >= primary.total * secondaryRatio)
+            .slice(0, scoring.maxSecondary || 2);
+
+        const spendingPower = this.pickSpendingPower(scoring.spendingPower, answers);
+        const authenticityScore = this.scoreAuthenticity(scoring.authenticity, answers);
+
+        const persona = {
+            primaryProfile: { ...this.describe(primary.persona), confidence: confidenceOf(primary) },
+            secondaryProfiles: secondary.map(entry => ({ ...this.describe(entry.persona), confidence: confidenceOf(entry) })),
+            spendingPower: spendingPower,
+            authenticityScore: authenticityScore,
+            marketingValue: 'high',
+            // The answers that pushed the primary persona up, biggest first
+            explanation: primary.contributions
+                .slice()
+                .sort((a, b) => b.points - a.points)
+                .map(contribution => ({ ...contribution, persona: primary.persona.id }))
+        };
+
+        persona.recommendedCampaignTypes = this.recommend(scoring.recommendations, persona);
+        return persona;
+    }
+
+    describe(persona) {
+        return {
+            id: persona.id,
+            label: persona.label,
+            description: persona.description,
+            bestFor: persona.bestFor || [],
+            authenticityLevel: persona.authenticityLevel
+        };
+    }
+
+    // Highest-scoring level wins; ties go to the level listed first
+    pickSpendingPower(spendingPower, answers) {
+        if (!spendingPower) return 'moderate';
+
+        let best = null;
+        for (const level of spendingPower.levels || []) {
+            const { total } = this.tally(level.weights, answers);
+            if (!best || total > best.total) best = { value: level.value, total };
+        }
+
+        return best && best.total >= (spendingPower.minScore || 0) ? best.value : spendingPower.default;
+    }
+
+    scoreAuthenticity(authenticity, answers) {
+        if (!authenticity) return 70;
+
+        const { total } = this.tally(authenticity.weights, answers);
+        return Math.max(0, Math.min(authenticity.max || 100, Math.round((authenticity.base || 0) + total)));
+    }
+
+    // Campaign types for the primary and secondary personas, capped at five
+    recommend(recommendations, persona) {
+        const bestFor = new Set([
+            ...persona.primaryProfile.bestFor,
+            ...persona.secondaryProfiles.flatMap(profile => profile.bestFor)
+        ]);
+        const recommended = [];
+
+        for (const entry of recommendations || []) {
+            if (entry.bestFor && !bestFor.has(entry.bestFor)) continue;
+            if (entry.spendingPower && persona.spendingPower !== entry.spendingPower) continue;
+            if (entry.minAuthenticity && persona.authenticityScore < entry.minAuthenticity) continue;
+
+            for (const type of entry.campaigns) {
+                if (!recommended.includes(type)) recommended.push(type);
+            }
+        }
+
+        return recommended.slice(0, 5);
+    }
+}
+
+module.exports = PersonaEngine;
@@ -0,0 +1,175 @@
+// profile-reanalysis-service.js - Re-score completed profiles under the current persona rules
+const { User, ProfileReanalysisRun } = require('./models');
+
+const QUESTIONNAIRE_KEY = 'profiling';
+// The version whose option labels unversioned answers were stored with; later versions keep its ids
+const LEGACY_QUESTIONNAIRE_VERSION = 1;
+// Progress is written to the run this often so the admin API can show it
+const PROGRESS_EVERY = 100;
+// A run that hasn't written progress for this long died with its process
+const STALE_RUN_MS = 15 * 60 * 1000;
+const SAMPLE_SIZE = 20;
+// Previous personas kept per user
+const HISTORY_SIZE = 10;
+
+function summarize(profile) {
+    return {
+        label: profile && profile.primaryProfile ? profile.primaryProfile.label : null,
+        spendingPower: profile ? profile.spendingPower : null,
+        authenticityScore: profile ? profile.authenticityScore : null
+    };
+}
+
+function recordTransition(transitions, from, to) {
+    const existing = transitions.find(transition => transition.from === from && transition.to === to);
+
+    if (existing) {
+        existing.count++;
+    } else {
+        transitions.push({ from, to, count: 1 });
+    }
+}
+
+class ProfileReanalysisService {
+    constructor({ questionnaireService }) {
+        this.questionnaireService = questionnaireService;
+    }
+
+    // Create the run and process it in the background. Only one run can be in progress at a time.
+    async start({ dryRun, startedBy, reason }) {
+        await ProfileReanalysisRun.updateMany(
+            { status: 'running', updatedAt: { $lt: new Date(Date.now() - STALE_RUN_MS) } },
+            { status: 'failed', error: 'Run stopped responding', completedAt: new Date() }
+        );
+
+        const questionnaire = await this.questionnaireService.getActive(QUESTIONNAIRE_KEY);
+
+        let run;
+        try {
+            run = await ProfileReanalysisRun.create({
+                dryRun,
+                startedBy,
+                reason,
+                questionnaireVersion: questionnaire.version
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new Error('A profile re-analysis is already running');
+            }
+            throw error;
+        }
+
+        this.process(run, questionnaire).catch(async (error) => {
+            console.error(`❌ Profile re-analysis ${run._id} failed:`, error);
+            await ProfileReanalysisRun.findByIdAndUpdate(run._id, {
+                status: 'failed',
+                error: error.message,
+                completedAt: new Date()
+            });
+        });
+
+        return run;
+    }
+
+    // The answers in the current question/option ids, whichever format they were stored in
+    async getAnswers(questionnaire, storedAnswers) {
+        if (!storedAnswers) return null;
+
+        if (storedAnswers.version) {
+            return storedAnswers.answers || null;
+        }
+
+        // Stored before questionnaires were versioned: option labels keyed by question id.
+        // Labels may have been reworded since, so match them against the version they came from.
+        const legacyQuestionnaire = await this.questionnaireService.getVersion(QUESTIONNAIRE_KEY, LEGACY_QUESTIONNAIRE_VERSION) || questionnaire;
+        const answers = this.questionnaireService.fromLegacyAnswers(legacyQuestionnaire, storedAnswers);
+        return Object.keys(answers).length > 0 ? answers : null;
+    }
+
+    async process(run, questionnaire) {
+        const counts = { scanned: 0, changed: 0, labelChanged: 0, spendingPowerChanged: 0, authenticityChanged: 0, skipped: 0 };
+        const labelTransitions = [];
+        const spendingPowerTransitions = [];
+        const samples = [];
+
+        const saveProgress = (update = {}) => ProfileReanalysisRun.findByIdAndUpdate(run._id, {
+            counts, labelTransitions, spendingPowerTransitions, samples, ...update
+        });
+
+        // lean() so answers stored in the pre-versioning shape are still readable
+        const cursor = User.find({ profileCompleted: true })
+            .select('telegramId profile profileAnswers profileAnalyzedVersion')
+            .lean()
+            .cursor();
+
+        for await (const user of cursor) {
+            counts.scanned++;
+
+            const answers = await this.getAnswers(questionnaire, user.profileAnswers);
+            if (!answers) {
+                counts.skipped++;
+                continue;
+            }
+
+            const persona = await this.questionnaireService.analyze(questionnaire, answers);
+            const before = summarize(user.profile);
+            const after = summarize(persona);
+
+            const labelChanged = before.label !== after.label;
+            const spendingPowerChanged = before.spendingPower !== after.spendingPower;
+            const authenticityChanged = before.authenticityScore !== after.authenticityScore;
+            const changed = labelChanged || spendingPowerChanged || authenticityChanged;
+
+            if (changed) {
+                counts.changed++;
+                if (labelChanged) {
+                    counts.labelChanged++;
+                    recordTransition(labelTransitions, before.label, after.label);
+                }
+                if (spendingPowerChanged) {
+                    counts.spendingPowerChanged++;
+                    recordTransition(spendingPowerTransitions, before.spendingPower, after.spendingPower);
+                }
+                if (authenticityChanged) counts.authenticityChanged++;
+
+                if (samples.length < SAMPLE_SIZE) {
+                    samples.push({ telegramId: user.telegramId, before, after });
+                }
+            }
+
+            // Users already on this version with the same result have nothing to update
+            const needsWrite = changed || user.profileAnalyzedVersion !== questionnaire.version;
+
+            if (!run.dryRun && needsWrite) {
+                await User.updateOne(
+                    { _id: user._id },
+                    {
+                        $set: { profile: persona, profileAnalyzedVersion: questionnaire.version },
+                        $push: {
+                            profileHistory: {
+                                $each: [{
+                                    profile: user.profile,
+                                    questionnaireVersion: user.profileAnalyzedVersion || null,
+                                    replacedAt: new Date(),
+                                    reanalysisRunId: run._id
+                                }],
+                                $slice: -HISTORY_SIZE
+                            }
+                        }
+                    }
+                );
+            }
+
+            if (counts.scanned % PROGRESS_EVERY === 0) {
+                await saveProgress();
+            }
+        }
+
+        await saveProgress({ status: 'completed', completedAt: new Date() });
+
+        console.log(`🧠 Profile re-analysis ${run._id} ${run.dryRun ? '(dry run) ' : ''}finished: ` +
+            `${counts.changed}/${counts.scanned} changed, ${counts.skipped} skipped`);
+    }
+}
+
+module.exports = ProfileReanalysisService;
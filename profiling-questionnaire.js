@@ -0,0 +1,242 @@
+// profiling-questionnaire.js - Built-in profiling questionnaire, seeded as a version on first boot
+//
+// Option ids are what we store and score on, so they must never change once a version is live.
+// Labels can be reworded freely in a new version.
+
+const PROFILING_QUESTIONNAIRE = {
+    key: 'profiling',
+    version: 2,
+    questions: [
+        {
+            id: 'age_range',
+            prompt: "What's your age range? (This helps us match you with relevant campaigns)",
+            type: 'single',
+            options: [
+                { id: 'age_16_20', label: '16-20 📱' },
+                { id: 'age_21_25', label: '21-25 🎓' },
+                { id: 'age_26_30', label: '26-30 💼' },
+                { id: 'age_31_35', label: '31-35 🏡' },
+                { id: 'age_36_40', label: '36-40 👨‍👩‍👧‍👦' },
+                { id: 'age_41_plus', label: '41+ 🧠' }
+            ]
+        },
+        {
+            id: 'daily_routine',
+            prompt: 'What best describes your typical weekday? (Select all that apply)',
+            type: 'multiple',
+            options: [
+                { id: 'classes', label: 'Classes and campus life 📚' },
+                { id: 'office', label: 'Office work and meetings 💼' },
+                { id: 'own_business', label: 'Running my own business 🚀' },
+                { id: 'creative', label: 'Creative projects and freelancing 🎨' },
+                { id: 'job_hunting', label: 'Job hunting and skill building 💪' },
+                { id: 'other_professional', label: 'Other professional work 👔' }
+            ]
+        },
+        {
+            id: 'spending_priority',
+            prompt: 'When you have extra money, what do you typically spend it on first?',
+            type: 'single',
+            options: [
+                { id: 'gadgets', label: 'Latest gadgets and tech 📱' },
+                { id: 'fashion', label: 'Fashion and looking good 👗' },
+                { id: 'experiences', label: 'Experiences (travel, events, food) ✈️' },
+                { id: 'savings', label: 'Savings and investments 💰' },
+                { id: 'family', label: 'Family and relationships 👨‍👩‍👧‍👦' },
+                { id: 'skills', label: 'Skills and education 📖' },
+                { id: 'basic_needs', label: 'Basic needs come first 🏠' }
+            ]
+        },
+        {
+            id: 'influence_style',
+            prompt: "When you recommend something on social media, it's usually because:",
+            type: 'single',
+            options: [
+                { id: 'genuine_love', label: 'I genuinely love it and want to share 💝' },
+                { id: 'solved_problem', label: 'It solved a real problem for me 🔧' },
+                { id: 'trending', label: "It's trending and I want to join the conversation 🔥" },
+                { id: 'good_value', label: 'I think it\'s good value for money 💡' },
+                { id: 'values', label: 'It aligns with my values/beliefs 🎯' },
+                { id: 'useful_to_followers', label: 'My friends/followers would find it useful 🤝' }
+            ]
+        },
+        {
+            id: 'discovery_style',
+            prompt: 'How do you typically discover new products/services? (Select all that apply)',
+            type: 'multiple',
+            options: [
+                { id: 'friends', label: 'Through friends and people I trust 👥' },
+                { id: 'social_ads', label: 'Social media ads and influencers 📺' },
+                { id: 'research', label: 'Research and reading reviews 🔍' },
+                { id: 'trending', label: 'Trying trending/popular things 📈' },
+                { id: 'experts', label: 'Recommendations from experts 🎓' },
+                { id: 'budget', label: 'What fits my budget when I need it 💳' }
+            ]
+        }
+    ],
+
+    // Weighted persona rules (see persona-engine.js). Each table maps question id -> option id -> points.
+    // Version 1 used first-match rules; question and option ids are unchanged so its answers still score here.
+    scoring: {
+        // Below this the answers say too little and the default persona is used
+        minScore: 4,
+        defaultPersona: 'authentic_influencer',
+        // Other personas scoring at least this share of the primary's points are listed as secondary
+        secondaryRatio: 0.6,
+        maxSecondary: 2,
+
+        personas: [
+            {
+                id: 'tech_savvy_student',
+                label: 'Tech-Savvy Student',
+                description: 'University students passionate about technology and gadgets',
+                bestFor: ['tech_products', 'educational_apps', 'student_services'],
+                authenticityLevel: 'very_high',
+                weights: {
+                    age_range: { age_16_20: 2, age_21_25: 2 },
+                    daily_routine: { classes: 3, job_hunting: 1 },
+                    spending_priority: { gadgets: 3, skills: 1 },
+                    influence_style: { trending: 1, solved_problem: 1 },
+                    discovery_style: { social_ads: 1, trending: 1 }
+                }
+            },
+            {
+                id: 'budget_smart_student',
+                label: 'Budget-Smart Student',
+                description: 'Students who prioritize value and affordability',
+                bestFor: ['affordable_products', 'student_discounts', 'value_services'],
+                authenticityLevel: 'very_high',
+                weights: {
+                    age_range: { age_16_20: 1, age_21_25: 2 },
+                    daily_routine: { classes: 3, job_hunting: 2 },
+                    spending_priority: { basic_needs: 3, savings: 1, family: 1 },
+                    influence_style: { good_value: 2 },
+                    discovery_style: { budget: 2, friends: 1, research: 1 }
+                }
+            },
+            {
+                id: 'creative_entrepreneur',
+                label: 'Creative Entrepreneur',
+                description: 'Creative professionals running their own business',
+                bestFor: ['creative_tools', 'business_services', 'artistic_products'],
+                authenticityLevel: 'very_high',
+                weights: {
+                    age_range: { age_21_25: 1, age_26_30: 1 },
+                    daily_routine: { creative: 3, own_business: 2 },
+                    spending_priority: { skills: 1, experiences: 1, gadgets: 1 },
+                    influence_style: { values: 1, genuine_love: 1 },
+                    discovery_style: { experts: 1 }
+                }
+            },
+            {
+                id: 'style_conscious_professional',
+                label: 'Style-Conscious Professional',
+                description: 'Young professionals who care about image and status',
+                bestFor: ['fashion', 'premium_products', 'professional_services'],
+                authenticityLevel: 'high',
+                weights: {
+                    age_range: { age_26_30: 1, age_31_35: 1 },
+                    daily_routine: { office: 3, other_professional: 1 },
+                    spending_priority: { fashion: 3, experiences: 1 },
+                    influence_style: { trending: 1 },
+                    discovery_style: { social_ads: 2, trending: 1 }
+                }
+            },
+            {
+                id: 'growth_focused_entrepreneur',
+                label: 'Growth-Focused Entrepreneur',
+                description: 'Business-minded individuals focused on growth and learning',
+                bestFor: ['business_tools', 'productivity_apps', 'courses'],
+                authenticityLevel: 'high',
+                weights: {
+                    age_range: { age_26_30: 1, age_31_35: 1, age_36_40: 1 },
+                    daily_routine: { own_business: 3, job_hunting: 1 },
+                    spending_priority: { skills: 3, savings: 2 },
+                    influence_style: { solved_problem: 1 },
+                    discovery_style: { research: 2, experts: 2 }
+                }
+            },
+            {
+                id: 'authentic_influencer',
+                label: 'Authentic Influencer',
+                description: 'Genuine social media user with authentic voice',
+                bestFor: ['general_products', 'lifestyle_brands'],
+                authenticityLevel: 'high',
+                weights: {
+                    age_range: { age_36_40: 1, age_41_plus: 1 },
+                    daily_routine: { other_professional: 1 },
+                    spending_priority: { experiences: 1, family: 1 },
+                    influence_style: { genuine_love: 2, useful_to_followers: 2, values: 1 },
+                    discovery_style: { friends: 1 }
+                }
+            }
+        ],
+
+        // The level with the most points wins (ties go to the one listed first)
+        spendingPower: {
+            minScore: 2,
+            default: 'moderate',
+            levels: [
+                {
+                    value: 'emerging',
+                    weights: {
+                        age_range: { age_16_20: 2 },
+                        daily_routine: { classes: 3, job_hunting: 2 },
+                        spending_priority: { basic_needs: 3 },
+                        discovery_style: { budget: 2 }
+                    }
+                },
+                {
+                    value: 'moderate',
+                    weights: {
+                        age_range: { age_21_25: 1 },
+                        daily_routine: { other_professional: 1 },
+                        spending_priority: { family: 1, experiences: 1 },
+                        influence_style: { good_value: 1 }
+                    }
+                },
+                {
+                    value: 'moderate_to_high',
+                    weights: {
+                        age_range: { age_26_30: 2, age_31_35: 2 },
+                        daily_routine: { office: 3 },
+                        spending_priority: { fashion: 1, gadgets: 1 }
+                    }
+                },
+                {
+                    value: 'high',
+                    weights: {
+                        age_range: { age_36_40: 1, age_41_plus: 1 },
+                        daily_routine: { own_business: 3 },
+                        spending_priority: { savings: 3 },
+                        discovery_style: { experts: 1 }
+                    }
+                }
+            ]
+        },
+
+        authenticity: {
+            base: 60,
+            max: 100,
+            weights: {
+                daily_routine: { classes: 10, job_hunting: 10 },
+                influence_style: { genuine_love: 20, solved_problem: 15, useful_to_followers: 10, values: 10, good_value: 5 },
+                discovery_style: { friends: 10, research: 5, experts: 3 }
+            }
+        },
+
+        // Every matching entry adds its campaign types, capped at five
+        recommendations: [
+            { bestFor: 'tech_products', campaigns: ['Tech & Gadgets', 'Apps & Software', 'Educational Technology'] },
+            { spendingPower: 'high', campaigns: ['Premium Brands', 'Luxury Products', 'Investment Services'] },
+            { minAuthenticity: 86, campaigns: ['Authentic Reviews', 'Personal Experience Sharing', 'Honest Testimonials'] },
+            { bestFor: 'affordable_products', campaigns: ['Budget-Friendly Products', 'Student Discounts', 'Value Services'] },
+            { bestFor: 'creative_tools', campaigns: ['Creative Tools', 'Design & Freelance Services'] },
+            { bestFor: 'fashion', campaigns: ['Fashion & Beauty', 'Lifestyle Brands'] },
+            { bestFor: 'business_tools', campaigns: ['Business Tools', 'Courses & Learning'] },
+            { bestFor: 'general_products', campaigns: ['Lifestyle Brands', 'Everyday Products'] }
+        ]
+    }
+};
+
+module.exports = { PROFILING_QUESTIONNAIRE };
@@ -0,0 +1,287 @@
+// questionnaire-service.js - Versioned questionnaires: storage, skip logic and per-version scoring
+const { Questionnaire } = require('./models');
+const { PROFILING_QUESTIONNAIRE } = require('./profiling-questionnaire');
+const PersonaEngine = require('./persona-engine');
+
+// Definitions shipped with the code; each is published once if the database doesn't have it yet
+const BUILT_IN_QUESTIONNAIRES = [PROFILING_QUESTIONNAIRE];
+
+// Other replicas pick up a newly published version within this long
+const ACTIVE_CACHE_MS = 60 * 1000;
+
+// Ids end up in Telegram callback data, which is capped at 64 bytes
+const ID_PATTERN = /^[a-z0-9_]{1,24}$/;
+
+function toArray(answer) {
+    if (answer === undefined || answer === null) return [];
+    return Array.isArray(answer) ? answer : [answer];
+}
+
+// Every condition must hold: the answer includes one of `anyOf` and none of `noneOf`
+function matchesAll(conditions, answers) {
+    return (conditions || []).every(condition => {
+        const given = toArray(answers[condition.question]);
+
+        if (condition.anyOf && condition.anyOf.length > 0 && !condition.anyOf.some(id => given.includes(id))) return false;
+        if (condition.noneOf && condition.noneOf.some(id => given.includes(id))) return false;
+        return true;
+    });
+}
+
+class QuestionnaireService {
+    constructor() {
+        this.versions = new Map();
+        this.active = new Map();
+        this.personaEngine = new PersonaEngine();
+    }
+
+    // Publish any built-in definition newer than what's stored
+    async ensureBuiltIns() {
+        for (const definition of BUILT_IN_QUESTIONNAIRES) {
+            const latest = await Questionnaire.findOne({ key: definition.key }).sort({ version: -1 });
+            if (latest && latest.version >= definition.version) continue;
+
+            try {
+                await this.publish(definition.key, definition, { publishedBy: 'built-in', version: definition.version });
+                console.log(`📋 Published built-in ${definition.key} questionnaire v${definition.version}`);
+            } catch (error) {
+                // Another replica got there first
+                if (error.code !== 11000) throw error;
+            }
+        }
+    }
+
+    async getActive(key) {
+        const cached = this.active.get(key);
+        if (cached && cached.loadedAt > Date.now() - ACTIVE_CACHE_MS) return cached.questionnaire;
+
+        const questionnaire = await Questionnaire.findOne({ key, status: 'active' }).sort({ version: -1 }).lean();
+        if (!questionnaire) {
+            throw new Error(`No active ${key} questionnaire`);
+        }
+
+        this.active.set(key, { questionnaire, loadedAt: Date.now() });
+        this.versions.set(`${key}:${questionnaire.version}`, questionnaire);
+        return questionnaire;
+    }
+
+    // Published versions never change, so they can be cached for good
+    async getVersion(key, version) {
+        const cacheKey = `${key}:${version}`;
+        if (this.versions.has(cacheKey)) return this.versions.get(cacheKey);
+
+        const questionnaire = await Questionnaire.findOne({ key, version }).lean();
+        if (questionnaire) this.versions.set(cacheKey, questionnaire);
+        return questionnaire;
+    }
+
+    async listVersions(key) {
+        return Questionnaire.find({ key }).sort({ version: -1 }).select('key version status publishedBy publishedAt');
+    }
+
+    // Store a new version and make it the active one. Earlier versions stay readable.
+    async publish(key, { questions, scoring }, { publishedBy, version } = {}) {
+        this.validate({ questions, scoring });
+
+        if (!version) {
+            const latest = await Questionnaire.findOne({ key }).sort({ version: -1 });
+            version = latest ? latest.version + 1 : 1;
+        }
+
+        const questionnaire = await Questionnaire.create({
+            key,
+            version,
+            status: 'active',
+            questions,
+            scoring,
+            publishedBy,
+            publishedAt: new Date()
+        });
+
+        await Questionnaire.updateMany(
+            { key, _id: { $ne: questionnaire._id }, status: 'active' },
+            { status: 'retired' }
+        );
+
+        this.active.delete(key);
+        return questionnaire;
+    }
+
+    // Throws with a list of everything wrong with the definition
+    validate({ questions, scoring }) {
+        const errors = [];
+        const seen = new Map();
+
+        if (!Array.isArray(questions) || questions.length === 0) {
+            throw new Error('Invalid questionnaire: at least one question is required');
+        }
+
+        const checkConditions = (conditions, where) => {
+            for (const condition of conditions || []) {
+                const question = seen.get(condition.question);
+                if (!question) {
+                    errors.push(`${where} refers to unknown or later question "${condition.question}"`);
+                    continue;
+                }
+
+                for (const optionId of [...(condition.anyOf || []), ...(condition.noneOf || [])]) {
+                    if (!question.options.some(option => option.id === optionId)) {
+                        errors.push(`${where} refers to unknown option "${condition.question}.${optionId}"`);
+                    }
+                }
+            }
+        };
+
+        for (const question of questions) {
+            if (!ID_PATTERN.test(question.id || '')) {
+                errors.push(`Question id "${question.id}" must be 1-24 lowercase letters, digits or underscores`);
+            }
+            if (seen.has(question.id)) {
+                errors.push(`Duplicate question id "${question.id}"`);
+            }
+            if (!question.prompt) {
+                errors.push(`Question "${question.id}" has no prompt`);
+            }
+            if (!['single', 'multiple'].includes(question.type)) {
+                errors.push(`Question "${question.id}" must be single or multiple choice`);
+            }
+            if (!Array.isArray(question.options) || question.options.length < 2) {
+                errors.push(`Question "${question.id}" needs at least two options`);
+            }
+
+            const optionIds = new Set();
+            for (const option of question.options || []) {
+                if (!ID_PATTERN.test(option.id || '')) {
+                    errors.push(`Option id "${question.id}.${option.id}" must be 1-24 lowercase letters, digits or underscores`);
+                }
+                if (optionIds.has(option.id)) {
+                    errors.push(`Duplicate option id "${question.id}.${option.id}"`);
+                }
+                if (!option.label) {
+                    errors.push(`Option "${question.id}.${option.id}" has no label`);
+                }
+                optionIds.add(option.id);
+            }
+
+            // Skip logic can only look back at questions already asked
+            checkConditions(question.showIf, `showIf on "${question.id}"`);
+            seen.set(question.id, { options: question.options || [] });
+        }
+
+        // Weight tables map question id -> option id -> points
+        const checkWeights = (weights, where) => {
+            for (const [questionId, optionWeights] of Object.entries(weights || {})) {
+                const question = seen.get(questionId);
+                if (!question) {
+                    errors.push(`${where} weights unknown question "${questionId}"`);
+                    continue;
+                }
+
+                for (const [optionId, points] of Object.entries(optionWeights || {})) {
+                    if (!question.options.some(option => option.id === optionId)) {
+                        errors.push(`${where} weights unknown option "${questionId}.${optionId}"`);
+                    }
+                    if (typeof points !== 'number') {
+                        errors.push(`${where} weight for "${questionId}.${optionId}" must be a number`);
+                    }
+                }
+            }
+        };
+
+        if (!PersonaEngine.supports(scoring) || scoring.personas.length === 0) {
+            errors.push('Scoring needs at least one persona');
+        } else {
+            const personaIds = new Set();
+            for (const persona of scoring.personas) {
+                if (!persona.id || !persona.label) {
+                    errors.push('Every persona needs an id and a label');
+                }
+                if (personaIds.has(persona.id)) {
+                    errors.push(`Duplicate persona id "${persona.id}"`);
+                }
+                personaIds.add(persona.id);
+                checkWeights(persona.weights, `Persona "${persona.id}"`);
+            }
+
+            if (!personaIds.has(scoring.defaultPersona)) {
+                errors.push(`defaultPersona "${scoring.defaultPersona}" is not one of the personas`);
+            }
+
+            ((scoring.spendingPower && scoring.spendingPower.levels) || [])
+                .forEach(level => checkWeights(level.weights, `Spending power "${level.value}"`));
+            checkWeights(scoring.authenticity && scoring.authenticity.weights, 'Authenticity');
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid questionnaire: ${errors.join('; ')}`);
+        }
+    }
+
+    getQuestion(questionnaire, questionId) {
+        return questionnaire.questions.find(question => question.id === questionId) || null;
+    }
+
+    isShown(question, answers) {
+        return matchesAll(question.showIf, answers);
+    }
+
+    // The questions this user will be asked, given what they've answered so far
+    getPath(questionnaire, answers) {
+        return questionnaire.questions.filter(question => this.isShown(question, answers));
+    }
+
+    // First question after `afterId` (or the first one) that the skip logic doesn't hide
+    getNextQuestion(questionnaire, answers, afterId = null) {
+        const start = afterId ? questionnaire.questions.findIndex(question => question.id === afterId) + 1 : 0;
+        return questionnaire.questions.slice(start).find(question => this.isShown(question, answers)) || null;
+    }
+
+    // Drop answers to questions that an earlier (changed) answer now skips
+    pruneAnswers(questionnaire, answers) {
+        const pruned = {};
+
+        for (const question of questionnaire.questions) {
+            if (answers[question.id] !== undefined && this.isShown(question, pruned)) {
+                pruned[question.id] = answers[question.id];
+            }
+        }
+
+        return pruned;
+    }
+
+    describeAnswer(question, answer) {
+        return toArray(answer)
+            .map(optionId => (question.options.find(option => option.id === optionId) || {}).label || optionId)
+            .join(', ');
+    }
+
+    // Answers stored before questionnaires were versioned hold option labels; map them onto ids
+    fromLegacyAnswers(questionnaire, legacyAnswers) {
+        const answers = {};
+
+        for (const question of questionnaire.questions) {
+            const ids = toArray(legacyAnswers[question.id])
+                .map(label => (question.options.find(option => option.label === label) || {}).id)
+                .filter(Boolean);
+
+            if (ids.length === 0) continue;
+            answers[question.id] = question.type === 'multiple' ? ids : ids[0];
+        }
+
+        return answers;
+    }
+
+    // Versions from before the weighted engine are scored with the active version's rules instead
+    async getScoringQuestionnaire(questionnaire) {
+        if (PersonaEngine.supports(questionnaire.scoring)) return questionnaire;
+        return this.getActive(questionnaire.key);
+    }
+
+    // Build the user's persona from their answers using this version's scoring rules
+    async analyze(questionnaire, answers) {
+        const rules = await this.getScoringQuestionnaire(questionnaire);
+        return this.personaEngine.evaluate(rules.scoring, answers);
+    }
+}
+
+module.exports = { QuestionnaireService, BUILT_IN_QUESTIONNAIRES };
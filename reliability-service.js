@@ -0,0 +1,159 @@
+// reliability-service.js - Handler reliability from assignment history, with auto-suspension
+const { User, Assignment } = require('./models');
+
+const RELIABILITY_CONFIG = {
+    // Only the most recent assignments count, so handlers can recover
+    sampleSize: 50,
+    // Handlers below this score are suspended until an admin reviews them
+    suspendThreshold: parseInt(process.env.RELIABILITY_SUSPEND_THRESHOLD) || 40,
+    // Don't judge anyone on too little history
+    minAssignmentsForSuspension: 5,
+    weights: {
+        completion: 0.6,
+        onTime: 0.2,
+        quality: 0.2
+    }
+};
+
+const QUALITY_FLAGS = ['verbatim_copy', 'off_brief', 'deleted', 'spam', 'low_effort'];
+
+class ReliabilityService {
+    // Score 0-100 from the user's finished assignments. New handlers start at 100.
+    // `since` leaves out assignments handed out before then.
+    async compute(userId, { since = null } = {}) {
+        const filter = {
+            userId: userId,
+            $or: [
+                { status: { $in: ['executed', 'completed', 'failed'] } },
+                // Campaigns closing early isn't the handler's fault
+                { status: 'skipped', skipReason: 'expired' }
+            ]
+        };
+        if (since) filter.createdAt = { $gt: since };
+
+        const history = await Assignment.find(filter)
+            .sort({ scheduledTime: -1 })
+            .limit(RELIABILITY_CONFIG.sampleSize);
+
+        const delivered = history.filter(assignment => ['executed', 'completed'].includes(assignment.status));
+        const missed = history.length - delivered.length;
+
+        if (history.length === 0) {
+            return { score: 100, sampleSize: 0, delivered: 0, missed: 0, onTimeRate: 1, qualityRate: 1 };
+        }
+
+        const onTime = delivered.filter(assignment => (
+            !assignment.expiresAt || !assignment.executedAt || assignment.executedAt <= assignment.expiresAt
+        )).length;
+        const clean = delivered.filter(assignment => (assignment.qualityFlags || []).length === 0).length;
+
+        const completionRate = delivered.length / history.length;
+        const onTimeRate = delivered.length > 0 ? onTime / delivered.length : 0;
+        const qualityRate = delivered.length > 0 ? clean / delivered.length : 0;
+        const { weights } = RELIABILITY_CONFIG;
+
+        return {
+            score: Math.round(100 * (
+                (completionRate * weights.completion) +
+                (onTimeRate * weights.onTime) +
+                (qualityRate * weights.quality)
+            )),
+            sampleSize: history.length,
+            delivered: delivered.length,
+            missed: missed,
+            onTimeRate: Math.round(onTimeRate * 100) / 100,
+            qualityRate: Math.round(qualityRate * 100) / 100
+        };
+    }
+
+    // Recompute and store the score. Only a bad outcome (allowSuspend) can trigger a suspension,
+    // so a reinstated handler isn't suspended again by their next good submission.
+    // History from before the last reinstatement doesn't count.
+    async refresh(userId, { allowSuspend = false } = {}) {
+        const reviewed = await User.findOne({ telegramId: userId }, 'reliabilityReviewedAt');
+        const stats = await this.compute(userId, { since: reviewed ? reviewed.reliabilityReviewedAt : null });
+
+        const user = await User.findOneAndUpdate(
+            { telegramId: userId },
+            {
+                reliabilityScore: stats.score,
+                reliabilityStats: {
+                    sampleSize: stats.sampleSize,
+                    delivered: stats.delivered,
+                    missed: stats.missed,
+                    onTimeRate: stats.onTimeRate,
+                    qualityRate: stats.qualityRate,
+                    updatedAt: new Date()
+                }
+            },
+            { new: true }
+        );
+
+        if (!user) return { ...stats, suspended: false };
+
+        const shouldSuspend = allowSuspend &&
+            !user.suspendedAt &&
+            stats.sampleSize >= RELIABILITY_CONFIG.minAssignmentsForSuspension &&
+            stats.score < RELIABILITY_CONFIG.suspendThreshold;
+
+        if (!shouldSuspend) return { ...stats, suspended: false };
+
+        const suspended = await User.findOneAndUpdate(
+            { _id: user._id, suspendedAt: null },
+            {
+                suspendedAt: new Date(),
+                suspensionReason: `Reliability score ${stats.score} is below ${RELIABILITY_CONFIG.suspendThreshold}`
+            },
+            { new: true }
+        );
+
+        if (suspended) {
+            console.log(`⛔ Suspended handler ${userId} (reliability ${stats.score})`);
+        }
+
+        return { ...stats, suspended: !!suspended };
+    }
+
+    async flagAssignment(assignmentId, { type, note, flaggedBy }) {
+        if (!QUALITY_FLAGS.includes(type)) {
+            throw new Error(`Unknown quality flag: ${type}`);
+        }
+
+        const assignment = await Assignment.findByIdAndUpdate(
+            assignmentId,
+            { $push: { qualityFlags: { type, note, flaggedBy, flaggedAt: new Date() } } },
+            { new: true }
+        );
+
+        if (!assignment) return null;
+
+        const reliability = await this.refresh(assignment.userId, { allowSuspend: true });
+        return { assignment, reliability };
+    }
+
+    // Lift a suspension (reliability or admin) and turn a deactivated account back on.
+    // The handler starts over with a clean history, so one more miss can't suspend them again.
+    async reinstate(userId, reviewedBy) {
+        const user = await User.findOneAndUpdate(
+            {
+                telegramId: userId,
+                $or: [{ suspendedAt: { $ne: null } }, { isActive: false }]
+            },
+            {
+                isActive: true,
+                suspendedAt: null,
+                suspensionReason: null,
+                reliabilityReviewedAt: new Date(),
+                reliabilityReviewedBy: reviewedBy
+            },
+            { new: true }
+        );
+
+        if (!user) return null;
+
+        await this.refresh(userId);
+        return User.findOne({ telegramId: userId });
+    }
+}
+
+module.exports = { ReliabilityService, RELIABILITY_CONFIG, QUALITY_FLAGS };
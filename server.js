@@ -2,17 +2,51 @@
 require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 const TelegramBot = require('node-telegram-bot-api');
 const TwitterService = require('./twitter-service');
+const PaystackService = require('./paystack-service');
+const LedgerService = require('./ledger-service');
+const { PayoutService, WithdrawalError, WITHDRAWAL_CONFIG } = require('./payout-service');
+const { CampaignRefundService, RefundError } = require('./campaign-refund-service');
+const JobRunner = require('./job-runner');
+const EmailService = require('./email-service');
+const ConversationManager = require('./conversation-manager');
+const BroadcastQueue = require('./broadcast-queue');
+const VerificationService = require('./verification-service');
+const { HandlerScorer } = require('./handler-scoring');
+const { ReliabilityService, RELIABILITY_CONFIG } = require('./reliability-service');
+const { FraudService } = require('./fraud-service');
+const { QuestionnaireService } = require('./questionnaire-service');
+const ProfileReanalysisService = require('./profile-reanalysis-service');
+const {
+    INTEREST_TAGS,
+    MAX_INTERESTS,
+    NIGERIAN_STATES,
+    MATCH_THRESHOLD,
+    normalizeInterests,
+    normalizeStates,
+    getInterestLabel,
+    getStateLabel,
+    scoreAudienceMatch
+} = require('./audience-tags');
+const { CampaignStateMachine, InvalidTransitionError, CAMPAIGN_STATUSES } = require('./campaign-state-machine');
 
 // Import database models
-const { User, Campaign, Assignment, Cooldown, ProfilingState, Analytics } = require('./models');
+const { User, Campaign, Assignment, Cooldown, ProfilingState, Analytics, Marketer, TwitterMetricsSnapshot, VerificationAudit, AdminAuditLog, ProfileReanalysisRun } = require('./models');
+const { hashPassword, verifyPassword, createSession, destroySession, requireMarketer, requireAdmin, requireRole } = require('./auth');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Get environment variables
 const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || process.env.BOT_TOKEN;
+
+// Webhook mode lets several replicas share one bot; polling stays the default for local development
+const TELEGRAM_WEBHOOK_URL = process.env.TELEGRAM_WEBHOOK_URL;
+const TELEGRAM_WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET;
+const TELEGRAM_WEBHOOK_PATH = '/api/telegram/webhook';
+const TELEGRAM_MODE = process.env.TELEGRAM_MODE || (TELEGRAM_WEBHOOK_URL ? 'webhook' : 'polling');
 const MONGODB_URI = process.env.MONGO_URL || process.env.MONGODB_URI || 'mongodb://localhost:27017/twitter-platform';
 
 // Debug: Log environment
@@ -20,6 +54,7 @@ console.log('🔍 Environment check:');
 console.log('NODE_ENV:', process.env.NODE_ENV);
 console.log('PORT:', process.env.PORT);
 console.log('BOT_TOKEN exists:', !!BOT_TOKEN);
+console.log('TELEGRAM_MODE:', TELEGRAM_MODE);
 console.log('MONGO_URL exists:', !!process.env.MONGO_URL);
 console.log('MONGODB_URI exists:', !!process.env.MONGODB_URI);
 
@@ -29,6 +64,11 @@ if (!BOT_TOKEN) {
     process.exit(1);
 }
 
+if (TELEGRAM_MODE === 'webhook' && (!TELEGRAM_WEBHOOK_URL || !TELEGRAM_WEBHOOK_SECRET)) {
+    console.log('❌ ERROR: webhook mode needs TELEGRAM_WEBHOOK_URL and TELEGRAM_WEBHOOK_SECRET');
+    process.exit(1);
+}
+
 // Connect to Railway MongoDB
 mongoose.connect(MONGODB_URI)
 .then(() => {
@@ -52,11 +92,68 @@ mongoose.connection.on('connected', () => {
     console.log('✅ MongoDB connected');
 });
 
-// Create Telegram bot
-const bot = new TelegramBot(BOT_TOKEN, { polling: true });
+// Create Telegram bot (polling is started on boot, after any old webhook is removed)
+const bot = new TelegramBot(BOT_TOKEN, { polling: TELEGRAM_MODE === 'polling' ? { autoStart: false } : false });
+
+// Payments
+const paystackService = new PaystackService();
+const ledgerService = new LedgerService();
+const payoutService = new PayoutService({ paystackService, ledgerService });
+
+// Marketer emails
+const emailService = new EmailService();
+
+// Handler selection scoring and reach-based earnings tiers
+const handlerScorer = new HandlerScorer();
+
+// Handler reliability from assignment history
+const reliabilityService = new ReliabilityService();
+
+// Sock-puppet detection and the fraud review queue
+const fraudService = new FraudService();
+
+// Twitter bio verification (retries and audit trail)
+const verificationService = new VerificationService();
+
+// Versioned profiling questionnaires and their persona rules
+const questionnaireService = new QuestionnaireService();
+const profileReanalysisService = new ProfileReanalysisService({ questionnaireService });
+
+// Bulk Telegram messages go through Redis so they're rate limited across replicas
+const broadcastQueue = new BroadcastQueue({
+    send: (chatId, text, options) => bot.sendMessage(chatId, text, options),
+    onBlocked: markBotBlocked
+});
+
+// Stop messaging users Telegram won't deliver to, until they /start again
+async function markBotBlocked(chatId, error) {
+    const user = await User.findOneAndUpdate(
+        { telegramId: chatId.toString(), botBlockedAt: null },
+        { botBlockedAt: new Date() }
+    );
+    
+    if (user) {
+        console.log(`🚫 User ${chatId} blocked the bot, excluding them from broadcasts: ${error.message}`);
+    }
+}
+
+// Log a failed proactive message, flagging the user if they've blocked the bot
+async function handleSendError(chatId, error, context) {
+    if (BroadcastQueue.isBlockedError(error)) {
+        await markBotBlocked(chatId, error);
+        return;
+    }
+    
+    console.log(`❌ Failed to notify user ${chatId} ${context}: ${error.message}`);
+}
 
 // This lets our server understand JSON data
-app.use(express.json());
+// (raw body is kept so Paystack webhook signatures can be checked)
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 
 // Assignment system configuration
 const ASSIGNMENT_CONFIG = {
@@ -70,74 +167,28 @@ const ASSIGNMENT_CONFIG = {
         base: 24,         // 24 hours minimum
         max: 72,          // 72 hours maximum
         min: 12           // 12 hours minimum
-    }
+    },
+    executionWindowHours: 6,      // Time after scheduledTime to submit proof
+    expiryReminderMinutes: 60,    // Nudge this long before the window closes
+    gracePeriodMinutes: parseInt(process.env.ASSIGNMENT_GRACE_MINUTES) || 30, // Extra time after expiry before skipping
+    staffingRetryMinutes: 10,     // Paid campaigns with no available handlers try again this often
+    staffingGiveUpHours: parseInt(process.env.CAMPAIGN_STAFFING_GIVE_UP_HOURS) || 24 // Then they're cancelled and refunded
 };
 
-// Smart profiling questions
-const PROFILING_QUESTIONS = {
-    age_range: {
-        question: "What's your age range? (This helps us match you with relevant campaigns)",
-        type: "single",
-        options: [
-            "16-20 📱",
-            "21-25 🎓", 
-            "26-30 💼",
-            "31-35 🏡",
-            "36-40 👨‍👩‍👧‍👦",
-            "41+ 🧠"
-        ]
-    },
-    daily_routine: {
-        question: "What best describes your typical weekday? (Select all that apply)",
-        type: "multiple",
-        options: [
-            "Classes and campus life 📚",
-            "Office work and meetings 💼", 
-            "Running my own business 🚀",
-            "Creative projects and freelancing 🎨",
-            "Job hunting and skill building 💪",
-            "Other professional work 👔"
-        ]
-    },
-    spending_priority: {
-        question: "When you have extra money, what do you typically spend it on first?",
-        type: "single",
-        options: [
-            "Latest gadgets and tech 📱",
-            "Fashion and looking good 👗",
-            "Experiences (travel, events, food) ✈️",
-            "Savings and investments 💰",
-            "Family and relationships 👨‍👩‍👧‍👦",
-            "Skills and education 📖",
-            "Basic needs come first 🏠"
-        ]
-    },
-    influence_style: {
-        question: "When you recommend something on social media, it's usually because:",
-        type: "single",
-        options: [
-            "I genuinely love it and want to share 💝",
-            "It solved a real problem for me 🔧", 
-            "It's trending and I want to join the conversation 🔥",
-            "I think it's good value for money 💡",
-            "It aligns with my values/beliefs 🎯",
-            "My friends/followers would find it useful 🤝"
-        ]
-    },
-    discovery_style: {
-        question: "How do you typically discover new products/services? (Select all that apply)",
-        type: "multiple",
-        options: [
-            "Through friends and people I trust 👥",
-            "Social media ads and influencers 📺",
-            "Research and reading reviews 🔍",
-            "Trying trending/popular things 📈",
-            "Recommendations from experts 🎓",
-            "What fits my budget when I need it 💳"
-        ]
-    }
+// How often each handler's follower/engagement numbers are re-fetched
+const TWITTER_METRICS_REFRESH_HOURS = parseInt(process.env.TWITTER_METRICS_REFRESH_HOURS) || 24;
+
+// Campaign packages (prices must match dashboard.html)
+const CAMPAIGN_PACKAGES = {
+    starter: { price: 75000, participants: [10, 20], reach: [5000, 15000] },
+    growth: { price: 225000, participants: [30, 50], reach: [25000, 75000] },
+    premium: { price: 750000, participants: [75, 150], reach: [100000, 500000] },
+    enterprise: { price: 1500000, participants: [200, 300], reach: [1000000, 2000000] }
 };
 
+// Questionnaire key used by the /profile flow (see profiling-questionnaire.js)
+const PROFILING_QUESTIONNAIRE_KEY = 'profiling';
+
 // Serve static files (like our dashboard)
 app.use(express.static('.'));
 
@@ -164,15 +215,173 @@ app.get('/', async (req, res) => {
     }
 });
 
+// Telegram updates in webhook mode - Telegram echoes our secret in a header on every call
+app.post(TELEGRAM_WEBHOOK_PATH, (req, res) => {
+    if (TELEGRAM_MODE !== 'webhook') {
+        return res.sendStatus(404);
+    }
+    
+    const received = Buffer.from(String(req.headers['x-telegram-bot-api-secret-token'] || ''));
+    const expected = Buffer.from(TELEGRAM_WEBHOOK_SECRET);
+    
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        console.log('❌ Rejected Telegram webhook with invalid secret');
+        return res.sendStatus(401);
+    }
+    
+    bot.processUpdate(req.body);
+    res.sendStatus(200);
+});
+
+async function startTelegramUpdates() {
+    if (TELEGRAM_MODE === 'webhook') {
+        const webhookUrl = `${TELEGRAM_WEBHOOK_URL.replace(/\/$/, '')}${TELEGRAM_WEBHOOK_PATH}`;
+        
+        await bot.setWebHook(webhookUrl, { secret_token: TELEGRAM_WEBHOOK_SECRET });
+        console.log(`🔗 Telegram webhook registered: ${webhookUrl}`);
+        return;
+    }
+    
+    // A leftover webhook makes getUpdates fail with 409
+    await bot.deleteWebHook();
+    await bot.startPolling();
+    console.log('🔄 Telegram polling started');
+}
+
 // Serve the dashboard
 app.get('/dashboard', (req, res) => {
     res.sendFile(__dirname + '/dashboard.html');
 });
 
+// =================== MARKETER ACCOUNTS ===================
+
+app.post('/api/auth/signup', async (req, res) => {
+    try {
+        const { email, password, name, companyName } = req.body;
+        
+        if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            return res.status(400).json({ success: false, message: 'A valid email is required' });
+        }
+        
+        if (!password || password.length < 8) {
+            return res.status(400).json({ success: false, message: 'Password must be at least 8 characters' });
+        }
+        
+        const existing = await Marketer.findOne({ email: email.toLowerCase().trim() });
+        if (existing) {
+            return res.status(409).json({ success: false, message: 'An account with this email already exists' });
+        }
+        
+        // Operators listed in ADMIN_EMAILS get admin access on signup
+        const adminEmails = (process.env.ADMIN_EMAILS || '').split(',').map(e => e.trim().toLowerCase()).filter(Boolean);
+        
+        const marketer = new Marketer({
+            email: email,
+            passwordHash: await hashPassword(password),
+            name: name,
+            companyName: companyName,
+            role: adminEmails.includes(email.toLowerCase().trim()) ? 'admin' : 'marketer',
+            lastLoginAt: new Date()
+        });
+        
+        await marketer.save();
+        
+        const session = await createSession(marketer);
+        
+        console.log(`✅ New marketer registered: ${marketer.email}`);
+        
+        res.status(201).json({
+            success: true,
+            token: session.token,
+            expiresAt: session.expiresAt,
+            marketer: formatMarketer(marketer)
+        });
+        
+    } catch (error) {
+        console.error('❌ Error signing up marketer:', error);
+        res.status(500).json({ success: false, message: 'Failed to create account' });
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { email, password } = req.body;
+        
+        const marketer = email ? await Marketer.findOne({ email: email.toLowerCase().trim() }) : null;
+        
+        if (!marketer || !password || !(await verifyPassword(password, marketer.passwordHash))) {
+            return res.status(401).json({ success: false, message: 'Invalid email or password' });
+        }
+        
+        marketer.lastLoginAt = new Date();
+        await marketer.save();
+        
+        const session = await createSession(marketer);
+        
+        res.json({
+            success: true,
+            token: session.token,
+            expiresAt: session.expiresAt,
+            marketer: formatMarketer(marketer)
+        });
+        
+    } catch (error) {
+        console.error('❌ Error logging in marketer:', error);
+        res.status(500).json({ success: false, message: 'Failed to log in' });
+    }
+});
+
+app.post('/api/auth/logout', requireMarketer, async (req, res) => {
+    try {
+        await destroySession(req.sessionToken);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('❌ Error logging out marketer:', error);
+        res.status(500).json({ success: false, message: 'Failed to log out' });
+    }
+});
+
+app.get('/api/auth/me', requireMarketer, (req, res) => {
+    res.json({ success: true, marketer: formatMarketer(req.marketer) });
+});
+
+function formatMarketer(marketer) {
+    return {
+        id: marketer._id,
+        email: marketer.email,
+        name: marketer.name,
+        companyName: marketer.companyName,
+        role: marketer.role
+    };
+}
+
+// Marketers can only see and change their own campaigns (admins see everything)
+function canAccessCampaign(marketer, campaign) {
+    return marketer.role === 'admin' || (campaign.ownerId && campaign.ownerId.equals(marketer._id));
+}
+
+// Interest tags and states marketers can target (public, used by the dashboard form)
+app.get('/api/audience-tags', (req, res) => {
+    res.json({ success: true, interests: INTEREST_TAGS, states: NIGERIAN_STATES });
+});
+
 // API route to create campaigns
-app.post('/api/campaigns/create', async (req, res) => {
+app.post('/api/campaigns/create', requireMarketer, async (req, res) => {
     try {
-        const campaignData = req.body;
+        const campaignData = { ...req.body };
+        
+        // Ownership and status are never taken from the request body
+        delete campaignData.ownerId;
+        delete campaignData.status;
+        delete campaignData.payment;
+        
+        if (!campaignData.contactEmail) {
+            campaignData.contactEmail = req.marketer.email;
+        }
+        
+        // Unknown tags are dropped rather than rejected
+        campaignData.targetInterests = normalizeInterests(campaignData.targetInterests);
+        campaignData.targetStates = normalizeStates(campaignData.targetStates);
         
         // Validate required fields
         if (!campaignData.brandName || !campaignData.description) {
@@ -182,31 +391,89 @@ app.post('/api/campaigns/create', async (req, res) => {
             });
         }
         
+        if (!campaignData.contactEmail || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(campaignData.contactEmail)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'A valid contact email is required for payment' 
+            });
+        }
+        
+        const selectedPackage = CAMPAIGN_PACKAGES[campaignData.package];
+        
+        if (!selectedPackage) {
+            return res.status(400).json({ 
+                success: false, 
+                message: 'Please select a valid campaign package' 
+            });
+        }
+        
+        // Price always comes from the server-side package, never from the client
+        const budget = selectedPackage.price;
+        
         // Create campaign object
         const newCampaign = new Campaign({
             ...campaignData,
-            status: 'pending',
+            ownerId: req.marketer._id,
+            budget: budget,
+            estimatedParticipants: Math.round((selectedPackage.participants[0] + selectedPackage.participants[1]) / 2),
+            estimatedReach: Math.round((selectedPackage.reach[0] + selectedPackage.reach[1]) / 2),
+            status: 'awaiting_payment',
             participants: [],
-            totalEngagement: 0
+            totalEngagement: 0,
+            payment: {
+                reference: paystackService.generateReference(),
+                amount: budget,
+                currency: 'NGN'
+            }
         });
         
         // Save to database
         await newCampaign.save();
         
-        console.log(`✅ New campaign created: ${campaignData.brandName} (₦${campaignData.budget})`);
+        console.log(`✅ New campaign created: ${campaignData.brandName} (₦${budget}) - awaiting payment`);
+        
+        // Start Paystack checkout
+        let checkout;
+        try {
+            checkout = await paystackService.initializeTransaction({
+                email: newCampaign.contactEmail,
+                amount: budget,
+                reference: newCampaign.payment.reference,
+                metadata: {
+                    campaignId: newCampaign._id.toString(),
+                    brandName: newCampaign.brandName,
+                    package: newCampaign.package
+                }
+            });
+        } catch (error) {
+            console.error('❌ Error initializing payment:', error.message);
+            
+            newCampaign.payment.status = 'failed';
+            await newCampaign.save();
+            
+            return res.status(502).json({ 
+                success: false, 
+                message: 'Campaign saved but payment could not be started. Please try again.',
+                campaignId: newCampaign._id
+            });
+        }
         
-        // Automatically create assignments for this campaign
-        setTimeout(() => {
-            createAutomaticAssignments(newCampaign);
-        }, 1000);
+        newCampaign.payment.status = 'initialized';
+        newCampaign.payment.authorizationUrl = checkout.authorizationUrl;
+        newCampaign.payment.accessCode = checkout.accessCode;
+        await newCampaign.save();
         
-        // Notify all users about new campaign
-        notifyUsersAboutCampaign(newCampaign);
+        sendCampaignEmail(newCampaign, 'campaign_created', { paymentUrl: checkout.authorizationUrl });
         
         res.json({
             success: true,
-            message: 'Campaign created successfully!',
-            campaignId: newCampaign._id
+            message: 'Campaign created! Complete payment to launch it.',
+            campaignId: newCampaign._id,
+            payment: {
+                reference: newCampaign.payment.reference,
+                amount: budget,
+                authorizationUrl: checkout.authorizationUrl
+            }
         });
         
     } catch (error) {
@@ -218,566 +485,1921 @@ app.post('/api/campaigns/create', async (req, res) => {
     }
 });
 
-// Get all campaigns
-app.get('/api/campaigns', async (req, res) => {
+// Paystack webhook - the only place a campaign moves out of awaiting_payment
+app.post('/api/payments/paystack/webhook', async (req, res) => {
+    const signature = req.headers['x-paystack-signature'];
+    
+    if (!paystackService.verifyWebhookSignature(req.rawBody, signature)) {
+        console.log('❌ Rejected Paystack webhook with invalid signature');
+        return res.status(401).json({ success: false, message: 'Invalid signature' });
+    }
+    
+    const event = req.body;
+    console.log(`💳 Paystack webhook received: ${event.event}`);
+    
     try {
-        const campaigns = await Campaign.find({}).sort({ createdAt: -1 });
+        if (event.event === 'charge.success') {
+            await handleCampaignPaymentSuccess(event.data);
+        } else if (['transfer.success', 'transfer.failed', 'transfer.reversed'].includes(event.event)) {
+            await handleTransferUpdate(event.event, event.data);
+        }
         
-        res.json({
-            success: true,
-            campaigns: campaigns.map(campaign => ({
-                id: campaign._id,
-                brandName: campaign.brandName,
-                description: campaign.description,
-                package: campaign.package,
-                budget: campaign.budget,
-                status: campaign.status,
-                estimatedParticipants: campaign.estimatedParticipants,
-                estimatedReach: campaign.estimatedReach,
-                createdAt: campaign.createdAt
-            }))
-        });
+        // Always acknowledge so Paystack stops retrying
+        res.sendStatus(200);
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            message: 'Failed to fetch campaigns'
-        });
+        console.error('❌ Error processing Paystack webhook:', error);
+        res.sendStatus(500);
     }
 });
 
-app.get('/users', async (req, res) => {
+async function handleCampaignPaymentSuccess(data) {
+    const reference = data.reference;
+    const campaign = await Campaign.findOne({ 'payment.reference': reference });
+    
+    if (!campaign) {
+        console.log(`⚠️ No campaign found for payment reference ${reference}`);
+        return;
+    }
+    
+    if (campaign.status !== 'awaiting_payment') {
+        console.log(`ℹ️ Campaign ${campaign._id} already processed (status: ${campaign.status})`);
+        return;
+    }
+    
+    // Double-check the charge with Paystack before releasing the campaign
+    const { verified, expectedAmount, transaction } = await paystackService.verifyCharge(reference, {
+        amount: campaign.payment.amount,
+        currency: campaign.payment.currency
+    });
+    
+    if (!verified) {
+        console.log(`❌ Payment verification failed for ${reference}: ${transaction.status}, ${transaction.amount}/${expectedAmount} ${transaction.currency}`);
+        await Campaign.findByIdAndUpdate(campaign._id, { 'payment.status': 'failed' });
+        return;
+    }
+    
+    // Credit the budget first: if this fails the campaign is still awaiting payment and
+    // Paystack's retry gets here again. Posting the same reference twice is a no-op.
+    await ledgerService.fundCampaign(campaign, campaign.payment.amount);
+    
+    // Only one webhook delivery may move the campaign forward
     try {
-        const users = await User.find({}).sort({ registeredAt: -1 });
-        
-        res.json({ 
-            message: 'Registered Users',
-            users: users.map(user => ({
-                name: user.firstName,
-                telegramId: user.telegramId,
-                profile: user.profileCompleted ? user.profile.primaryProfile.label : 'Not completed',
-                isActive: user.isActive || false
-            }))
+        await campaignStateMachine.transition(campaign._id, 'pending', {
+            reason: `Payment ${reference} confirmed`,
+            actor: 'paystack',
+            set: {
+                'payment.status': 'success',
+                'payment.channel': transaction.channel,
+                'payment.paidAt': transaction.paid_at ? new Date(transaction.paid_at) : new Date()
+            }
         });
     } catch (error) {
-        res.status(500).json({
-            message: 'Failed to fetch users',
-            error: error.message
-        });
+        if (error instanceof InvalidTransitionError) {
+            console.log(`ℹ️ Campaign ${campaign._id} already processed (${error.message})`);
+            return;
+        }
+        throw error;
     }
-});
-
-// =================== ADVANCED CAMPAIGN LOGIC ===================
+    
+    console.log(`✅ Payment confirmed for ${campaign.brandName} (₦${campaign.budget})`);
+}
 
-// Smart Assignment System (Inclusive Approach)
-async function createAutomaticAssignments(campaign) {
-    console.log(`🤖 Creating assignments for: ${campaign.brandName}`);
+function launchCampaign(campaign) {
+    // Automatically create assignments for this campaign
+    setTimeout(() => {
+        createAutomaticAssignments(campaign);
+    }, 1000);
     
+    // Notify all users about new campaign
+    notifyUsersAboutCampaign(campaign);
+}
+
+// Change a campaign's status (every status change goes through the state machine)
+// Statuses a marketer may request for their own campaign; everything else is admin or system only
+const MARKETER_CAMPAIGN_STATUSES = ['paused', 'active', 'cancelled'];
+// Marketers may only resume a paused campaign - pending → active happens once handlers are assigned
+const MARKETER_ACTIVATE_FROM = 'paused';
+
+app.post('/api/campaigns/:id/status', requireMarketer, async (req, res) => {
     try {
-        // Get ALL available users (regardless of profile status)
-        const availableUsers = await getAvailableUsers();
+        const { status, reason } = req.body;
         
-        if (availableUsers.length === 0) {
-            console.log('⚠️ No available users for assignments');
-            return;
+        if (!CAMPAIGN_STATUSES.includes(status)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `Status must be one of: ${CAMPAIGN_STATUSES.join(', ')}` 
+            });
         }
         
-        // Select users - everyone gets a fair chance
-        const maxParticipants = Math.min(availableUsers.length, campaign.estimatedParticipants);
-        const selectedUsers = selectBestUsersInclusive(availableUsers, maxParticipants);
+        const existing = mongoose.isValidObjectId(req.params.id) ? await Campaign.findById(req.params.id) : null;
         
-        // Distribute roles (profile helps but isn't required)
-        const roleDistribution = distributeRolesInclusive(selectedUsers, campaign);
+        if (!existing || !canAccessCampaign(req.marketer, existing)) {
+            return res.status(404).json({ success: false, message: 'Campaign not found' });
+        }
         
-        // Create assignments with organic timing
-        const campaignAssignments = createTimedAssignments(campaign, roleDistribution);
+        const isMarketer = req.marketer.role !== 'admin';
         
-        // Store assignments in database
-        for (const assignment of campaignAssignments) {
-            const newAssignment = new Assignment(assignment);
-            await newAssignment.save();
+        if (isMarketer && !MARKETER_CAMPAIGN_STATUSES.includes(status)) {
+            return res.status(403).json({ 
+                success: false, 
+                message: `You can only set your campaign to: ${MARKETER_CAMPAIGN_STATUSES.join(', ')}` 
+            });
         }
         
-        // Update campaign with participants
-        await Campaign.findByIdAndUpdate(campaign._id, {
-            participants: selectedUsers.map(user => user.telegramId),
-            status: 'active'
-        });
+        if (isMarketer && status === 'active' && existing.status !== MARKETER_ACTIVATE_FROM) {
+            return res.status(409).json({ 
+                success: false, 
+                message: 'Only paused campaigns can be resumed. New campaigns go live automatically once handlers are assigned.' 
+            });
+        }
         
-        // Notify selected users
-        await notifySelectedUsersInclusive(campaignAssignments);
+        const actor = `${req.marketer.role}:${req.marketer.email}`;
+        const campaign = status === 'refunded'
+            ? await campaignRefundService.refund(existing._id, { reason, actor })
+            : await campaignStateMachine.transition(existing._id, status, {
+                reason: reason,
+                actor: actor,
+                // The campaign may have moved on since we loaded it
+                from: isMarketer ? existing.status : undefined
+            });
         
-        console.log(`✅ Created ${campaignAssignments.length} assignments for ${selectedUsers.length} users`);
-        console.log(`📊 ${selectedUsers.filter(u => u.profileCompleted).length} users have completed profiles (bonus earnings!)`);
+        res.json({
+            success: true,
+            message: `Campaign is now ${campaign.status}`,
+            status: campaign.status
+        });
         
     } catch (error) {
-        console.error('❌ Error creating automatic assignments:', error);
+        if (error instanceof InvalidTransitionError || error instanceof RefundError) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        
+        console.error('❌ Error changing campaign status:', error);
+        res.status(500).json({ 
+            success: false, 
+            message: 'Failed to change campaign status' 
+        });
     }
-}
+});
 
-async function getAvailableUsers() {
+// =================== CAMPAIGN LIFECYCLE ===================
+
+const campaignStateMachine = new CampaignStateMachine();
+
+campaignStateMachine
+    .on('pending', (campaign) => launchCampaign(campaign))
+    .on('pending', (campaign) => sendCampaignEmail(campaign, 'payment_received'))
+    .on('active', async (campaign, { from }) => {
+        if (from === 'pending') {
+            await sendCampaignEmail(campaign, 'campaign_live');
+        }
+    })
+    .on('paused', (campaign) => notifyCampaignParticipants(campaign, 
+        `⏸️ Campaign Paused\n\n` +
+        `${campaign.brandName} has been paused. Please hold off on posting until we let you know it's back on.`
+    ))
+    .on('active', async (campaign, { from }) => {
+        if (from !== 'paused') return;
+        
+        await extendAssignmentsAfterPause(campaign);
+        await notifyCampaignParticipants(campaign, 
+            `▶️ Campaign Resumed\n\n` +
+            `${campaign.brandName} is back on! Check /assignments for your updated deadline.`
+        );
+    })
+    .on('completed', (campaign) => completeCampaignSettlement(campaign))
+    .on('completed', async (campaign) => {
+        // Reload so the report has the settled totals
+        const settled = await Campaign.findById(campaign._id);
+        await sendCampaignEmail(settled, 'final_report');
+    })
+    .on('cancelled', async (campaign) => {
+        await settleCampaignAssignments(campaign, 'Campaign cancelled');
+        await notifyCampaignParticipants(campaign, 
+            `🛑 Campaign Cancelled\n\n` +
+            `${campaign.brandName} has been cancelled. Any work you already submitted will still be paid.`
+        );
+    });
+
+// Cancelled → refunded only happens once Paystack has accepted the refund
+const campaignRefundService = new CampaignRefundService({ paystackService, ledgerService, campaignStateMachine });
+
+// Emails go to the campaign's contact address, falling back to the owner's login
+async function sendCampaignEmail(campaign, templateName, data = {}) {
     try {
-        const now = new Date();
-        
-        // Get users with verified Twitter accounts only
-        const users = await User.find({
-            twitterHandle: { $exists: true, $ne: null },
-            twitterVerified: true, // Only verified users
-            isActive: true
-        });
+        let to = campaign.contactEmail;
         
-        // Filter out users in cooldown
-        const availableUsers = [];
-        
-        for (const user of users) {
-            const cooldown = await Cooldown.findOne({ userId: user.telegramId });
-            
-            if (!cooldown || now >= cooldown.until) {
-                availableUsers.push(user);
-            }
-        }
-        
-        return availableUsers;
+        if (!to && campaign.ownerId) {
+            const owner = await Marketer.findById(campaign.ownerId);
+            to = owner ? owner.email : null;
+        }
         
+        return await emailService.send(templateName, to, { campaign, ...data });
     } catch (error) {
-        console.error('❌ Error getting available users:', error);
-        return [];
+        console.error(`❌ Error sending ${templateName} email:`, error);
+        return null;
     }
 }
 
-function selectBestUsersInclusive(availableUsers, maxParticipants) {
-    // Fair selection - everyone gets a chance, profile just adds bonus points
-    const scoredUsers = availableUsers.map(user => {
-        const timeSinceLastParticipation = getTimeSinceLastParticipation(user);
-        const engagementScore = user.engagementRate || 5; // Default engagement rate
-        
-        // Base score (same for everyone)
-        let score = (engagementScore * 0.6) + (timeSinceLastParticipation * 0.4);
-        
-        // Small profile bonus (not game-changing)
-        if (user.profileCompleted) {
-            score += 1; // Just a small boost, not decisive
-        }
-        
-        return { ...user.toObject(), score };
+// Message everyone with an assignment on the campaign
+async function notifyCampaignParticipants(campaign, message, statuses = ['pending', 'executed']) {
+    const assignedUserIds = await Assignment.distinct('userId', {
+        campaignId: campaign._id,
+        status: { $in: statuses }
     });
     
-    // Sort by score but ensure fairness
-    return scoredUsers
-        .sort((a, b) => b.score - a.score)
-        .slice(0, maxParticipants);
-}
-
-function getTimeSinceLastParticipation(user) {
-    const now = new Date();
-    const lastParticipation = user.lastParticipation || new Date(user.registeredAt);
-    const hoursSince = (now - lastParticipation) / (1000 * 60 * 60);
-    
-    // Normalize to 0-10 scale (more hours = higher score)
-    return Math.min(10, hoursSince / 24);
-}
-
-function distributeRolesInclusive(selectedUsers, campaign) {
-    const distribution = [];
-    
-    selectedUsers.forEach(user => {
-        // Get role suggestion (profile helps but defaults to fair distribution)
-        const role = getRoleForUserInclusive(user, campaign);
-        distribution.push({
-            user: user,
-            role: role,
-            hasProfile: user.profileCompleted || false,
-            profileMatch: user.profileCompleted ? isUserMatchForCampaign(user, campaign) : false
-        });
+    const userIds = await User.distinct('telegramId', {
+        telegramId: { $in: assignedUserIds },
+        botBlockedAt: null
     });
     
-    // Ensure balanced role distribution
-    return balanceRoleDistributionFairly(distribution);
-}
-
-function getRoleForUserInclusive(user, campaign) {
-    // If user has profile, use smart assignment
-    if (user.profileCompleted && user.profile) {
-        const profile = user.profile.primaryProfile;
-        const authenticity = user.profile.authenticityScore;
-        
-        // High authenticity users get better roles
-        if (authenticity > 85) {
-            return Math.random() > 0.5 ? 'initiator' : 'quoter';
-        }
-        
-        // Profile-based suggestions
-        if (profile.label.includes('Student') || profile.label.includes('Creative')) {
-            return Math.random() > 0.6 ? 'replier' : 'quoter';
-        }
-        
-        if (profile.label.includes('Professional') || profile.label.includes('Entrepreneur')) {
-            return Math.random() > 0.5 ? 'retweeter' : 'replier';
-        }
+    try {
+        await broadcastQueue.enqueueMany(userIds.map(userId => ({ chatId: userId, text: message })));
+    } catch (error) {
+        console.error(`❌ Failed to queue campaign notifications: ${error.message}`);
     }
-    
-    // Default fair distribution for everyone
-    const roles = ['initiator', 'replier', 'retweeter', 'quoter'];
-    return roles[Math.floor(Math.random() * roles.length)];
 }
 
-function balanceRoleDistributionFairly(distribution) {
-    // Simple rotation to ensure everyone gets different roles over time
-    const totalUsers = distribution.length;
-    const targetCounts = {
-        initiator: Math.ceil(totalUsers * 0.2),
-        replier: Math.ceil(totalUsers * 0.4),
-        retweeter: Math.ceil(totalUsers * 0.25),
-        quoter: Math.ceil(totalUsers * 0.15)
-    };
-    
-    // Adjust to fit total users
-    const totalRoles = Object.values(targetCounts).reduce((sum, count) => sum + count, 0);
-    if (totalRoles > totalUsers) {
-        targetCounts.replier = Math.max(1, targetCounts.replier - (totalRoles - totalUsers));
-    }
+// Pausing shouldn't eat into anyone's submission window
+async function extendAssignmentsAfterPause(campaign) {
+    const pausedAt = campaign.statusHistory
+        .filter(entry => entry.to === 'paused')
+        .map(entry => entry.at)
+        .pop();
     
-    // Redistribute fairly while respecting preferences
-    const finalDistribution = [];
+    if (!pausedAt) return;
     
-    // Assign initiators first (give to high authenticity if available)
-    const highAuthUsers = distribution.filter(d => d.hasProfile && d.user.profile?.authenticityScore > 80);
-    let initiatorsAssigned = 0;
+    const pausedMs = Date.now() - pausedAt.getTime();
     
-    for (let i = 0; i < Math.min(targetCounts.initiator, highAuthUsers.length); i++) {
-        finalDistribution.push({
-            ...highAuthUsers[i],
-            role: 'initiator'
-        });
-        initiatorsAssigned++;
-    }
+    await Assignment.updateMany(
+        { campaignId: campaign._id, status: 'pending', expiresAt: { $ne: null } },
+        [{ $set: { expiresAt: { $add: ['$expiresAt', pausedMs] } } }]
+    );
+}
+
+// Close out every open assignment: submitted work is paid, unsubmitted work is dropped
+async function settleCampaignAssignments(campaign, reason) {
+    const openAssignments = await Assignment.find({
+        campaignId: campaign._id,
+        status: { $in: ['pending', 'executed'] }
+    });
     
-    // Fill remaining roles fairly
-    const remainingUsers = distribution.filter(d => !finalDistribution.some(fd => fd.user.telegramId === d.user.telegramId));
-    const remainingRoles = [];
+    const completed = [];
+    const skipped = [];
     
-    // Add remaining initiators
-    for (let i = initiatorsAssigned; i < targetCounts.initiator; i++) {
-        remainingRoles.push('initiator');
+    for (const assignment of openAssignments) {
+        if (assignment.status === 'executed') {
+            // Base pay; the profile bonus is tracked separately in bonusEarning
+            const updated = await Assignment.findOneAndUpdate(
+                { _id: assignment._id, status: 'executed' },
+                {
+                    status: 'completed',
+                    actualEarning: (assignment.estimatedEarning || 0) - (assignment.bonusEarning || 0)
+                },
+                { new: true }
+            );
+            
+            if (!updated) continue;
+            
+            await ledgerService.releaseAssignmentEarning(updated);
+            completed.push(updated);
+        } else {
+            const updated = await Assignment.findOneAndUpdate(
+                { _id: assignment._id, status: 'pending' },
+                { status: 'skipped', skippedAt: new Date(), skipReason: 'campaign_closed' },
+                { new: true }
+            );
+            
+            if (!updated) continue;
+            
+            await ledgerService.reverseAssignmentEarning(updated, reason);
+            skipped.push(updated);
+        }
     }
     
-    // Add other roles
-    for (let i = 0; i < targetCounts.replier; i++) remainingRoles.push('replier');
-    for (let i = 0; i < targetCounts.retweeter; i++) remainingRoles.push('retweeter');
-    for (let i = 0; i < targetCounts.quoter; i++) remainingRoles.push('quoter');
-    
-    // Shuffle roles for fairness
-    for (let i = remainingRoles.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [remainingRoles[i], remainingRoles[j]] = [remainingRoles[j], remainingRoles[i]];
-    }
+    // Total actually owed to handlers on this campaign
+    const paidOut = await Assignment.aggregate([
+        { $match: { campaignId: campaign._id, status: 'completed' } },
+        {
+            $group: {
+                _id: null,
+                total: { $sum: { $add: [{ $ifNull: ['$actualEarning', 0] }, { $ifNull: ['$bonusEarning', 0] }] } }
+            }
+        }
+    ]);
+    const totalPaidOut = paidOut.length > 0 ? paidOut[0].total : 0;
     
-    // Assign remaining roles
-    remainingUsers.forEach((assignment, index) => {
-        finalDistribution.push({
-            ...assignment,
-            role: remainingRoles[index] || 'replier'
-        });
+    await Campaign.findByIdAndUpdate(campaign._id, {
+        totalPaidOut: totalPaidOut,
+        platformCommission: Math.max(0, (campaign.budget || 0) - totalPaidOut)
     });
     
-    return finalDistribution;
+    console.log(`🧾 Settled ${campaign.brandName}: ${completed.length} completed, ${skipped.length} skipped`);
+    
+    return { completed, skipped };
 }
 
-function isUserMatchForCampaign(user, campaign) {
-    if (!user.profile || !user.profileCompleted) return false;
+async function completeCampaignSettlement(campaign) {
+    // Final numbers first, so the report reflects what was actually posted
+    await collectCampaignEngagement(campaign);
     
-    const userProfile = user.profile.primaryProfile;
+    const { completed } = await settleCampaignAssignments(campaign, 'Campaign ended');
+    const participantIds = [...new Set(completed.map(assignment => assignment.userId))];
     
-    // Check if campaign has target audience
-    if (campaign.targetAudience) {
-        const targetLower = campaign.targetAudience.toLowerCase();
-        const profileLower = userProfile.label.toLowerCase();
+    for (const userId of participantIds) {
+        await User.findOneAndUpdate(
+            { telegramId: userId },
+            { $inc: { campaignsCompleted: 1 }, lastParticipation: new Date() }
+        );
         
-        // Check for keyword matches
-        if (targetLower.includes('student') && profileLower.includes('student')) return true;
-        if (targetLower.includes('tech') && profileLower.includes('tech')) return true;
-        if (targetLower.includes('professional') && profileLower.includes('professional')) return true;
-        if (targetLower.includes('creative') && profileLower.includes('creative')) return true;
-        if (targetLower.includes('entrepreneur') && profileLower.includes('entrepreneur')) return true;
+        await addUserToCooldown(userId, participantIds.length);
     }
     
-    // Check spending power match
-    if (campaign.package === 'premium' && user.profile.spendingPower === 'high') return true;
-    if (campaign.package === 'starter' && user.profile.spendingPower === 'emerging') return true;
+    const totals = await Assignment.aggregate([
+        { $match: { campaignId: campaign._id, status: 'completed' } },
+        {
+            $group: {
+                _id: null,
+                engagement: {
+                    $sum: { $add: ['$engagement.likes', '$engagement.retweets', '$engagement.replies', { $ifNull: ['$engagement.quotes', 0] }] }
+                },
+                reach: { $sum: '$engagement.impressions' }
+            }
+        }
+    ]);
     
-    // High authenticity users match well with any campaign
-    if (user.profile.authenticityScore > 85) return true;
+    await Campaign.findByIdAndUpdate(campaign._id, {
+        actualParticipants: participantIds.length,
+        totalEngagement: totals.length > 0 ? totals[0].engagement : 0,
+        actualReach: totals.length > 0 ? totals[0].reach : 0
+    });
     
-    return false;
+    console.log(`🏁 ${campaign.brandName} completed with ${participantIds.length} participant(s)`);
+    
+    await notifyCampaignParticipants(campaign, 
+        `🏁 Campaign Complete!\n\n` +
+        `Thanks for taking part in ${campaign.brandName}. Your earnings are now available.\n\n` +
+        `💰 Check /earnings or cash out with /withdraw`,
+        ['completed']
+    );
 }
 
-function createTimedAssignments(campaign, roleDistribution) {
-    const now = new Date();
-    const assignments = [];
-    
-    roleDistribution.forEach((assignment, index) => {
-        const baseDelay = getBaseDelayForRole(assignment.role);
-        const randomDelay = Math.random() * 60; // Random 0-60 minutes
-        const totalDelay = baseDelay + randomDelay;
-        
-        const scheduledTime = new Date(now.getTime() + (totalDelay * 60 * 1000));
-        
-        const newAssignment = {
-            campaignId: campaign._id,
-            userId: assignment.user.telegramId,
-            role: assignment.role,
-            scheduledTime: scheduledTime,
-            status: 'pending',
-            content: generateContentForRole(campaign, assignment.role),
-            estimatedEarning: calculateEarning(campaign, assignment.role),
-            isProfileMatch: assignment.profileMatch || false
-        };
-        
-        assignments.push(newAssignment);
+// Pull final likes/retweets/replies/impressions for every submitted tweet
+async function collectCampaignEngagement(campaign) {
+    const executedAssignments = await Assignment.find({
+        campaignId: campaign._id,
+        status: 'executed',
+        tweetId: { $ne: null }
     });
     
-    return assignments;
-}
-
-function getBaseDelayForRole(role) {
-    // Different roles start at different times for organic flow
-    const delays = {
-        initiator: 0,      // Start immediately
-        replier: 30,       // 30 minutes after initiators
-        retweeter: 60,     // 1 hour
-        quoter: 90         // 1.5 hours
-    };
+    if (executedAssignments.length === 0) return;
     
-    return delays[role] || 0;
+    const twitterService = new TwitterService();
+    
+    for (const assignment of executedAssignments) {
+        // A retweet has no metrics of its own - the tweet id belongs to the original post
+        if (assignment.role === 'retweeter') continue;
+        
+        try {
+            const tweet = await twitterService.getTweet(assignment.tweetId);
+            const metrics = tweet.public_metrics || {};
+            
+            await Assignment.findByIdAndUpdate(assignment._id, {
+                engagement: {
+                    likes: metrics.like_count || 0,
+                    retweets: metrics.retweet_count || 0,
+                    replies: metrics.reply_count || 0,
+                    quotes: metrics.quote_count || 0,
+                    impressions: metrics.impression_count || 0
+                },
+                engagementFetchedAt: new Date()
+            });
+            
+            // Stay well inside the Twitter API rate limit
+            await new Promise(resolve => setTimeout(resolve, 500));
+        } catch (error) {
+            console.log(`⚠️ Could not fetch engagement for tweet ${assignment.tweetId}: ${error.message}`);
+        }
+    }
 }
 
-function generateContentForRole(campaign, role) {
-    const templates = {
-        initiator: [
-            `Anyone else heard of ${campaign.brandName}? 🤔`,
-            `Just discovered ${campaign.brandName} - thoughts?`,
-            `What's everyone's take on ${campaign.brandName}?`,
-            `Has anyone tried ${campaign.brandName}? Worth it?`
-        ],
-        replier: [
-            `I've been using it for a while now, pretty solid!`,
-            `Yeah, heard good things about them`,
-            `My friend recommended it to me recently`,
-            `Definitely worth checking out`
-        ],
-        retweeter: [
-            `Sharing this - interesting discussion!`,
-            `Worth a look 👀`,
-            `Good thread here`,
-            `This caught my attention`
-        ],
-        quoter: [
-            `Adding my 2 cents - been following them for a while`,
-            `This aligns with what I've been seeing`,
-            `Interesting perspective here`,
-            `Worth the conversation`
+// Morning progress email for every running campaign
+async function sendDailyDigests() {
+    const now = new Date();
+    const campaigns = await Campaign.find({
+        status: { $in: ['active', 'paused'] },
+        $or: [
+            { lastDigestSentAt: null },
+            { lastDigestSentAt: { $lte: new Date(now.getTime() - (20 * 60 * 60 * 1000)) } }
         ]
-    };
+    });
     
-    const roleTemplates = templates[role] || templates.initiator;
-    return roleTemplates[Math.floor(Math.random() * roleTemplates.length)];
+    for (const campaign of campaigns) {
+        // Claim the digest first so replicas running the same job don't both send it
+        const claimed = await Campaign.findOneAndUpdate(
+            { _id: campaign._id, lastDigestSentAt: campaign.lastDigestSentAt },
+            { lastDigestSentAt: now }
+        );
+        if (!claimed) continue;
+        
+        const counts = await Assignment.aggregate([
+            { $match: { campaignId: campaign._id } },
+            { $group: { _id: '$status', count: { $sum: 1 } } }
+        ]);
+        const byStatus = Object.fromEntries(counts.map(c => [c._id, c.count]));
+        
+        const start = campaign.startedAt || campaign.createdAt;
+        const hoursRemaining = campaign.duration
+            ? Math.max(0, Math.round((start.getTime() + (campaign.duration * 60 * 60 * 1000) - now.getTime()) / (1000 * 60 * 60)))
+            : null;
+        
+        const progress = {
+            total: counts.reduce((sum, c) => sum + c.count, 0),
+            submitted: (byStatus.executed || 0) + (byStatus.completed || 0),
+            pending: byStatus.pending || 0,
+            skipped: byStatus.skipped || 0,
+            hoursRemaining
+        };
+        
+        await sendCampaignEmail(campaign, 'daily_digest', { progress });
+    }
 }
 
-function calculateEarning(campaign, role) {
-    const baseRates = {
-        initiator: 300,
-        replier: 200,
-        retweeter: 100,
-        quoter: 250
-    };
-    
-    const totalBudget = campaign.budget * 0.65; // 65% goes to users
-    const basePayout = totalBudget / campaign.estimatedParticipants;
-    const roleMultiplier = baseRates[role] / 200; // Normalize around 200
+// Close campaigns whose duration has elapsed
+async function completeExpiredCampaigns() {
+    const now = new Date();
+    const runningCampaigns = await Campaign.find({
+        status: { $in: ['active', 'paused'] },
+        duration: { $gt: 0 }
+    });
     
-    return Math.round(basePayout * roleMultiplier);
+    for (const campaign of runningCampaigns) {
+        const start = campaign.startedAt || campaign.createdAt;
+        const endsAt = new Date(start.getTime() + (campaign.duration * 60 * 60 * 1000));
+        
+        if (now < endsAt) continue;
+        
+        try {
+            await campaignStateMachine.transition(campaign._id, 'completed', {
+                reason: `Duration of ${campaign.duration}h elapsed`
+            });
+        } catch (error) {
+            if (error instanceof InvalidTransitionError) continue;
+            console.error(`❌ Error completing campaign ${campaign._id}:`, error);
+        }
+    }
 }
 
-async function notifySelectedUsersInclusive(assignments) {
-    for (const assignment of assignments) {
-        try {
-            const campaign = await Campaign.findById(assignment.campaignId);
-            if (!campaign) continue;
-            
-            const user = await User.findOne({ telegramId: assignment.userId });
-            if (!user) continue;
-            
-            // Base earning for everyone
-            let earning = assignment.estimatedEarning;
-            let bonusMessage = '';
-            
-            // Profile bonus (nice to have, not essential)
-            if (user.profileCompleted && user.profile) {
-                const profileBonus = Math.round(earning * 0.15); // 15% bonus for having profile
-                
-                if (assignment.isProfileMatch && user.profile.authenticityScore > 80) {
-                    const matchBonus = Math.round(earning * 0.1); // Additional 10% for perfect match
-                    earning += profileBonus + matchBonus;
-                    bonusMessage = `\n🎯 Profile Bonus: +₦${(profileBonus + matchBonus).toLocaleString()}! (Profile + Match)`;
-                } else if (user.profile.authenticityScore > 80) {
-                    earning += profileBonus;
-                    bonusMessage = `\n💡 Profile Bonus: +₦${profileBonus.toLocaleString()}! (Completed profile)`;
-                }
-            }
-            
-            let message = `🎉 YOU'VE BEEN SELECTED!\n\n` +
-                         `Campaign: ${campaign.brandName}\n` +
-                         `Your Role: ${assignment.role.toUpperCase()}\n` +
-                         `💰 Total Earning: ₦${earning.toLocaleString()}${bonusMessage}\n` +
-                         `⏰ Scheduled: ${assignment.scheduledTime.toLocaleString()}\n\n`;
-            
-            if (user.profileCompleted && user.profile) {
-                message += `🧠 Your Profile: ${user.profile.primaryProfile.label}\n` +
-                          `⭐ Authenticity: ${user.profile.authenticityScore}/100\n\n`;
-            } else {
-                message += `💡 Complete your profile with /profile for bonus earnings!\n\n`;
-            }
-            
-            message += `📝 Suggested Content:\n"${assignment.content}"\n\n` +
-                      `💡 Customize this message to match your style!`;
-            
-            await bot.sendMessage(assignment.userId, message);
-            
-            // Update earning to include bonus
-            await Assignment.findOneAndUpdate(
-                { campaignId: assignment.campaignId, userId: assignment.userId },
-                { estimatedEarning: earning }
-            );
-            
-            // Small delay to avoid rate limiting
-            await new Promise(resolve => setTimeout(resolve, 200));
-            
-        } catch (error) {
-            console.log(`❌ Failed to notify user: ${error.message}`);
-        }
+// Get all campaigns
+app.get('/api/campaigns', requireMarketer, async (req, res) => {
+    try {
+        const filter = req.marketer.role === 'admin' ? {} : { ownerId: req.marketer._id };
+        const campaigns = await Campaign.find(filter).sort({ createdAt: -1 });
+        
+        res.json({
+            success: true,
+            campaigns: campaigns.map(campaign => ({
+                id: campaign._id,
+                brandName: campaign.brandName,
+                description: campaign.description,
+                package: campaign.package,
+                budget: campaign.budget,
+                status: campaign.status,
+                paymentStatus: campaign.payment ? campaign.payment.status : undefined,
+                estimatedParticipants: campaign.estimatedParticipants,
+                estimatedReach: campaign.estimatedReach,
+                createdAt: campaign.createdAt
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch campaigns'
+        });
+    }
+});
+
+app.get('/users', requireMarketer, requireAdmin, async (req, res) => {
+    try {
+        const users = await User.find({}).sort({ registeredAt: -1 });
+        const blockedCount = users.filter(user => user.botBlockedAt).length;
+        
+        res.json({ 
+            message: 'Registered Users',
+            counts: {
+                total: users.length,
+                botBlocked: blockedCount,
+                reachable: users.length - blockedCount
+            },
+            users: users.map(user => ({
+                name: user.firstName,
+                telegramId: user.telegramId,
+                profile: user.profileCompleted ? user.profile.primaryProfile.label : 'Not completed',
+                isActive: user.isActive || false,
+                botBlockedAt: user.botBlockedAt || null
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            message: 'Failed to fetch users',
+            error: error.message
+        });
+    }
+});
+
+// =================== ADMIN API ===================
+
+// Operator roles: support handles users and assignments, finance handles balances, admin can do everything
+const ADMIN_READ_ROLES = ['support', 'finance'];
+const ADMIN_EDITABLE_CAMPAIGN_FIELDS = ['brandName', 'description', 'targetAudience', 'targetInterests', 'targetStates', 'campaignType', 'contactEmail'];
+
+// Every /api/admin action leaves a trail; a failed audit write is logged but doesn't undo the action
+async function recordAdminAction(req, action, targetType, targetId, { reason, details } = {}) {
+    try {
+        await AdminAuditLog.create({
+            actorId: req.marketer._id,
+            actorEmail: req.marketer.email,
+            actorRole: req.marketer.role,
+            action,
+            targetType,
+            targetId: targetId ? targetId.toString() : undefined,
+            reason,
+            details
+        });
+    } catch (error) {
+        console.error(`❌ Failed to write admin audit log for ${action}:`, error.message);
     }
 }
 
-// Function to notify users about new campaigns
-async function notifyUsersAboutCampaign(campaign) {
+function getPagination(req) {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 25));
+    return { page, limit, skip: (page - 1) * limit };
+}
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function formatAdminUser(user) {
+    return {
+        telegramId: user.telegramId,
+        name: `${user.firstName || ''} ${user.lastName || ''}`.trim(),
+        username: user.username,
+        twitterHandle: user.twitterHandle,
+        twitterVerified: user.twitterVerified,
+        verificationStatus: user.verificationStatus,
+        isActive: user.isActive,
+        suspendedAt: user.suspendedAt,
+        suspensionReason: user.suspensionReason,
+        botBlockedAt: user.botBlockedAt,
+        interests: user.interests,
+        location: user.location,
+        reliabilityScore: user.reliabilityScore,
+        fraudScore: user.fraudScore,
+        fraudReviewStatus: user.fraudReview?.status || null,
+        registeredAt: user.registeredAt
+    };
+}
+
+const ADMIN_USER_FILTERS = {
+    active: { isActive: true, suspendedAt: null },
+    inactive: { isActive: false },
+    suspended: { suspendedAt: { $ne: null } },
+    blocked: { botBlockedAt: { $ne: null } },
+    fraud_review: { 'fraudReview.status': 'pending' },
+    unverified: { twitterVerified: { $ne: true } }
+};
+
+// Search and filter users: ?q=name/handle/telegram id&status=active|inactive|suspended|blocked|fraud_review|unverified
+app.get('/api/admin/users', requireMarketer, requireRole(...ADMIN_READ_ROLES), async (req, res) => {
     try {
-        const activeUsers = await User.find({ 
-            isActive: true, 
-            twitterHandle: { $exists: true, $ne: null },
-            twitterVerified: true
+        const { page, limit, skip } = getPagination(req);
+        const filter = { ...(ADMIN_USER_FILTERS[req.query.status] || {}) };
+        
+        if (req.query.q) {
+            const pattern = new RegExp(escapeRegex(req.query.q.replace('@', '')), 'i');
+            filter.$or = [
+                { telegramId: req.query.q },
+                { firstName: pattern },
+                { lastName: pattern },
+                { username: pattern },
+                { twitterHandle: pattern }
+            ];
+        }
+        
+        const [users, total] = await Promise.all([
+            User.find(filter).sort({ registeredAt: -1 }).skip(skip).limit(limit),
+            User.countDocuments(filter)
+        ]);
+        
+        res.json({ success: true, page, limit, total, users: users.map(formatAdminUser) });
+    } catch (error) {
+        console.error('❌ Error searching users:', error);
+        res.status(500).json({ success: false, message: 'Failed to search users' });
+    }
+});
+
+app.get('/api/admin/users/:telegramId', requireMarketer, requireRole(...ADMIN_READ_ROLES), async (req, res) => {
+    try {
+        const user = await User.findOne({ telegramId: req.params.telegramId });
+        
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        
+        const [balances, assignments, verificationHistory] = await Promise.all([
+            ledgerService.getBalances(user.telegramId),
+            Assignment.find({ userId: user.telegramId }).sort({ createdAt: -1 }).limit(20),
+            VerificationAudit.find({ userId: user.telegramId }).sort({ createdAt: -1 }).limit(20)
+        ]);
+        
+        res.json({
+            success: true,
+            user: {
+                ...formatAdminUser(user),
+                twitterMetrics: user.twitterMetrics,
+                reliabilityStats: user.reliabilityStats,
+                fraudSignals: user.fraudSignals,
+                fraudReview: user.fraudReview,
+                bankAccount: user.bankAccount && user.bankAccount.accountNumber ? {
+                    bankName: user.bankAccount.bankName,
+                    accountName: user.bankAccount.accountName,
+                    accountNumber: maskAccountNumber(user.bankAccount.accountNumber)
+                } : null
+            },
+            balances,
+            assignments,
+            verificationHistory
         });
+    } catch (error) {
+        console.error('❌ Error fetching user:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch user' });
+    }
+});
+
+app.post('/api/admin/users/:telegramId/suspend', requireMarketer, requireRole('support'), async (req, res) => {
+    try {
+        const { reason } = req.body;
         
-        if (activeUsers.length === 0) {
-            console.log('⚠️ No active users with Twitter accounts to notify');
-            return;
+        if (!reason) {
+            return res.status(400).json({ success: false, message: 'A reason is required' });
         }
         
-        const message = 
-            `🚀 NEW CAMPAIGN ALERT!\n\n` +
-            `Brand: ${campaign.brandName}\n` +
-            `💰 Budget: ₦${campaign.budget.toLocaleString()}\n` +
-            `👥 Participants needed: ${campaign.estimatedParticipants}\n` +
-            `⏱️ Duration: ${campaign.duration} hours\n` +
-            `📊 Estimated reach: ${formatNumber(campaign.estimatedReach)}\n\n` +
-            `💡 ${campaign.description.substring(0, 100)}...\n\n` +
-            `🤖 Smart assignments are being created!\n` +
-            `Complete your profile for better matches: /profile`;
+        const user = await User.findOneAndUpdate(
+            { telegramId: req.params.telegramId, suspendedAt: null },
+            { suspendedAt: new Date(), suspensionReason: reason },
+            { new: true }
+        );
+        
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found or already suspended' });
+        }
+        
+        await recordAdminAction(req, 'user.suspend', 'user', user.telegramId, { reason });
+        
+        res.json({ success: true, user: formatAdminUser(user) });
+    } catch (error) {
+        console.error('❌ Error suspending user:', error);
+        res.status(500).json({ success: false, message: 'Failed to suspend user' });
+    }
+});
+
+// Lifts a suspension (admin or reliability) and turns a deactivated account back on
+app.post('/api/admin/users/:telegramId/reactivate', requireMarketer, requireRole('support'), async (req, res) => {
+    try {
+        const { reason } = req.body;
+        const user = await reliabilityService.reinstate(req.params.telegramId, req.marketer.email);
+        
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found or already active' });
+        }
+        
+        await recordAdminAction(req, 'user.reactivate', 'user', user.telegramId, { reason });
+        
+        try {
+            await broadcastQueue.enqueue(user.telegramId, 
+                `✅ You're Back!\n\n` +
+                `An admin reviewed your account and you can receive assignments again.\n` +
+                `💡 Submitting on time keeps your reliability score up.`
+            );
+        } catch (error) {
+            console.error(`❌ Failed to queue reactivation notice for ${user.telegramId}: ${error.message}`);
+        }
+        
+        res.json({ success: true, user: formatAdminUser(user) });
+    } catch (error) {
+        console.error('❌ Error reactivating user:', error);
+        res.status(500).json({ success: false, message: 'Failed to reactivate user' });
+    }
+});
+
+// Run the bio check again now, or { reset: true } to make a verified user verify from scratch
+app.post('/api/admin/users/:telegramId/reverify', requireMarketer, requireRole('support'), async (req, res) => {
+    try {
+        const { reset, reason } = req.body;
+        const user = await User.findOne({ telegramId: req.params.telegramId });
         
-        let notified = 0;
+        if (!user || !user.twitterHandle) {
+            return res.status(404).json({ success: false, message: 'User not found or has no Twitter handle' });
+        }
         
-        for (const user of activeUsers) {
+        if (reset) {
+            await User.findByIdAndUpdate(user._id, {
+                twitterVerified: false,
+                verificationStatus: 'unverified',
+                verificationMethod: null,
+                verificationCode: null,
+                verificationExpires: null,
+                verificationRetry: { attempts: 0, nextAttemptAt: null, lastError: null }
+            });
+            
+            await recordAdminAction(req, 'user.verification_reset', 'user', user.telegramId, { reason });
+            
             try {
-                await bot.sendMessage(user.telegramId, message);
-                notified++;
-                
-                // Small delay to avoid rate limiting
-                await new Promise(resolve => setTimeout(resolve, 100));
+                await broadcastQueue.enqueue(user.telegramId, 
+                    `🔐 Please Verify Again\n\n` +
+                    `We need you to re-verify @${user.twitterHandle} before you get new assignments.\n\n` +
+                    `Start with /twitter`
+                );
             } catch (error) {
-                console.log(`❌ Failed to notify user ${user.firstName}: ${error.message}`);
+                console.error(`❌ Failed to queue re-verification notice for ${user.telegramId}: ${error.message}`);
             }
+            
+            return res.json({ success: true, outcome: 'reset' });
+        }
+        
+        if (!user.verificationCode) {
+            return res.status(409).json({ 
+                success: false, 
+                message: 'No verification in progress. Send { "reset": true } to make the user verify again.' 
+            });
         }
         
-        console.log(`📢 Notified ${notified}/${activeUsers.length} users about new campaign`);
+        const outcome = await recheckUserVerification(user, 'admin');
+        
+        await recordAdminAction(req, 'user.verification_recheck', 'user', user.telegramId, { reason, details: { outcome } });
         
+        res.json({ success: true, outcome });
     } catch (error) {
-        console.error('❌ Error notifying users about campaign:', error);
+        console.error('❌ Error re-running verification:', error);
+        res.status(500).json({ success: false, message: 'Failed to re-run verification' });
     }
-}
-
-// Helper function to format numbers
-function formatNumber(num) {
-    if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
-    if (num >= 1000) return (num / 1000).toFixed(1) + 'K';
-    return num.toString();
-}
-
-// =================== TELEGRAM BOT COMMANDS ===================
+});
 
-// /start command - Register new user
-bot.onText(/\/start/, async (msg) => {
-    const chatId = msg.chat.id;
-    const user = msg.from;
-    
-    console.log(`📱 /start command received from user: ${user.first_name} (${chatId})`);
-    
+// Credit (positive) or debit (negative) a user's available balance
+app.post('/api/admin/users/:telegramId/balance-adjustments', requireMarketer, requireRole('finance'), async (req, res) => {
     try {
-        // Check if user already exists
-        const existingUser = await User.findOne({ telegramId: chatId.toString() });
+        const amount = Math.round(Number(req.body.amount));
+        const { reason } = req.body;
         
-        if (existingUser) {
-            await bot.sendMessage(chatId, `Welcome back, ${user.first_name}! 👋\n\nUse /help to see available commands.`);
-            return;
+        if (!amount || !Number.isFinite(amount)) {
+            return res.status(400).json({ success: false, message: 'amount must be a non-zero number of Naira' });
         }
         
-        // Create new user
-        const newUser = new User({
-            telegramId: chatId.toString(),
-            firstName: user.first_name,
-            lastName: user.last_name || '',
-            username: user.username || '',
-            isActive: true,
-            earnings: 0,
-            campaignsCompleted: 0,
-            profileCompleted: false
+        if (!reason) {
+            return res.status(400).json({ success: false, message: 'A reason is required' });
+        }
+        
+        const user = await User.findOne({ telegramId: req.params.telegramId });
+        
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        
+        const before = await ledgerService.getBalances(user.telegramId);
+        
+        if (amount < 0 && before.available + amount < 0) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `User only has ₦${before.available.toLocaleString()} available` 
+            });
+        }
+        
+        const reference = crypto.randomUUID();
+        await ledgerService.adjustBalance(user.telegramId, amount, { reference, reason });
+        
+        await recordAdminAction(req, 'user.balance_adjustment', 'user', user.telegramId, {
+            reason,
+            details: { amount, reference, availableBefore: before.available }
         });
         
-        await newUser.save();
+        const balances = await ledgerService.getBalances(user.telegramId);
+        res.json({ success: true, reference, balances });
+    } catch (error) {
+        console.error('❌ Error adjusting balance:', error);
+        res.status(500).json({ success: false, message: 'Failed to adjust balance' });
+    }
+});
+
+app.get('/api/admin/campaigns', requireMarketer, requireRole(...ADMIN_READ_ROLES), async (req, res) => {
+    try {
+        const { page, limit, skip } = getPagination(req);
+        const filter = {};
         
-        await bot.sendMessage(chatId, 
-            `🎉 Welcome to Twitter Engagement Platform, ${user.first_name}!\n\n` +
-            `You're now registered and ready to earn money from Twitter engagement!\n\n` +
-            `📱 Next steps:\n` +
-            `1. Link your Twitter account with /twitter\n` +
-            `2. Complete your smart profile (2 minutes)\n` +
-            `3. Get matched with perfect campaigns!\n\n` +
-            `💰 Users with completed profiles earn 20% more!`
-        );
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.q) filter.brandName = new RegExp(escapeRegex(req.query.q), 'i');
+        if (req.query.ownerId && mongoose.isValidObjectId(req.query.ownerId)) filter.ownerId = req.query.ownerId;
         
-        console.log(`✅ New user registered: ${user.first_name} (${chatId})`);
+        const [campaigns, total] = await Promise.all([
+            Campaign.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+            Campaign.countDocuments(filter)
+        ]);
         
+        res.json({ success: true, page, limit, total, campaigns });
     } catch (error) {
-        console.error('❌ Error registering user:', error);
-        await bot.sendMessage(chatId, 'Sorry, there was an error registering you. Please try again.');
+        console.error('❌ Error listing campaigns:', error);
+        res.status(500).json({ success: false, message: 'Failed to list campaigns' });
     }
 });
 
-// /help command
-bot.onText(/\/help/, async (msg) => {
-    const chatId = msg.chat.id;
-    
-    console.log(`📱 /help command received from user: ${chatId}`);
-    
+app.get('/api/admin/campaigns/:id', requireMarketer, requireRole(...ADMIN_READ_ROLES), async (req, res) => {
     try {
-        await bot.sendMessage(chatId, 
-            `🤖 Twitter Engagement Platform Commands:\n\n` +
-            `/start - Register/Login\n` +
-            `/twitter - Link Twitter & complete smart profile\n` +
-            `/profile - View your profile summary\n` +
-            `/campaigns - View campaigns matched to you\n` +
-            `/assignments - Check your active assignments\n` +
-            `/earnings - Check your earnings\n` +
-            `/status - Your account status\n` +
-            `/help - Show this help\n\n` +
-            `🧠 Smart Features:\n` +
+        const campaign = mongoose.isValidObjectId(req.params.id) ? await Campaign.findById(req.params.id) : null;
+        
+        if (!campaign) {
+            return res.status(404).json({ success: false, message: 'Campaign not found' });
+        }
+        
+        const [owner, counts] = await Promise.all([
+            campaign.ownerId ? Marketer.findById(campaign.ownerId) : null,
+            Assignment.aggregate([
+                { $match: { campaignId: campaign._id } },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ])
+        ]);
+        
+        res.json({
+            success: true,
+            campaign,
+            owner: owner ? formatMarketer(owner) : null,
+            assignments: Object.fromEntries(counts.map(c => [c._id, c.count]))
+        });
+    } catch (error) {
+        console.error('❌ Error fetching campaign:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch campaign' });
+    }
+});
+
+// Edit descriptive fields only - money and status have their own flows
+app.patch('/api/admin/campaigns/:id', requireMarketer, requireAdmin, async (req, res) => {
+    try {
+        const changes = {};
+        for (const field of ADMIN_EDITABLE_CAMPAIGN_FIELDS) {
+            if (req.body[field] !== undefined) changes[field] = req.body[field];
+        }
+        
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `Nothing to update. Editable fields: ${ADMIN_EDITABLE_CAMPAIGN_FIELDS.join(', ')}` 
+            });
+        }
+        
+        if (changes.targetInterests) changes.targetInterests = normalizeInterests(changes.targetInterests);
+        if (changes.targetStates) changes.targetStates = normalizeStates(changes.targetStates);
+        
+        const before = mongoose.isValidObjectId(req.params.id) ? await Campaign.findById(req.params.id) : null;
+        
+        if (!before) {
+            return res.status(404).json({ success: false, message: 'Campaign not found' });
+        }
+        
+        const campaign = await Campaign.findByIdAndUpdate(before._id, changes, { new: true, runValidators: true });
+        
+        await recordAdminAction(req, 'campaign.edit', 'campaign', campaign._id, {
+            reason: req.body.reason,
+            details: {
+                before: Object.fromEntries(Object.keys(changes).map(field => [field, before[field]])),
+                after: changes
+            }
+        });
+        
+        res.json({ success: true, campaign });
+    } catch (error) {
+        console.error('❌ Error editing campaign:', error);
+        res.status(500).json({ success: false, message: 'Failed to edit campaign' });
+    }
+});
+
+app.post('/api/admin/campaigns/:id/status', requireMarketer, requireAdmin, async (req, res) => {
+    try {
+        const { status, reason } = req.body;
+        
+        if (!CAMPAIGN_STATUSES.includes(status)) {
+            return res.status(400).json({ 
+                success: false, 
+                message: `Status must be one of: ${CAMPAIGN_STATUSES.join(', ')}` 
+            });
+        }
+        
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Campaign not found' });
+        }
+        
+        const campaign = await campaignStateMachine.transition(req.params.id, status, {
+            reason: reason,
+            actor: `${req.marketer.role}:${req.marketer.email}`
+        });
+        
+        await recordAdminAction(req, 'campaign.status', 'campaign', campaign._id, { reason, details: { status } });
+        
+        res.json({ success: true, status: campaign.status });
+    } catch (error) {
+        if (error instanceof InvalidTransitionError) {
+            return res.status(409).json({ success: false, message: error.message });
+        }
+        if (error.message.endsWith('not found')) {
+            return res.status(404).json({ success: false, message: 'Campaign not found' });
+        }
+        
+        console.error('❌ Error changing campaign status:', error);
+        res.status(500).json({ success: false, message: 'Failed to change campaign status' });
+    }
+});
+
+app.get('/api/admin/assignments', requireMarketer, requireRole(...ADMIN_READ_ROLES), async (req, res) => {
+    try {
+        const { page, limit, skip } = getPagination(req);
+        const filter = {};
+        
+        if (req.query.campaignId && mongoose.isValidObjectId(req.query.campaignId)) filter.campaignId = req.query.campaignId;
+        if (req.query.userId) filter.userId = req.query.userId;
+        if (req.query.status) filter.status = req.query.status;
+        
+        const [assignments, total] = await Promise.all([
+            Assignment.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+            Assignment.countDocuments(filter)
+        ]);
+        
+        res.json({ success: true, page, limit, total, assignments });
+    } catch (error) {
+        console.error('❌ Error listing assignments:', error);
+        res.status(500).json({ success: false, message: 'Failed to list assignments' });
+    }
+});
+
+// Close an open assignment without counting it against the handler, and return its pending earnings
+async function closeAssignmentByAdmin(assignmentId, skipReason, reason) {
+    const assignment = await Assignment.findOneAndUpdate(
+        { _id: assignmentId, status: { $in: ['pending', 'executed'] } },
+        { status: 'skipped', skippedAt: new Date(), skipReason: skipReason },
+        { new: true }
+    );
+    
+    if (assignment) {
+        await ledgerService.reverseAssignmentEarning(assignment, reason);
+    }
+    
+    return assignment;
+}
+
+app.post('/api/admin/assignments/:id/void', requireMarketer, requireRole('support'), async (req, res) => {
+    try {
+        const { reason } = req.body;
+        
+        if (!reason) {
+            return res.status(400).json({ success: false, message: 'A reason is required' });
+        }
+        
+        const assignment = mongoose.isValidObjectId(req.params.id)
+            ? await closeAssignmentByAdmin(req.params.id, 'voided', `Voided: ${reason}`)
+            : null;
+        
+        if (!assignment) {
+            return res.status(404).json({ success: false, message: 'No open assignment with that id' });
+        }
+        
+        await recordAdminAction(req, 'assignment.void', 'assignment', assignment._id, { reason });
+        
+        res.json({ success: true, assignment });
+    } catch (error) {
+        console.error('❌ Error voiding assignment:', error);
+        res.status(500).json({ success: false, message: 'Failed to void assignment' });
+    }
+});
+
+// Hand a pending assignment to someone else - a specific { userId } or the best available handler
+app.post('/api/admin/assignments/:id/reassign', requireMarketer, requireRole('support'), async (req, res) => {
+    try {
+        const { reason, userId } = req.body;
+        
+        if (!reason) {
+            return res.status(400).json({ success: false, message: 'A reason is required' });
+        }
+        
+        const existing = mongoose.isValidObjectId(req.params.id) ? await Assignment.findById(req.params.id) : null;
+        
+        if (!existing || existing.status !== 'pending') {
+            return res.status(404).json({ success: false, message: 'No pending assignment with that id' });
+        }
+        
+        const campaign = await Campaign.findById(existing.campaignId);
+        
+        if (!campaign || campaign.status !== 'active') {
+            return res.status(409).json({ success: false, message: 'Assignments can only be reassigned on active campaigns' });
+        }
+        
+        const skipped = await closeAssignmentByAdmin(existing._id, 'reassigned', `Reassigned: ${reason}`);
+        
+        if (!skipped) {
+            return res.status(409).json({ success: false, message: 'Assignment is no longer pending' });
+        }
+        
+        const replacement = await reassignToStandbyUser(campaign, skipped, { userId });
+        
+        await recordAdminAction(req, 'assignment.reassign', 'assignment', skipped._id, {
+            reason,
+            details: {
+                fromUserId: skipped.userId,
+                toUserId: replacement ? replacement.userId : null,
+                replacementId: replacement ? replacement._id : null
+            }
+        });
+        
+        res.json({
+            success: true,
+            replacement,
+            message: replacement ? 'Assignment reassigned' : 'Assignment closed, but no available handler could take it'
+        });
+    } catch (error) {
+        console.error('❌ Error reassigning assignment:', error);
+        res.status(500).json({ success: false, message: 'Failed to reassign assignment' });
+    }
+});
+
+// Flag a submission's content (off brief, deleted, spam...) - counts against reliability
+app.post('/api/admin/assignments/:id/flags', requireMarketer, requireRole('support'), async (req, res) => {
+    try {
+        const { type, note } = req.body;
+        
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Assignment not found' });
+        }
+        
+        const result = await reliabilityService.flagAssignment(req.params.id, {
+            type,
+            note,
+            flaggedBy: req.marketer.email
+        });
+        
+        if (!result) {
+            return res.status(404).json({ success: false, message: 'Assignment not found' });
+        }
+        
+        await recordAdminAction(req, 'assignment.flag', 'assignment', result.assignment._id, { reason: note, details: { type } });
+        
+        if (result.reliability.suspended) {
+            await notifySuspendedHandler(result.assignment.userId, result.reliability.score);
+        }
+        
+        res.json({ success: true, reliability: result.reliability });
+    } catch (error) {
+        if (error.message.startsWith('Unknown quality flag')) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.error('❌ Error flagging assignment:', error);
+        res.status(500).json({ success: false, message: 'Failed to flag assignment' });
+    }
+});
+
+// Users waiting for a fraud review, most suspicious first
+app.get('/api/admin/fraud/review-queue', requireMarketer, requireRole(...ADMIN_READ_ROLES), async (req, res) => {
+    try {
+        const users = await User.find({ 'fraudReview.status': 'pending' }).sort({ fraudScore: -1 });
+        
+        res.json({
+            success: true,
+            users: users.map(user => ({
+                ...formatAdminUser(user),
+                signals: user.fraudSignals,
+                flaggedAt: user.fraudReview.flaggedAt
+            }))
+        });
+    } catch (error) {
+        console.error('❌ Error fetching fraud review queue:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch fraud review queue' });
+    }
+});
+
+// decision: 'cleared' puts them back in rotation, 'confirmed' deactivates the account
+app.post('/api/admin/fraud/users/:telegramId/review', requireMarketer, requireRole('support'), async (req, res) => {
+    try {
+        const { decision, note } = req.body;
+        
+        if (!['cleared', 'confirmed'].includes(decision)) {
+            return res.status(400).json({ success: false, message: 'decision must be "cleared" or "confirmed"' });
+        }
+        
+        const user = await fraudService.review(req.params.telegramId, {
+            decision,
+            note,
+            reviewedBy: req.marketer.email
+        });
+        
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'No pending review for that user' });
+        }
+        
+        await recordAdminAction(req, `fraud.${decision}`, 'user', user.telegramId, { reason: note });
+        
+        console.log(`🚩 Fraud review for ${user.telegramId}: ${decision} by ${req.marketer.email}`);
+        res.json({ success: true, message: `User ${decision}` });
+    } catch (error) {
+        console.error('❌ Error recording fraud review:', error);
+        res.status(500).json({ success: false, message: 'Failed to record review' });
+    }
+});
+
+app.get('/api/admin/broadcasts/stats', requireMarketer, requireRole(...ADMIN_READ_ROLES), async (req, res) => {
+    try {
+        const stats = await broadcastQueue.getStats();
+        const blockedUsers = await User.countDocuments({ botBlockedAt: { $ne: null } });
+        
+        res.json({ success: true, stats: { ...stats, blockedUsers } });
+    } catch (error) {
+        console.error('❌ Error fetching broadcast stats:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch broadcast queue stats' });
+    }
+});
+
+app.get('/api/admin/marketers', requireMarketer, requireAdmin, async (req, res) => {
+    try {
+        const marketers = await Marketer.find({}).sort({ createdAt: -1 });
+        res.json({ success: true, marketers: marketers.map(formatMarketer) });
+    } catch (error) {
+        console.error('❌ Error listing marketers:', error);
+        res.status(500).json({ success: false, message: 'Failed to list marketers' });
+    }
+});
+
+app.post('/api/admin/marketers/:id/role', requireMarketer, requireAdmin, async (req, res) => {
+    try {
+        const { role } = req.body;
+        
+        if (!['marketer', 'support', 'finance', 'admin'].includes(role)) {
+            return res.status(400).json({ success: false, message: 'role must be marketer, support, finance or admin' });
+        }
+        
+        const marketer = mongoose.isValidObjectId(req.params.id) ? await Marketer.findById(req.params.id) : null;
+        
+        if (!marketer) {
+            return res.status(404).json({ success: false, message: 'Marketer not found' });
+        }
+        
+        const previousRole = marketer.role;
+        marketer.role = role;
+        await marketer.save();
+        
+        await recordAdminAction(req, 'marketer.role', 'marketer', marketer._id, { details: { from: previousRole, to: role } });
+        
+        res.json({ success: true, marketer: formatMarketer(marketer) });
+    } catch (error) {
+        console.error('❌ Error changing marketer role:', error);
+        res.status(500).json({ success: false, message: 'Failed to change role' });
+    }
+});
+
+app.get('/api/admin/questionnaires/:key', requireMarketer, requireRole(...ADMIN_READ_ROLES), async (req, res) => {
+    try {
+        const versions = await questionnaireService.listVersions(req.params.key);
+        res.json({ success: true, versions });
+    } catch (error) {
+        console.error('❌ Error listing questionnaire versions:', error);
+        res.status(500).json({ success: false, message: 'Failed to list questionnaire versions' });
+    }
+});
+
+app.get('/api/admin/questionnaires/:key/versions/:version', requireMarketer, requireRole(...ADMIN_READ_ROLES), async (req, res) => {
+    try {
+        const questionnaire = await questionnaireService.getVersion(req.params.key, parseInt(req.params.version));
+        
+        if (!questionnaire) {
+            return res.status(404).json({ success: false, message: 'Questionnaire version not found' });
+        }
+        
+        res.json({ success: true, questionnaire });
+    } catch (error) {
+        console.error('❌ Error fetching questionnaire:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch questionnaire' });
+    }
+});
+
+// Publish { questions, scoring } as the next version. Sessions already under way finish on their own version.
+app.post('/api/admin/questionnaires/:key/versions', requireMarketer, requireAdmin, async (req, res) => {
+    try {
+        const { questions, scoring, reason } = req.body;
+        
+        const questionnaire = await questionnaireService.publish(req.params.key, { questions, scoring }, {
+            publishedBy: req.marketer.email
+        });
+        
+        await recordAdminAction(req, 'questionnaire.publish', 'questionnaire', `${questionnaire.key}:${questionnaire.version}`, { reason });
+        
+        console.log(`📋 ${req.marketer.email} published ${questionnaire.key} questionnaire v${questionnaire.version}`);
+        res.status(201).json({ success: true, version: questionnaire.version });
+    } catch (error) {
+        if (error.message.startsWith('Invalid questionnaire')) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: 'Another version was published at the same time, please retry' });
+        }
+        
+        console.error('❌ Error publishing questionnaire:', error);
+        res.status(500).json({ success: false, message: 'Failed to publish questionnaire' });
+    }
+});
+
+// Re-score every completed profile under the active persona rules. Dry run unless { dryRun: false }.
+app.post('/api/admin/profiles/reanalysis', requireMarketer, requireAdmin, async (req, res) => {
+    try {
+        const dryRun = req.body.dryRun !== false;
+        const { reason } = req.body;
+        
+        if (!dryRun && !reason) {
+            return res.status(400).json({ success: false, message: 'A reason is required to apply a re-analysis' });
+        }
+        
+        const run = await profileReanalysisService.start({ dryRun, reason, startedBy: req.marketer.email });
+        
+        await recordAdminAction(req, dryRun ? 'profiles.reanalysis_dry_run' : 'profiles.reanalysis_apply', 'questionnaire', 
+            `${PROFILING_QUESTIONNAIRE_KEY}:${run.questionnaireVersion}`, { reason, details: { runId: run._id } });
+        
+        console.log(`🧠 ${req.marketer.email} started profile re-analysis ${run._id}${dryRun ? ' (dry run)' : ''}`);
+        res.status(202).json({ success: true, runId: run._id, dryRun });
+    } catch (error) {
+        if (error.message === 'A profile re-analysis is already running') {
+            return res.status(409).json({ success: false, message: error.message });
+        }
+        
+        console.error('❌ Error starting profile re-analysis:', error);
+        res.status(500).json({ success: false, message: 'Failed to start profile re-analysis' });
+    }
+});
+
+app.get('/api/admin/profiles/reanalysis', requireMarketer, requireAdmin, async (req, res) => {
+    try {
+        const runs = await ProfileReanalysisRun.find({})
+            .sort({ createdAt: -1 })
+            .limit(20)
+            .select('-samples');
+        
+        res.json({ success: true, runs });
+    } catch (error) {
+        console.error('❌ Error listing profile re-analysis runs:', error);
+        res.status(500).json({ success: false, message: 'Failed to list re-analysis runs' });
+    }
+});
+
+// Progress while running; the full diff (counts, label/spending transitions, samples) once done
+app.get('/api/admin/profiles/reanalysis/:id', requireMarketer, requireAdmin, async (req, res) => {
+    try {
+        const run = mongoose.isValidObjectId(req.params.id) ? await ProfileReanalysisRun.findById(req.params.id) : null;
+        
+        if (!run) {
+            return res.status(404).json({ success: false, message: 'Re-analysis run not found' });
+        }
+        
+        res.json({ success: true, run });
+    } catch (error) {
+        console.error('❌ Error fetching profile re-analysis run:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch re-analysis run' });
+    }
+});
+
+app.get('/api/admin/audit-log', requireMarketer, requireAdmin, async (req, res) => {
+    try {
+        const { page, limit, skip } = getPagination(req);
+        const filter = {};
+        
+        if (req.query.action) filter.action = req.query.action;
+        if (req.query.actorEmail) filter.actorEmail = req.query.actorEmail.toLowerCase();
+        if (req.query.targetId) filter.targetId = req.query.targetId;
+        
+        const [entries, total] = await Promise.all([
+            AdminAuditLog.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+            AdminAuditLog.countDocuments(filter)
+        ]);
+        
+        res.json({ success: true, page, limit, total, entries });
+    } catch (error) {
+        console.error('❌ Error fetching audit log:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch audit log' });
+    }
+});
+
+// =================== ADVANCED CAMPAIGN LOGIC ===================
+
+// Smart Assignment System (Inclusive Approach)
+async function createAutomaticAssignments(campaign) {
+    console.log(`🤖 Creating assignments for: ${campaign.brandName}`);
+    
+    try {
+        // Claim the attempt so the launch hook and the retry job can't staff the campaign twice
+        const retryCutoff = new Date(Date.now() - (ASSIGNMENT_CONFIG.staffingRetryMinutes * 60 * 1000));
+        const claimed = await Campaign.findOneAndUpdate(
+            {
+                _id: campaign._id,
+                status: 'pending',
+                $or: [{ assignmentAttemptedAt: null }, { assignmentAttemptedAt: { $lte: retryCutoff } }]
+            },
+            { assignmentAttemptedAt: new Date() }
+        );
+        
+        if (!claimed) {
+            console.log(`ℹ️ ${campaign.brandName} is already being staffed`);
+            return;
+        }
+        
+        // Get ALL available users (regardless of profile status)
+        const availableUsers = await getAvailableUsers();
+        
+        if (availableUsers.length === 0) {
+            // Stays pending - retryUnstaffedCampaigns tries again, then refunds
+            console.log(`⚠️ No available users for ${campaign.brandName}, will retry`);
+            return;
+        }
+        
+        // Select users - everyone gets a fair chance
+        const maxParticipants = Math.min(availableUsers.length, campaign.estimatedParticipants);
+        const selectedUsers = selectBestUsersInclusive(availableUsers, maxParticipants, campaign);
+        
+        // Distribute roles (profile helps but isn't required)
+        const roleDistribution = distributeRolesInclusive(selectedUsers, campaign);
+        
+        // Create assignments with organic timing
+        const campaignAssignments = createTimedAssignments(campaign, roleDistribution);
+        
+        // Store assignments in database
+        const savedAssignments = [];
+        for (const assignment of campaignAssignments) {
+            const newAssignment = new Assignment(assignment);
+            await newAssignment.save();
+            savedAssignments.push(newAssignment);
+        }
+        
+        // Update campaign with participants
+        await campaignStateMachine.transition(campaign._id, 'active', {
+            reason: 'Assignments created',
+            set: {
+                participants: selectedUsers.map(user => user.telegramId)
+            }
+        });
+        
+        // Notify selected users
+        await notifySelectedUsersInclusive(savedAssignments);
+        
+        console.log(`✅ Created ${campaignAssignments.length} assignments for ${selectedUsers.length} users`);
+        console.log(`📊 ${selectedUsers.filter(u => u.profileCompleted).length} users have completed profiles (bonus earnings!)`);
+        
+    } catch (error) {
+        console.error('❌ Error creating automatic assignments:', error);
+    }
+}
+
+async function getAvailableUsers() {
+    try {
+        const now = new Date();
+        
+        // Get users with verified Twitter accounts only
+        const users = await User.find({
+            twitterHandle: { $exists: true, $ne: null },
+            twitterVerified: true, // Only verified users
+            isActive: true,
+            botBlockedAt: null, // Can't reach them with assignments
+            suspendedAt: null, // Waiting for an admin to review their reliability
+            'fraudReview.status': { $nin: ['pending', 'confirmed'] } // In the fraud review queue
+        });
+        
+        // Filter out users in cooldown
+        const availableUsers = [];
+        
+        for (const user of users) {
+            const cooldown = await Cooldown.findOne({ userId: user.telegramId });
+            
+            if (!cooldown || now >= cooldown.until) {
+                availableUsers.push(user);
+            }
+        }
+        
+        return availableUsers;
+        
+    } catch (error) {
+        console.error('❌ Error getting available users:', error);
+        return [];
+    }
+}
+
+function selectBestUsersInclusive(availableUsers, maxParticipants, campaign) {
+    // Weighted score per campaign package (see handler-scoring.js) - freshness keeps it fair
+    const scoredUsers = availableUsers.map(user => {
+        const { score, breakdown } = handlerScorer.score(user, {
+            campaign,
+            isProfileMatch: isUserMatchForCampaign,
+            audienceScore: scoreAudienceMatch
+        });
+        
+        return { ...user.toObject(), score, scoreBreakdown: breakdown };
+    });
+    
+    return scoredUsers
+        .sort((a, b) => b.score - a.score)
+        .slice(0, maxParticipants);
+}
+
+function distributeRolesInclusive(selectedUsers, campaign) {
+    const distribution = [];
+    
+    selectedUsers.forEach(user => {
+        // Get role suggestion (profile helps but defaults to fair distribution)
+        const role = getRoleForUserInclusive(user, campaign);
+        distribution.push({
+            user: user,
+            role: role,
+            hasProfile: user.profileCompleted || false,
+            profileMatch: isUserMatchForCampaign(user, campaign)
+        });
+    });
+    
+    // Ensure balanced role distribution
+    return balanceRoleDistributionFairly(distribution);
+}
+
+function getRoleForUserInclusive(user, campaign) {
+    // If user has profile, use smart assignment
+    if (user.profileCompleted && user.profile) {
+        const profile = user.profile.primaryProfile;
+        const authenticity = user.profile.authenticityScore;
+        
+        // High authenticity users get better roles
+        if (authenticity > 85) {
+            return Math.random() > 0.5 ? 'initiator' : 'quoter';
+        }
+        
+        // Profile-based suggestions
+        if (profile.label.includes('Student') || profile.label.includes('Creative')) {
+            return Math.random() > 0.6 ? 'replier' : 'quoter';
+        }
+        
+        if (profile.label.includes('Professional') || profile.label.includes('Entrepreneur')) {
+            return Math.random() > 0.5 ? 'retweeter' : 'replier';
+        }
+    }
+    
+    // Default fair distribution for everyone
+    const roles = ['initiator', 'replier', 'retweeter', 'quoter'];
+    return roles[Math.floor(Math.random() * roles.length)];
+}
+
+function balanceRoleDistributionFairly(distribution) {
+    // Simple rotation to ensure everyone gets different roles over time
+    const totalUsers = distribution.length;
+    const targetCounts = {
+        initiator: Math.ceil(totalUsers * 0.2),
+        replier: Math.ceil(totalUsers * 0.4),
+        retweeter: Math.ceil(totalUsers * 0.25),
+        quoter: Math.ceil(totalUsers * 0.15)
+    };
+    
+    // Adjust to fit total users
+    const totalRoles = Object.values(targetCounts).reduce((sum, count) => sum + count, 0);
+    if (totalRoles > totalUsers) {
+        targetCounts.replier = Math.max(1, targetCounts.replier - (totalRoles - totalUsers));
+    }
+    
+    // Redistribute fairly while respecting preferences
+    const finalDistribution = [];
+    
+    // Assign initiators first (give to high authenticity if available)
+    const highAuthUsers = distribution.filter(d => d.hasProfile && d.user.profile?.authenticityScore > 80);
+    let initiatorsAssigned = 0;
+    
+    for (let i = 0; i < Math.min(targetCounts.initiator, highAuthUsers.length); i++) {
+        finalDistribution.push({
+            ...highAuthUsers[i],
+            role: 'initiator'
+        });
+        initiatorsAssigned++;
+    }
+    
+    // Fill remaining roles fairly
+    const remainingUsers = distribution.filter(d => !finalDistribution.some(fd => fd.user.telegramId === d.user.telegramId));
+    const remainingRoles = [];
+    
+    // Add remaining initiators
+    for (let i = initiatorsAssigned; i < targetCounts.initiator; i++) {
+        remainingRoles.push('initiator');
+    }
+    
+    // Add other roles
+    for (let i = 0; i < targetCounts.replier; i++) remainingRoles.push('replier');
+    for (let i = 0; i < targetCounts.retweeter; i++) remainingRoles.push('retweeter');
+    for (let i = 0; i < targetCounts.quoter; i++) remainingRoles.push('quoter');
+    
+    // Shuffle roles for fairness
+    for (let i = remainingRoles.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [remainingRoles[i], remainingRoles[j]] = [remainingRoles[j], remainingRoles[i]];
+    }
+    
+    // Assign remaining roles
+    remainingUsers.forEach((assignment, index) => {
+        finalDistribution.push({
+            ...assignment,
+            role: remainingRoles[index] || 'replier'
+        });
+    });
+    
+    return finalDistribution;
+}
+
+// Tag overlap when the campaign targets interests or states (see audience-tags.js);
+// untargeted campaigns fall back to the persona's spending power and authenticity
+function isUserMatchForCampaign(user, campaign) {
+    const audienceScore = scoreAudienceMatch(user, campaign);
+    if (audienceScore !== null) return audienceScore >= MATCH_THRESHOLD;
+    
+    if (!user.profile || !user.profileCompleted) return false;
+    
+    // Check spending power match
+    if (campaign.package === 'premium' && user.profile.spendingPower === 'high') return true;
+    if (campaign.package === 'starter' && user.profile.spendingPower === 'emerging') return true;
+    
+    // High authenticity users match well with any campaign
+    if (user.profile.authenticityScore > 85) return true;
+    
+    return false;
+}
+
+function createTimedAssignments(campaign, roleDistribution) {
+    const now = new Date();
+    const assignments = [];
+    
+    roleDistribution.forEach((assignment, index) => {
+        const baseDelay = getBaseDelayForRole(assignment.role);
+        const randomDelay = Math.random() * 60; // Random 0-60 minutes
+        const totalDelay = baseDelay + randomDelay;
+        
+        const scheduledTime = new Date(now.getTime() + (totalDelay * 60 * 1000));
+        const expiresAt = new Date(scheduledTime.getTime() + (ASSIGNMENT_CONFIG.executionWindowHours * 60 * 60 * 1000));
+        
+        const newAssignment = {
+            campaignId: campaign._id,
+            userId: assignment.user.telegramId,
+            role: assignment.role,
+            scheduledTime: scheduledTime,
+            expiresAt: expiresAt,
+            status: 'pending',
+            content: generateContentForRole(campaign, assignment.role),
+            estimatedEarning: calculateEarning(campaign, assignment.role),
+            isProfileMatch: assignment.profileMatch || false,
+            selectionScore: assignment.user.score
+        };
+        
+        assignments.push(newAssignment);
+    });
+    
+    applyEarningsTiers(assignments, roleDistribution.map(assignment => assignment.user));
+    
+    return assignments;
+}
+
+// Scale earnings by each handler's reach tier without paying out more than the untiered total
+function applyEarningsTiers(assignments, users) {
+    const baseTotal = assignments.reduce((sum, assignment) => sum + assignment.estimatedEarning, 0);
+    
+    const tiered = assignments.map((assignment, index) => {
+        const tier = handlerScorer.getEarningsTier(users[index]);
+        return { tier, earning: assignment.estimatedEarning * tier.multiplier };
+    });
+    
+    const tieredTotal = tiered.reduce((sum, entry) => sum + entry.earning, 0);
+    const scale = tieredTotal > baseTotal ? baseTotal / tieredTotal : 1;
+    
+    assignments.forEach((assignment, index) => {
+        assignment.estimatedEarning = Math.round(tiered[index].earning * scale);
+        assignment.earningsTier = tiered[index].tier.name;
+    });
+}
+
+function getBaseDelayForRole(role) {
+    // Different roles start at different times for organic flow
+    const delays = {
+        initiator: 0,      // Start immediately
+        replier: 30,       // 30 minutes after initiators
+        retweeter: 60,     // 1 hour
+        quoter: 90         // 1.5 hours
+    };
+    
+    return delays[role] || 0;
+}
+
+function generateContentForRole(campaign, role) {
+    const templates = {
+        initiator: [
+            `Anyone else heard of ${campaign.brandName}? 🤔`,
+            `Just discovered ${campaign.brandName} - thoughts?`,
+            `What's everyone's take on ${campaign.brandName}?`,
+            `Has anyone tried ${campaign.brandName}? Worth it?`
+        ],
+        replier: [
+            `I've been using it for a while now, pretty solid!`,
+            `Yeah, heard good things about them`,
+            `My friend recommended it to me recently`,
+            `Definitely worth checking out`
+        ],
+        retweeter: [
+            `Sharing this - interesting discussion!`,
+            `Worth a look 👀`,
+            `Good thread here`,
+            `This caught my attention`
+        ],
+        quoter: [
+            `Adding my 2 cents - been following them for a while`,
+            `This aligns with what I've been seeing`,
+            `Interesting perspective here`,
+            `Worth the conversation`
+        ]
+    };
+    
+    const roleTemplates = templates[role] || templates.initiator;
+    return roleTemplates[Math.floor(Math.random() * roleTemplates.length)];
+}
+
+function calculateEarning(campaign, role) {
+    const baseRates = {
+        initiator: 300,
+        replier: 200,
+        retweeter: 100,
+        quoter: 250
+    };
+    
+    const totalBudget = campaign.budget * 0.65; // 65% goes to users
+    const basePayout = totalBudget / campaign.estimatedParticipants;
+    const roleMultiplier = baseRates[role] / 200; // Normalize around 200
+    
+    return Math.round(basePayout * roleMultiplier);
+}
+
+async function notifySelectedUsersInclusive(assignments) {
+    const messages = [];
+    
+    for (const assignment of assignments) {
+        try {
+            const campaign = await Campaign.findById(assignment.campaignId);
+            if (!campaign) continue;
+            
+            const user = await User.findOne({ telegramId: assignment.userId });
+            if (!user) continue;
+            
+            // Base earning for everyone
+            const baseEarning = assignment.estimatedEarning;
+            let bonus = 0;
+            let bonusMessage = '';
+            
+            // Profile bonus (nice to have, not essential)
+            if (user.profileCompleted && user.profile) {
+                const profileBonus = Math.round(baseEarning * 0.15); // 15% bonus for having profile
+                
+                if (assignment.isProfileMatch && user.profile.authenticityScore > 80) {
+                    const matchBonus = Math.round(baseEarning * 0.1); // Additional 10% for perfect match
+                    bonus = profileBonus + matchBonus;
+                    bonusMessage = `\n🎯 Profile Bonus: +₦${bonus.toLocaleString()}! (Profile + Match)`;
+                } else if (user.profile.authenticityScore > 80) {
+                    bonus = profileBonus;
+                    bonusMessage = `\n💡 Profile Bonus: +₦${bonus.toLocaleString()}! (Completed profile)`;
+                }
+            }
+            
+            const earning = baseEarning + bonus;
+            
+            // Update earning to include bonus
+            await Assignment.findByIdAndUpdate(assignment._id, {
+                estimatedEarning: earning,
+                bonusEarning: bonus
+            });
+            
+            // Hold the earning as pending in the ledger until the assignment is confirmed
+            await ledgerService.accrueAssignmentEarning(assignment, baseEarning, bonus);
+            
+            let message = `🎉 YOU'VE BEEN SELECTED!\n\n` +
+                         `Campaign: ${campaign.brandName}\n` +
+                         `Your Role: ${assignment.role.toUpperCase()}\n` +
+                         `💰 Total Earning: ₦${earning.toLocaleString()}${bonusMessage}\n` +
+                         (assignment.earningsTier ? `📈 Reach Tier: ${assignment.earningsTier.toUpperCase()}\n` : '') +
+                         `⏰ Scheduled: ${assignment.scheduledTime.toLocaleString()}\n\n`;
+            
+            if (user.profileCompleted && user.profile) {
+                message += `🧠 Your Profile: ${user.profile.primaryProfile.label}\n` +
+                          `⭐ Authenticity: ${user.profile.authenticityScore}/100\n\n`;
+            } else {
+                message += `💡 Complete your profile with /profile for bonus earnings!\n\n`;
+            }
+            
+            message += `📝 Suggested Content:\n"${assignment.content}"\n\n` +
+                      `💡 Customize this message to match your style!`;
+            
+            messages.push({ chatId: assignment.userId, text: message });
+            
+        } catch (error) {
+            console.log(`❌ Failed to prepare notification for user ${assignment.userId}: ${error.message}`);
+        }
+    }
+    
+    try {
+        await broadcastQueue.enqueueMany(messages);
+    } catch (error) {
+        console.error(`❌ Failed to queue selection notifications: ${error.message}`);
+    }
+}
+
+// Function to notify users about new campaigns
+async function notifyUsersAboutCampaign(campaign) {
+    try {
+        const activeUsers = await User.find({ 
+            isActive: true, 
+            twitterHandle: { $exists: true, $ne: null },
+            twitterVerified: true,
+            botBlockedAt: null
+        });
+        
+        if (activeUsers.length === 0) {
+            console.log('⚠️ No active users with Twitter accounts to notify');
+            return;
+        }
+        
+        const message = 
+            `🚀 NEW CAMPAIGN ALERT!\n\n` +
+            `Brand: ${campaign.brandName}\n` +
+            `💰 Budget: ₦${campaign.budget.toLocaleString()}\n` +
+            `👥 Participants needed: ${campaign.estimatedParticipants}\n` +
+            `⏱️ Duration: ${campaign.duration} hours\n` +
+            `📊 Estimated reach: ${formatNumber(campaign.estimatedReach)}\n\n` +
+            `💡 ${campaign.description.substring(0, 100)}...\n\n` +
+            `🤖 Smart assignments are being created!\n` +
+            `Complete your profile for better matches: /profile`;
+        
+        const queued = await broadcastQueue.enqueueMany(
+            activeUsers.map(user => ({ chatId: user.telegramId, text: message }))
+        );
+        
+        console.log(`📢 Queued new campaign alert for ${queued} users`);
+        
+    } catch (error) {
+        console.error('❌ Error notifying users about campaign:', error);
+    }
+}
+
+// Helper function to format numbers
+function formatNumber(num) {
+    if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
+    if (num >= 1000) return (num / 1000).toFixed(1) + 'K';
+    return num.toString();
+}
+
+// =================== CONVERSATIONS ===================
+
+// Multi-step flows keep their progress in MongoDB, so they survive restarts
+const conversations = new ConversationManager();
+
+conversations
+    .register('twitter', {
+        confirm_change: handleTwitterChangeReply,
+        handle: handleTwitterHandleReply,
+        verify: handleTwitterVerifyReply
+    }, {
+        // /status tells users to reply "verify", so checking status mustn't end the flow
+        keepOnCommand: ['verify']
+    })
+    .register('profile', {
+        confirm_start: handleProfileStartReply,
+        confirm_retake: handleProfileRetakeReply,
+        confirm_resume: handleProfileResumeReply
+    })
+    .register('location', {
+        city: handleLocationCityReply
+    })
+    .register('submit', {
+        tweet_url: handleSubmissionReply
+    })
+    .register('withdraw', {
+        bank_name: handleBankNameReply,
+        // Waiting for a button tap - typed text is ignored
+        bank_select: async () => {},
+        account_number: handleAccountNumberReply,
+        confirm_account: async () => {},
+        amount: handleWithdrawalAmountReply
+    });
+
+// The only free-text message listener - routes replies to the chat's current step
+bot.on('message', async (msg) => {
+    try {
+        await conversations.handleMessage(msg);
+    } catch (error) {
+        console.error('❌ Error handling conversation message:', error);
+        await bot.sendMessage(msg.chat.id, 'Sorry, something went wrong. Please try again or /cancel.');
+    }
+});
+
+// =================== TELEGRAM BOT COMMANDS ===================
+
+// /start command - Register new user
+bot.onText(/\/start/, async (msg) => {
+    const chatId = msg.chat.id;
+    const user = msg.from;
+    
+    console.log(`📱 /start command received from user: ${user.first_name} (${chatId})`);
+    
+    try {
+        // Check if user already exists
+        const existingUser = await User.findOne({ telegramId: chatId.toString() });
+        
+        if (existingUser) {
+            // Messaging us again means they've unblocked the bot
+            if (existingUser.botBlockedAt) {
+                await User.findByIdAndUpdate(existingUser._id, { botBlockedAt: null });
+                console.log(`🔓 User ${chatId} is reachable again, resuming broadcasts`);
+            }
+            
+            await bot.sendMessage(chatId, `Welcome back, ${user.first_name}! 👋\n\nUse /help to see available commands.`);
+            return;
+        }
+        
+        // Create new user
+        const newUser = new User({
+            telegramId: chatId.toString(),
+            firstName: user.first_name,
+            lastName: user.last_name || '',
+            username: user.username || '',
+            isActive: true,
+            earnings: 0,
+            campaignsCompleted: 0,
+            profileCompleted: false
+        });
+        
+        await newUser.save();
+        
+        await bot.sendMessage(chatId, 
+            `🎉 Welcome to Twitter Engagement Platform, ${user.first_name}!\n\n` +
+            `You're now registered and ready to earn money from Twitter engagement!\n\n` +
+            `📱 Next steps:\n` +
+            `1. Link your Twitter account with /twitter\n` +
+            `2. Complete your smart profile (2 minutes)\n` +
+            `3. Get matched with perfect campaigns!\n\n` +
+            `💰 Users with completed profiles earn 20% more!`
+        );
+        
+        console.log(`✅ New user registered: ${user.first_name} (${chatId})`);
+        
+    } catch (error) {
+        console.error('❌ Error registering user:', error);
+        await bot.sendMessage(chatId, 'Sorry, there was an error registering you. Please try again.');
+    }
+});
+
+// /cancel command - Stop whatever multi-step flow is in progress
+bot.onText(/\/cancel/, async (msg) => {
+    const chatId = msg.chat.id;
+    
+    console.log(`📱 /cancel command received from user: ${chatId}`);
+    
+    try {
+        const state = await conversations.get(chatId);
+        await conversations.end(chatId);
+        
+        await bot.sendMessage(chatId, state 
+            ? `🛑 Cancelled. Use /help to see available commands.` 
+            : `Nothing to cancel. Use /help to see available commands.`
+        );
+    } catch (error) {
+        console.error('❌ Error in /cancel command:', error);
+    }
+});
+
+// /help command
+bot.onText(/\/help/, async (msg) => {
+    const chatId = msg.chat.id;
+    
+    console.log(`📱 /help command received from user: ${chatId}`);
+    
+    try {
+        await bot.sendMessage(chatId, 
+            `🤖 Twitter Engagement Platform Commands:\n\n` +
+            `/start - Register/Login\n` +
+            `/twitter - Link Twitter & complete smart profile\n` +
+            `/profile - View your profile summary\n` +
+            `/interests - Pick the topics you post about\n` +
+            `/location - Set your state and city\n` +
+            `/campaigns - View campaigns matched to you\n` +
+            `/assignments - Check your active assignments\n` +
+            `/submit - Send proof for a completed assignment\n` +
+            `/earnings - Check your earnings\n` +
+            `/withdraw - Cash out to your bank account\n` +
+            `/status - Your account status\n` +
+            `/cancel - Stop the current step-by-step flow\n` +
+            `/help - Show this help\n\n` +
+            `🧠 Smart Features:\n` +
             `• AI-powered profile matching\n` +
             `• Personalized campaign recommendations\n` +
             `• Authenticity-based earnings bonuses\n` +
@@ -785,457 +2407,1426 @@ bot.onText(/\/help/, async (msg) => {
             `💡 Complete your profile for better matches and higher earnings!`
         );
     } catch (error) {
-        console.error('❌ Error in help command:', error);
+        console.error('❌ Error in help command:', error);
+    }
+});
+
+// /twitter command - Twitter verification
+bot.onText(/\/twitter/, async (msg) => {
+    const chatId = msg.chat.id;
+    
+    console.log(`📱 /twitter command received from user: ${chatId}`);
+    
+    try {
+        const user = await User.findOne({ telegramId: chatId.toString() });
+        
+        if (!user) {
+            await bot.sendMessage(chatId, 'Please register first with /start');
+            return;
+        }
+        
+        // Check if user already has verified Twitter
+        if (user.twitterHandle && user.twitterVerified) {
+            await bot.sendMessage(chatId, 
+                `🐦 Twitter Account Already Verified!\n\n` +
+                `✅ Current account: @${user.twitterHandle}\n\n` +
+                `Want to change your Twitter account? Reply "change" to start over.`
+            );
+            
+            // Wait for change confirmation
+            await conversations.start(chatId, 'twitter', 'confirm_change', {}, { ttlMinutes: 2 });
+            
+            return;
+        }
+        
+        await startCleanBioVerification(chatId);
+        
+    } catch (error) {
+        console.error('❌ Error in twitter command:', error);
+        await bot.sendMessage(chatId, 'Sorry, there was an error. Please try again.');
+    }
+});
+
+// Bio verification function with TwitterService integration
+async function startCleanBioVerification(chatId) {
+    try {
+        await bot.sendMessage(chatId, 
+            `🐦 Twitter Account Verification\n\n` +
+            `To prevent fraud, we need to verify you own this Twitter account.\n\n` +
+            `📝 Step 1: Enter your Twitter username (without @):\n\n` +
+            `Example: john_doe`
+        );
+        
+        // Wait for the Twitter handle
+        await conversations.start(chatId, 'twitter', 'handle', {}, { ttlMinutes: 5 });
+        
+    } catch (error) {
+        console.error('❌ Error in startCleanBioVerification:', error);
+    }
+}
+
+// "change" reply after /twitter on an already verified account
+async function handleTwitterChangeReply(msg) {
+    const chatId = msg.chat.id;
+    
+    if (!msg.text.toLowerCase().includes('change')) return;
+    
+    // Reset verification
+    await User.findOneAndUpdate(
+        { telegramId: chatId.toString() },
+        { 
+            twitterHandle: null,
+            twitterVerified: false,
+            verificationCode: null,
+            verificationStatus: 'unverified',
+            verificationMethod: null,
+            verificationRetry: { attempts: 0, nextAttemptAt: null, lastError: null }
+        }
+    );
+    
+    await conversations.end(chatId);
+    await bot.sendMessage(chatId, '🔄 Twitter account reset. Let\'s verify your new account!');
+    await startCleanBioVerification(chatId);
+}
+
+async function handleTwitterHandleReply(msg) {
+    const chatId = msg.chat.id;
+    
+    try {
+        const twitterHandle = msg.text.trim().replace('@', '').toLowerCase();
+        
+        // Validate Twitter handle format
+        if (!isValidTwitterHandle(twitterHandle)) {
+            await conversations.end(chatId);
+            await bot.sendMessage(chatId, 
+                `❌ Invalid Twitter handle format.\n\n` +
+                `Please use only letters, numbers, and underscores.\n` +
+                `Try again with /twitter`
+            );
+            return;
+        }
+        
+        // Check if handle is already verified by another user
+        const existingUser = await User.findOne({ 
+            twitterHandle: twitterHandle,
+            twitterVerified: true,
+            telegramId: { $ne: chatId.toString() }
+        });
+        
+        if (existingUser) {
+            await conversations.end(chatId);
+            await bot.sendMessage(chatId, 
+                `❌ This Twitter handle is already verified by another user.\n\n` +
+                `If this is your account, please contact support.\n` +
+                `Otherwise, try a different handle with /twitter`
+            );
+            return;
+        }
+        
+        // Generate verification code
+        const verificationCode = generateVerificationCode();
+        
+        // Update user with unverified handle and code
+        await User.findOneAndUpdate(
+            { telegramId: chatId.toString() },
+            { 
+                twitterHandle: twitterHandle,
+                twitterVerified: false,
+                verificationCode: verificationCode,
+                verificationExpires: new Date(Date.now() + 30 * 60 * 1000), // 30 minutes
+                verificationStatus: 'awaiting_code',
+                verificationMethod: null,
+                verificationRetry: { attempts: 0, nextAttemptAt: null, lastError: null }
+            }
+        );
+        
+        // Wait for "verify" until the code expires
+        await conversations.start(chatId, 'twitter', 'verify', { twitterHandle, verificationCode }, { ttlMinutes: 30 });
+        
+        // Send BIO verification instructions
+        await bot.sendMessage(chatId, 
+            `🔐 Twitter Bio Verification\n\n` +
+            `👤 Handle: @${twitterHandle}\n` +
+            `🔑 Code: ${verificationCode}\n\n` +
+            `📝 Step 2: Add this code to your Twitter bio:\n\n` +
+            `"${verificationCode}"\n\n` +
+            `💡 You can add it anywhere in your bio. Examples:\n` +
+            `• "Developer | Designer ${verificationCode}"\n` +
+            `• "${verificationCode} Love coding and design"\n` +
+            `• "Building cool stuff ${verificationCode} DM open"\n\n` +
+            `⏰ You have 30 minutes to update your bio.\n\n` +
+            `After updating your bio, reply "verify" to check.`
+        );
+        
+        console.log(`🔐 Bio verification code generated for @${twitterHandle}: ${verificationCode}`);
+        
+    } catch (error) {
+        console.error('❌ Error starting verification:', error);
+        await conversations.end(chatId);
+        await bot.sendMessage(chatId, 'Sorry, there was an error starting verification. Please try again.');
+    }
+}
+
+// Keeps listening until verification succeeds or the code expires
+async function handleTwitterVerifyReply(msg, state) {
+    const chatId = msg.chat.id;
+    const text = msg.text.toLowerCase();
+    const { twitterHandle, verificationCode } = state.payload;
+    
+    console.log(`📥 Message received from ${chatId}: "${msg.text}"`);
+    
+    // "force" only means something where the dev bypass is allowed
+    const wantsBypass = verificationService.devBypassEnabled && text.includes('force');
+    
+    if (!text.includes('verify') && !wantsBypass) return;
+    
+    console.log(`🔍 Processing verification attempt for ${chatId}`);
+    
+    try {
+        let success = false;
+        
+        if (wantsBypass) {
+            console.log(`🔧 Dev bypass verification requested for ${chatId}`);
+            success = await devBypassVerification(chatId, twitterHandle, verificationCode);
+        } else {
+            success = await checkCleanBioVerification(chatId, twitterHandle, verificationCode);
+        }
+        
+        // Only end the conversation if verification was successful
+        if (success) {
+            console.log(`✅ Verification successful, ending conversation for ${chatId}`);
+            await conversations.end(chatId);
+        } else {
+            console.log(`❌ Verification not completed, keeping conversation active for ${chatId}`);
+        }
+    } catch (error) {
+        console.error('❌ Verification error:', error);
+        await bot.sendMessage(chatId, 'Error during verification. Please try again.');
+    }
+}
+
+// Local testing without Twitter API access (VERIFICATION_DEV_BYPASS, never in production)
+async function devBypassVerification(chatId, twitterHandle, verificationCode) {
+    try {
+        const user = await User.findOne({ 
+            telegramId: chatId.toString(),
+            verificationCode: verificationCode
+        });
+        
+        if (!user) {
+            await bot.sendMessage(chatId, 'Verification session not found. Please restart with /twitter');
+            return false;
+        }
+        
+        await verificationService.markVerified(user, {
+            method: 'dev_bypass',
+            trigger: 'user',
+            detail: `Bypassed bio check in ${verificationService.environment}`
+        });
+        
+        await bot.sendMessage(chatId, 
+            `🔧 Dev bypass: @${twitterHandle} marked as verified without checking the bio.\n\n` +
+            `No Twitter metrics were fetched for this account.`
+        );
+        
+        console.log(`🔧 Dev bypass verification for @${twitterHandle} (user ${chatId})`);
+        return true;
+        
+    } catch (error) {
+        console.error('❌ Error in dev bypass verification:', error);
+        await bot.sendMessage(chatId, 'Error during dev bypass verification.');
+        return false;
+    }
+}
+
+// Follower/engagement figures saved when an account is verified
+async function buildTwitterMetrics(profile, twitterHandle) {
+    if (!profile) return {};
+    
+    try {
+        return await verificationService.twitterService.getAccountMetrics(twitterHandle, profile);
+    } catch (metricsError) {
+        console.log('⚠️ Error calculating metrics, using defaults:', metricsError.message);
+        return {};
+    }
+}
+
+// Save the latest numbers on the user and keep a snapshot for history
+async function recordTwitterMetrics(user, metrics, source) {
+    if (metrics.followers === undefined) return;
+    
+    // Stored as a percentage, capped at 10%; handler selection gives full marks from 5% (see handler-scoring.js)
+    const engagementRate = metrics.followers > 0
+        ? Math.min(10, Math.round((metrics.averageEngagement / metrics.followers) * 10000) / 100)
+        : user.engagementRate;
+    
+    await User.findByIdAndUpdate(user._id, {
+        twitterMetrics: { ...metrics, refreshedAt: new Date() },
+        engagementRate: engagementRate
+    });
+    
+    await TwitterMetricsSnapshot.create({
+        userId: user.telegramId,
+        twitterHandle: user.twitterHandle,
+        ...metrics,
+        engagementRate: engagementRate,
+        source: source
+    });
+    
+    // New numbers can change how suspicious the account looks
+    try {
+        await fraudService.assess(await User.findById(user._id));
+    } catch (error) {
+        console.error(`❌ Fraud assessment failed for ${user.telegramId}:`, error.message);
+    }
+}
+
+function buildVerifiedMessage(twitterHandle, twitterMetrics, verificationCode) {
+    let message = `🎉 Twitter Account Verified Successfully!\n\n` +
+                 `✅ @${twitterHandle} is now linked to your account.\n`;
+    
+    if (twitterMetrics.followers) {
+        message += `👥 Followers: ${twitterMetrics.followers.toLocaleString()}\n`;
+        message += `📊 Engagement Score: ${twitterMetrics.userValue}/100\n`;
+        if (twitterMetrics.verified) {
+            message += `✅ Verified Account\n`;
+        }
+    }
+    
+    message += `\nYou can now:\n` +
+              `• Complete your profile for bonus earnings: /profile\n` +
+              `• Check available campaigns: /campaigns\n\n` +
+              `💡 You can remove "${verificationCode}" from your bio now.`;
+    
+    return message;
+}
+
+function buildRetryMessage(twitterHandle, verificationCode, nextAttemptAt) {
+    return `⏳ Verification Pending\n\n` +
+           `We couldn't reach Twitter to check @${twitterHandle}'s bio right now.\n\n` +
+           `We'll check again automatically around ${nextAttemptAt.toLocaleTimeString()} and message you with the result.\n` +
+           `💡 Keep "${verificationCode}" in your bio until then.`;
+}
+
+async function checkCleanBioVerification(chatId, twitterHandle, verificationCode) {
+    try {
+        await bot.sendMessage(chatId, '🔍 Checking your Twitter bio for the verification code...');
+        
+        console.log(`🔍 Starting verification for ${twitterHandle} with code ${verificationCode}`);
+        
+        // Check if verification is still valid
+        const user = await User.findOne({ 
+            telegramId: chatId.toString(),
+            verificationCode: verificationCode
+        });
+        
+        if (!user) {
+            console.log('❌ No user found with verification code');
+            await bot.sendMessage(chatId, 
+                `❌ Verification session not found.\n\n` +
+                `Please start over with /twitter`
+            );
+            return false;
+        }
+        
+        // A pending retry keeps its code alive past the normal 30 minutes
+        if (user.verificationStatus !== 'verification_pending_retry' && new Date() > user.verificationExpires) {
+            console.log('❌ Verification expired');
+            await bot.sendMessage(chatId, 
+                `⏰ Verification Expired\n\n` +
+                `Your verification session has expired.\n` +
+                `Please start over with /twitter`
+            );
+            return false;
+        }
+        
+        console.log('✅ Verification is valid, checking bio...');
+        
+        const result = await verificationService.checkBio(twitterHandle, verificationCode);
+        
+        console.log(`📋 Verification outcome for @${twitterHandle}: ${result.outcome}`);
+        
+        if (result.outcome === 'retry') {
+            console.log(`⏳ Twitter API unavailable for @${twitterHandle}, scheduling recheck:`, result.error.message);
+            
+            const nextAttemptAt = await verificationService.scheduleRetry(user, { trigger: 'user', error: result.error });
+            await bot.sendMessage(chatId, buildRetryMessage(twitterHandle, verificationCode, nextAttemptAt));
+            
+            return false;
+        }
+        
+        if (result.outcome === 'verified') {
+            console.log('✅ Verification successful, updating user...');
+            
+            const twitterMetrics = await buildTwitterMetrics(result.profile, twitterHandle);
+            
+            await verificationService.markVerified(user, {
+                method: 'bio_code',
+                trigger: 'user'
+            });
+            await recordTwitterMetrics(user, twitterMetrics, 'verification');
+            
+            await bot.sendMessage(chatId, buildVerifiedMessage(twitterHandle, twitterMetrics, verificationCode));
+            
+            console.log(`✅ Twitter verified: @${twitterHandle} for user ${chatId}`);
+            
+            return true; // Verification successful
+        }
+        
+        console.log('❌ Bio verification failed');
+        await verificationService.markFailed(user, { trigger: 'user', reason: result.reason });
+        
+        await bot.sendMessage(chatId, 
+            `❌ Verification Failed\n\n` +
+            `We couldn't find the code "${verificationCode}" in @${twitterHandle}'s bio.\n\n` +
+            `Please make sure:\n` +
+            `• You added the exact code: ${verificationCode}\n` +
+            `• Your Twitter profile is public (not private)\n` +
+            `• You saved the bio changes\n` +
+            `• You waited a few minutes after updating\n\n` +
+            `💡 Try again by replying "verify" or restart with /twitter\n` +
+            `🔍 Make sure the code is visible in your bio!`
+        );
+        
+        return false; // Verification failed, allow retry
+        
+    } catch (error) {
+        console.error('❌ Error in checkCleanBioVerification:', error);
+        console.error('❌ Error stack:', error.stack);
+        
+        await bot.sendMessage(chatId, 
+            `⚠️ Verification Error\n\n` +
+            `There was a technical error: ${error.message}\n\n` +
+            `Please try again with /twitter or contact support.`
+        );
+        
+        return false; // Error occurred, allow retry
+    }
+}
+
+// =================== SMART PROFILING SYSTEM ===================
+
+// /profile command
+bot.onText(/\/profile/, async (msg) => {
+    const chatId = msg.chat.id;
+    
+    console.log(`📱 /profile command received from user: ${chatId}`);
+    
+    try {
+        const user = await User.findOne({ telegramId: chatId.toString() });
+        
+        if (!user) {
+            await bot.sendMessage(chatId, `Please register first with /start`);
+            return;
+        }
+        
+        if (!user.twitterHandle || !user.twitterVerified) {
+            await bot.sendMessage(chatId, 
+                `🐦 Please verify your Twitter account first!\n\n` +
+                `Use /twitter to link and verify your account.`
+            );
+            return;
+        }
+        
+        // A questionnaire left part-way through is kept until it's finished or restarted
+        const inProgress = await ProfilingState.findOne({ userId: chatId.toString() });
+        
+        if (inProgress) {
+            const progress = await getProfilingProgress(inProgress);
+            
+            await bot.sendMessage(chatId, 
+                `⏸️ You have an unfinished profile questionnaire\n\n` +
+                `${formatProgressBar(progress.answered, progress.total)} ${progress.answered}/${progress.total} answered\n\n` +
+                `Reply "continue" to pick up where you left off, or "restart" to start over.`
+            );
+            
+            await conversations.start(chatId, 'profile', 'confirm_resume', {}, { ttlMinutes: 5 });
+            return;
+        }
+        
+        if (!user.profileCompleted) {
+            await bot.sendMessage(chatId, 
+                `🧠 Complete Your Profile for Bonus Earnings!\n\n` +
+                `📈 Benefits:\n` +
+                `• 15% base bonus on all campaigns\n` +
+                `• Up to 25% bonus for perfect matches\n` +
+                `• Priority for campaigns in your interests\n` +
+                `• Better role assignments\n\n` +
+                `⏱️ Takes just 2 minutes!\n\n` +
+                `Reply "start" to begin the profile questionnaire.`
+            );
+            
+            // Wait for confirmation
+            await conversations.start(chatId, 'profile', 'confirm_start', {}, { ttlMinutes: 2 });
+            
+            return;
+        }
+        
+        // Show completed profile
+        const profile = user.profile;
+        const answeredVersion = user.profileAnswers && user.profileAnswers.version;
+        const questionnaire = answeredVersion 
+            ? await questionnaireService.getVersion(PROFILING_QUESTIONNAIRE_KEY, answeredVersion) 
+            : null;
+        const message = 
+            `👤 Your Profile Summary\n\n` +
+            `🎯 Profile Type: ${profile.primaryProfile.label}\n` +
+            `📝 Description: ${profile.primaryProfile.description}\n\n` +
+            formatPersonaDetails(profile, questionnaire) +
+            formatTagSummary(user) + '\n' +
+            `💰 Spending Power: ${profile.spendingPower.replace('_', ' ').toUpperCase()}\n` +
+            `🎭 Authenticity Score: ${profile.authenticityScore}/100\n` +
+            `⭐ Marketing Value: ${profile.marketingValue.toUpperCase()}\n\n` +
+            `✨ Best Campaign Types:\n` +
+            profile.recommendedCampaignTypes.map(type => `• ${type}`).join('\n') + '\n\n' +
+            `💰 Earnings Bonus: ${profile.authenticityScore > 80 ? '15-25%' : '15%'}\n\n` +
+            `🏷️ Update your tags with /interests and /location\n` +
+            `🔄 Want to retake the questionnaire? Reply "retake"`;
+        
+        await bot.sendMessage(chatId, message);
+        
+        // Allow profile retaking
+        await conversations.start(chatId, 'profile', 'confirm_retake', {}, { ttlMinutes: 2 });
+        
+    } catch (error) {
+        console.error('❌ Error in /profile command:', error);
+        await bot.sendMessage(chatId, 'Sorry, there was an error loading your profile. Please try again.');
+    }
+});
+
+async function handleProfileStartReply(msg) {
+    if (!msg.text.toLowerCase().includes('start')) return;
+    
+    await conversations.end(msg.chat.id);
+    await startSmartProfiling(msg.chat.id);
+}
+
+async function handleProfileRetakeReply(msg) {
+    if (!msg.text.toLowerCase().includes('retake')) return;
+    
+    await conversations.end(msg.chat.id);
+    await bot.sendMessage(msg.chat.id, `🔄 Retaking profile questionnaire...`);
+    await startSmartProfiling(msg.chat.id);
+}
+
+async function handleProfileResumeReply(msg) {
+    const text = msg.text.toLowerCase();
+    
+    // Check "restart" first - it contains "start"
+    if (text.includes('restart')) {
+        await conversations.end(msg.chat.id);
+        await bot.sendMessage(msg.chat.id, `🔄 Starting the questionnaire over...`);
+        await startSmartProfiling(msg.chat.id);
+        return;
+    }
+    
+    if (text.includes('continue')) {
+        await conversations.end(msg.chat.id);
+        await askProfilingQuestion(msg.chat.id);
+    }
+}
+
+async function startSmartProfiling(chatId) {
+    try {
+        const questionnaire = await questionnaireService.getActive(PROFILING_QUESTIONNAIRE_KEY);
+        const firstQuestion = questionnaireService.getNextQuestion(questionnaire, {});
+        
+        // Clear any existing state first
+        await ProfilingState.deleteOne({ userId: chatId.toString() });
+        
+        // Create new profiling state, pinned to the current questionnaire version
+        const profilingState = new ProfilingState({
+            userId: chatId.toString(),
+            questionnaireVersion: questionnaire.version,
+            currentQuestionId: firstQuestion.id,
+            answers: {},
+            history: []
+        });
+        
+        await profilingState.save();
+        
+        console.log(`🧠 Started profiling (v${questionnaire.version}) for user ${chatId}`);
+        
+        askProfilingQuestion(chatId);
+    } catch (error) {
+        console.error('❌ Error starting profiling:', error);
+        await bot.sendMessage(chatId, 'Sorry, there was an error starting your profile. Please try again with /profile');
+    }
+}
+
+// The questionnaire version a profiling session was started on
+async function getSessionQuestionnaire(state) {
+    return questionnaireService.getVersion(PROFILING_QUESTIONNAIRE_KEY, state.questionnaireVersion);
+}
+
+// Where the user is, counted against the questions the skip logic leaves on their path
+async function getProfilingProgress(state, questionnaire) {
+    questionnaire = questionnaire || await getSessionQuestionnaire(state);
+    
+    const path = questionnaireService.getPath(questionnaire, state.answers);
+    const position = path.findIndex(question => question.id === state.currentQuestionId);
+    
+    return {
+        answered: path.filter(question => state.history.includes(question.id)).length,
+        total: path.length,
+        questionNumber: position > -1 ? position + 1 : path.length
+    };
+}
+
+// "▰▰▰▱▱▱▱▱▱▱ 30%"
+function formatProgressBar(done, total) {
+    const ratio = total > 0 ? done / total : 0;
+    const filled = Math.round(ratio * 10);
+    return `${'▰'.repeat(filled)}${'▱'.repeat(10 - filled)} ${Math.round(ratio * 100)}%`;
+}
+
+async function askProfilingQuestion(chatId) {
+    try {
+        const state = await ProfilingState.findOne({ userId: chatId.toString() });
+        
+        if (!state) {
+            console.log(`❌ No state found for user ${chatId}, restarting profiling`);
+            startSmartProfiling(chatId);
+            return;
+        }
+        
+        const questionnaire = await getSessionQuestionnaire(state);
+        const question = state.currentQuestionId 
+            ? questionnaireService.getQuestion(questionnaire, state.currentQuestionId) 
+            : null;
+        
+        if (!question) {
+            completeUserProfile(chatId);
+            return;
+        }
+        
+        const progress = await getProfilingProgress(state, questionnaire);
+        
+        console.log(`❓ Asking question ${progress.questionNumber}/${progress.total} to user ${chatId}: ${question.id}`);
+        
+        let message = `📊 Profile Question ${progress.questionNumber}/${progress.total}\n`;
+        message += `${formatProgressBar(progress.answered, progress.total)}\n\n`;
+        message += `${question.prompt}\n\n`;
+        
+        // Previous answers stay ticked when the user comes back to a question
+        const previousAnswer = state.answers[question.id];
+        const selected = previousAnswer === undefined ? [] : [].concat(previousAnswer);
+        
+        // Create inline keyboard with options
+        const keyboard = question.options.map((option, index) => {
+            let text = `${index + 1}. ${option.label}`;
+            
+            // Add checkmark if already selected
+            if (selected.includes(option.id)) {
+                text = `✅ ${text}`;
+            }
+            
+            return [{ text: text, callback_data: `profile:${question.id}:${option.id}` }];
+        });
+        
+        // Add "Done" button for multiple choice questions
+        if (question.type === 'multiple') {
+            if (selected.length > 0) {
+                keyboard.push([{ 
+                    text: `✅ Done (${selected.length} selected)`, 
+                    callback_data: `profile:${question.id}:done` 
+                }]);
+            }
+            message += `💡 You can select multiple options. Tap "Done" when finished.`;
+        }
+        
+        if (state.history.length > 0) {
+            keyboard.push([{ text: '⬅️ Back', callback_data: `profile:${question.id}:back` }]);
+        }
+        
+        await bot.sendMessage(chatId, message, {
+            reply_markup: {
+                inline_keyboard: keyboard
+            }
+        });
+        
+        console.log(`✅ Question sent successfully to ${chatId}`);
+        
+    } catch (error) {
+        console.error('❌ Error asking profiling question:', error);
+        await bot.sendMessage(chatId, 'Sorry, there was an error with the profiling. Please try again with /profile');
+    }
+}
+
+// Store an answer and move on to the next question the skip logic allows
+async function advanceProfiling(chatId, state, questionnaire, question) {
+    const nextQuestion = questionnaireService.getNextQuestion(questionnaire, state.answers, question.id);
+    
+    state.currentQuestionId = nextQuestion ? nextQuestion.id : null;
+    state.history = [...state.history, question.id];
+    state.markModified('answers');
+    await state.save();
+    
+    setTimeout(() => {
+        askProfilingQuestion(chatId);
+    }, 1500);
+}
+
+// Handle profiling answers
+bot.on('callback_query', async (query) => {
+    console.log('🔍 Callback query received:', query.data);
+    
+    const chatId = query.message.chat.id;
+    const data = query.data;
+    // Shown to the user as a toast when the callback is answered
+    let notice = null;
+    
+    if (data.startsWith('tags:') || data.startsWith('loc:')) {
+        try {
+            notice = data.startsWith('tags:') ? await handleInterestCallback(query) : await handleLocationCallback(query);
+        } catch (error) {
+            console.error('❌ Error handling tag callback:', error);
+            await bot.sendMessage(chatId, 'Sorry, there was an error saving that. Please try again.');
+        }
+    }
+    
+    if (data.startsWith('withdraw_')) {
+        await handleWithdrawCallback(query);
+    }
+    
+    if (data.startsWith('submit_')) {
+        await askForSubmission(chatId, data.replace('submit_', ''));
+    }
+    
+    if (data.startsWith('profile:') || data.startsWith('profile_')) {
+        console.log('📊 Processing profile callback:', data);
+        
+        try {
+            // profile:<question id>:<option id or 'done'>
+            const [, questionId, action] = data.split(':');
+            
+            console.log('🔍 Parsed questionId:', questionId, 'action:', action);
+            
+            let state = await ProfilingState.findOne({ userId: chatId.toString() });
+            
+            // Finished or restarted questionnaire ('profile_' buttons come from before questionnaires were versioned)
+            if (!state || data.startsWith('profile_')) {
+                console.log('❌ No active questionnaire for this button');
+                await bot.sendMessage(chatId, 
+                    `🔄 That questionnaire is no longer active.\n\n` +
+                    `Use /profile to see your profile or start again.`
+                );
+                await bot.answerCallbackQuery(query.id);
+                return;
+            }
+            
+            const questionnaire = await getSessionQuestionnaire(state);
+            const question = questionnaireService.getQuestion(questionnaire, questionId);
+            
+            // Buttons left on an earlier question's message
+            if (!question || question.id !== state.currentQuestionId) {
+                console.log('❌ Stale question key:', questionId);
+                await bot.answerCallbackQuery(query.id);
+                return;
+            }
+            
+            // Go back to the previous question; its answer stays ticked until they change it
+            if (action === 'back') {
+                const previousQuestionId = state.history[state.history.length - 1];
+                
+                if (previousQuestionId) {
+                    state.history = state.history.slice(0, -1);
+                    state.currentQuestionId = previousQuestionId;
+                    await state.save();
+                    
+                    await bot.editMessageText(`⬅️ ${question.prompt}\n\nGoing back to the previous question...`, {
+                        chat_id: chatId,
+                        message_id: query.message.message_id
+                    });
+                    
+                    askProfilingQuestion(chatId);
+                }
+                await bot.answerCallbackQuery(query.id);
+                return;
+            }
+            
+            // Handle "Done" for multiple choice
+            if (action === 'done') {
+                const selectedOptions = state.answers[question.id] || [];
+                
+                if (question.type === 'multiple' && selectedOptions.length > 0) {
+                    await bot.editMessageText(
+                        `✅ ${question.prompt}\n\nYour answers: ${questionnaireService.describeAnswer(question, selectedOptions)}`,
+                        {
+                            chat_id: chatId,
+                            message_id: query.message.message_id
+                        }
+                    );
+                    
+                    await advanceProfiling(chatId, state, questionnaire, question);
+                }
+                await bot.answerCallbackQuery(query.id);
+                return;
+            }
+            
+            // Handle option selection
+            const selectedOption = question.options.find(option => option.id === action);
+            
+            if (!selectedOption) {
+                console.log('❌ Invalid option id:', action);
+                await bot.answerCallbackQuery(query.id);
+                return;
+            }
+            
+            console.log(`✅ Option selected: ${question.id} = ${selectedOption.id}`);
+            
+            if (question.type === 'multiple') {
+                // Toggle selection
+                const currentAnswers = [...(state.answers[question.id] || [])];
+                const index = currentAnswers.indexOf(selectedOption.id);
+                
+                if (index > -1) {
+                    // Remove if already selected
+                    currentAnswers.splice(index, 1);
+                    console.log(`➖ Removed selection: ${selectedOption.id}`);
+                } else {
+                    // Add if not selected
+                    currentAnswers.push(selectedOption.id);
+                    console.log(`➕ Added selection: ${selectedOption.id}`);
+                }
+                
+                // Save state
+                state.answers = { ...state.answers, [question.id]: currentAnswers };
+                state.markModified('answers');
+                await state.save();
+                
+                // Re-ask the same question with updated selections
+                askProfilingQuestion(chatId);
+                
+            } else {
+                // Handle single choice
+                state.answers = { ...state.answers, [question.id]: selectedOption.id };
+                
+                await bot.editMessageText(
+                    `✅ ${question.prompt}\n\nYour answer: ${selectedOption.label}`,
+                    {
+                        chat_id: chatId,
+                        message_id: query.message.message_id
+                    }
+                );
+                
+                await advanceProfiling(chatId, state, questionnaire, question);
+            }
+            
+        } catch (error) {
+            console.error('❌ Error handling callback query:', error);
+            await bot.sendMessage(chatId, 'Sorry, there was an error processing your selection. Please try again.');
+        }
+    }
+    
+    try {
+        await bot.answerCallbackQuery(query.id, notice ? { text: notice } : {});
+    } catch (error) {
+        console.log('❌ Answer callback query error:', error.message);
+    }
+});
+
+async function completeUserProfile(chatId) {
+    try {
+        const state = await ProfilingState.findOne({ userId: chatId.toString() });
+        
+        if (!state) {
+            console.log('❌ No profiling state found for completion');
+            return;
+        }
+        
+        // Generate user persona with the scoring rules of the version they answered
+        const questionnaire = await getSessionQuestionnaire(state);
+        const answers = questionnaireService.pruneAnswers(questionnaire, state.answers);
+        const rules = await questionnaireService.getScoringQuestionnaire(questionnaire);
+        const persona = await questionnaireService.analyze(questionnaire, answers);
+        
+        // Update user in database
+        await User.findOneAndUpdate(
+            { telegramId: chatId.toString() },
+            { 
+                profile: persona,
+                profileAnswers: {
+                    questionnaire: PROFILING_QUESTIONNAIRE_KEY,
+                    version: questionnaire.version,
+                    answers: answers,
+                    completedAt: new Date()
+                },
+                profileAnalyzedVersion: rules.version,
+                profileCompleted: true,
+                profileCompletedAt: new Date()
+            }
+        );
+        
+        // Send personalized completion message
+        const completionMessage = generateCompletionMessage(persona, questionnaire);
+        
+        await bot.sendMessage(chatId, completionMessage);
+        
+        // Clean up profiling state
+        await ProfilingState.deleteOne({ userId: chatId.toString() });
+        
+        console.log(`🧠 Profile completed for user ${chatId}: ${persona.primaryProfile.label}`);
+        
+    } catch (error) {
+        console.error('❌ Error completing user profile:', error);
+        await bot.sendMessage(chatId, 'Sorry, there was an error completing your profile. Please try again.');
+    }
+}
+
+// Secondary personas and the answers behind the result, e.g. "🔍 Why: Classes and campus life 📚, ..."
+function formatPersonaDetails(persona, questionnaire) {
+    let details = '';
+    
+    if (persona.secondaryProfiles && persona.secondaryProfiles.length > 0) {
+        details += `🪄 Also a fit: ${persona.secondaryProfiles
+            .map(profile => `${profile.label} (${Math.round(profile.confidence * 100)}%)`)
+            .join(', ')}\n`;
+    }
+    
+    if (questionnaire && persona.explanation && persona.explanation.length > 0) {
+        const reasons = persona.explanation.slice(0, 3).map(driver => {
+            const question = questionnaireService.getQuestion(questionnaire, driver.question);
+            return question ? questionnaireService.describeAnswer(question, driver.option) : driver.option;
+        });
+        details += `🔍 Why: ${reasons.join(', ')}\n`;
+    }
+    
+    return details ? `${details}\n` : '';
+}
+
+function generateCompletionMessage(persona, questionnaire) {
+    const confidence = persona.primaryProfile.confidence !== undefined 
+        ? ` (${Math.round(persona.primaryProfile.confidence * 100)}% match)` 
+        : '';
+    
+    return `🎉 Profile Complete!\n\n` +
+           `Your Profile: **${persona.primaryProfile.label}**${confidence}\n` +
+           `${persona.primaryProfile.description}\n\n` +
+           formatPersonaDetails(persona, questionnaire) +
+           `💰 Spending Power: ${persona.spendingPower.replace('_', ' ').toUpperCase()}\n` +
+           `🎯 Authenticity Score: ${persona.authenticityScore}/100\n\n` +
+           `✨ You're perfect for these campaign types:\n` +
+           persona.recommendedCampaignTypes.map(type => `• ${type}`).join('\n') + '\n\n' +
+           `💰 Earnings Boost: You'll now earn 15-25% more on campaigns!\n\n` +
+           `🏷️ Add /interests and /location to get matched to targeted campaigns\n\n` +
+           `🚀 You're all set! Use /campaigns to see what's available!`;
+}
+
+// =================== INTERESTS & LOCATION ===================
+
+function buildInterestKeyboard(selected) {
+    const rows = [];
+    
+    for (let i = 0; i < INTEREST_TAGS.length; i += 2) {
+        rows.push(INTEREST_TAGS.slice(i, i + 2).map(tag => ({
+            text: selected.includes(tag.id) ? `✅ ${tag.label}` : tag.label,
+            callback_data: `tags:${tag.id}`
+        })));
+    }
+    
+    rows.push([{ text: `💾 Done (${selected.length} selected)`, callback_data: 'tags:done' }]);
+    return rows;
+}
+
+function formatTagSummary(user) {
+    const interests = (user.interests || []).map(getInterestLabel).join(', ') || 'None yet';
+    const location = user.location && user.location.state
+        ? [user.location.city, getStateLabel(user.location.state)].filter(Boolean).join(', ')
+        : 'Not set';
+    
+    return `🏷️ Interests: ${interests}\n📍 Location: ${location}\n`;
+}
+
+// /interests command - pick the topics a handler posts about
+bot.onText(/\/interests/, async (msg) => {
+    const chatId = msg.chat.id;
+    
+    console.log(`📱 /interests command received from user: ${chatId}`);
+    
+    try {
+        const user = await User.findOne({ telegramId: chatId.toString() });
+        
+        if (!user) {
+            await bot.sendMessage(chatId, `Please register first with /start`);
+            return;
+        }
+        
+        await bot.sendMessage(chatId, 
+            `🏷️ What do you post about?\n\n` +
+            `Pick up to ${MAX_INTERESTS} topics. Campaigns targeting them will be matched to you first.`,
+            {
+                reply_markup: {
+                    inline_keyboard: buildInterestKeyboard(user.interests || [])
+                }
+            }
+        );
+    } catch (error) {
+        console.error('❌ Error in /interests command:', error);
+        await bot.sendMessage(chatId, 'Sorry, there was an error loading your interests. Please try again.');
+    }
+});
+
+// Toggle one interest tag, or close the picker. Returns a notice for the callback answer, if any.
+async function handleInterestCallback(query) {
+    const chatId = query.message.chat.id;
+    const tagId = query.data.replace('tags:', '');
+    const user = await User.findOne({ telegramId: chatId.toString() });
+    
+    if (!user) return 'Please register first with /start';
+    
+    if (tagId === 'done') {
+        await bot.editMessageText(
+            `✅ Interests saved\n\n${formatTagSummary(user)}\n💡 Change them any time with /interests`,
+            {
+                chat_id: chatId,
+                message_id: query.message.message_id
+            }
+        );
+        return null;
+    }
+    
+    if (!INTEREST_TAGS.some(tag => tag.id === tagId)) return null;
+    
+    let updated;
+    if ((user.interests || []).includes(tagId)) {
+        updated = await User.findByIdAndUpdate(user._id, { $pull: { interests: tagId } }, { new: true });
+    } else {
+        // Only add while under the limit, so quick double taps can't go over it
+        updated = await User.findOneAndUpdate(
+            { _id: user._id, [`interests.${MAX_INTERESTS - 1}`]: { $exists: false } },
+            { $addToSet: { interests: tagId } },
+            { new: true }
+        );
+        
+        if (!updated) return `You can pick up to ${MAX_INTERESTS} interests`;
+    }
+    
+    await bot.editMessageReplyMarkup(
+        { inline_keyboard: buildInterestKeyboard(updated.interests) },
+        {
+            chat_id: chatId,
+            message_id: query.message.message_id
+        }
+    );
+    return null;
+}
+
+// /location command - state from a keyboard, then an optional city
+bot.onText(/\/location/, async (msg) => {
+    const chatId = msg.chat.id;
+    
+    console.log(`📱 /location command received from user: ${chatId}`);
+    
+    try {
+        const user = await User.findOne({ telegramId: chatId.toString() });
+        
+        if (!user) {
+            await bot.sendMessage(chatId, `Please register first with /start`);
+            return;
+        }
+        
+        const keyboard = [];
+        for (let i = 0; i < NIGERIAN_STATES.length; i += 3) {
+            keyboard.push(NIGERIAN_STATES.slice(i, i + 3).map(state => ({
+                text: state.label,
+                callback_data: `loc:${state.id}`
+            })));
+        }
+        
+        await bot.sendMessage(chatId, `📍 Which state are you in?`, {
+            reply_markup: {
+                inline_keyboard: keyboard
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error in /location command:', error);
+        await bot.sendMessage(chatId, 'Sorry, there was an error loading the state list. Please try again.');
+    }
+});
+
+async function handleLocationCallback(query) {
+    const chatId = query.message.chat.id;
+    const stateId = query.data.replace('loc:', '');
+    
+    if (!NIGERIAN_STATES.some(state => state.id === stateId)) return null;
+    
+    const user = await User.findOneAndUpdate(
+        { telegramId: chatId.toString() },
+        { location: { state: stateId, city: null, updatedAt: new Date() } },
+        { new: true }
+    );
+    
+    if (!user) return 'Please register first with /start';
+    
+    await bot.editMessageText(`📍 State: ${getStateLabel(stateId)}`, {
+        chat_id: chatId,
+        message_id: query.message.message_id
+    });
+    
+    await bot.sendMessage(chatId, 
+        `🏙️ Which city or town? (e.g. Ikeja, Port Harcourt)\n\n` +
+        `Reply "skip" to leave it out.`
+    );
+    
+    await conversations.start(chatId, 'location', 'city', {}, { ttlMinutes: 10 });
+    return null;
+}
+
+async function handleLocationCityReply(msg) {
+    const chatId = msg.chat.id;
+    const city = msg.text.trim();
+    
+    if (city.toLowerCase() === 'skip') {
+        await conversations.end(chatId);
+        await bot.sendMessage(chatId, `✅ Location saved. Change it any time with /location`);
+        return;
+    }
+    
+    if (city.length < 2 || city.length > 50) {
+        await bot.sendMessage(chatId, `❌ Please send just the city or town name, or "skip".`);
+        return;
+    }
+    
+    const user = await User.findOneAndUpdate(
+        { telegramId: chatId.toString() },
+        { 'location.city': city, 'location.updatedAt': new Date() },
+        { new: true }
+    );
+    
+    await conversations.end(chatId);
+    await bot.sendMessage(chatId, 
+        `✅ Location saved\n\n${formatTagSummary(user)}\n` +
+        `💡 Change it any time with /location`
+    );
+}
+
+// =================== OTHER BOT COMMANDS ===================
+
+// /campaigns command
+bot.onText(/\/campaigns/, async (msg) => {
+    const chatId = msg.chat.id;
+    
+    console.log(`📱 /campaigns command received from user: ${chatId}`);
+    
+    try {
+        const user = await User.findOne({ telegramId: chatId.toString() });
+        
+        if (!user) {
+            await bot.sendMessage(chatId, `Please register first with /start`);
+            return;
+        }
+        
+        if (!user.twitterHandle || !user.twitterVerified) {
+            await bot.sendMessage(chatId, 
+                `🐦 Please verify your Twitter account first!\n\n` +
+                `Use /twitter to link and verify your account.`
+            );
+            return;
+        }
+        
+        const availableCampaigns = await Campaign.find({ 
+            status: { $in: ['pending', 'active'] } 
+        }).sort({ createdAt: -1 });
+        
+        if (availableCampaigns.length === 0) {
+            let message = `📋 No Active Campaigns\n\n` +
+                         `There are no campaigns available right now.\n` +
+                         `New campaigns are posted regularly!\n\n`;
+            
+            if (user.profileCompleted) {
+                message += `💡 Your profile: ${user.profile.primaryProfile.label}\n` +
+                          `You'll get priority for: ${user.profile.recommendedCampaignTypes.slice(0, 2).join(', ')}`;
+            } else {
+                message += `💡 Complete your profile with /profile for bonus earnings!`;
+            }
+            
+            await bot.sendMessage(chatId, message);
+        } else {
+            let message = `🚀 Available Campaigns:\n\n`;
+            
+            for (let i = 0; i < Math.min(availableCampaigns.length, 5); i++) {
+                const campaign = availableCampaigns[i];
+                const baseEarning = Math.round(campaign.budget * 0.65 / campaign.estimatedParticipants);
+                
+                message += `${i + 1}. ${campaign.brandName}\n`;
+                message += `💰 Base Earning: ₦${baseEarning.toLocaleString()}\n`;
+                
+                // Show potential bonuses
+                if (user.profileCompleted) {
+                    const profileBonus = Math.round(baseEarning * 0.15);
+                    const isMatch = isUserMatchForCampaign(user, campaign);
+                    
+                    if (isMatch && user.profile.authenticityScore > 80) {
+                        const totalBonus = Math.round(baseEarning * 0.25);
+                        message += `🎯 Your Potential: ₦${(baseEarning + totalBonus).toLocaleString()} (Perfect Match!)\n`;
+                    } else {
+                        message += `💡 Your Potential: ₦${(baseEarning + profileBonus).toLocaleString()} (Profile Bonus)\n`;
+                    }
+                } else {
+                    const profileBonus = Math.round(baseEarning * 0.15);
+                    message += `💡 With Profile: ₦${(baseEarning + profileBonus).toLocaleString()} (Complete /profile)\n`;
+                }
+                
+                message += `⏱️ Duration: ${campaign.duration} hours\n`;
+                message += `👥 Spots: ${campaign.participants ? campaign.participants.length : 0}/${campaign.estimatedParticipants}\n`;
+                message += `📊 Package: ${campaign.package}\n\n`;
+            }
+            
+            message += `🎯 Everyone gets selected based on fairness and availability!\n`;
+            if (!user.profileCompleted) {
+                message += `💡 Complete your profile for bonus earnings: /profile`;
+            } else {
+                message += `✅ Profile complete - you're ready for bonus earnings!`;
+            }
+            
+            await bot.sendMessage(chatId, message);
+        }
+        
+    } catch (error) {
+        console.error('❌ Error in /campaigns command:', error);
+        await bot.sendMessage(chatId, 'Sorry, there was an error loading campaigns. Please try again.');
     }
 });
 
-// /twitter command - Twitter verification
-bot.onText(/\/twitter/, async (msg) => {
+// /assignments command - Check your current assignments
+bot.onText(/\/assignments/, async (msg) => {
     const chatId = msg.chat.id;
     
-    console.log(`📱 /twitter command received from user: ${chatId}`);
+    console.log(`📱 /assignments command received from user: ${chatId}`);
     
     try {
         const user = await User.findOne({ telegramId: chatId.toString() });
         
         if (!user) {
-            await bot.sendMessage(chatId, 'Please register first with /start');
+            await bot.sendMessage(chatId, `Please register first with /start`);
             return;
         }
         
-        // Check if user already has verified Twitter
-        if (user.twitterHandle && user.twitterVerified) {
-            await bot.sendMessage(chatId, 
-                `🐦 Twitter Account Already Verified!\n\n` +
-                `✅ Current account: @${user.twitterHandle}\n\n` +
-                `Want to change your Twitter account? Reply "change" to start over.`
-            );
-            
-            // Wait for change confirmation
-            const changeListener = async (response) => {
-                if (response.chat.id === chatId && 
-                    response.text && response.text.toLowerCase().includes('change')) {
-                    
-                    // Reset verification
-                    await User.findOneAndUpdate(
-                        { telegramId: chatId.toString() },
-                        { 
-                            twitterHandle: null,
-                            twitterVerified: false,
-                            verificationCode: null
-                        }
-                    );
-                    
-                    await bot.sendMessage(chatId, '🔄 Twitter account reset. Let\'s verify your new account!');
-                    setTimeout(() => startCleanBioVerification(chatId), 1000);
-                    
-                    bot.removeListener('message', changeListener);
-                }
-            };
-            
-            bot.on('message', changeListener);
+        // Find assignments for this user
+        const userAssignments = await Assignment.find({ 
+            userId: chatId.toString() 
+        }).populate('campaignId');
+        
+        if (userAssignments.length === 0) {
+            let message = `📋 No Current Assignments\n\n` +
+                         `You don't have any active assignments right now.\n` +
+                         `Make sure your Twitter account is verified!\n\n`;
             
-            // Auto-remove listener after 2 minutes
-            setTimeout(() => {
-                bot.removeListener('message', changeListener);
-            }, 120000);
+            if (!user.profileCompleted) {
+                message += `💡 Complete your profile for bonus earnings: /profile`;
+            } else {
+                message += `✅ Profile complete - you're ready for campaigns!`;
+            }
             
+            await bot.sendMessage(chatId, message);
             return;
         }
         
-        await startCleanBioVerification(chatId);
-        
-    } catch (error) {
-        console.error('❌ Error in twitter command:', error);
-        await bot.sendMessage(chatId, 'Sorry, there was an error. Please try again.');
-    }
-});
-
-// Bio verification function with TwitterService integration
-async function startCleanBioVerification(chatId) {
-    try {
-        await bot.sendMessage(chatId, 
-            `🐦 Twitter Account Verification\n\n` +
-            `To prevent fraud, we need to verify you own this Twitter account.\n\n` +
-            `📝 Step 1: Enter your Twitter username (without @):\n\n` +
-            `Example: john_doe`
-        );
+        let message = `📋 Your Active Assignments:\n\n`;
         
-        // Set up listener for Twitter handle
-        const handleListener = async (response) => {
-            if (response.chat.id === chatId && !response.text.startsWith('/')) {
-                try {
-                    const twitterHandle = response.text.trim().replace('@', '').toLowerCase();
-                    
-                    // Validate Twitter handle format
-                    if (!isValidTwitterHandle(twitterHandle)) {
-                        await bot.sendMessage(chatId, 
-                            `❌ Invalid Twitter handle format.\n\n` +
-                            `Please use only letters, numbers, and underscores.\n` +
-                            `Try again with /twitter`
-                        );
-                        bot.removeListener('message', handleListener);
-                        return;
-                    }
-                    
-                    // Check if handle is already verified by another user
-                    const existingUser = await User.findOne({ 
-                        twitterHandle: twitterHandle,
-                        twitterVerified: true,
-                        telegramId: { $ne: chatId.toString() }
-                    });
-                    
-                    if (existingUser) {
-                        await bot.sendMessage(chatId, 
-                            `❌ This Twitter handle is already verified by another user.\n\n` +
-                            `If this is your account, please contact support.\n` +
-                            `Otherwise, try a different handle with /twitter`
-                        );
-                        bot.removeListener('message', handleListener);
-                        return;
-                    }
-                    
-                    // Generate verification code
-                    const verificationCode = generateVerificationCode();
-                    
-                    // Update user with unverified handle and code
-                    await User.findOneAndUpdate(
-                        { telegramId: chatId.toString() },
-                        { 
-                            twitterHandle: twitterHandle,
-                            twitterVerified: false,
-                            verificationCode: verificationCode,
-                            verificationExpires: new Date(Date.now() + 30 * 60 * 1000) // 30 minutes
-                        }
-                    );
-                    
-                    // Send BIO verification instructions
-                    await bot.sendMessage(chatId, 
-                        `🔐 Twitter Bio Verification\n\n` +
-                        `👤 Handle: @${twitterHandle}\n` +
-                        `🔑 Code: ${verificationCode}\n\n` +
-                        `📝 Step 2: Add this code to your Twitter bio:\n\n` +
-                        `"${verificationCode}"\n\n` +
-                        `💡 You can add it anywhere in your bio. Examples:\n` +
-                        `• "Developer | Designer ${verificationCode}"\n` +
-                        `• "${verificationCode} Love coding and design"\n` +
-                        `• "Building cool stuff ${verificationCode} DM open"\n\n` +
-                        `⏰ You have 30 minutes to update your bio.\n\n` +
-                        `After updating your bio, reply "verify" to check.`
-                    );
-                    
-                    console.log(`🔐 Bio verification code generated for @${twitterHandle}: ${verificationCode}`);
-                    
-                    // Wait for verification command
-                    waitForCleanBioVerification(chatId, twitterHandle, verificationCode);
-                    
-                } catch (error) {
-                    console.error('❌ Error starting verification:', error);
-                    await bot.sendMessage(chatId, 'Sorry, there was an error starting verification. Please try again.');
-                }
+        userAssignments.forEach((assignment, index) => {
+            const campaign = assignment.campaignId;
+            if (campaign) {
+                const timeUntil = getTimeUntilScheduled(assignment.scheduledTime, assignment.expiresAt);
                 
-                // Remove this listener
-                bot.removeListener('message', handleListener);
+                message += `${index + 1}. ${campaign.brandName}\n`;
+                message += `Role: ${assignment.role.toUpperCase()}\n`;
+                message += `💰 Earning: ₦${assignment.estimatedEarning.toLocaleString()}\n`;
+                message += `⏰ ${timeUntil}\n`;
+                message += `Status: ${assignment.status === 'pending' ? '⏳ Scheduled' : assignment.status}\n\n`;
             }
-        };
+        });
         
-        bot.on('message', handleListener);
+        message += `💡 We'll notify you when it's time for each assignment!\n` +
+                  `📤 Done one? Tap below or use /submit to send us your tweet link.`;
         
-        // Auto-remove listener after 5 minutes
-        setTimeout(() => {
-            bot.removeListener('message', handleListener);
-        }, 5 * 60 * 1000);
+        // One submit button per assignment still waiting for proof
+        const keyboard = userAssignments
+            .filter(assignment => assignment.status === 'pending' && assignment.campaignId)
+            .slice(0, 10)
+            .map(assignment => ([{
+                text: `📤 Submit ${assignment.campaignId.brandName} (${assignment.role})`,
+                callback_data: `submit_${assignment._id}`
+            }]));
+        
+        await bot.sendMessage(chatId, message, keyboard.length > 0 ? {
+            reply_markup: {
+                inline_keyboard: keyboard
+            }
+        } : {});
         
     } catch (error) {
-        console.error('❌ Error in startCleanBioVerification:', error);
+        console.error('❌ Error in /assignments command:', error);
+        await bot.sendMessage(chatId, 'Sorry, there was an error loading your assignments. Please try again.');
     }
-}
+});
 
-async function waitForCleanBioVerification(chatId, twitterHandle, verificationCode) {
-    console.log(`🔄 Setting up verification listener for user ${chatId}`);
+function getTimeUntilScheduled(scheduledTime, expiresAt) {
+    const now = new Date();
+    const timeDiff = scheduledTime - now;
     
-    // Set up verification listener that keeps listening until verification succeeds
-    const verificationListener = async (msg) => {
-        if (msg.chat.id === chatId) {
-            console.log(`📥 Message received from ${chatId}: "${msg.text}"`);
-            
-            if (msg.text && (msg.text.toLowerCase().includes('verify') || msg.text.toLowerCase().includes('force'))) {
-                console.log(`🔍 Processing verification attempt for ${chatId}`);
-                
-                try {
-                    let success = false;
-                    
-                    // Check for force verification (for testing)
-                    if (msg.text.toLowerCase().includes('force')) {
-                        console.log(`🔧 Force verification requested for ${chatId}`);
-                        success = await forceVerification(chatId, twitterHandle, verificationCode);
-                    } else {
-                        success = await checkCleanBioVerification(chatId, twitterHandle, verificationCode);
-                    }
-                    
-                    // Only remove listener if verification was successful
-                    if (success) {
-                        console.log(`✅ Verification successful, removing listener for ${chatId}`);
-                        bot.removeListener('message', verificationListener);
-                    } else {
-                        console.log(`❌ Verification failed, keeping listener active for ${chatId}`);
-                        // Keep listener active for retry
-                    }
-                } catch (error) {
-                    console.error('❌ Verification error:', error);
-                    await bot.sendMessage(chatId, 'Error during verification. Please try again.');
-                }
-            } else if (msg.text && msg.text.startsWith('/')) {
-                // User used another command, cancel verification
-                console.log(`🚫 User ${chatId} used another command, canceling verification`);
-                bot.removeListener('message', verificationListener);
-            }
+    if (timeDiff < 0) {
+        // Still inside the submission window
+        if (expiresAt && expiresAt > now) {
+            const minutesLeft = Math.ceil((expiresAt - now) / (1000 * 60));
+            const hoursLeft = Math.floor(minutesLeft / 60);
+            return `🟠 Due now - submit within ${hoursLeft > 0 ? `${hoursLeft}h ` : ''}${minutesLeft % 60}m`;
         }
-    };
+        return '🔴 Overdue';
+    }
     
-    bot.on('message', verificationListener);
+    const hours = Math.floor(timeDiff / (1000 * 60 * 60));
+    const minutes = Math.floor((timeDiff % (1000 * 60 * 60)) / (1000 * 60));
     
-    // Auto-cancel after 30 minutes
-    setTimeout(() => {
-        console.log(`⏰ Auto-canceling verification listener for ${chatId} after 30 minutes`);
-        bot.removeListener('message', verificationListener);
-    }, 30 * 60 * 1000);
+    if (hours > 0) {
+        return `in ${hours}h ${minutes}m`;
+    } else {
+        return `in ${minutes}m`;
+    }
 }
 
-async function forceVerification(chatId, twitterHandle, verificationCode) {
+// /earnings command
+bot.onText(/\/earnings/, async (msg) => {
+    const chatId = msg.chat.id;
+    
+    console.log(`📱 /earnings command received from user: ${chatId}`);
+    
     try {
-        console.log(`🔧 Force verifying user ${chatId} for @${twitterHandle}`);
-        
-        await bot.sendMessage(chatId, '🔧 Force verification mode - bypassing Twitter API check...');
-        
-        // Check if verification session is still valid
-        const user = await User.findOne({ 
-            telegramId: chatId.toString(),
-            verificationCode: verificationCode
-        });
+        const user = await User.findOne({ telegramId: chatId.toString() });
         
         if (!user) {
-            await bot.sendMessage(chatId, 'Verification session not found. Please restart with /twitter');
-            return false;
+            await bot.sendMessage(chatId, `Please register first with /start`);
+            return;
         }
         
-        // Mark user as verified
-        const updatedUser = await User.findOneAndUpdate(
-            { telegramId: chatId.toString() },
-            { 
-                twitterVerified: true,
-                verificationCode: null,
-                verificationExpires: null,
-                verifiedAt: new Date(),
-                twitterMetrics: {
-                    followers: 100,
-                    following: 50,
-                    tweets: 200,
-                    verified: false,
-                    averageEngagement: 10,
-                    userValue: 75
-                }
-            },
-            { new: true }
-        );
-        
-        if (updatedUser) {
-            await bot.sendMessage(chatId, 
-                `🎉 Twitter Account Verified Successfully! (Force Mode)\n\n` +
-                `✅ @${twitterHandle} is now linked to your account.\n` +
-                `👥 Mock Followers: 100\n` +
-                `📊 Mock Engagement Score: 75/100\n\n` +
-                `You can now:\n` +
-                `• Complete your profile for bonus earnings: /profile\n` +
-                `• Check available campaigns: /campaigns\n\n` +
-                `💡 You can remove "${verificationCode}" from your bio now.`
-            );
-            
-            console.log(`✅ Force verification successful for @${twitterHandle} (user ${chatId})`);
-            return true;
+        // Calculate potential bonus
+        let bonusInfo = '';
+        if (user.profileCompleted && user.profile) {
+            const bonusPercent = user.profile.authenticityScore > 80 ? '15-25%' : '15%';
+            bonusInfo = `\n🎯 Profile Bonus: ${bonusPercent} extra on all campaigns!`;
         } else {
-            await bot.sendMessage(chatId, 'Error updating user verification status.');
-            return false;
+            bonusInfo = `\n💡 Complete /profile for 15-25% bonus earnings!`;
         }
         
-    } catch (error) {
-        console.error('❌ Error in force verification:', error);
-        await bot.sendMessage(chatId, 'Error during force verification.');
-        return false;
-    }
-}
-
-async function checkCleanBioVerification(chatId, twitterHandle, verificationCode) {
-    try {
-        await bot.sendMessage(chatId, '🔍 Checking your Twitter bio for the verification code...');
-        
-        console.log(`🔍 Starting verification for ${twitterHandle} with code ${verificationCode}`);
+        const balances = await ledgerService.getBalances(user.telegramId);
+        const transactions = await ledgerService.getRecentTransactions(user.telegramId, 5);
         
-        // Check if verification is still valid
-        const user = await User.findOne({ 
-            telegramId: chatId.toString(),
-            verificationCode: verificationCode
-        });
+        let message = `💰 Your Earnings Summary\n\n` +
+                     `✅ Available: ₦${balances.available.toLocaleString()}\n` +
+                     `⏳ Pending: ₦${balances.pending.toLocaleString()}\n`;
         
-        if (!user) {
-            console.log('❌ No user found with verification code');
-            await bot.sendMessage(chatId, 
-                `❌ Verification session not found.\n\n` +
-                `Please start over with /twitter`
-            );
-            return false;
+        if (balances.processing > 0) {
+            message += `🏦 Withdrawal in progress: ₦${balances.processing.toLocaleString()}\n`;
         }
         
-        if (new Date() > user.verificationExpires) {
-            console.log('❌ Verification expired');
-            await bot.sendMessage(chatId, 
-                `⏰ Verification Expired\n\n` +
-                `Your verification session has expired.\n` +
-                `Please start over with /twitter`
-            );
-            return false;
+        message += `💸 Paid Out: ₦${balances.paidOut.toLocaleString()}\n` +
+                  `📈 Total Earned: ₦${balances.totalEarned.toLocaleString()}\n\n` +
+                  `Campaigns Completed: ${user.campaignsCompleted || 0}\n` +
+                  `Account Status: ${user.isActive ? '✅ Active' : '❌ Inactive'}${bonusInfo}\n\n`;
+        
+        if (transactions.length > 0) {
+            message += `🧾 Recent Activity:\n`;
+            transactions.forEach(entry => {
+                message += `• ${entry.createdAt.toLocaleDateString()} - ${entry.description}: ₦${entry.amount.toLocaleString()}\n`;
+            });
+            message += `\n`;
         }
         
-        console.log('✅ Verification is valid, checking bio...');
+        message += `💡 Keep participating to earn more!`;
         
-        // Use TwitterService for real verification
-        const twitterService = new TwitterService();
-        let verificationResult;
+        await bot.sendMessage(chatId, message);
         
-        try {
-            console.log('🐦 Attempting Twitter API verification...');
-            verificationResult = await twitterService.verifyBioCode(twitterHandle, verificationCode);
-            console.log('🐦 Twitter API result:', verificationResult);
-        } catch (error) {
-            console.log('❌ Twitter API error details:', error);
-            
-            // Check for specific API errors
-            if (error.message && error.message.includes('429')) {
-                console.log('⏰ Twitter API rate limited - auto-approving verification');
-                await bot.sendMessage(chatId, 
-                    '⏰ Twitter API is rate limited.\n' +
-                    '✅ Auto-approving verification.\n' +
-                    '💡 This is normal during testing.'
-                );
-                verificationResult = { verified: true, profile: null };
-            } else if (error.message && (error.message.includes('401') || error.message.includes('Unauthorized'))) {
-                console.log('🔐 Twitter API authentication failed - missing or invalid credentials');
-                await bot.sendMessage(chatId, 
-                    '🔐 Twitter API credentials not configured.\n' +
-                    '✅ Auto-approving verification for development.'
-                );
-                verificationResult = { verified: true, profile: null };
-            } else {
-                console.log('❌ Other Twitter API error, auto-approving:', error.message);
-                await bot.sendMessage(chatId, 
-                    '⚠️ Twitter API temporarily unavailable.\n' +
-                    '✅ Auto-approving verification.'
-                );
-                verificationResult = { verified: true, profile: null };
-            }
-        }
+    } catch (error) {
+        console.error('❌ Error in /earnings command:', error);
+        await bot.sendMessage(chatId, 'Sorry, there was an error loading your earnings. Please try again.');
+    }
+});
+
+// /status command
+bot.onText(/\/status/, async (msg) => {
+    const chatId = msg.chat.id;
+    
+    console.log(`📱 /status command received from user: ${chatId}`);
+    
+    try {
+        const user = await User.findOne({ telegramId: chatId.toString() });
         
-        console.log(`📋 Final verification result:`, verificationResult.verified);
+        if (!user) {
+            await bot.sendMessage(chatId, `Please register first with /start`);
+            return;
+        }
         
-        if (verificationResult.verified) {
-            console.log('✅ Verification successful, updating user...');
-            
-            // Calculate user metrics if profile available
-            let twitterMetrics = {};
-            if (verificationResult.profile) {
-                try {
-                    const userValue = twitterService.calculateUserValue(verificationResult.profile);
-                    const avgEngagement = await twitterService.calculateAverageEngagement(twitterHandle);
-                    
-                    twitterMetrics = {
-                        followers: verificationResult.profile.public_metrics.followers_count,
-                        following: verificationResult.profile.public_metrics.following_count,
-                        tweets: verificationResult.profile.public_metrics.tweet_count,
-                        verified: verificationResult.profile.verified,
-                        averageEngagement: avgEngagement,
-                        userValue: userValue
-                    };
-                } catch (metricsError) {
-                    console.log('⚠️ Error calculating metrics, using defaults:', metricsError.message);
-                    twitterMetrics = {};
-                }
-            }
-            
-            // Mark user as verified
-            const updatedUser = await User.findOneAndUpdate(
-                { telegramId: chatId.toString() },
-                { 
-                    twitterVerified: true,
-                    verificationCode: null,
-                    verificationExpires: null,
-                    verifiedAt: new Date(),
-                    twitterMetrics: twitterMetrics
-                },
-                { new: true }
-            );
-            
-            console.log('✅ User updated successfully:', !!updatedUser);
-            
-            let message = `🎉 Twitter Account Verified Successfully!\n\n` +
-                         `✅ @${twitterHandle} is now linked to your account.\n`;
-            
-            if (twitterMetrics.followers) {
-                message += `👥 Followers: ${twitterMetrics.followers.toLocaleString()}\n`;
-                message += `📊 Engagement Score: ${twitterMetrics.userValue}/100\n`;
-                if (twitterMetrics.verified) {
-                    message += `✅ Verified Account\n`;
-                }
+        // Twitter verification status
+        let twitterStatus = '';
+        if (!user.twitterHandle) {
+            twitterStatus = `❌ Not linked - Use /twitter to link account`;
+        } else if (!user.twitterVerified) {
+            if (user.verificationStatus === 'verification_pending_retry') {
+                const nextCheck = user.verificationRetry?.nextAttemptAt;
+                twitterStatus = `⏳ Verification pending - Twitter was unavailable\n` +
+                               `We'll recheck @${user.twitterHandle} automatically${nextCheck ? ` around ${nextCheck.toLocaleTimeString()}` : ''}\n` +
+                               `Keep ${user.verificationCode} in your bio`;
+            } else if (user.verificationCode && user.verificationExpires > new Date()) {
+                const timeLeft = Math.ceil((user.verificationExpires - new Date()) / (1000 * 60));
+                twitterStatus = `⏳ Verification pending - ${timeLeft} min left\n` +
+                               `Code: ${user.verificationCode}\n` +
+                               `Add to @${user.twitterHandle} bio, then reply "verify"`;
+            } else {
+                twitterStatus = `🔐 Not verified - Use /twitter to verify @${user.twitterHandle}`;
             }
-            
-            message += `\nYou can now:\n` +
-                      `• Complete your profile for bonus earnings: /profile\n` +
-                      `• Check available campaigns: /campaigns\n\n` +
-                      `💡 You can remove "${verificationCode}" from your bio now.`;
-            
-            await bot.sendMessage(chatId, message);
-            
-            console.log(`✅ Twitter verified: @${twitterHandle} for user ${chatId}`);
-            
-            return true; // Verification successful
-            
         } else {
-            console.log('❌ Bio verification failed');
-            await bot.sendMessage(chatId, 
-                `❌ Verification Failed\n\n` +
-                `We couldn't find the code "${verificationCode}" in @${twitterHandle}'s bio.\n\n` +
-                `Please make sure:\n` +
-                `• You added the exact code: ${verificationCode}\n` +
-                `• Your Twitter profile is public (not private)\n` +
-                `• You saved the bio changes\n` +
-                `• You waited a few minutes after updating\n\n` +
-                `💡 Try again by replying "verify" or restart with /twitter\n` +
-                `🔍 Make sure the code is visible in your bio!`
-            );
-            
-            return false; // Verification failed, allow retry
+            twitterStatus = `✅ @${user.twitterHandle} (verified ${user.verifiedAt ? user.verifiedAt.toDateString() : ''})`;
         }
         
-    } catch (error) {
-        console.error('❌ Error in checkCleanBioVerification:', error);
-        console.error('❌ Error stack:', error.stack);
+        const balances = await ledgerService.getBalances(user.telegramId);
+        
+        const reliabilityStats = user.reliabilityStats || {};
+        let reliabilityStatus = `${user.reliabilityScore ?? 100}/100`;
+        if (reliabilityStats.sampleSize) {
+            reliabilityStatus += ` (${reliabilityStats.delivered}/${reliabilityStats.sampleSize} delivered, ` +
+                                `${Math.round((reliabilityStats.onTimeRate || 0) * 100)}% on time)`;
+        }
+        if (user.suspendedAt) {
+            reliabilityStatus += `\n⛔ Assignments paused pending admin review`;
+        }
+        
+        // Profile status
+        let profileStatus = '';
+        if (user.profileCompleted && user.profile) {
+            profileStatus = `✅ ${user.profile.primaryProfile.label} (${user.profile.authenticityScore}/100)`;
+        } else {
+            profileStatus = `❌ Not completed (missing bonus earnings!)`;
+        }
         
         await bot.sendMessage(chatId, 
-            `⚠️ Verification Error\n\n` +
-            `There was a technical error: ${error.message}\n\n` +
-            `Please try again with /twitter or contact support.`
+            `📊 Account Status\n\n` +
+            `Name: ${user.firstName} ${user.lastName}\n` +
+            `Twitter: ${twitterStatus}\n` +
+            `Profile: ${profileStatus}\n` +
+            `Account: ${user.isActive ? '✅ Active' : '❌ Inactive'}\n` +
+            `Reliability: ${reliabilityStatus}\n` +
+            `Registered: ${user.registeredAt.toDateString()}\n` +
+            `Total Earnings: ₦${balances.totalEarned.toLocaleString()}\n\n` +
+            `${!user.twitterHandle ? '📝 Next: Link Twitter with /twitter' : 
+              !user.twitterVerified ? '🔐 Next: Complete verification' :
+              !user.profileCompleted ? '🧠 Next: Complete profile with /profile' : 
+              '🎉 You\'re all set for maximum earnings!'}`
         );
         
-        return false; // Error occurred, allow retry
+    } catch (error) {
+        console.error('❌ Error in status command:', error);
+        await bot.sendMessage(chatId, 'Sorry, there was an error fetching your status. Please try again.');
     }
-}
+});
 
-// =================== SMART PROFILING SYSTEM ===================
+// =================== ASSIGNMENT SUBMISSIONS ===================
 
-// /profile command
-bot.onText(/\/profile/, async (msg) => {
+// /submit command - Send the tweet URL for a completed assignment
+bot.onText(/\/submit/, async (msg) => {
     const chatId = msg.chat.id;
     
-    console.log(`📱 /profile command received from user: ${chatId}`);
+    console.log(`📱 /submit command received from user: ${chatId}`);
     
     try {
         const user = await User.findOne({ telegramId: chatId.toString() });
@@ -1245,513 +3836,272 @@ bot.onText(/\/profile/, async (msg) => {
             return;
         }
         
-        if (!user.twitterHandle || !user.twitterVerified) {
+        const pendingAssignments = await Assignment.find({ 
+            userId: chatId.toString(),
+            status: 'pending'
+        }).populate('campaignId');
+        
+        const submittable = pendingAssignments.filter(assignment => assignment.campaignId);
+        
+        if (submittable.length === 0) {
             await bot.sendMessage(chatId, 
-                `🐦 Please verify your Twitter account first!\n\n` +
-                `Use /twitter to link and verify your account.`
+                `📋 Nothing to Submit\n\n` +
+                `You don't have any assignments waiting for proof.\n` +
+                `Check /assignments for your schedule.`
             );
             return;
         }
         
-        if (!user.profileCompleted) {
-            await bot.sendMessage(chatId, 
-                `🧠 Complete Your Profile for Bonus Earnings!\n\n` +
-                `📈 Benefits:\n` +
-                `• 15% base bonus on all campaigns\n` +
-                `• Up to 25% bonus for perfect matches\n` +
-                `• Priority for campaigns in your interests\n` +
-                `• Better role assignments\n\n` +
-                `⏱️ Takes just 2 minutes!\n\n` +
-                `Reply "start" to begin the profile questionnaire.`
-            );
-            
-            // Wait for confirmation
-            const listener = async (response) => {
-                if (response.chat.id === chatId && 
-                    response.text && response.text.toLowerCase().includes('start')) {
-                    
-                    bot.removeListener('message', listener);
-                    await startSmartProfiling(chatId);
-                }
-            };
-            
-            bot.on('message', listener);
-            
-            // Remove listener after 2 minutes
-            setTimeout(() => {
-                bot.removeListener('message', listener);
-            }, 120000);
-            
+        if (submittable.length === 1) {
+            await askForSubmission(chatId, submittable[0]._id.toString());
             return;
         }
         
-        // Show completed profile
-        const profile = user.profile;
-        const message = 
-            `👤 Your Profile Summary\n\n` +
-            `🎯 Profile Type: ${profile.primaryProfile.label}\n` +
-            `📝 Description: ${profile.primaryProfile.description}\n\n` +
-            `💰 Spending Power: ${profile.spendingPower.replace('_', ' ').toUpperCase()}\n` +
-            `🎭 Authenticity Score: ${profile.authenticityScore}/100\n` +
-            `⭐ Marketing Value: ${profile.marketingValue.toUpperCase()}\n\n` +
-            `✨ Best Campaign Types:\n` +
-            profile.recommendedCampaignTypes.map(type => `• ${type}`).join('\n') + '\n\n' +
-            `💰 Earnings Bonus: ${profile.authenticityScore > 80 ? '15-25%' : '15%'}\n\n` +
-            `🔄 Want to retake the questionnaire? Reply "retake"`;
-        
-        await bot.sendMessage(chatId, message);
+        const keyboard = submittable.slice(0, 10).map(assignment => ([{
+            text: `${assignment.campaignId.brandName} (${assignment.role})`,
+            callback_data: `submit_${assignment._id}`
+        }]));
         
-        // Allow profile retaking
-        const retakeListener = async (response) => {
-            if (response.chat.id === chatId && 
-                response.text && response.text.toLowerCase().includes('retake')) {
-                
-                bot.removeListener('message', retakeListener);
-                await bot.sendMessage(chatId, `🔄 Retaking profile questionnaire...`);
-                
-                setTimeout(() => {
-                    startSmartProfiling(chatId);
-                }, 1000);
+        await bot.sendMessage(chatId, '📤 Which assignment did you complete?', {
+            reply_markup: {
+                inline_keyboard: keyboard
             }
-        };
-        
-        bot.on('message', retakeListener);
-        
-        // Remove listener after 2 minutes
-        setTimeout(() => {
-            bot.removeListener('message', retakeListener);
-        }, 120000);
+        });
         
     } catch (error) {
-        console.error('❌ Error in /profile command:', error);
-        await bot.sendMessage(chatId, 'Sorry, there was an error loading your profile. Please try again.');
+        console.error('❌ Error in /submit command:', error);
+        await bot.sendMessage(chatId, 'Sorry, there was an error loading your assignments. Please try again.');
     }
 });
 
-async function startSmartProfiling(chatId) {
+const ROLE_SUBMISSION_HINTS = {
+    initiator: 'the link to your original tweet',
+    replier: 'the link to your reply',
+    quoter: 'the link to your quote tweet',
+    retweeter: 'the link to the tweet you retweeted'
+};
+
+async function askForSubmission(chatId, assignmentId) {
     try {
-        // Clear any existing state first
-        await ProfilingState.deleteOne({ userId: chatId.toString() });
+        const assignment = await Assignment.findOne({ 
+            _id: assignmentId,
+            userId: chatId.toString()
+        }).populate('campaignId');
         
-        // Create new profiling state
-        const profilingState = new ProfilingState({
-            userId: chatId.toString(),
-            currentQuestion: 0,
-            answers: {},
-            questionOrder: ['age_range', 'daily_routine', 'spending_priority', 'influence_style', 'discovery_style']
-        });
+        if (!assignment || !assignment.campaignId) {
+            await bot.sendMessage(chatId, 'Assignment not found. Check /assignments');
+            return;
+        }
         
-        await profilingState.save();
+        if (assignment.status !== 'pending') {
+            await bot.sendMessage(chatId, `✅ This assignment was already submitted (status: ${assignment.status}).`);
+            return;
+        }
         
-        console.log(`🧠 Started profiling for user ${chatId}`);
+        await bot.sendMessage(chatId, 
+            `📤 Submit: ${assignment.campaignId.brandName}\n` +
+            `Role: ${assignment.role.toUpperCase()}\n\n` +
+            `Paste ${ROLE_SUBMISSION_HINTS[assignment.role]}.\n\n` +
+            `Example: https://x.com/your_handle/status/1234567890`
+        );
+        
+        // Wait for the tweet link
+        await conversations.start(chatId, 'submit', 'tweet_url', { assignmentId: assignmentId.toString() }, { ttlMinutes: 10 });
         
-        askProfilingQuestion(chatId);
     } catch (error) {
-        console.error('❌ Error starting profiling:', error);
-        await bot.sendMessage(chatId, 'Sorry, there was an error starting your profile. Please try again with /profile');
+        console.error('❌ Error asking for submission:', error);
+        await bot.sendMessage(chatId, 'Sorry, there was an error. Please try again with /submit');
     }
 }
 
-async function askProfilingQuestion(chatId) {
+async function handleSubmissionReply(msg, state) {
+    await conversations.end(msg.chat.id);
+    await processSubmission(msg.chat.id, state.payload.assignmentId, msg.text.trim());
+}
+
+async function processSubmission(chatId, assignmentId, tweetUrl) {
     try {
-        const state = await ProfilingState.findOne({ userId: chatId.toString() });
+        const user = await User.findOne({ telegramId: chatId.toString() });
+        const assignment = await Assignment.findOne({ 
+            _id: assignmentId,
+            userId: chatId.toString(),
+            status: 'pending'
+        });
         
-        if (!state) {
-            console.log(`❌ No state found for user ${chatId}, restarting profiling`);
-            startSmartProfiling(chatId);
+        if (!user || !assignment) {
+            await bot.sendMessage(chatId, 'Assignment not found or already submitted. Check /assignments');
             return;
         }
         
-        const questionKey = state.questionOrder[state.currentQuestion];
-        const question = PROFILING_QUESTIONS[questionKey];
-        
-        if (!question) {
-            completeUserProfile(chatId);
+        if (!user.twitterHandle || !user.twitterVerified) {
+            await bot.sendMessage(chatId, 'Please verify your Twitter account first with /twitter');
             return;
         }
         
-        const questionNumber = state.currentQuestion + 1;
-        const totalQuestions = state.questionOrder.length;
-        
-        console.log(`❓ Asking question ${questionNumber}/${totalQuestions} to user ${chatId}: ${questionKey}`);
-        
-        let message = `📊 Profile Question ${questionNumber}/${totalQuestions}\n\n`;
-        message += `${question.question}\n\n`;
+        const twitterService = new TwitterService();
+        const tweetId = twitterService.extractTweetId(tweetUrl);
         
-        // Initialize answers array for multiple choice questions
-        if (question.type === 'multiple' && !state.answers[questionKey]) {
-            state.answers[questionKey] = [];
-            await state.save();
+        if (!tweetId) {
+            await bot.sendMessage(chatId, 
+                `❌ That doesn't look like a tweet link.\n\n` +
+                `It should look like https://x.com/your_handle/status/1234567890\n` +
+                `Try again with /submit`
+            );
+            return;
         }
         
-        // Create inline keyboard with options
-        const keyboard = question.options.map((option, index) => {
-            let text = `${index + 1}. ${option}`;
-            
-            // Add checkmark for multiple choice if already selected
-            if (question.type === 'multiple' && state.answers[questionKey] && state.answers[questionKey].includes(option)) {
-                text = `✅ ${text}`;
-            }
-            
-            return [{ text: text, callback_data: `profile_${questionKey}_${index}` }];
+        // The same tweet can't be used as proof twice
+        const alreadyUsed = await Assignment.findOne({ 
+            tweetId: tweetId,
+            _id: { $ne: assignment._id }
         });
         
-        // Add "Done" button for multiple choice questions
-        if (question.type === 'multiple') {
-            const selectedCount = state.answers[questionKey] ? state.answers[questionKey].length : 0;
-            if (selectedCount > 0) {
-                keyboard.push([{ 
-                    text: `✅ Done (${selectedCount} selected)`, 
-                    callback_data: `profile_${questionKey}_done` 
-                }]);
-            }
-            message += `💡 You can select multiple options. Tap "Done" when finished.`;
+        if (alreadyUsed && assignment.role !== 'retweeter') {
+            await bot.sendMessage(chatId, `❌ This tweet has already been submitted for another assignment.`);
+            return;
         }
         
-        await bot.sendMessage(chatId, message, {
-            reply_markup: {
-                inline_keyboard: keyboard
-            }
-        });
+        await bot.sendMessage(chatId, '🔍 Checking your tweet...');
         
-        console.log(`✅ Question sent successfully to ${chatId}`);
+        const result = await verifyTweetForAssignment(twitterService, assignment, user, tweetId);
         
-    } catch (error) {
-        console.error('❌ Error asking profiling question:', error);
-        await bot.sendMessage(chatId, 'Sorry, there was an error with the profiling. Please try again with /profile');
-    }
-}
-
-// Handle profiling answers
-bot.on('callback_query', async (query) => {
-    console.log('🔍 Callback query received:', query.data);
-    
-    const chatId = query.message.chat.id;
-    const data = query.data;
-    
-    if (data.startsWith('profile_')) {
-        console.log('📊 Processing profile callback:', data);
+        if (!result.valid) {
+            await bot.sendMessage(chatId, 
+                `❌ Submission Not Accepted\n\n` +
+                `${result.reason}\n\n` +
+                `💡 Fix it and try again with /submit`
+            );
+            return;
+        }
         
-        try {
-            // Parse callback data
-            const parts = data.split('_');
-            const lastPart = parts.pop(); // Could be option index or 'done'
-            parts.shift(); // Remove 'profile'
-            const questionKey = parts.join('_');
-            
-            console.log('🔍 Parsed questionKey:', questionKey, 'action:', lastPart);
-            
-            let state = await ProfilingState.findOne({ userId: chatId.toString() });
-            
-            if (!state) {
-                console.log('❌ State lost, sending restart message');
-                await bot.sendMessage(chatId, 
-                    `🔄 Sorry! Your session was interrupted.\n\n` +
-                    `Let's restart your profile. Use /profile to begin again.`
-                );
-                await bot.answerCallbackQuery(query.id);
-                return;
-            }
-            
-            const question = PROFILING_QUESTIONS[questionKey];
-            if (!question) {
-                console.log('❌ Invalid question key:', questionKey);
-                await bot.answerCallbackQuery(query.id);
-                return;
-            }
-            
-            // Handle "Done" for multiple choice
-            if (lastPart === 'done') {
-                if (question.type === 'multiple') {
-                    const selectedOptions = state.answers[questionKey] || [];
-                    
-                    await bot.editMessageText(
-                        `✅ ${question.question}\n\nYour answers: ${selectedOptions.join(', ')}`,
-                        {
-                            chat_id: chatId,
-                            message_id: query.message.message_id
-                        }
-                    );
-                    
-                    // Move to next question
-                    state.currentQuestion++;
-                    await state.save();
-                    
-                    setTimeout(() => {
-                        askProfilingQuestion(chatId);
-                    }, 1500);
-                }
-                await bot.answerCallbackQuery(query.id);
-                return;
-            }
-            
-            // Handle option selection
-            const optionIndex = parseInt(lastPart);
-            const selectedOption = question.options[optionIndex];
-            
-            if (!selectedOption) {
-                console.log('❌ Invalid option index:', optionIndex);
-                await bot.answerCallbackQuery(query.id);
-                return;
-            }
-            
-            console.log(`✅ Option selected: ${questionKey} = ${selectedOption}`);
-            
-            if (question.type === 'multiple') {
-                // Handle multiple choice
-                if (!state.answers[questionKey]) {
-                    state.answers[questionKey] = [];
-                }
-                
-                // Toggle selection
-                const currentAnswers = state.answers[questionKey];
-                const index = currentAnswers.indexOf(selectedOption);
-                
-                if (index > -1) {
-                    // Remove if already selected
-                    currentAnswers.splice(index, 1);
-                    console.log(`➖ Removed selection: ${selectedOption}`);
-                } else {
-                    // Add if not selected
-                    currentAnswers.push(selectedOption);
-                    console.log(`➕ Added selection: ${selectedOption}`);
-                }
-                
-                // Save state
-                state.answers[questionKey] = currentAnswers;
-                await state.save();
-                
-                // Re-ask the same question with updated selections
-                askProfilingQuestion(chatId);
-                
-            } else {
-                // Handle single choice
-                state.answers[questionKey] = selectedOption;
-                await state.save();
-                
-                await bot.editMessageText(
-                    `✅ ${question.question}\n\nYour answer: ${selectedOption}`,
-                    {
-                        chat_id: chatId,
-                        message_id: query.message.message_id
-                    }
-                );
-                
-                // Move to next question
-                state.currentQuestion++;
-                await state.save();
-                
-                setTimeout(() => {
-                    askProfilingQuestion(chatId);
-                }, 1500);
-            }
-            
-        } catch (error) {
-            console.error('❌ Error handling callback query:', error);
-            await bot.sendMessage(chatId, 'Sorry, there was an error processing your selection. Please try again.');
+        const qualityFlags = [];
+        
+        // We ask everyone to reword the suggestion - identical posts look coordinated
+        if (assignment.role !== 'retweeter' && isVerbatimCopy(result.tweet.text, assignment.content)) {
+            qualityFlags.push({ type: 'verbatim_copy', flaggedBy: 'system', flaggedAt: new Date() });
         }
-    }
-    
-    try {
-        await bot.answerCallbackQuery(query.id);
-    } catch (error) {
-        console.log('❌ Answer callback query error:', error.message);
-    }
-});
-
-async function completeUserProfile(chatId) {
-    try {
-        const state = await ProfilingState.findOne({ userId: chatId.toString() });
         
-        if (!state) {
-            console.log('❌ No profiling state found for completion');
+        const updated = await Assignment.findOneAndUpdate(
+            { _id: assignment._id, status: 'pending' },
+            {
+                status: 'executed',
+                tweetId: tweetId,
+                actualContent: result.tweet.text,
+                executedAt: new Date(),
+                qualityFlags: qualityFlags
+            },
+            { new: true }
+        );
+        
+        if (!updated) {
+            await bot.sendMessage(chatId, 'This assignment was already submitted.');
             return;
         }
         
-        // Generate user persona
-        const persona = generateUserPersona(state.answers);
+        await reliabilityService.refresh(user.telegramId);
         
-        // Update user in database
-        await User.findOneAndUpdate(
-            { telegramId: chatId.toString() },
-            { 
-                profile: persona,
-                profileAnswers: state.answers,
-                profileCompleted: true,
-                profileCompletedAt: new Date()
+        try {
+            const contentFinding = await fraudService.checkSubmittedContent(updated);
+            if (contentFinding) {
+                await fraudService.recordSharedFinding(user, contentFinding);
             }
-        );
-        
-        // Send personalized completion message
-        const completionMessage = generateCompletionMessage(persona);
-        
-        await bot.sendMessage(chatId, completionMessage);
+        } catch (error) {
+            console.error(`❌ Fraud content check failed for ${assignment._id}:`, error.message);
+        }
         
-        // Clean up profiling state
-        await ProfilingState.deleteOne({ userId: chatId.toString() });
+        await bot.sendMessage(chatId, 
+            `✅ Submission Accepted!\n\n` +
+            `Your ${assignment.role} for this campaign has been recorded.\n` +
+            `💰 ₦${assignment.estimatedEarning.toLocaleString()} is pending and will be released when the campaign completes.\n\n` +
+            `Check your balance with /earnings`
+        );
         
-        console.log(`🧠 Profile completed for user ${chatId}: ${persona.primaryProfile.label}`);
+        console.log(`📤 Assignment ${assignment._id} executed by ${chatId} with tweet ${tweetId}`);
         
     } catch (error) {
-        console.error('❌ Error completing user profile:', error);
-        await bot.sendMessage(chatId, 'Sorry, there was an error completing your profile. Please try again.');
+        console.error('❌ Error processing submission:', error);
+        await bot.sendMessage(chatId, 
+            `⚠️ We couldn't check your tweet right now: ${error.message}\n\n` +
+            `Please try again in a few minutes with /submit`
+        );
     }
 }
 
-function generateUserPersona(answers) {
-    // Generate persona based on answers
-    const persona = {
-        primaryProfile: determineProfile(answers),
-        spendingPower: determineSpendingPower(answers),
-        authenticityScore: determineAuthenticity(answers),
-        marketingValue: "high"
-    };
-    
-    persona.recommendedCampaignTypes = getRecommendedCampaigns(persona, answers);
-    
-    return persona;
+function isVerbatimCopy(tweetText, suggestedContent) {
+    // Quote tweets end with a t.co link to the quoted tweet
+    const normalize = (text) => (text || '').replace(/https?:\/\/\S+/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+    return !!suggestedContent && normalize(tweetText) === normalize(suggestedContent);
 }
 
-function determineProfile(answers) {
-    const routine = answers.daily_routine || [];
-    const spending = answers.spending_priority || "";
-    const influence = answers.influence_style || "";
+// Make sure the tweet is really theirs and matches what the role asked for
+async function verifyTweetForAssignment(twitterService, assignment, user, tweetId) {
+    const handle = user.twitterHandle.toLowerCase();
+    const tweet = await twitterService.getTweet(tweetId);
+    const referenced = (tweet.referenced_tweets || []).map(ref => ref.type);
     
-    // Convert routine to string for easier checking (handle both array and string)
-    const routineStr = Array.isArray(routine) ? routine.join(' ') : routine;
-    
-    // Smart profile matching with multiple selections
-    if (routineStr.includes("Classes") && spending.includes("gadgets")) {
-        return {
-            label: "Tech-Savvy Student",
-            description: "University students passionate about technology and gadgets",
-            bestFor: ["tech_products", "educational_apps", "student_services"],
-            authenticityLevel: "very_high"
-        };
-    }
-    
-    if (routineStr.includes("Classes") && spending.includes("Basic needs")) {
-        return {
-            label: "Budget-Smart Student",
-            description: "Students who prioritize value and affordability", 
-            bestFor: ["affordable_products", "student_discounts", "value_services"],
-            authenticityLevel: "very_high"
-        };
-    }
-    
-    if (routineStr.includes("business") && routineStr.includes("Creative")) {
-        return {
-            label: "Creative Entrepreneur",
-            description: "Creative professionals running their own business",
-            bestFor: ["creative_tools", "business_services", "artistic_products"],
-            authenticityLevel: "very_high"
-        };
+    if (assignment.role === 'retweeter') {
+        // Only retweets made after the assignment count, same as quotes and replies
+        const retweet = await twitterService.findRetweet(user.twitterHandle, tweetId, assignment.createdAt);
+        
+        if (!retweet) {
+            return { valid: false, reason: `We couldn't find a retweet of this tweet from @${user.twitterHandle} made after you got the assignment.` };
+        }
+        
+        return { valid: true, tweet };
     }
     
-    if (routineStr.includes("Office") && spending.includes("Fashion")) {
-        return {
-            label: "Style-Conscious Professional",
-            description: "Young professionals who care about image and status",
-            bestFor: ["fashion", "premium_products", "professional_services"],
-            authenticityLevel: "high"
-        };
+    if (!tweet.authorUsername || tweet.authorUsername.toLowerCase() !== handle) {
+        return { valid: false, reason: `This tweet was not posted by your verified account @${user.twitterHandle}.` };
     }
     
-    if (routineStr.includes("business") && spending.includes("Skills")) {
-        return {
-            label: "Growth-Focused Entrepreneur", 
-            description: "Business-minded individuals focused on growth and learning",
-            bestFor: ["business_tools", "productivity_apps", "courses"],
-            authenticityLevel: "high"
-        };
+    // Older tweets can't count for a new assignment
+    if (tweet.created_at && new Date(tweet.created_at) < assignment.createdAt) {
+        return { valid: false, reason: 'This tweet was posted before you got the assignment.' };
     }
     
-    // Default profile
-    return {
-        label: "Authentic Influencer",
-        description: "Genuine social media user with authentic voice",
-        bestFor: ["general_products", "lifestyle_brands"],
-        authenticityLevel: "high"
-    };
-}
-
-function determineSpendingPower(answers) {
-    const age = answers.age_range || "";
-    const routine = answers.daily_routine || "";
-    const spending = answers.spending_priority || "";
-    
-    if (routine.includes("Classes") || spending.includes("Basic needs")) {
-        return "emerging";
+    if (assignment.role === 'replier' && !referenced.includes('replied_to')) {
+        return { valid: false, reason: 'Your role is REPLIER, but this tweet is not a reply.' };
     }
     
-    if (routine.includes("business") || spending.includes("investments")) {
-        return "high";
+    if (assignment.role === 'quoter' && !referenced.includes('quoted')) {
+        return { valid: false, reason: 'Your role is QUOTER, but this tweet is not a quote tweet.' };
     }
     
-    if (routine.includes("Office") && (age.includes("26-30") || age.includes("31-35"))) {
-        return "moderate_to_high";
+    if (assignment.role === 'initiator' && referenced.length > 0) {
+        return { valid: false, reason: 'Your role is INITIATOR, so this should be an original tweet (not a reply or quote).' };
     }
     
-    return "moderate";
+    return { valid: true, tweet };
 }
 
-function determineAuthenticity(answers) {
-    let score = 70; // Base score
-    
-    const influence = answers.influence_style || "";
-    const discovery = answers.discovery_style || "";
-    const routine = answers.daily_routine || "";
-    
-    if (influence.includes("genuinely love")) score += 20;
-    if (influence.includes("solved a real problem")) score += 15;
-    if (discovery.includes("friends and people I trust")) score += 10;
-    if (routine.includes("Classes") || routine.includes("Job hunting")) score += 15;
-    
-    return Math.min(100, score);
-}
+// =================== WITHDRAWALS ===================
 
-function getRecommendedCampaigns(persona, answers) {
-    const campaigns = [];
-    
-    // Add campaign types based on profile
-    if (persona.primaryProfile.bestFor.includes("tech_products")) {
-        campaigns.push("Tech & Gadgets", "Apps & Software", "Educational Technology");
-    }
-    
-    if (persona.spendingPower === "high") {
-        campaigns.push("Premium Brands", "Luxury Products", "Investment Services");
-    }
-    
-    if (persona.authenticityScore > 85) {
-        campaigns.push("Authentic Reviews", "Personal Experience Sharing", "Honest Testimonials");
+// Paystack bank list rarely changes - cache it for an hour
+let bankListCache = { banks: [], fetchedAt: 0 };
+
+async function getBankList() {
+    if (bankListCache.banks.length > 0 && Date.now() - bankListCache.fetchedAt < 60 * 60 * 1000) {
+        return bankListCache.banks;
     }
     
-    if (persona.primaryProfile.bestFor.includes("affordable_products")) {
-        campaigns.push("Budget-Friendly Products", "Student Discounts", "Value Services");
-    }
+    const banks = await paystackService.listBanks();
+    bankListCache = {
+        banks: banks.filter(bank => bank.active !== false),
+        fetchedAt: Date.now()
+    };
     
-    return campaigns.slice(0, 5); // Limit to top 5
+    return bankListCache.banks;
 }
 
-function generateCompletionMessage(persona) {
-    return `🎉 Profile Complete!\n\n` +
-           `Your Profile: **${persona.primaryProfile.label}**\n` +
-           `${persona.primaryProfile.description}\n\n` +
-           `💰 Spending Power: ${persona.spendingPower.replace('_', ' ').toUpperCase()}\n` +
-           `🎯 Authenticity Score: ${persona.authenticityScore}/100\n\n` +
-           `✨ You're perfect for these campaign types:\n` +
-           persona.recommendedCampaignTypes.map(type => `• ${type}`).join('\n') + '\n\n' +
-           `💰 Earnings Boost: You'll now earn 15-25% more on campaigns!\n\n` +
-           `🚀 You're all set! Use /campaigns to see what's available!`;
+function maskAccountNumber(accountNumber) {
+    return `******${accountNumber.slice(-4)}`;
 }
 
-// =================== OTHER BOT COMMANDS ===================
-
-// /campaigns command
-bot.onText(/\/campaigns/, async (msg) => {
+// /withdraw command
+bot.onText(/\/withdraw/, async (msg) => {
     const chatId = msg.chat.id;
     
-    console.log(`📱 /campaigns command received from user: ${chatId}`);
+    console.log(`📱 /withdraw command received from user: ${chatId}`);
     
     try {
         const user = await User.findOne({ telegramId: chatId.toString() });
@@ -1761,250 +4111,739 @@ bot.onText(/\/campaigns/, async (msg) => {
             return;
         }
         
-        if (!user.twitterHandle || !user.twitterVerified) {
+        const balances = await ledgerService.getBalances(user.telegramId);
+        
+        if (balances.available < WITHDRAWAL_CONFIG.minAmount) {
             await bot.sendMessage(chatId, 
-                `🐦 Please verify your Twitter account first!\n\n` +
-                `Use /twitter to link and verify your account.`
+                `💸 Not Enough to Withdraw Yet\n\n` +
+                `✅ Available: ₦${balances.available.toLocaleString()}\n` +
+                `⏳ Pending: ₦${balances.pending.toLocaleString()}\n\n` +
+                `Minimum withdrawal is ₦${WITHDRAWAL_CONFIG.minAmount.toLocaleString()}.\n` +
+                `💡 Pending earnings become available once your assignments are confirmed.`
             );
             return;
         }
         
-        const availableCampaigns = await Campaign.find({ 
-            status: { $in: ['pending', 'active'] } 
-        }).sort({ createdAt: -1 });
-        
-        if (availableCampaigns.length === 0) {
-            let message = `📋 No Active Campaigns\n\n` +
-                         `There are no campaigns available right now.\n` +
-                         `New campaigns are posted regularly!\n\n`;
-            
-            if (user.profileCompleted) {
-                message += `💡 Your profile: ${user.profile.primaryProfile.label}\n` +
-                          `You'll get priority for: ${user.profile.recommendedCampaignTypes.slice(0, 2).join(', ')}`;
-            } else {
-                message += `💡 Complete your profile with /profile for bonus earnings!`;
-            }
-            
-            await bot.sendMessage(chatId, message);
-        } else {
-            let message = `🚀 Available Campaigns:\n\n`;
-            
-            for (let i = 0; i < Math.min(availableCampaigns.length, 5); i++) {
-                const campaign = availableCampaigns[i];
-                const baseEarning = Math.round(campaign.budget * 0.65 / campaign.estimatedParticipants);
-                
-                message += `${i + 1}. ${campaign.brandName}\n`;
-                message += `💰 Base Earning: ₦${baseEarning.toLocaleString()}\n`;
-                
-                // Show potential bonuses
-                if (user.profileCompleted) {
-                    const profileBonus = Math.round(baseEarning * 0.15);
-                    const isMatch = isUserMatchForCampaign(user, campaign);
-                    
-                    if (isMatch && user.profile.authenticityScore > 80) {
-                        const totalBonus = Math.round(baseEarning * 0.25);
-                        message += `🎯 Your Potential: ₦${(baseEarning + totalBonus).toLocaleString()} (Perfect Match!)\n`;
-                    } else {
-                        message += `💡 Your Potential: ₦${(baseEarning + profileBonus).toLocaleString()} (Profile Bonus)\n`;
-                    }
-                } else {
-                    const profileBonus = Math.round(baseEarning * 0.15);
-                    message += `💡 With Profile: ₦${(baseEarning + profileBonus).toLocaleString()} (Complete /profile)\n`;
-                }
-                
-                message += `⏱️ Duration: ${campaign.duration} hours\n`;
-                message += `👥 Spots: ${campaign.participants ? campaign.participants.length : 0}/${campaign.estimatedParticipants}\n`;
-                message += `📊 Package: ${campaign.package}\n\n`;
-            }
-            
-            message += `🎯 Everyone gets selected based on fairness and availability!\n`;
-            if (!user.profileCompleted) {
-                message += `💡 Complete your profile for bonus earnings: /profile`;
-            } else {
-                message += `✅ Profile complete - you're ready for bonus earnings!`;
-            }
-            
-            await bot.sendMessage(chatId, message);
+        if (!user.bankAccount || !user.bankAccount.recipientCode) {
+            await startBankAccountSetup(chatId);
+            return;
         }
         
+        await askWithdrawalAmount(chatId, user);
+        
     } catch (error) {
-        console.error('❌ Error in /campaigns command:', error);
-        await bot.sendMessage(chatId, 'Sorry, there was an error loading campaigns. Please try again.');
+        console.error('❌ Error in /withdraw command:', error);
+        await bot.sendMessage(chatId, 'Sorry, there was an error starting your withdrawal. Please try again.');
     }
 });
 
-// /assignments command - Check your current assignments
-bot.onText(/\/assignments/, async (msg) => {
-    const chatId = msg.chat.id;
+async function startBankAccountSetup(chatId) {
+    await conversations.start(chatId, 'withdraw', 'bank_name', {}, { ttlMinutes: 10 });
     
-    console.log(`📱 /assignments command received from user: ${chatId}`);
+    await bot.sendMessage(chatId, 
+        `🏦 Add Your Bank Account\n\n` +
+        `📝 Step 1: Type the name of your bank:\n\n` +
+        `Example: GTBank, Access, Opay, Kuda`
+    );
+}
+
+async function handleBankNameReply(msg) {
+    const chatId = msg.chat.id;
     
     try {
-        const user = await User.findOne({ telegramId: chatId.toString() });
+        const search = msg.text.trim().toLowerCase().replace(/\s+/g, '');
+        const banks = await getBankList();
+        const matches = banks.filter(bank => 
+            bank.name.toLowerCase().replace(/\s+/g, '').includes(search)
+        );
         
-        if (!user) {
-            await bot.sendMessage(chatId, `Please register first with /start`);
+        if (matches.length === 0) {
+            await bot.sendMessage(chatId, 
+                `❌ We couldn't find a bank matching "${msg.text.trim()}".\n\n` +
+                `Try typing it another way, or /cancel to stop.`
+            );
             return;
         }
         
-        // Find assignments for this user
-        const userAssignments = await Assignment.find({ 
-            userId: chatId.toString() 
-        }).populate('campaignId');
+        await conversations.update(chatId, { step: 'bank_select' });
         
-        if (userAssignments.length === 0) {
-            let message = `📋 No Current Assignments\n\n` +
-                         `You don't have any active assignments right now.\n` +
-                         `Make sure your Twitter account is verified!\n\n`;
+        const keyboard = matches.slice(0, 8).map(bank => (
+            [{ text: bank.name, callback_data: `withdraw_bank_${bank.code}` }]
+        ));
+        
+        await bot.sendMessage(chatId, '🏦 Select your bank:', {
+            reply_markup: {
+                inline_keyboard: keyboard
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error searching banks:', error);
+        await conversations.end(chatId);
+        await bot.sendMessage(chatId, 'Sorry, we could not load the bank list. Please try again with /withdraw');
+    }
+}
+
+async function handleAccountNumberReply(msg, state) {
+    const chatId = msg.chat.id;
+    const accountNumber = msg.text.trim();
+    const bank = state.payload.bank;
+    
+    if (!/^\d{10}$/.test(accountNumber)) {
+        await bot.sendMessage(chatId, 
+            `❌ Account numbers are exactly 10 digits.\n\n` +
+            `Please enter it again, or /cancel to stop.`
+        );
+        return;
+    }
+    
+    try {
+        const resolved = await paystackService.resolveAccount(accountNumber, bank.code);
+        
+        await conversations.update(chatId, {
+            step: 'confirm_account',
+            payload: {
+                accountNumber: accountNumber,
+                accountName: resolved.accountName
+            }
+        });
+        
+        await bot.sendMessage(chatId, 
+            `🔍 Account Found\n\n` +
+            `🏦 Bank: ${bank.name}\n` +
+            `🔢 Account: ${accountNumber}\n` +
+            `👤 Name: ${resolved.accountName}\n\n` +
+            `Is this your account?`,
+            {
+                reply_markup: {
+                    inline_keyboard: [[
+                        { text: '✅ Yes, save it', callback_data: 'withdraw_account_yes' },
+                        { text: '❌ No', callback_data: 'withdraw_account_no' }
+                    ]]
+                }
+            }
+        );
+    } catch (error) {
+        console.error('❌ Error resolving account:', error.message);
+        await bot.sendMessage(chatId, 
+            `❌ We couldn't verify that account number with ${bank.name}.\n\n` +
+            `Please check it and enter it again, or /cancel to stop.`
+        );
+    }
+}
+
+async function handleWithdrawCallback(query) {
+    const chatId = query.message.chat.id;
+    const data = query.data;
+    
+    try {
+        const state = await conversations.get(chatId, 'withdraw');
+        
+        if (!state) {
+            await bot.sendMessage(chatId, `🔄 This withdrawal session has expired. Start again with /withdraw`);
+            return;
+        }
+        
+        if (data.startsWith('withdraw_bank_') && state.step === 'bank_select') {
+            const bankCode = data.replace('withdraw_bank_', '');
+            const banks = await getBankList();
+            const bank = banks.find(b => b.code === bankCode);
             
-            if (!user.profileCompleted) {
-                message += `💡 Complete your profile for bonus earnings: /profile`;
-            } else {
-                message += `✅ Profile complete - you're ready for campaigns!`;
+            if (!bank) {
+                await conversations.end(chatId);
+                await bot.sendMessage(chatId, 'Bank not found. Please try again with /withdraw');
+                return;
             }
             
-            await bot.sendMessage(chatId, message);
+            await conversations.update(chatId, {
+                step: 'account_number',
+                payload: { bank: { code: bank.code, name: bank.name } }
+            });
+            
+            await bot.editMessageText(`✅ Bank: ${bank.name}`, {
+                chat_id: chatId,
+                message_id: query.message.message_id
+            });
+            
+            await bot.sendMessage(chatId, `📝 Step 2: Enter your 10-digit account number:`);
+            return;
+        }
+        
+        if (data === 'withdraw_account_no' && state.step === 'confirm_account') {
+            await bot.editMessageText('❌ Account not saved.', {
+                chat_id: chatId,
+                message_id: query.message.message_id
+            });
+            await startBankAccountSetup(chatId);
+            return;
+        }
+        
+        if (data === 'withdraw_account_yes' && state.step === 'confirm_account') {
+            const { bank, accountNumber, accountName } = state.payload;
+            
+            const recipientCode = await paystackService.createTransferRecipient({
+                name: accountName,
+                accountNumber: accountNumber,
+                bankCode: bank.code
+            });
+            
+            const user = await User.findOneAndUpdate(
+                { telegramId: chatId.toString() },
+                {
+                    bankAccount: {
+                        bankCode: bank.code,
+                        bankName: bank.name,
+                        accountNumber: accountNumber,
+                        accountName: accountName,
+                        recipientCode: recipientCode,
+                        addedAt: new Date()
+                    }
+                },
+                { new: true }
+            );
+            
+            await bot.editMessageText(
+                `✅ Bank account saved: ${bank.name} ${maskAccountNumber(accountNumber)}`,
+                {
+                    chat_id: chatId,
+                    message_id: query.message.message_id
+                }
+            );
+            
+            console.log(`🏦 Bank account saved for user ${chatId}`);
+            
+            await askWithdrawalAmount(chatId, user);
+        }
+    } catch (error) {
+        console.error('❌ Error handling withdraw callback:', error);
+        await conversations.end(chatId);
+        await bot.sendMessage(chatId, 'Sorry, there was an error saving your bank account. Please try again with /withdraw');
+    }
+}
+
+async function askWithdrawalAmount(chatId, user) {
+    const balances = await ledgerService.getBalances(user.telegramId);
+    const withdrawnToday = await payoutService.getWithdrawnToday(user.telegramId);
+    const remainingToday = Math.max(0, WITHDRAWAL_CONFIG.dailyCap - withdrawnToday);
+    const maxAmount = Math.min(balances.available, remainingToday);
+    
+    if (maxAmount < WITHDRAWAL_CONFIG.minAmount) {
+        await conversations.end(chatId);
+        await bot.sendMessage(chatId, 
+            `⏰ Daily Limit Reached\n\n` +
+            `You can withdraw up to ₦${WITHDRAWAL_CONFIG.dailyCap.toLocaleString()} per day.\n` +
+            `Please try again tomorrow.`
+        );
+        return;
+    }
+    
+    await conversations.start(chatId, 'withdraw', 'amount', { maxAmount }, { ttlMinutes: 5 });
+    
+    await bot.sendMessage(chatId, 
+        `💸 Withdraw Earnings\n\n` +
+        `🏦 To: ${user.bankAccount.bankName} ${maskAccountNumber(user.bankAccount.accountNumber)}\n` +
+        `👤 ${user.bankAccount.accountName}\n\n` +
+        `✅ Available: ₦${balances.available.toLocaleString()}\n` +
+        `📅 Daily limit left: ₦${remainingToday.toLocaleString()}\n` +
+        `⬇️ Minimum: ₦${WITHDRAWAL_CONFIG.minAmount.toLocaleString()}\n\n` +
+        `Reply with the amount to withdraw (e.g. 5000), "all" for ₦${maxAmount.toLocaleString()}, ` +
+        `or "change" to use a different bank account.`
+    );
+}
+
+async function handleWithdrawalAmountReply(msg, state) {
+    const chatId = msg.chat.id;
+    const text = msg.text.trim().toLowerCase();
+    
+    if (text.includes('change')) {
+        await startBankAccountSetup(chatId);
+        return;
+    }
+    
+    const amount = text === 'all' ? state.payload.maxAmount : parseInt(text.replace(/[₦,\s]/g, ''));
+    
+    if (!amount || isNaN(amount)) {
+        await bot.sendMessage(chatId, `❌ Please enter a valid amount, or /cancel to stop.`);
+        return;
+    }
+    
+    await conversations.end(chatId);
+    await processWithdrawal(chatId, amount);
+}
+
+async function processWithdrawal(chatId, amount) {
+    try {
+        const user = await User.findOne({ telegramId: chatId.toString() });
+        
+        if (!user || !user.bankAccount || !user.bankAccount.recipientCode) {
+            await bot.sendMessage(chatId, 'Please add a bank account first with /withdraw');
             return;
         }
         
-        let message = `📋 Your Active Assignments:\n\n`;
+        // One bank account per person - a shared one sends everyone involved to review
+        const bankFinding = await fraudService.checkBankAccount(user);
+        const fraudCheck = bankFinding ? await fraudService.recordSharedFinding(user, bankFinding) : null;
         
-        userAssignments.forEach((assignment, index) => {
-            const campaign = assignment.campaignId;
-            if (campaign) {
-                const timeUntil = getTimeUntilScheduled(assignment.scheduledTime);
-                
-                message += `${index + 1}. ${campaign.brandName}\n`;
-                message += `Role: ${assignment.role.toUpperCase()}\n`;
-                message += `💰 Earning: ₦${assignment.estimatedEarning.toLocaleString()}\n`;
-                message += `⏰ ${timeUntil}\n`;
-                message += `Status: ${assignment.status === 'pending' ? '⏳ Scheduled' : assignment.status}\n\n`;
+        if (fraudService.isHeld(fraudCheck ? fraudCheck.user : user)) {
+            await bot.sendMessage(chatId, 
+                `⏸️ Withdrawal On Hold\n\n` +
+                `Your account is being reviewed by our team, so withdrawals are paused for now.\n` +
+                `Your balance is safe - we'll let you know once the review is done.`
+            );
+            return;
+        }
+        
+        let payout;
+        try {
+            payout = await payoutService.withdraw(user, amount);
+        } catch (error) {
+            if (error instanceof WithdrawalError) {
+                await bot.sendMessage(chatId, error.message);
+                return;
             }
-        });
+            throw error;
+        }
         
-        message += `💡 We'll notify you when it's time for each assignment!`;
+        await bot.sendMessage(chatId, 
+            `🏦 Withdrawal On Its Way!\n\n` +
+            `💸 Amount: ₦${amount.toLocaleString()}\n` +
+            `🏦 To: ${payout.bankName} ${maskAccountNumber(payout.accountNumber)}\n` +
+            `🔖 Reference: ${payout.reference}\n\n` +
+            `We'll let you know as soon as the bank confirms it.`
+        );
         
-        await bot.sendMessage(chatId, message);
+        console.log(`🏦 Withdrawal of ₦${amount} started for user ${chatId} (${payout.reference})`);
         
     } catch (error) {
-        console.error('❌ Error in /assignments command:', error);
-        await bot.sendMessage(chatId, 'Sorry, there was an error loading your assignments. Please try again.');
+        console.error('❌ Error processing withdrawal:', error);
+        await bot.sendMessage(chatId, 'Sorry, there was an error processing your withdrawal. Please try again.');
     }
-});
+}
 
-function getTimeUntilScheduled(scheduledTime) {
-    const now = new Date();
-    const timeDiff = scheduledTime - now;
+// Transfer status updates from the Paystack webhook
+async function handleTransferUpdate(eventType, data) {
+    const payout = await payoutService.handleTransferEvent(eventType, data);
+    if (!payout) return;
     
-    if (timeDiff < 0) {
-        return '🔴 Overdue';
+    if (payout.status === 'success') {
+        await notifyPayoutUser(payout.userId, 
+            `✅ Withdrawal Complete!\n\n` +
+            `₦${payout.amount.toLocaleString()} has been sent to ${payout.bankName} ${maskAccountNumber(payout.accountNumber)}.`
+        );
+    } else if (payout.status === 'reversed') {
+        await notifyPayoutUser(payout.userId, 
+            `↩️ Withdrawal Reversed
+
+` +
+            `Your withdrawal of ₦${payout.amount.toLocaleString()} to ${payout.bankName} ${maskAccountNumber(payout.accountNumber)} ` +
+            `was returned by the bank, so the money is back in your available balance.
+
+` +
+            `Check your bank details and try again with /withdraw`
+        );
+    } else {
+        await notifyPayoutUser(payout.userId, 
+            `❌ Withdrawal Failed\n\n` +
+            `Your withdrawal of ₦${payout.amount.toLocaleString()} could not be completed, ` +
+            `so the money is back in your available balance.\n\n` +
+            `Try again with /withdraw`
+        );
+    }
+}
+
+async function notifyPayoutUser(userId, message) {
+    try {
+        await bot.sendMessage(userId, message);
+    } catch (error) {
+        await handleSendError(userId, error, 'about payout');
     }
+}
+
+// =================== SCHEDULED JOBS ===================
+
+const jobRunner = new JobRunner();
+
+// Jobs only pick up assignments of active campaigns. Filtering in the query (rather than
+// skipping rows in the loop) keeps paused or closed campaigns from filling every batch.
+function activeCampaignIds() {
+    return Campaign.distinct('_id', { status: 'active' });
+}
+
+// Tell handlers when it's time to post
+async function sendDueAssignmentReminders() {
+    const now = new Date();
+    // Paused campaigns keep their reminders for later
+    const dueAssignments = await Assignment.find({
+        status: 'pending',
+        campaignId: { $in: await activeCampaignIds() },
+        scheduledTime: { $lte: now },
+        reminderSentAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    }).populate('campaignId').limit(100);
     
-    const hours = Math.floor(timeDiff / (1000 * 60 * 60));
-    const minutes = Math.floor((timeDiff % (1000 * 60 * 60)) / (1000 * 60));
+    for (const assignment of dueAssignments) {
+        // Claim the reminder first so a restart or overlapping run can't send it twice
+        const claimed = await Assignment.findOneAndUpdate(
+            { _id: assignment._id, reminderSentAt: null },
+            { reminderSentAt: new Date() },
+            { new: true }
+        ).populate('campaignId');
+        
+        if (!claimed || !claimed.campaignId) continue;
+        
+        try {
+            const deadline = claimed.expiresAt ? `\n⏳ Submit before: ${claimed.expiresAt.toLocaleString()}` : '';
+            
+            await broadcastQueue.enqueue(claimed.userId, 
+                `⏰ IT'S TIME!\n\n` +
+                `Campaign: ${claimed.campaignId.brandName}\n` +
+                `Your Role: ${claimed.role.toUpperCase()}\n` +
+                `💰 Earning: ₦${claimed.estimatedEarning.toLocaleString()}${deadline}\n\n` +
+                `📝 Suggested Content:\n"${claimed.content}"\n\n` +
+                `💡 Customize it to match your style, post it, then tap below to submit your tweet link.`,
+                {
+                    reply_markup: {
+                        inline_keyboard: [[
+                            { text: '📤 Submit Tweet Link', callback_data: `submit_${claimed._id}` }
+                        ]]
+                    }
+                }
+            );
+        } catch (error) {
+            console.log(`❌ Failed to queue assignment reminder to ${claimed.userId}: ${error.message}`);
+        }
+    }
     
-    if (hours > 0) {
-        return `in ${hours}h ${minutes}m`;
-    } else {
-        return `in ${minutes}m`;
+    if (dueAssignments.length > 0) {
+        console.log(`⏰ Processed ${dueAssignments.length} assignment reminder(s)`);
     }
 }
 
-// /earnings command
-bot.onText(/\/earnings/, async (msg) => {
-    const chatId = msg.chat.id;
+// Second nudge shortly before the submission window closes
+async function sendExpiryReminders() {
+    const now = new Date();
+    const soon = new Date(now.getTime() + (ASSIGNMENT_CONFIG.expiryReminderMinutes * 60 * 1000));
     
-    console.log(`📱 /earnings command received from user: ${chatId}`);
+    const expiringAssignments = await Assignment.find({
+        status: 'pending',
+        campaignId: { $in: await activeCampaignIds() },
+        expiresAt: { $gt: now, $lte: soon },
+        expiryReminderSentAt: null
+    }).populate('campaignId').limit(100);
     
-    try {
-        const user = await User.findOne({ telegramId: chatId.toString() });
+    for (const assignment of expiringAssignments) {
+        const claimed = await Assignment.findOneAndUpdate(
+            { _id: assignment._id, expiryReminderSentAt: null },
+            { expiryReminderSentAt: new Date() },
+            { new: true }
+        ).populate('campaignId');
         
-        if (!user) {
-            await bot.sendMessage(chatId, `Please register first with /start`);
-            return;
+        if (!claimed || !claimed.campaignId) continue;
+        
+        try {
+            const minutesLeft = Math.max(1, Math.round((claimed.expiresAt - new Date()) / (1000 * 60)));
+            
+            await broadcastQueue.enqueue(claimed.userId, 
+                `⚠️ LAST CALL!\n\n` +
+                `Your ${claimed.role.toUpperCase()} assignment for ${claimed.campaignId.brandName} expires in ${minutesLeft} min.\n` +
+                `💰 Don't miss out on ₦${claimed.estimatedEarning.toLocaleString()}!\n\n` +
+                `📝 Suggested Content:\n"${claimed.content}"`,
+                {
+                    reply_markup: {
+                        inline_keyboard: [[
+                            { text: '📤 Submit Tweet Link', callback_data: `submit_${claimed._id}` }
+                        ]]
+                    }
+                }
+            );
+        } catch (error) {
+            console.log(`❌ Failed to queue expiry reminder to ${claimed.userId}: ${error.message}`);
+        }
+    }
+    
+    if (expiringAssignments.length > 0) {
+        console.log(`⚠️ Processed ${expiringAssignments.length} expiry reminder(s)`);
+    }
+}
+
+// Re-run bio checks that failed because Twitter was unavailable
+async function recheckPendingVerifications() {
+    const users = await verificationService.claimDueRetries();
+    
+    for (const user of users) {
+        try {
+            await recheckUserVerification(user, 'background_recheck');
+        } catch (error) {
+            console.error(`❌ Error rechecking verification for ${user.telegramId}:`, error);
         }
+    }
+    
+    if (users.length > 0) {
+        console.log(`🔐 Rechecked ${users.length} pending verification(s)`);
+    }
+}
+
+// Check the bio again for a user who already has a code, and tell them how it went
+async function recheckUserVerification(user, trigger) {
+    const chatId = user.telegramId;
+    const result = await verificationService.checkBio(user.twitterHandle, user.verificationCode);
+    
+    if (result.outcome === 'verified') {
+        const twitterMetrics = await buildTwitterMetrics(result.profile, user.twitterHandle);
         
-        // Calculate potential bonus
-        let bonusInfo = '';
-        if (user.profileCompleted && user.profile) {
-            const bonusPercent = user.profile.authenticityScore > 80 ? '15-25%' : '15%';
-            bonusInfo = `\n🎯 Profile Bonus: ${bonusPercent} extra on all campaigns!`;
-        } else {
-            bonusInfo = `\n💡 Complete /profile for 15-25% bonus earnings!`;
+        await verificationService.markVerified(user, {
+            method: 'bio_code',
+            trigger: trigger
+        });
+        await recordTwitterMetrics(user, twitterMetrics, 'verification');
+        
+        if (await conversations.get(chatId, 'twitter')) {
+            await conversations.end(chatId);
         }
         
-        await bot.sendMessage(chatId, 
-            `💰 Your Earnings Summary\n\n` +
-            `Total Earned: ₦${user.earnings || 0}\n` +
-            `Campaigns Completed: ${user.campaignsCompleted || 0}\n` +
-            `Account Status: ${user.isActive ? '✅ Active' : '❌ Inactive'}${bonusInfo}\n\n` +
-            `💡 Keep participating to earn more!`
+        await broadcastQueue.enqueue(chatId, buildVerifiedMessage(user.twitterHandle, twitterMetrics, user.verificationCode));
+        console.log(`✅ Recheck (${trigger}) verified @${user.twitterHandle} for user ${chatId}`);
+        return 'verified';
+    }
+    
+    if (result.outcome === 'failed') {
+        await verificationService.markFailed(user, { trigger: trigger, reason: result.reason });
+        
+        await broadcastQueue.enqueue(chatId, 
+            `❌ Verification Failed\n\n` +
+            `We checked @${user.twitterHandle} again but couldn't find the code "${user.verificationCode}" in the bio.\n\n` +
+            `Start over with /twitter when you're ready.`
+        );
+        return 'failed';
+    }
+    
+    const nextAttemptAt = await verificationService.scheduleRetry(user, { trigger: trigger, error: result.error });
+    
+    if (!nextAttemptAt) {
+        await broadcastQueue.enqueue(chatId, 
+            `⚠️ Verification Paused\n\n` +
+            `Twitter has been unavailable for a while, so we stopped checking @${user.twitterHandle}.\n\n` +
+            `Please start over with /twitter later.`
         );
+        return 'retry_exhausted';
+    }
+    
+    return 'retry_scheduled';
+}
+
+// Keep follower and engagement numbers current for handlers we can still assign work to
+async function refreshTwitterMetrics() {
+    const staleBefore = new Date(Date.now() - (TWITTER_METRICS_REFRESH_HOURS * 60 * 60 * 1000));
+    
+    const users = await User.find({
+        twitterVerified: true,
+        isActive: true,
+        botBlockedAt: null,
+        $or: [
+            { 'twitterMetrics.refreshedAt': null },
+            { 'twitterMetrics.refreshedAt': { $lte: staleBefore } }
+        ]
+    }).sort({ 'twitterMetrics.refreshedAt': 1 }).limit(25);
+    
+    if (users.length === 0) return;
+    
+    const twitterService = verificationService.twitterService;
+    let refreshed = 0;
+    
+    for (const user of users) {
+        try {
+            const metrics = await twitterService.getAccountMetrics(user.twitterHandle);
+            await recordTwitterMetrics(user, metrics, 'refresh');
+            refreshed++;
+        } catch (error) {
+            // Keep the last good numbers
+            console.log(`⚠️ Could not refresh Twitter metrics for @${user.twitterHandle}: ${error.message}`);
+        }
         
-    } catch (error) {
-        console.error('❌ Error in /earnings command:', error);
-        await bot.sendMessage(chatId, 'Sorry, there was an error loading your earnings. Please try again.');
+        // Stay well inside the Twitter API rate limit
+        await new Promise(resolve => setTimeout(resolve, 500));
     }
-});
+    
+    console.log(`📈 Refreshed Twitter metrics for ${refreshed}/${users.length} handler(s)`);
+}
 
-// /status command
-bot.onText(/\/status/, async (msg) => {
-    const chatId = msg.chat.id;
+// Paid campaigns that found no available handlers: try again, and refund the ones that waited too long
+async function retryUnstaffedCampaigns() {
+    const now = Date.now();
+    const retryCutoff = new Date(now - (ASSIGNMENT_CONFIG.staffingRetryMinutes * 60 * 1000));
+    const giveUpCutoff = new Date(now - (ASSIGNMENT_CONFIG.staffingGiveUpHours * 60 * 60 * 1000));
     
-    console.log(`📱 /status command received from user: ${chatId}`);
+    const campaigns = await Campaign.find({
+        status: 'pending',
+        $or: [{ assignmentAttemptedAt: null }, { assignmentAttemptedAt: { $lte: retryCutoff } }]
+    }).limit(20);
     
-    try {
-        const user = await User.findOne({ telegramId: chatId.toString() });
+    for (const campaign of campaigns) {
+        const paidAt = (campaign.payment && campaign.payment.paidAt) || campaign.createdAt;
         
-        if (!user) {
-            await bot.sendMessage(chatId, `Please register first with /start`);
-            return;
+        if (paidAt > giveUpCutoff) {
+            await createAutomaticAssignments(campaign);
+            continue;
         }
         
-        // Twitter verification status
-        let twitterStatus = '';
-        if (!user.twitterHandle) {
-            twitterStatus = `❌ Not linked - Use /twitter to link account`;
-        } else if (!user.twitterVerified) {
-            if (user.verificationCode && user.verificationExpires > new Date()) {
-                const timeLeft = Math.ceil((user.verificationExpires - new Date()) / (1000 * 60));
-                twitterStatus = `⏳ Verification pending - ${timeLeft} min left\n` +
-                               `Code: ${user.verificationCode}\n` +
-                               `Add to @${user.twitterHandle} bio, then reply "verify"`;
-            } else {
-                twitterStatus = `🔐 Not verified - Use /twitter to verify @${user.twitterHandle}`;
-            }
-        } else {
-            twitterStatus = `✅ @${user.twitterHandle} (verified ${user.verifiedAt ? user.verifiedAt.toDateString() : ''})`;
+        try {
+            const reason = `No handlers available within ${ASSIGNMENT_CONFIG.staffingGiveUpHours}h`;
+            
+            await campaignStateMachine.transition(campaign._id, 'cancelled', { reason, from: 'pending' });
+            await campaignRefundService.refund(campaign._id, { reason });
+        } catch (error) {
+            // A failed refund stays cancelled and the refund retry job picks it up
+            if (error instanceof InvalidTransitionError || error instanceof RefundError) continue;
+            console.error(`❌ Error refunding unstaffed campaign ${campaign._id}:`, error);
         }
-        
-        // Profile status
-        let profileStatus = '';
-        if (user.profileCompleted && user.profile) {
-            profileStatus = `✅ ${user.profile.primaryProfile.label} (${user.profile.authenticityScore}/100)`;
-        } else {
-            profileStatus = `❌ Not completed (missing bonus earnings!)`;
+    }
+}
+
+// Skip assignments nobody submitted and hand the role to someone else
+async function expireOverdueAssignments() {
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - (ASSIGNMENT_CONFIG.gracePeriodMinutes * 60 * 1000));
+    // Older assignments have no expiresAt - derive it from the scheduled time
+    const legacyCutoff = new Date(cutoff.getTime() - (ASSIGNMENT_CONFIG.executionWindowHours * 60 * 60 * 1000));
+    
+    // The clock stops while a campaign is paused; closed campaigns settle their own assignments
+    const overdueAssignments = await Assignment.find({
+        status: 'pending',
+        campaignId: { $in: await activeCampaignIds() },
+        $or: [
+            { expiresAt: { $lte: cutoff } },
+            { expiresAt: null, scheduledTime: { $lte: legacyCutoff } }
+        ]
+    }).limit(100);
+    
+    for (const assignment of overdueAssignments) {
+        try {
+            const skipped = await Assignment.findOneAndUpdate(
+                { _id: assignment._id, status: 'pending' },
+                { status: 'skipped', skippedAt: new Date(), skipReason: 'expired' },
+                { new: true }
+            );
+            
+            if (!skipped) continue;
+            
+            await ledgerService.reverseAssignmentEarning(skipped, 'Assignment expired');
+            await penalizeMissedAssignment(skipped);
+            
+            const campaign = await Campaign.findById(skipped.campaignId);
+            
+            try {
+                await bot.sendMessage(skipped.userId, 
+                    `⌛ Assignment Expired\n\n` +
+                    `Your ${skipped.role.toUpperCase()} assignment${campaign ? ` for ${campaign.brandName}` : ''} was not submitted in time, ` +
+                    `so it has been given to another handler.\n\n` +
+                    `⚠️ Missed assignments lower your reliability score and your chances of being selected.`
+                );
+            } catch (error) {
+                await handleSendError(skipped.userId, error, 'about expiry');
+            }
+            
+            if (campaign) {
+                await reassignToStandbyUser(campaign, skipped);
+            }
+        } catch (error) {
+            console.error(`❌ Error expiring assignment ${assignment._id}:`, error);
         }
-        
-        await bot.sendMessage(chatId, 
-            `📊 Account Status\n\n` +
-            `Name: ${user.firstName} ${user.lastName}\n` +
-            `Twitter: ${twitterStatus}\n` +
-            `Profile: ${profileStatus}\n` +
-            `Account: ${user.isActive ? '✅ Active' : '❌ Inactive'}\n` +
-            `Registered: ${user.registeredAt.toDateString()}\n` +
-            `Total Earnings: ₦${user.earnings || 0}\n\n` +
-            `${!user.twitterHandle ? '📝 Next: Link Twitter with /twitter' : 
-              !user.twitterVerified ? '🔐 Next: Complete verification' :
-              !user.profileCompleted ? '🧠 Next: Complete profile with /profile' : 
-              '🎉 You\'re all set for maximum earnings!'}`
+    }
+    
+    if (overdueAssignments.length > 0) {
+        console.log(`⌛ Expired ${overdueAssignments.length} overdue assignment(s)`);
+    }
+}
+
+async function penalizeMissedAssignment(assignment) {
+    const reliability = await reliabilityService.refresh(assignment.userId, { allowSuspend: true });
+    
+    console.log(`📉 Reliability for ${assignment.userId} dropped to ${reliability.score}`);
+    
+    if (reliability.suspended) {
+        await notifySuspendedHandler(assignment.userId, reliability.score);
+    }
+}
+
+async function notifySuspendedHandler(userId, score) {
+    try {
+        await broadcastQueue.enqueue(userId, 
+            `⛔ Assignments Paused\n\n` +
+            `Your reliability score is ${score}/100, below the ${RELIABILITY_CONFIG.suspendThreshold} we need to keep sending you assignments.\n\n` +
+            `An admin will review your account. Your existing earnings are not affected.`
         );
-        
     } catch (error) {
-        console.error('❌ Error in status command:', error);
-        await bot.sendMessage(chatId, 'Sorry, there was an error fetching your status. Please try again.');
+        console.error(`❌ Failed to queue suspension notice for ${userId}: ${error.message}`);
     }
-});
+}
+
+// Offer the missed role to the next-best available handler
+// Pass { userId } to pick a specific handler (they still have to be available)
+async function reassignToStandbyUser(campaign, skippedAssignment, { userId } = {}) {
+    if (campaign.status !== 'active') {
+        return null;
+    }
+    
+    // No point starting new work once the campaign window is over
+    const campaignStart = campaign.startedAt || campaign.createdAt;
+    if (campaign.duration && campaignStart) {
+        const campaignEnd = new Date(campaignStart.getTime() + (campaign.duration * 60 * 60 * 1000));
+        if (new Date() >= campaignEnd) {
+            return null;
+        }
+    }
+    
+    const alreadyInvolved = await Assignment.distinct('userId', { campaignId: campaign._id });
+    const availableUsers = await getAvailableUsers();
+    const standbyUsers = availableUsers.filter(user => (
+        !alreadyInvolved.includes(user.telegramId) && (!userId || user.telegramId === userId)
+    ));
+    
+    if (standbyUsers.length === 0) {
+        console.log(`⚠️ No standby users to replace ${skippedAssignment.role} on ${campaign.brandName}`);
+        return null;
+    }
+    
+    const [replacement] = selectBestUsersInclusive(standbyUsers, 1, campaign);
+    const tier = handlerScorer.getEarningsTier(replacement);
+    const now = new Date();
+    
+    const newAssignment = new Assignment({
+        campaignId: campaign._id,
+        userId: replacement.telegramId,
+        role: skippedAssignment.role,
+        scheduledTime: now,
+        expiresAt: new Date(now.getTime() + (ASSIGNMENT_CONFIG.executionWindowHours * 60 * 60 * 1000)),
+        status: 'pending',
+        content: generateContentForRole(campaign, skippedAssignment.role),
+        estimatedEarning: Math.round(calculateEarning(campaign, skippedAssignment.role) * tier.multiplier),
+        isProfileMatch: isUserMatchForCampaign(replacement, campaign),
+        selectionScore: replacement.score,
+        earningsTier: tier.name,
+        replacesAssignmentId: skippedAssignment._id
+    });
+    
+    await newAssignment.save();
+    
+    await Campaign.findByIdAndUpdate(campaign._id, {
+        $addToSet: { participants: replacement.telegramId }
+    });
+    
+    await notifySelectedUsersInclusive([newAssignment]);
+    
+    console.log(`🔁 Reassigned ${skippedAssignment.role} on ${campaign.brandName} to ${replacement.telegramId}`);
+    return newAssignment;
+}
+
+jobRunner
+    .register('assignment-reminders', '* * * * *', sendDueAssignmentReminders)
+    .register('assignment-expiry-reminders', '*/5 * * * *', sendExpiryReminders)
+    .register('assignment-expiry', '*/5 * * * *', expireOverdueAssignments)
+    .register('campaign-completion', '*/10 * * * *', completeExpiredCampaigns)
+    .register('campaign-staffing-retries', '*/5 * * * *', retryUnstaffedCampaigns)
+    .register('campaign-refund-retries', '*/10 * * * *', () => campaignRefundService.retryFailed())
+    .register('marketer-daily-digest', '0 9 * * *', sendDailyDigests)
+    .register('verification-rechecks', '*/5 * * * *', recheckPendingVerifications)
+    .register('twitter-metrics-refresh', '15 * * * *', refreshTwitterMetrics);
 
 // =================== HELPER FUNCTIONS ===================
 
@@ -2035,14 +4874,16 @@ async function addUserToCooldown(userId, campaignSize) {
     const sizeMultiplier = Math.min(2, campaignSize / 50);
     const cooldownHours = Math.max(minHours, Math.min(maxHours, baseHours * sizeMultiplier));
     
-    const cooldown = new Cooldown({
-        userId: userId,
-        until: new Date(now.getTime() + (cooldownHours * 60 * 60 * 1000)),
-        hours: cooldownHours,
-        reason: 'Campaign participation'
-    });
-    
-    await cooldown.save();
+    // One cooldown record per user - replace any earlier one
+    await Cooldown.findOneAndUpdate(
+        { userId: userId },
+        {
+            until: new Date(now.getTime() + (cooldownHours * 60 * 60 * 1000)),
+            hours: cooldownHours,
+            reason: 'Campaign participation'
+        },
+        { upsert: true }
+    );
     
     console.log(`⏰ User ${userId} in cooldown for ${cooldownHours} hours`);
 }
@@ -2053,7 +4894,7 @@ bot.on('message', async (msg) => {
     const text = msg.text;
     
     // Ignore if it's a command we handle or not a command
-    if (!text || !text.startsWith('/') || text.match(/\/(start|help|twitter|campaigns|earnings|status|assignments|profile)/)) {
+    if (!text || !text.startsWith('/') || text.match(/\/(start|help|twitter|campaigns|earnings|withdraw|status|assignments|submit|profile|interests|location|cancel)/)) {
         return;
     }
     
@@ -2076,6 +4917,10 @@ bot.on('polling_error', (error) => {
     console.log('❌ Polling error:', error.message);
 });
 
+bot.on('webhook_error', (error) => {
+    console.log('❌ Webhook error:', error.message);
+});
+
 // Start our server
 app.listen(PORT, async () => {
     try {
@@ -2094,11 +4939,35 @@ app.listen(PORT, async () => {
         console.log(`⚠️ Database connection status unknown`);
         console.log(`📱 Go to Telegram and message your bot to test it!`);
     }
+    
+    try {
+        await questionnaireService.ensureBuiltIns();
+    } catch (error) {
+        console.error('❌ Failed to publish built-in questionnaires:', error.message);
+    }
+    
+    try {
+        await startTelegramUpdates();
+    } catch (error) {
+        console.error('❌ Failed to start Telegram updates:', error.message);
+    }
+    
+    try {
+        await broadcastQueue.start();
+    } catch (error) {
+        console.error('❌ Failed to start broadcast queue:', error.message);
+    }
+    
+    jobRunner.start();
 });
 
 // Handle server shutdown gracefully
 process.on('SIGINT', () => {
     console.log('\n👋 Shutting down server and bot...');
-    bot.stopPolling();
+    jobRunner.stop();
+    broadcastQueue.stop();
+    if (bot.isPolling()) {
+        bot.stopPolling();
+    }
     process.exit(0);
 });
\ No newline at end of file
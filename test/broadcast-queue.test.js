@@ -0,0 +1,133 @@
+// broadcast-queue.test.js - Broadcast delivery and crash recovery against an in-memory Redis
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const BroadcastQueue = require('../broadcast-queue');
+const MemoryRedis = require('./helpers/memory-redis');
+
+function telegramError(errorCode) {
+    const error = new Error(`ETELEGRAM: ${errorCode}`);
+    error.response = { body: { ok: false, error_code: errorCode } };
+    return error;
+}
+
+describe('BroadcastQueue', () => {
+    before(() => {
+        // Service logging would otherwise end up mixed into the test runner's output
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    // A worker on the shared in-memory server, registered the way start() does it but without the loop
+    async function worker(store, options = {}) {
+        const sent = [];
+        const queue = new BroadcastQueue({
+            send: async (chatId, text) => { sent.push({ chatId, text }); },
+            client: new MemoryRedis(store),
+            ...options
+        });
+
+        await queue.client.connect();
+        await queue.heartbeat();
+        await queue.client.sAdd('broadcast:workers', queue.workerId);
+
+        return { queue, sent };
+    }
+
+    it('sends a job and removes it from the processing list', async () => {
+        const { queue, sent } = await worker(new Map());
+        await queue.enqueue(111, 'Hello');
+
+        assert.equal(await queue.tick(), true);
+
+        assert.deepEqual(sent, [{ chatId: '111', text: 'Hello' }]);
+        assert.equal(await queue.client.lLen(queue.processingKey), 0);
+        assert.equal((await queue.getStats()).sent, 1);
+        assert.equal(await queue.tick(), false);
+    });
+
+    it('requeues the job of a worker that died mid-send', async () => {
+        const store = new Map();
+        // This send never finishes, like a process killed while talking to Telegram
+        const { queue: crashed } = await worker(store, { send: () => new Promise(() => {}) });
+        const { queue: survivor, sent } = await worker(store);
+
+        await crashed.enqueue(222, 'Campaign live');
+        crashed.tick();
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.equal(await crashed.client.lLen(crashed.processingKey), 1);
+        assert.equal(await survivor.client.lLen('broadcast:queue'), 0);
+
+        // Still checking in - its job is left alone
+        assert.equal(await survivor.recoverOrphanedJobs(), 0);
+
+        await survivor.client.del(`broadcast:heartbeat:${crashed.workerId}`);
+        assert.equal(await survivor.recoverOrphanedJobs(), 1);
+        assert.deepEqual(await survivor.client.sMembers('broadcast:workers'), [survivor.workerId]);
+
+        // The per-chat gap the dead worker started has long passed by the time its heartbeat expires
+        await survivor.client.del('broadcast:chat:222');
+        await survivor.tick();
+        assert.deepEqual(sent, [{ chatId: '222', text: 'Campaign live' }]);
+
+        const stats = await survivor.getStats();
+        assert.equal(stats.recovered, 1);
+        assert.equal(stats.sent, 1);
+    });
+
+    it('counts blocked chats and acknowledges them', async () => {
+        const onBlocked = mock.fn(async () => {});
+        const { queue } = await worker(new Map(), { send: async () => { throw telegramError(403); }, onBlocked });
+        await queue.enqueue(333, 'Hi');
+
+        await queue.tick();
+
+        assert.equal(onBlocked.mock.calls[0].arguments[0], '333');
+        assert.equal((await queue.getStats()).blocked, 1);
+        assert.equal(await queue.client.lLen(queue.processingKey), 0);
+    });
+
+    it('records unexpected errors as failures instead of leaving the job in processing', async () => {
+        const { queue } = await worker(new Map(), {
+            send: async () => { throw telegramError(403); },
+            onBlocked: async () => { throw new Error('Mongo unavailable'); }
+        });
+        await queue.enqueue(444, 'Hi');
+
+        await queue.tick();
+
+        const stats = await queue.getStats();
+        assert.equal(stats.failed, 1);
+        assert.equal(stats.recentFailures[0].error, 'Mongo unavailable');
+        assert.equal(await queue.client.lLen(queue.processingKey), 0);
+    });
+
+    it('retries other errors later through the delayed set', async () => {
+        const { queue } = await worker(new Map(), { send: async () => { throw telegramError(502); } });
+        await queue.enqueue(555, 'Hi');
+
+        await queue.tick();
+
+        const stats = await queue.getStats();
+        assert.equal(stats.retried, 1);
+        assert.equal(stats.delayed, 1);
+        assert.equal(await queue.client.lLen(queue.processingKey), 0);
+    });
+
+    it('puts the job back at the front when the per-second budget is spent', async () => {
+        const { queue, sent } = await worker(new Map());
+        queue.ratePerSecond = 0;
+        await queue.enqueueMany([{ chatId: 1, text: 'first' }, { chatId: 2, text: 'second' }]);
+
+        await queue.tick();
+
+        assert.equal(sent.length, 0);
+        assert.equal(await queue.client.lLen(queue.processingKey), 0);
+        assert.equal(JSON.parse((await queue.client.lRange('broadcast:queue', 0, 0))[0]).text, 'first');
+    });
+});
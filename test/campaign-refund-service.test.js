@@ -0,0 +1,138 @@
+// campaign-refund-service.test.js - Refunding cancelled campaigns against a mocked Paystack refund endpoint
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const { Campaign } = require('../models');
+const PaystackService = require('../paystack-service');
+const { CampaignStateMachine } = require('../campaign-state-machine');
+const { CampaignRefundService, RefundError, REFUND_RETRY_MS } = require('../campaign-refund-service');
+const PaystackStub = require('./helpers/paystack-stub');
+const { mockModel } = require('./helpers/memory-model');
+
+describe('CampaignRefundService', () => {
+    // Each test decides how the stub answers POST /refund
+    let onRefund;
+    const stub = new PaystackStub({
+        'POST /refund': request => onRefund(request)
+    });
+    let paystack;
+
+    before(async () => {
+        // Service logging would otherwise end up mixed into the test runner's output
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+
+        await stub.start();
+        process.env.PAYSTACK_SECRET_KEY = 'sk_test_stub';
+        process.env.PAYSTACK_BASE_URL = stub.baseURL;
+        paystack = new PaystackService();
+    });
+
+    after(async () => {
+        delete process.env.PAYSTACK_SECRET_KEY;
+        delete process.env.PAYSTACK_BASE_URL;
+        await stub.stop();
+        mock.restoreAll();
+    });
+
+    function setup(t, { payment = {}, totalPaidOut = 0 } = {}) {
+        const campaign = {
+            _id: new mongoose.Types.ObjectId(),
+            brandName: 'Acme',
+            status: 'cancelled',
+            totalPaidOut,
+            statusHistory: [],
+            payment: { reference: 'CMP_refund', amount: 50000, status: 'success', ...payment }
+        };
+
+        const campaigns = mockModel(t, Campaign, [campaign]);
+        const ledger = { refundCampaign: t.mock.fn(async () => true) };
+        const refundService = new CampaignRefundService({
+            paystackService: paystack,
+            ledgerService: ledger,
+            campaignStateMachine: new CampaignStateMachine()
+        });
+
+        onRefund = request => ({ transaction: { reference: request.body.transaction }, status: 'pending' });
+
+        return { campaign, campaigns, ledger, refundService };
+    }
+
+    it('refunds the unspent budget, then marks the campaign refunded', async (t) => {
+        const { campaign, campaigns, ledger, refundService } = setup(t, { totalPaidOut: 12000 });
+
+        const refunded = await refundService.refund(campaign._id, { reason: 'Marketer asked' });
+
+        assert.equal(refunded.status, 'refunded');
+        assert.equal(campaigns[0].payment.refundStatus, 'success');
+        assert.equal(campaigns[0].payment.refundedAmount, 38000);
+        assert.deepEqual(stub.requests[stub.requests.length - 1].body, { transaction: 'CMP_refund', amount: 3800000 });
+        assert.equal(ledger.refundCampaign.mock.calls[0].arguments[1], 38000);
+    });
+
+    it('leaves the campaign cancelled when Paystack refuses the refund', async (t) => {
+        const { campaign, campaigns, ledger, refundService } = setup(t);
+        onRefund = () => ({ status: 400, body: { status: false, message: 'Transaction has been fully reversed' } });
+
+        await assert.rejects(refundService.refund(campaign._id), RefundError);
+
+        assert.equal(campaigns[0].status, 'cancelled');
+        assert.equal(campaigns[0].payment.refundStatus, 'failed');
+        assert.match(campaigns[0].payment.refundFailureReason, /fully reversed/);
+        assert.equal(ledger.refundCampaign.mock.callCount(), 0);
+    });
+
+    it('retries a failed refund once it is old enough', async (t) => {
+        const { campaign, campaigns, refundService } = setup(t);
+        onRefund = () => ({ status: 500, body: { status: false, message: 'Service unavailable' } });
+        await assert.rejects(refundService.refund(campaign._id), RefundError);
+
+        onRefund = () => ({ status: 'pending' });
+        assert.equal(await refundService.retryFailed(), 0);
+
+        campaigns[0].payment.refundAttemptedAt = new Date(Date.now() - REFUND_RETRY_MS - 1000);
+        assert.equal(await refundService.retryFailed(), 1);
+        assert.equal(campaigns[0].status, 'refunded');
+        assert.equal(campaigns[0].payment.refundStatus, 'success');
+    });
+
+    it('finishes an accepted refund without sending it to Paystack again', async (t) => {
+        const { campaigns, ledger, refundService } = setup(t, {
+            payment: { refundStatus: 'success', refundedAmount: 20000 }
+        });
+        const requestsBefore = stub.requests.length;
+
+        assert.equal(await refundService.retryFailed(), 1);
+
+        assert.equal(stub.requests.length, requestsBefore);
+        assert.equal(campaigns[0].status, 'refunded');
+        assert.equal(ledger.refundCampaign.mock.calls[0].arguments[1], 20000);
+    });
+
+    it('refuses a second refund while one is in progress', async (t) => {
+        const { campaign, refundService } = setup(t, {
+            payment: { refundStatus: 'pending', refundAttemptedAt: new Date() }
+        });
+
+        await assert.rejects(refundService.refund(campaign._id), /already in progress/);
+    });
+
+    it('marks unpaid campaigns refunded without calling Paystack', async (t) => {
+        const { campaign, ledger, refundService } = setup(t, { payment: { status: 'initialized' } });
+        const requestsBefore = stub.requests.length;
+
+        const refunded = await refundService.refund(campaign._id);
+
+        assert.equal(refunded.status, 'refunded');
+        assert.equal(stub.requests.length, requestsBefore);
+        assert.equal(ledger.refundCampaign.mock.callCount(), 0);
+    });
+
+    it('only refunds cancelled campaigns', async (t) => {
+        const { campaign, campaigns, refundService } = setup(t);
+        campaigns[0].status = 'active';
+
+        await assert.rejects(refundService.refund(campaign._id), /Cannot move campaign from active to refunded/);
+    });
+});
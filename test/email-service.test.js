@@ -0,0 +1,130 @@
+// email-service.test.js - Template rendering, and sending through nodemailer's stream and JSON transports
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const nodemailer = require('nodemailer');
+
+const EmailService = require('../email-service');
+const { EMAIL_TEMPLATES, escapeHtml } = require('../email-templates');
+
+const CAMPAIGN = {
+    brandName: 'Acme <Snacks>',
+    package: 'growth',
+    budget: 150000,
+    duration: 48,
+    status: 'active',
+    participants: ['1', '2', '3'],
+    estimatedReach: 250000,
+    actualParticipants: 3,
+    totalEngagement: 1200,
+    actualReach: 180000,
+    totalPaidOut: 90000,
+    payment: { amount: 150000, reference: 'CMP_123' }
+};
+
+const TEMPLATE_DATA = {
+    campaign_created: { campaign: CAMPAIGN, paymentUrl: 'https://checkout.example/pay?a=1&b=2' },
+    payment_received: { campaign: CAMPAIGN },
+    campaign_live: { campaign: CAMPAIGN },
+    daily_digest: { campaign: CAMPAIGN, progress: { submitted: 2, total: 5, pending: 2, skipped: 1, hoursRemaining: 20 } },
+    final_report: { campaign: CAMPAIGN }
+};
+
+describe('EMAIL_TEMPLATES', () => {
+    it('has test data for every template', () => {
+        assert.deepEqual(Object.keys(EMAIL_TEMPLATES).sort(), Object.keys(TEMPLATE_DATA).sort());
+    });
+
+    for (const [name, data] of Object.entries(TEMPLATE_DATA)) {
+        it(`renders ${name} as text and escaped html`, () => {
+            const { subject, text, html } = EMAIL_TEMPLATES[name](data);
+
+            assert.ok(subject.endsWith(CAMPAIGN.brandName));
+            assert.match(text, /Campaign: Acme <Snacks>/);
+            assert.ok(html.includes('Acme &lt;Snacks&gt;'));
+            assert.ok(!html.includes('<Snacks>'));
+        });
+    }
+
+    it('fills in the figures each email is about', () => {
+        assert.match(EMAIL_TEMPLATES.campaign_created(TEMPLATE_DATA.campaign_created).text, /Amount due: ₦150,000/);
+        assert.ok(EMAIL_TEMPLATES.campaign_created(TEMPLATE_DATA.campaign_created).html
+            .includes('href="https://checkout.example/pay?a=1&amp;b=2"'));
+        assert.match(EMAIL_TEMPLATES.payment_received(TEMPLATE_DATA.payment_received).text, /Reference: CMP_123/);
+        assert.match(EMAIL_TEMPLATES.campaign_live(TEMPLATE_DATA.campaign_live).text, /Handlers selected: 3/);
+        assert.match(EMAIL_TEMPLATES.daily_digest(TEMPLATE_DATA.daily_digest).text, /Assignments submitted: 2\/5/);
+        assert.match(EMAIL_TEMPLATES.final_report(TEMPLATE_DATA.final_report).text, /Paid to handlers: ₦90,000/);
+    });
+
+    it('escapes everything html treats specially', () => {
+        assert.equal(escapeHtml(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+        assert.equal(escapeHtml(null), '');
+    });
+});
+
+describe('EmailService', () => {
+    before(() => {
+        // Service logging would otherwise end up mixed into the test runner's output
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+        delete process.env.EMAIL_TRANSPORT;
+    });
+
+    it('sends a rendered email through the stream transport', async () => {
+        const emailService = new EmailService(nodemailer.createTransport({ streamTransport: true, buffer: true }));
+
+        const info = await emailService.send('payment_received', 'marketer@example.com', TEMPLATE_DATA.payment_received);
+        const message = info.message.toString();
+
+        assert.deepEqual(info.envelope.to, ['marketer@example.com']);
+        assert.match(message, /^To: marketer@example\.com$/m);
+        assert.match(message, /^From: Twitter Engagement Platform <no-reply@localhost>$/m);
+        assert.match(message, /^Subject: Payment received: Acme <Snacks>$/m);
+        assert.match(message, /Content-Type: multipart\/alternative/);
+        assert.match(message, /Content-Type: text\/html/);
+    });
+
+    it('picks the stream transport from EMAIL_TRANSPORT', async () => {
+        process.env.EMAIL_TRANSPORT = 'stream';
+        const emailService = new EmailService();
+
+        const info = await emailService.send('campaign_live', 'marketer@example.com', TEMPLATE_DATA.campaign_live);
+        assert.ok(Buffer.isBuffer(info.message));
+    });
+
+    it('sends the template output through the JSON transport', async () => {
+        const emailService = new EmailService(nodemailer.createTransport({ jsonTransport: true }));
+
+        const info = await emailService.send('final_report', 'marketer@example.com', TEMPLATE_DATA.final_report);
+        const message = JSON.parse(info.message);
+        const rendered = EMAIL_TEMPLATES.final_report(TEMPLATE_DATA.final_report);
+
+        assert.equal(message.subject, rendered.subject);
+        assert.equal(message.text, rendered.text);
+        assert.equal(message.html, rendered.html);
+    });
+
+    it('skips unknown templates and missing recipients', async () => {
+        const transport = nodemailer.createTransport({ jsonTransport: true });
+        const sendMail = mock.method(transport, 'sendMail');
+        const emailService = new EmailService(transport);
+
+        assert.equal(await emailService.send('no_such_template', 'marketer@example.com', {}), null);
+        assert.equal(await emailService.send('campaign_live', null, TEMPLATE_DATA.campaign_live), null);
+        assert.equal(sendMail.mock.callCount(), 0);
+    });
+
+    it('never throws when the transport fails', async () => {
+        const failing = nodemailer.createTransport({
+            name: 'failing',
+            version: '1.0.0',
+            send: (mail, callback) => callback(new Error('SMTP down'))
+        });
+        const emailService = new EmailService(failing);
+
+        assert.equal(await emailService.send('campaign_live', 'marketer@example.com', TEMPLATE_DATA.campaign_live), null);
+    });
+});
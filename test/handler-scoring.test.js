@@ -0,0 +1,95 @@
+// handler-scoring.test.js - Weighted handler scoring with built-in, injected and registered factors
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { HandlerScorer } = require('../handler-scoring');
+
+const STRONG_HANDLER = {
+    twitterMetrics: { followers: 999999, userValue: 200, accountCreatedAt: new Date('2015-01-01') },
+    engagementRate: 5,
+    reliabilityScore: 100,
+    profileCompleted: true,
+    lastParticipation: new Date('2020-01-01')
+};
+
+describe('HandlerScorer', () => {
+    afterEach(() => {
+        delete process.env.HANDLER_SCORING_WEIGHTS;
+    });
+
+    it('scores a strong handler near the top with a breakdown per factor', () => {
+        const { score, breakdown } = new HandlerScorer().score(STRONG_HANDLER, {
+            campaign: { package: 'growth' },
+            isProfileMatch: () => true
+        });
+
+        assert.ok(score >= 99, `score ${score}`);
+        assert.deepEqual(Object.keys(breakdown).sort(),
+            ['accountAge', 'engagement', 'followers', 'freshness', 'profileMatch', 'reliability', 'userValue']);
+        assert.equal(breakdown.engagement, 1);
+    });
+
+    it('gives full engagement marks from 5%', () => {
+        const scorer = new HandlerScorer({ weights: { default: { engagement: 1 } } });
+
+        assert.equal(scorer.score({ engagementRate: 5 }).score, 100);
+        assert.equal(scorer.score({ engagementRate: 2.5 }).score, 50);
+    });
+
+    it('scores with a registered factor once it has a weight', () => {
+        const scorer = new HandlerScorer({ weights: { default: { reliability: 1 } } })
+            .registerFactor('verifiedBadge', user => (user.verified ? 1 : 0));
+        const handler = { reliabilityScore: 100, verified: false };
+
+        assert.equal(scorer.score(handler).score, 100);
+
+        scorer.setWeights('default', { verifiedBadge: 1 });
+        const { score, breakdown } = scorer.score(handler);
+
+        assert.equal(score, 50);
+        assert.deepEqual(breakdown, { reliability: 1, verifiedBadge: 0 });
+    });
+
+    it('passes the selection context to factors', () => {
+        const seen = [];
+        const scorer = new HandlerScorer({
+            factors: { sameBrand: (user, context) => { seen.push(context.campaign.brandName); return 1; } },
+            weights: { default: { sameBrand: 1 } }
+        });
+
+        scorer.score({}, { campaign: { brandName: 'Acme', package: 'starter' } });
+        assert.deepEqual(seen, ['Acme']);
+    });
+
+    it('weights packages on top of the defaults', () => {
+        const scorer = new HandlerScorer({
+            weights: { default: { followers: 1, reliability: 1 }, premium: { reliability: 0 } }
+        });
+        const handler = { twitterMetrics: { followers: 0 }, reliabilityScore: 100 };
+
+        assert.equal(scorer.score(handler, { campaign: { package: 'starter' } }).score, 50);
+        assert.equal(scorer.score(handler, { campaign: { package: 'premium' } }).score, 0);
+
+        scorer.setWeights('premium', { reliability: 3 });
+        assert.equal(scorer.score(handler, { campaign: { package: 'premium' } }).score, 75);
+    });
+
+    it('applies HANDLER_SCORING_WEIGHTS over injected weights', () => {
+        process.env.HANDLER_SCORING_WEIGHTS = '{"default":{"followers":0}}';
+        const scorer = new HandlerScorer({ weights: { default: { followers: 1, reliability: 1 } } });
+
+        assert.equal(scorer.score({ twitterMetrics: { followers: 0 }, reliabilityScore: 100 }).score, 100);
+    });
+
+    it('rejects factors that are not functions', () => {
+        assert.throws(() => new HandlerScorer().registerFactor('broken', 0.5), TypeError);
+    });
+
+    it('picks the earnings tier from reach', () => {
+        const scorer = new HandlerScorer();
+
+        assert.equal(scorer.getEarningsTier({ twitterMetrics: { followers: 60000 } }).name, 'macro');
+        assert.equal(scorer.getEarningsTier({ twitterMetrics: { followers: 1000 } }).name, 'micro');
+        assert.equal(scorer.getEarningsTier({}).name, 'nano');
+    });
+});
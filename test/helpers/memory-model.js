@@ -0,0 +1,132 @@
+// memory-model.js - Backs a few mongoose model statics with an in-memory array, so services
+// can be tested without a database. Filters support equality, $in, $ne, $lt, $gt, $gte and $or on
+// plain or dotted paths; updates support plain and dotted fields, $set and $push.
+const mongoose = require('mongoose');
+
+function getPath(doc, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+}
+
+function setPath(doc, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((object, key) => {
+        if (!object[key] || typeof object[key] !== 'object') object[key] = {};
+        return object[key];
+    }, doc);
+    parent[last] = value;
+}
+
+// Documents are handed out as deep copies so callers can't change the stored ones by accident
+function clone(value) {
+    if (Array.isArray(value)) return value.map(clone);
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    }
+    return value;
+}
+
+function valueMatches(value, condition) {
+    if (condition && typeof condition === 'object' && !(condition instanceof Date) && !mongoose.isValidObjectId(condition)) {
+        if ('$in' in condition && !condition.$in.includes(value)) return false;
+        if ('$ne' in condition && valueMatches(value, condition.$ne)) return false;
+        if ('$lt' in condition && !(value < condition.$lt)) return false;
+        if ('$gt' in condition && !(value > condition.$gt)) return false;
+        if ('$gte' in condition && !(value >= condition.$gte)) return false;
+        return true;
+    }
+
+    if (condition === null) return value === null || value === undefined;
+    return String(value) === String(condition);
+}
+
+function matches(doc, filter) {
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === '$or') return condition.some(branch => matches(doc, branch));
+        return valueMatches(getPath(doc, key), condition);
+    });
+}
+
+function applyUpdate(doc, update) {
+    const { $set = {}, $push = {}, ...fields } = update;
+
+    for (const [path, value] of Object.entries({ ...fields, ...$set })) {
+        setPath(doc, path, clone(value));
+    }
+
+    for (const [path, value] of Object.entries($push)) {
+        const list = getPath(doc, path) || [];
+        setPath(doc, path, [...list, clone(value)]);
+    }
+
+    doc.updatedAt = new Date();
+}
+
+// Replaces the model's statics for the lifetime of the test context `t`
+function mockModel(t, Model, docs = []) {
+    const find = filter => docs.find(doc => matches(doc, filter));
+    const copy = doc => (doc ? clone(doc) : null);
+
+    t.mock.method(Model, 'create', async (fields) => {
+        const now = new Date();
+        const doc = { _id: new mongoose.Types.ObjectId(), createdAt: now, updatedAt: now, ...clone(fields) };
+        docs.push(doc);
+        return copy(doc);
+    });
+
+    // Resolves to every match; chain .sort({ field: 1 | -1 }) and .limit(n) like a mongoose query
+    t.mock.method(Model, 'find', (filter) => {
+        let results = docs.filter(doc => matches(doc, filter)).map(copy);
+
+        const query = {
+            sort(spec) {
+                const fields = Object.entries(spec);
+                results.sort((a, b) => {
+                    for (const [path, direction] of fields) {
+                        const left = getPath(a, path);
+                        const right = getPath(b, path);
+                        if (left < right) return -direction;
+                        if (left > right) return direction;
+                    }
+                    return 0;
+                });
+                return query;
+            },
+            limit(n) {
+                results = results.slice(0, n);
+                return query;
+            },
+            then: (resolve, reject) => Promise.resolve(results).then(resolve, reject)
+        };
+        return query;
+    });
+
+    t.mock.method(Model, 'findOne', async filter => copy(find(filter)));
+    t.mock.method(Model, 'findById', async id => copy(find({ _id: id })));
+
+    t.mock.method(Model, 'findOneAndUpdate', async (filter, update, options = {}) => {
+        const doc = find(filter);
+        if (!doc) return null;
+
+        const before = copy(doc);
+        applyUpdate(doc, update);
+        return options.new ? copy(doc) : before;
+    });
+
+    t.mock.method(Model, 'updateOne', async (filter, update) => {
+        const doc = find(filter);
+        if (doc) applyUpdate(doc, update);
+        return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    });
+
+    // Just the [$match, $group: { _id: null, total: { $sum: '$field' } }] shape
+    t.mock.method(Model, 'aggregate', async ([{ $match }, { $group }]) => {
+        const field = $group.total.$sum.slice(1);
+        const matched = docs.filter(doc => matches(doc, $match));
+        return matched.length > 0 ? [{ _id: null, total: matched.reduce((sum, doc) => sum + doc[field], 0) }] : [];
+    });
+
+    return docs;
+}
+
+module.exports = { mockModel };
@@ -0,0 +1,176 @@
+// memory-redis.js - In-memory stand-in for the node-redis client commands BroadcastQueue uses.
+// Several MemoryRedis clients can share one `store` to act as separate workers on the same server.
+class MemoryRedis {
+    constructor(store = new Map()) {
+        this.store = store;
+        this.isOpen = false;
+    }
+
+    on() {
+        return this;
+    }
+
+    async connect() {
+        this.isOpen = true;
+    }
+
+    async quit() {
+        this.isOpen = false;
+    }
+
+    // Expired keys disappear on read, like Redis' lazy expiry
+    entry(key) {
+        const entry = this.store.get(key);
+        if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.store.delete(key);
+            return undefined;
+        }
+        return entry;
+    }
+
+    value(key, empty) {
+        const entry = this.entry(key);
+        if (entry) return entry.value;
+
+        this.store.set(key, { value: empty });
+        return empty;
+    }
+
+    async set(key, value, { NX, PX } = {}) {
+        if (NX && this.entry(key)) return null;
+        this.store.set(key, { value: String(value), expiresAt: PX ? Date.now() + PX : null });
+        return 'OK';
+    }
+
+    async get(key) {
+        const entry = this.entry(key);
+        return entry ? entry.value : null;
+    }
+
+    async del(key) {
+        return this.store.delete(key) ? 1 : 0;
+    }
+
+    async exists(key) {
+        return this.entry(key) ? 1 : 0;
+    }
+
+    async incr(key) {
+        const entry = this.entry(key);
+        const value = (entry ? parseInt(entry.value) : 0) + 1;
+        this.store.set(key, { value: String(value), expiresAt: entry ? entry.expiresAt : null });
+        return value;
+    }
+
+    async pExpire(key, ms) {
+        const entry = this.entry(key);
+        if (entry) entry.expiresAt = Date.now() + ms;
+        return entry ? 1 : 0;
+    }
+
+    // Lists
+    async rPush(key, values) {
+        const list = this.value(key, []);
+        list.push(...[].concat(values));
+        return list.length;
+    }
+
+    async lPush(key, values) {
+        const list = this.value(key, []);
+        list.unshift(...[].concat(values).reverse());
+        return list.length;
+    }
+
+    async lMove(source, destination, from, to) {
+        const list = this.value(source, []);
+        if (list.length === 0) return null;
+
+        const item = from === 'LEFT' ? list.shift() : list.pop();
+        const target = this.value(destination, []);
+        if (to === 'LEFT') target.unshift(item); else target.push(item);
+        return item;
+    }
+
+    async lRem(key, count, element) {
+        const list = this.value(key, []);
+        let removed = 0;
+        for (let index = 0; index < list.length && (count === 0 || removed < count);) {
+            if (list[index] === element) {
+                list.splice(index, 1);
+                removed++;
+            } else {
+                index++;
+            }
+        }
+        return removed;
+    }
+
+    async lLen(key) {
+        return this.value(key, []).length;
+    }
+
+    async lRange(key, start, stop) {
+        const list = this.value(key, []);
+        return list.slice(start, stop === -1 ? undefined : stop + 1);
+    }
+
+    async lTrim(key, start, stop) {
+        const list = this.value(key, []);
+        list.splice(0, list.length, ...list.slice(start, stop + 1));
+        return 'OK';
+    }
+
+    // Sorted sets, kept as { value: score }
+    async zAdd(key, { score, value }) {
+        this.value(key, {})[value] = score;
+        return 1;
+    }
+
+    async zCard(key) {
+        return Object.keys(this.value(key, {})).length;
+    }
+
+    async zRangeByScore(key, min, max, { LIMIT } = {}) {
+        const members = Object.entries(this.value(key, {}))
+            .filter(([, score]) => score >= min && score <= max)
+            .sort(([, a], [, b]) => a - b)
+            .map(([value]) => value);
+        return LIMIT ? members.slice(LIMIT.offset, LIMIT.offset + LIMIT.count) : members;
+    }
+
+    async zRem(key, value) {
+        const set = this.value(key, {});
+        if (!(value in set)) return 0;
+        delete set[value];
+        return 1;
+    }
+
+    // Hashes
+    async hIncrBy(key, field, amount) {
+        const hash = this.value(key, {});
+        hash[field] = String((parseInt(hash[field]) || 0) + amount);
+        return parseInt(hash[field]);
+    }
+
+    async hGetAll(key) {
+        return { ...this.value(key, {}) };
+    }
+
+    // Sets
+    async sAdd(key, member) {
+        const set = this.value(key, new Set());
+        const added = set.has(member) ? 0 : 1;
+        set.add(member);
+        return added;
+    }
+
+    async sMembers(key) {
+        return [...this.value(key, new Set())];
+    }
+
+    async sRem(key, member) {
+        return this.value(key, new Set()).delete(member) ? 1 : 0;
+    }
+}
+
+module.exports = MemoryRedis;
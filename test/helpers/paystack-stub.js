@@ -0,0 +1,52 @@
+// paystack-stub.js - Local stand-in for the Paystack API, used through PAYSTACK_BASE_URL
+const http = require('http');
+
+// Routes are keyed 'METHOD /path' (query strings stripped); each handler gets the parsed
+// request and returns { status: <http status>, body }, or just the `data` of a successful response
+class PaystackStub {
+    constructor(routes = {}) {
+        this.routes = routes;
+        this.requests = [];
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+
+    async start() {
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        this.baseURL = `http://127.0.0.1:${this.server.address().port}`;
+        return this;
+    }
+
+    stop() {
+        return new Promise(resolve => this.server.close(resolve));
+    }
+
+    handle(req, res) {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', async () => {
+            const [path, query] = req.url.split('?');
+            const request = {
+                method: req.method,
+                path,
+                query: Object.fromEntries(new URLSearchParams(query || '')),
+                headers: req.headers,
+                body: raw ? JSON.parse(raw) : null
+            };
+            this.requests.push(request);
+
+            const handler = this.routes[`${req.method} ${path}`];
+            let reply = handler
+                ? await handler(request)
+                : { status: 404, body: { status: false, message: `No stub for ${req.method} ${path}` } };
+
+            if (!reply || typeof reply.status !== 'number' || reply.body === undefined) {
+                reply = { status: 200, body: { status: true, message: 'OK', data: reply } };
+            }
+
+            res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(reply.body));
+        });
+    }
+}
+
+module.exports = PaystackStub;
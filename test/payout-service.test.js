@@ -0,0 +1,242 @@
+// payout-service.test.js - Withdrawals and transfer webhooks against a mocked Paystack transfer server
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { User, Payout } = require('../models');
+const PaystackService = require('../paystack-service');
+const { PayoutService, WithdrawalError } = require('../payout-service');
+const PaystackStub = require('./helpers/paystack-stub');
+const { mockModel } = require('./helpers/memory-model');
+
+const USER_ID = '1001';
+
+// Just the ledger postings a withdrawal makes, with the same reference-based idempotency
+class MemoryLedger {
+    constructor(available) {
+        this.accounts = { available, processing: 0, paid_out: 0 };
+        this.references = new Set();
+    }
+
+    move(reference, from, to, amount) {
+        if (this.references.has(reference)) return false;
+        this.references.add(reference);
+        this.accounts[from] -= amount;
+        this.accounts[to] += amount;
+        return true;
+    }
+
+    async getBalances() {
+        return { ...this.accounts, paidOut: this.accounts.paid_out };
+    }
+
+    async requestPayout(userId, payoutId, amount) {
+        return this.move(`payout:${payoutId}:request`, 'available', 'processing', amount);
+    }
+
+    async completePayout(userId, payoutId, amount) {
+        return this.move(`payout:${payoutId}:complete`, 'processing', 'paid_out', amount);
+    }
+
+    async reversePayout(userId, payoutId, amount, { paidOut = false } = {}) {
+        return this.move(`payout:${payoutId}:reversal`, paidOut ? 'paid_out' : 'processing', 'available', amount);
+    }
+}
+
+describe('PayoutService', () => {
+    // Each test decides how the stub answers POST /transfer
+    let onTransfer;
+    const stub = new PaystackStub({
+        'POST /transfer': request => onTransfer(request)
+    });
+    let paystack;
+
+    before(async () => {
+        // Service logging would otherwise end up mixed into the test runner's output
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+
+        await stub.start();
+        process.env.PAYSTACK_SECRET_KEY = 'sk_test_stub';
+        process.env.PAYSTACK_BASE_URL = stub.baseURL;
+        paystack = new PaystackService();
+    });
+
+    after(async () => {
+        delete process.env.PAYSTACK_SECRET_KEY;
+        delete process.env.PAYSTACK_BASE_URL;
+        await stub.stop();
+        mock.restoreAll();
+    });
+
+    function setup(t, { available = 10000 } = {}) {
+        const user = {
+            telegramId: USER_ID,
+            bankAccount: {
+                bankName: 'Test Bank',
+                accountNumber: '0123456789',
+                accountName: 'Ada Obi',
+                recipientCode: 'RCP_test'
+            }
+        };
+
+        const users = mockModel(t, User, [{ ...user }]);
+        const payouts = mockModel(t, Payout);
+        const ledger = new MemoryLedger(available);
+        const payoutService = new PayoutService({ paystackService: paystack, ledgerService: ledger });
+
+        onTransfer = request => ({ transfer_code: `TRF_${request.body.reference}`, status: 'pending' });
+
+        return { user, users, payouts, ledger, payoutService };
+    }
+
+    describe('withdraw', () => {
+        it('holds the amount and sends the transfer', async (t) => {
+            const { user, users, ledger, payoutService } = setup(t);
+
+            const payout = await payoutService.withdraw(user, 4000);
+
+            assert.equal(payout.status, 'processing');
+            assert.equal(payout.transferCode, `TRF_${payout.reference}`);
+            assert.deepEqual(ledger.accounts, { available: 6000, processing: 4000, paid_out: 0 });
+            assert.equal(users[0].withdrawalLockedAt, null);
+
+            const request = stub.requests[stub.requests.length - 1];
+            assert.deepEqual(request.body, {
+                source: 'balance',
+                amount: 400000,
+                recipient: 'RCP_test',
+                reference: payout.reference,
+                reason: 'Twitter Engagement Platform earnings'
+            });
+        });
+
+        it('refuses amounts below the minimum or above the available balance', async (t) => {
+            const { user, payouts, payoutService } = setup(t, { available: 3000 });
+
+            await assert.rejects(payoutService.withdraw(user, 500), WithdrawalError);
+            await assert.rejects(payoutService.withdraw(user, 3500), /only have ₦3,000 available/);
+            assert.equal(payouts.length, 0);
+        });
+
+        it('enforces the daily cap across earlier withdrawals', async (t) => {
+            const { user, payoutService } = setup(t, { available: 200000 });
+
+            await payoutService.withdraw(user, 90000);
+            await assert.rejects(payoutService.withdraw(user, 20000), /up to ₦10,000 more today/);
+        });
+
+        it('lets only one of two simultaneous withdrawals spend the balance', async (t) => {
+            const { user, ledger, payouts, payoutService } = setup(t, { available: 5000 });
+
+            const results = await Promise.allSettled([
+                payoutService.withdraw(user, 4000),
+                payoutService.withdraw(user, 4000)
+            ]);
+
+            assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+            assert.ok(results.find(result => result.status === 'rejected').reason instanceof WithdrawalError);
+            assert.equal(payouts.length, 1);
+            assert.equal(ledger.accounts.available, 1000);
+        });
+
+        it('ignores a lock left behind by a withdrawal that died', async (t) => {
+            const { user, users, payoutService } = setup(t);
+            users[0].withdrawalLockedAt = new Date(Date.now() - 5 * 60 * 1000);
+
+            const payout = await payoutService.withdraw(user, 2000);
+            assert.equal(payout.status, 'processing');
+        });
+
+        it('releases the hold when Paystack rejects the transfer', async (t) => {
+            const { user, users, payouts, ledger, payoutService } = setup(t);
+            onTransfer = () => ({ status: 400, body: { status: false, message: 'Insufficient balance' } });
+
+            await assert.rejects(payoutService.withdraw(user, 4000), /Withdrawal Failed/);
+
+            assert.equal(payouts[0].status, 'failed');
+            assert.match(payouts[0].failureReason, /Insufficient balance/);
+            assert.deepEqual(ledger.accounts, { available: 10000, processing: 0, paid_out: 0 });
+            assert.equal(users[0].withdrawalLockedAt, null);
+        });
+
+        it('keeps a success webhook that arrives before the transfer response', async (t) => {
+            const { user, payouts, ledger, payoutService } = setup(t);
+            onTransfer = async (request) => {
+                await payoutService.handleTransferEvent('transfer.success', { reference: request.body.reference });
+                return { transfer_code: 'TRF_early', status: 'success' };
+            };
+
+            const payout = await payoutService.withdraw(user, 4000);
+
+            assert.equal(payout.status, 'success');
+            assert.equal(payouts[0].status, 'success');
+            assert.equal(payouts[0].transferCode, 'TRF_early');
+            assert.deepEqual(ledger.accounts, { available: 6000, processing: 0, paid_out: 4000 });
+        });
+    });
+
+    describe('handleTransferEvent', () => {
+        it('marks the payout paid on transfer.success', async (t) => {
+            const { user, ledger, payoutService } = setup(t);
+            const { reference } = await payoutService.withdraw(user, 4000);
+
+            const payout = await payoutService.handleTransferEvent('transfer.success', { reference });
+
+            assert.equal(payout.status, 'success');
+            assert.ok(payout.completedAt);
+            assert.deepEqual(ledger.accounts, { available: 6000, processing: 0, paid_out: 4000 });
+        });
+
+        it('returns the money on transfer.failed', async (t) => {
+            const { user, ledger, payoutService } = setup(t);
+            const { reference } = await payoutService.withdraw(user, 4000);
+
+            const payout = await payoutService.handleTransferEvent('transfer.failed', { reference, gateway_response: 'Account closed' });
+
+            assert.equal(payout.status, 'failed');
+            assert.equal(payout.failureReason, 'Account closed');
+            assert.deepEqual(ledger.accounts, { available: 10000, processing: 0, paid_out: 0 });
+        });
+
+        it('returns the money on transfer.reversed', async (t) => {
+            const { user, ledger, payoutService } = setup(t);
+            const { reference } = await payoutService.withdraw(user, 4000);
+
+            const payout = await payoutService.handleTransferEvent('transfer.reversed', { reference, reason: 'Bank reversal' });
+
+            assert.equal(payout.status, 'reversed');
+            assert.equal(payout.failureReason, 'Bank reversal');
+            assert.deepEqual(ledger.accounts, { available: 10000, processing: 0, paid_out: 0 });
+        });
+
+        it('returns the money when a paid transfer is reversed afterwards', async (t) => {
+            const { user, ledger, payoutService } = setup(t);
+            const { reference } = await payoutService.withdraw(user, 4000);
+
+            await payoutService.handleTransferEvent('transfer.success', { reference });
+            const payout = await payoutService.handleTransferEvent('transfer.reversed', { reference, reason: 'Beneficiary bank returned funds' });
+
+            assert.equal(payout.status, 'reversed');
+            assert.equal(payout.failureReason, 'Beneficiary bank returned funds');
+            assert.deepEqual(ledger.accounts, { available: 10000, processing: 0, paid_out: 0 });
+
+            // Neither a repeated reversal nor a late success changes it again
+            assert.equal(await payoutService.handleTransferEvent('transfer.reversed', { reference }), null);
+            assert.equal(await payoutService.handleTransferEvent('transfer.success', { reference }), null);
+            assert.deepEqual(ledger.accounts, { available: 10000, processing: 0, paid_out: 0 });
+        });
+
+        it('ignores repeated and unknown webhooks', async (t) => {
+            const { user, ledger, payoutService } = setup(t);
+            const { reference } = await payoutService.withdraw(user, 4000);
+
+            await payoutService.handleTransferEvent('transfer.success', { reference });
+
+            assert.equal(await payoutService.handleTransferEvent('transfer.success', { reference }), null);
+            assert.equal(await payoutService.handleTransferEvent('transfer.failed', { reference }), null);
+            assert.equal(await payoutService.handleTransferEvent('transfer.success', { reference: 'PAYOUT_unknown' }), null);
+            assert.equal(await payoutService.handleTransferEvent('charge.success', { reference }), null);
+            assert.deepEqual(ledger.accounts, { available: 6000, processing: 0, paid_out: 4000 });
+        });
+    });
+});
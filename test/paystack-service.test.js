@@ -0,0 +1,106 @@
+// paystack-service.test.js - Webhook signatures and charge verification against a local Paystack stub
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const PaystackService = require('../paystack-service');
+const PaystackStub = require('./helpers/paystack-stub');
+
+const SECRET_KEY = 'sk_test_stub';
+
+function sign(rawBody, secret = SECRET_KEY) {
+    return crypto.createHmac('sha512', secret).update(rawBody).digest('hex');
+}
+
+describe('PaystackService', () => {
+    const transactions = {};
+    const stub = new PaystackStub({
+        'GET /transaction/verify/CMP_paid': () => transactions.CMP_paid,
+        'GET /transaction/verify/CMP_missing': () => ({ status: 404, body: { status: false, message: 'Transaction reference not found' } })
+    });
+    let paystack;
+
+    before(async () => {
+        // Service logging would otherwise end up mixed into the test runner's output
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+
+        await stub.start();
+        process.env.PAYSTACK_SECRET_KEY = SECRET_KEY;
+        process.env.PAYSTACK_BASE_URL = stub.baseURL;
+        paystack = new PaystackService();
+    });
+
+    after(async () => {
+        delete process.env.PAYSTACK_SECRET_KEY;
+        delete process.env.PAYSTACK_BASE_URL;
+        await stub.stop();
+        mock.restoreAll();
+    });
+
+    describe('verifyWebhookSignature', () => {
+        const rawBody = Buffer.from(JSON.stringify({ event: 'charge.success', data: { reference: 'CMP_paid' } }));
+
+        it('accepts a body signed with the secret key', () => {
+            assert.equal(paystack.verifyWebhookSignature(rawBody, sign(rawBody)), true);
+        });
+
+        it('rejects a signature made with another key', () => {
+            assert.equal(paystack.verifyWebhookSignature(rawBody, sign(rawBody, 'sk_test_other')), false);
+        });
+
+        it('rejects a body changed after signing', () => {
+            const tampered = Buffer.from(rawBody.toString().replace('CMP_paid', 'CMP_other'));
+            assert.equal(paystack.verifyWebhookSignature(tampered, sign(rawBody)), false);
+        });
+
+        it('rejects missing or malformed signatures', () => {
+            assert.equal(paystack.verifyWebhookSignature(rawBody, undefined), false);
+            assert.equal(paystack.verifyWebhookSignature(rawBody, 'abc'), false);
+            assert.equal(paystack.verifyWebhookSignature(undefined, sign(rawBody)), false);
+        });
+    });
+
+    describe('verifyCharge', () => {
+        it('verifies a successful charge for the full amount', async () => {
+            transactions.CMP_paid = { status: 'success', amount: 5000000, currency: 'NGN', channel: 'card' };
+
+            const result = await paystack.verifyCharge('CMP_paid', { amount: 50000, currency: 'NGN' });
+
+            assert.equal(result.verified, true);
+            assert.equal(result.expectedAmount, 5000000);
+            assert.equal(result.transaction.channel, 'card');
+
+            const request = stub.requests[stub.requests.length - 1];
+            assert.equal(request.headers.authorization, `Bearer ${SECRET_KEY}`);
+        });
+
+        it('rejects a charge for less than the package price', async () => {
+            transactions.CMP_paid = { status: 'success', amount: 4999900, currency: 'NGN' };
+
+            const result = await paystack.verifyCharge('CMP_paid', { amount: 50000 });
+            assert.equal(result.verified, false);
+        });
+
+        it('rejects a charge in another currency', async () => {
+            transactions.CMP_paid = { status: 'success', amount: 5000000, currency: 'USD' };
+
+            const result = await paystack.verifyCharge('CMP_paid', { amount: 50000, currency: 'NGN' });
+            assert.equal(result.verified, false);
+        });
+
+        it('rejects a charge that did not succeed', async () => {
+            transactions.CMP_paid = { status: 'abandoned', amount: 5000000, currency: 'NGN' };
+
+            const result = await paystack.verifyCharge('CMP_paid', { amount: 50000 });
+            assert.equal(result.verified, false);
+        });
+
+        it('surfaces Paystack errors for unknown references', async () => {
+            await assert.rejects(
+                paystack.verifyCharge('CMP_missing', { amount: 50000 }),
+                /Paystack API Error: 404 - Transaction reference not found/
+            );
+        });
+    });
+});
@@ -0,0 +1,248 @@
+// persona-engine.test.js - Weighted persona scoring, and every answer combination of the built-in questionnaire
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const PersonaEngine = require('../persona-engine');
+const { PROFILING_QUESTIONNAIRE } = require('../profiling-questionnaire');
+
+const engine = new PersonaEngine();
+
+// Two questions are enough to check the weighting rules
+const SCORING = {
+    minScore: 3,
+    defaultPersona: 'fallback',
+    secondaryRatio: 0.5,
+    maxSecondary: 1,
+    personas: [
+        {
+            id: 'gamer',
+            label: 'Gamer',
+            bestFor: ['games'],
+            weights: { hobby: { games: 4, music: 1 }, device: { console: 2 } }
+        },
+        {
+            id: 'musician',
+            label: 'Musician',
+            bestFor: ['music'],
+            weights: { hobby: { music: 4 }, device: { phone: 1 } }
+        },
+        {
+            id: 'fallback',
+            label: 'Fallback',
+            bestFor: ['general'],
+            weights: { device: { phone: 1 } }
+        }
+    ],
+    spendingPower: {
+        minScore: 2,
+        default: 'moderate',
+        levels: [
+            { value: 'emerging', weights: { device: { phone: 2 } } },
+            { value: 'high', weights: { device: { console: 2 } } }
+        ]
+    },
+    authenticity: {
+        base: 60,
+        max: 100,
+        weights: { hobby: { music: 30, games: 10 } }
+    },
+    recommendations: [
+        { bestFor: 'games', campaigns: ['Games', 'Consoles'] },
+        { bestFor: 'music', campaigns: ['Streaming', 'Concerts'] },
+        { spendingPower: 'high', campaigns: ['Premium'] },
+        { minAuthenticity: 80, campaigns: ['Reviews', 'Testimonials'] }
+    ]
+};
+
+// Every non-empty subset of a multiple-choice question's options
+function subsets(options) {
+    const result = [];
+
+    for (let mask = 1; mask < (1 << options.length); mask++) {
+        result.push(options.filter((option, index) => mask & (1 << index)).map(option => option.id));
+    }
+
+    return result;
+}
+
+function choices(question) {
+    return question.type === 'multiple' ? subsets(question.options) : question.options.map(option => option.id);
+}
+
+describe('PersonaEngine weighting', () => {
+    it('counts a single answer at its full weight', () => {
+        const { total, contributions } = engine.tally(SCORING.personas[0].weights, { hobby: 'games', device: 'console' });
+
+        assert.equal(total, 6);
+        assert.deepEqual(contributions, [
+            { question: 'hobby', option: 'games', points: 4 },
+            { question: 'device', option: 'console', points: 2 }
+        ]);
+    });
+
+    it('scales each selected option by 1/sqrt(n) on multiple-choice answers', () => {
+        const { total, contributions } = engine.tally(SCORING.personas[0].weights, { hobby: ['games', 'music'] });
+
+        assert.equal(contributions[0].points, 2.83);
+        assert.equal(contributions[1].points, 0.71);
+        assert.equal(total, 3.54);
+    });
+
+    it('ignores unanswered questions and options without weight', () => {
+        assert.equal(engine.tally(SCORING.personas[1].weights, { device: 'console' }).total, 0);
+        assert.equal(engine.tally(SCORING.personas[1].weights, {}).total, 0);
+    });
+
+    it('picks the highest-scoring persona with confidence relative to all points', () => {
+        const persona = engine.evaluate(SCORING, { hobby: 'games', device: 'console' });
+
+        assert.equal(persona.primaryProfile.id, 'gamer');
+        assert.equal(persona.primaryProfile.confidence, 1);
+        assert.deepEqual(persona.secondaryProfiles, []);
+    });
+
+    it('lists close runners-up as secondary personas, up to maxSecondary', () => {
+        const persona = engine.evaluate(SCORING, { hobby: ['games', 'music'], device: 'phone' });
+
+        // gamer 3.54, musician 3.83, fallback 1
+        assert.equal(persona.primaryProfile.id, 'musician');
+        assert.equal(persona.primaryProfile.confidence, 0.46);
+        assert.deepEqual(persona.secondaryProfiles.map(profile => profile.id), ['gamer']);
+        assert.equal(persona.secondaryProfiles[0].confidence, 0.42);
+    });
+
+    it('falls back to the default persona below minScore', () => {
+        const persona = engine.evaluate(SCORING, { device: 'phone' });
+
+        assert.equal(persona.primaryProfile.id, 'fallback');
+        assert.deepEqual(persona.secondaryProfiles, []);
+    });
+
+    it('explains the primary persona with its contributions, biggest first', () => {
+        const persona = engine.evaluate(SCORING, { hobby: 'games', device: 'console' });
+
+        assert.deepEqual(persona.explanation, [
+            { question: 'hobby', option: 'games', points: 4, persona: 'gamer' },
+            { question: 'device', option: 'console', points: 2, persona: 'gamer' }
+        ]);
+    });
+
+    it('uses the default spending power below its minScore and the first level on ties', () => {
+        assert.equal(engine.pickSpendingPower(SCORING.spendingPower, {}), 'moderate');
+        assert.equal(engine.pickSpendingPower(SCORING.spendingPower, { device: 'console' }), 'high');
+
+        // Both options together only score 1.41 per level
+        assert.equal(engine.pickSpendingPower(SCORING.spendingPower, { device: ['phone', 'console'] }), 'moderate');
+
+        const tied = {
+            ...SCORING.spendingPower,
+            levels: [
+                { value: 'high', weights: { device: { phone: 2 } } },
+                { value: 'emerging', weights: { device: { phone: 2 } } }
+            ]
+        };
+        assert.equal(engine.pickSpendingPower(tied, { device: 'phone' }), 'high');
+    });
+
+    it('adds authenticity points to the base and caps at max', () => {
+        assert.equal(engine.scoreAuthenticity(SCORING.authenticity, {}), 60);
+        assert.equal(engine.scoreAuthenticity(SCORING.authenticity, { hobby: 'games' }), 70);
+        assert.equal(engine.scoreAuthenticity({ ...SCORING.authenticity, base: 90 }, { hobby: 'music' }), 100);
+    });
+
+    it('recommends campaign types from every matching entry, capped at five', () => {
+        // Lower minScore so the musician persona comes in as secondary: seven types match in total
+        const persona = engine.evaluate({ ...SCORING, minScore: 2 }, { hobby: ['games', 'music'], device: 'console' });
+
+        assert.deepEqual(persona.secondaryProfiles.map(profile => profile.id), ['musician']);
+        assert.equal(persona.authenticityScore, 88);
+        assert.deepEqual(persona.recommendedCampaignTypes, ['Games', 'Consoles', 'Streaming', 'Concerts', 'Premium']);
+    });
+
+    it('only supports weighted scoring rules', () => {
+        assert.equal(PersonaEngine.supports(SCORING), true);
+        assert.equal(PersonaEngine.supports({ rules: [] }), false);
+        assert.equal(PersonaEngine.supports(undefined), false);
+    });
+});
+
+describe('PersonaEngine with the built-in profiling questionnaire', () => {
+    const { questions, scoring } = PROFILING_QUESTIONNAIRE;
+    const personaIds = scoring.personas.map(persona => persona.id);
+    const levels = scoring.spendingPower.levels.map(level => level.value);
+
+    it('gives every answer combination a valid, explained persona', () => {
+        const primaries = new Set();
+        const spendingPowers = new Set();
+        let combinations = 0;
+
+        // Walk every combination without building them all up front
+        const walk = (index, answers) => {
+            if (index < questions.length) {
+                for (const choice of choices(questions[index])) {
+                    answers[questions[index].id] = choice;
+                    walk(index + 1, answers);
+                }
+                return;
+            }
+
+            combinations++;
+            const persona = engine.evaluate(scoring, answers);
+            const { primaryProfile, secondaryProfiles, explanation } = persona;
+            const label = () => JSON.stringify(answers);
+
+            if (!personaIds.includes(primaryProfile.id)) assert.fail(`Unknown persona for ${label()}`);
+            // The default persona can win with no points of its own, so confidence may be 0
+            if (!(primaryProfile.confidence >= 0 && primaryProfile.confidence <= 1)) assert.fail(`Bad confidence for ${label()}`);
+            if (secondaryProfiles.length > scoring.maxSecondary) assert.fail(`Too many secondary personas for ${label()}`);
+            if (secondaryProfiles.some(profile => profile.id === primaryProfile.id || profile.confidence > primaryProfile.confidence)) {
+                assert.fail(`Secondary persona outranks the primary for ${label()}`);
+            }
+            if ((explanation.length === 0 && primaryProfile.id !== scoring.defaultPersona) ||
+                explanation.some(entry => ![].concat(answers[entry.question]).includes(entry.option))) {
+                assert.fail(`Explanation doesn't match the answers for ${label()}`);
+            }
+            if (!levels.includes(persona.spendingPower) && persona.spendingPower !== scoring.spendingPower.default) {
+                assert.fail(`Unknown spending power for ${label()}`);
+            }
+            if (!(persona.authenticityScore >= scoring.authenticity.base && persona.authenticityScore <= scoring.authenticity.max)) {
+                assert.fail(`Authenticity out of range for ${label()}`);
+            }
+            if (persona.recommendedCampaignTypes.length === 0 || persona.recommendedCampaignTypes.length > 5) {
+                assert.fail(`Bad recommendations for ${label()}`);
+            }
+
+            primaries.add(primaryProfile.id);
+            spendingPowers.add(persona.spendingPower);
+        };
+
+        walk(0, {});
+
+        // 6 ages x 63 routines x 7 priorities x 6 styles x 63 discovery habits
+        assert.equal(combinations, 1000188);
+        assert.deepEqual([...primaries].sort(), [...personaIds].sort());
+        assert.deepEqual([...spendingPowers].sort(), [...levels].sort());
+    });
+
+    it('scores the persona the weights favour most', () => {
+        const persona = engine.evaluate(scoring, {
+            age_range: 'age_21_25',
+            daily_routine: ['classes'],
+            spending_priority: 'gadgets',
+            influence_style: 'trending',
+            discovery_style: ['social_ads']
+        });
+
+        assert.equal(persona.primaryProfile.id, 'tech_savvy_student');
+        assert.equal(persona.spendingPower, 'emerging');
+        assert.equal(persona.explanation[0].option, 'classes');
+    });
+
+    it('uses the default persona when the answers carry too little signal', () => {
+        const persona = engine.evaluate(scoring, {});
+
+        assert.equal(persona.primaryProfile.id, scoring.defaultPersona);
+        assert.equal(persona.spendingPower, scoring.spendingPower.default);
+        assert.equal(persona.authenticityScore, scoring.authenticity.base);
+    });
+});
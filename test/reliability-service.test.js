@@ -0,0 +1,132 @@
+// reliability-service.test.js - Reliability scores, auto-suspension and reinstatement
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const { User, Assignment } = require('../models');
+const { ReliabilityService, RELIABILITY_CONFIG } = require('../reliability-service');
+const { mockModel } = require('./helpers/memory-model');
+
+const USER_ID = '2002';
+const HOUR_MS = 60 * 60 * 1000;
+
+function assignment(status, createdAt, extra = {}) {
+    return {
+        _id: new mongoose.Types.ObjectId(),
+        userId: USER_ID,
+        status,
+        createdAt,
+        scheduledTime: createdAt,
+        qualityFlags: [],
+        ...extra
+    };
+}
+
+function missed(createdAt) {
+    return assignment('skipped', createdAt, { skipReason: 'expired' });
+}
+
+describe('ReliabilityService', () => {
+    before(() => {
+        // Service logging would otherwise end up mixed into the test runner's output
+        mock.method(console, 'log', () => {});
+    });
+
+    after(() => {
+        mock.restoreAll();
+    });
+
+    function setup(t, history = []) {
+        const users = mockModel(t, User, [{ telegramId: USER_ID, isActive: true, suspendedAt: null }]);
+        const assignments = mockModel(t, Assignment, history);
+        return { users, assignments, reliabilityService: new ReliabilityService() };
+    }
+
+    it('starts new handlers at 100', async (t) => {
+        const { reliabilityService } = setup(t);
+
+        const stats = await reliabilityService.compute(USER_ID);
+        assert.equal(stats.score, 100);
+        assert.equal(stats.sampleSize, 0);
+    });
+
+    it('weighs misses, late work and quality flags', async (t) => {
+        const start = Date.now() - 10 * HOUR_MS;
+        const { reliabilityService } = setup(t, [
+            assignment('completed', new Date(start)),
+            assignment('completed', new Date(start + HOUR_MS), {
+                expiresAt: new Date(start + 2 * HOUR_MS),
+                executedAt: new Date(start + 3 * HOUR_MS)
+            }),
+            assignment('executed', new Date(start + 2 * HOUR_MS), { qualityFlags: [{ type: 'verbatim_copy' }] }),
+            missed(new Date(start + 3 * HOUR_MS)),
+            // Not the handler's fault, so it doesn't count
+            assignment('skipped', new Date(start + 4 * HOUR_MS), { skipReason: 'campaign_closed' })
+        ]);
+
+        const stats = await reliabilityService.compute(USER_ID);
+
+        assert.equal(stats.sampleSize, 4);
+        assert.equal(stats.missed, 1);
+        assert.equal(stats.onTimeRate, 0.67);
+        assert.equal(stats.qualityRate, 0.67);
+        // 0.75 * 0.6 + 0.667 * 0.2 + 0.667 * 0.2
+        assert.equal(stats.score, 72);
+    });
+
+    it('suspends only on a bad outcome with enough history', async (t) => {
+        const start = Date.now() - 10 * HOUR_MS;
+        const history = [];
+        for (let index = 0; index < RELIABILITY_CONFIG.minAssignmentsForSuspension; index++) {
+            history.push(missed(new Date(start + index * HOUR_MS)));
+        }
+        const { users, reliabilityService } = setup(t, history);
+
+        const quiet = await reliabilityService.refresh(USER_ID);
+        assert.equal(quiet.suspended, false);
+        assert.equal(users[0].suspendedAt, null);
+
+        const result = await reliabilityService.refresh(USER_ID, { allowSuspend: true });
+        assert.equal(result.suspended, true);
+        assert.ok(users[0].suspendedAt);
+        assert.match(users[0].suspensionReason, /Reliability score 0 is below/);
+    });
+
+    it('does not re-suspend a reinstated handler on their next single miss', async (t) => {
+        const start = Date.now() - 10 * HOUR_MS;
+        const history = [];
+        for (let index = 0; index < RELIABILITY_CONFIG.minAssignmentsForSuspension; index++) {
+            history.push(missed(new Date(start + index * HOUR_MS)));
+        }
+        const { users, assignments, reliabilityService } = setup(t, history);
+
+        // Miss → suspend
+        assert.equal((await reliabilityService.refresh(USER_ID, { allowSuspend: true })).suspended, true);
+
+        // Reinstate
+        const reinstated = await reliabilityService.reinstate(USER_ID, 'support@example.com');
+        assert.equal(reinstated.suspendedAt, null);
+        assert.equal(reinstated.reliabilityScore, 100);
+        assert.equal(reinstated.reliabilityStats.sampleSize, 0);
+        assert.equal(reinstated.reliabilityReviewedBy, 'support@example.com');
+
+        // One miss
+        assignments.push(missed(new Date(Date.now() + 1000)));
+        const result = await reliabilityService.refresh(USER_ID, { allowSuspend: true });
+
+        assert.equal(result.suspended, false);
+        assert.equal(result.sampleSize, 1);
+        assert.equal(result.missed, 1);
+        assert.equal(users[0].suspendedAt, null);
+    });
+
+    it('only reinstates suspended or deactivated handlers', async (t) => {
+        const { users, reliabilityService } = setup(t);
+
+        assert.equal(await reliabilityService.reinstate(USER_ID, 'support@example.com'), null);
+
+        users[0].isActive = false;
+        const reactivated = await reliabilityService.reinstate(USER_ID, 'support@example.com');
+        assert.equal(reactivated.isActive, true);
+    });
+});
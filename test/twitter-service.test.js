@@ -0,0 +1,96 @@
+// twitter-service.test.js - Finding a handler's retweet on their timeline, with the Twitter API mocked through axios
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+
+const TwitterService = require('../twitter-service');
+
+const SINCE = new Date('2026-10-01T12:00:00Z');
+
+function retweetOf(id, createdAt = '2026-10-01T13:00:00.000Z') {
+    return { id: `rt_${id}`, created_at: createdAt, referenced_tweets: [{ type: 'retweeted', id }] };
+}
+
+describe('TwitterService.findRetweet', () => {
+    let twitterService;
+
+    before(() => {
+        // Service logging would otherwise end up mixed into the test runner's output
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+
+        process.env.TWITTER_BEARER_TOKEN = 'test-token';
+        twitterService = new TwitterService();
+    });
+
+    after(() => {
+        delete process.env.TWITTER_BEARER_TOKEN;
+        mock.restoreAll();
+    });
+
+    // `pages` are the handler's timeline pages, keyed by the pagination token that fetches them
+    function mockTimeline(t, pages) {
+        return t.mock.method(axios, 'get', async (url, { params }) => {
+            if (url.endsWith('/users/by/username/ada')) {
+                return { data: { data: { id: '42', username: 'ada' } } };
+            }
+
+            assert.ok(url.endsWith('/users/42/tweets'), url);
+            return { data: pages[params.pagination_token || 'first'] };
+        });
+    }
+
+    it('follows next_token until it finds the retweet', async (t) => {
+        const get = mockTimeline(t, {
+            first: { data: [{ id: '1', created_at: '2026-10-02T09:00:00.000Z' }, retweetOf('555')], meta: { next_token: 'p2' } },
+            p2: { data: [retweetOf('777')], meta: {} }
+        });
+
+        const retweet = await twitterService.findRetweet('ada', '777', SINCE);
+
+        assert.equal(retweet.id, 'rt_777');
+        const timelineCalls = get.mock.calls.filter(call => call.arguments[0].endsWith('/tweets'));
+        assert.equal(timelineCalls.length, 2);
+        assert.equal(timelineCalls[0].arguments[1].params.start_time, SINCE.toISOString());
+        assert.equal(timelineCalls[1].arguments[1].params.pagination_token, 'p2');
+    });
+
+    it('returns null when no page has the retweet', async (t) => {
+        mockTimeline(t, {
+            first: { data: [retweetOf('555')], meta: { next_token: 'p2' } },
+            p2: { meta: { result_count: 0 } }
+        });
+
+        assert.equal(await twitterService.findRetweet('ada', '777', SINCE), null);
+    });
+
+    it('does not count quotes or replies of the tweet as a retweet', async (t) => {
+        mockTimeline(t, {
+            first: { data: [{ id: '2', referenced_tweets: [{ type: 'quoted', id: '777' }] }] }
+        });
+
+        assert.equal(await twitterService.findRetweet('ada', '777', SINCE), null);
+    });
+
+    it('stops after a bounded number of pages', async (t) => {
+        const pages = {};
+        for (let page = 0; page < 20; page++) {
+            pages[page === 0 ? 'first' : `p${page}`] = { data: [], meta: { next_token: `p${page + 1}` } };
+        }
+        const get = mockTimeline(t, pages);
+
+        assert.equal(await twitterService.findRetweet('ada', '777', SINCE), null);
+        assert.ok(get.mock.callCount() <= 6);
+    });
+
+    it('surfaces API errors', async (t) => {
+        t.mock.method(axios, 'get', async (url) => {
+            if (url.includes('/users/by/username/')) return { data: { data: { id: '42' } } };
+            const error = new Error('Request failed with status code 429');
+            error.response = { status: 429 };
+            throw error;
+        });
+
+        await assert.rejects(twitterService.findRetweet('ada', '777', SINCE), /Twitter API Error: 429/);
+    });
+});
@@ -1,6 +1,9 @@
 // twitter-service.js - Updated with better error handling
 const axios = require('axios');
 
+// How many timeline pages (100 tweets each) findRetweet reads before giving up
+const RETWEET_SEARCH_MAX_PAGES = 5;
+
 class TwitterService {
     constructor() {
         this.bearerToken = process.env.TWITTER_BEARER_TOKEN;
@@ -44,15 +47,20 @@ class TwitterService {
                 message: error.message
             });
             
+            let apiError;
             if (error.response?.status === 401) {
-                throw new Error('401 Unauthorized: Invalid Twitter API credentials');
+                apiError = new Error('401 Unauthorized: Invalid Twitter API credentials');
             } else if (error.response?.status === 404) {
-                throw new Error(`404 Not Found: Twitter user @${username} not found`);
+                apiError = new Error(`404 Not Found: Twitter user @${username} not found`);
             } else if (error.response?.status === 429) {
-                throw new Error('429 Rate Limited: Twitter API requests exceeded. Please wait before trying again.');
+                apiError = new Error('429 Rate Limited: Twitter API requests exceeded. Please wait before trying again.');
             } else {
-                throw new Error(`Twitter API Error: ${error.response?.status || 'Unknown'} - ${error.message}`);
+                apiError = new Error(`Twitter API Error: ${error.response?.status || 'Unknown'} - ${error.message}`);
             }
+            
+            // Keep the HTTP status so callers can tell "no such user" from an outage
+            apiError.status = error.response?.status;
+            throw apiError;
         }
     }
 
@@ -87,7 +95,108 @@ class TwitterService {
             console.error('❌ verifyBioCode error:', error.message);
             
             // Re-throw with more context
-            throw new Error(`Bio verification failed: ${error.message}`);
+            const wrapped = new Error(`Bio verification failed: ${error.message}`);
+            wrapped.status = error.status;
+            throw wrapped;
+        }
+    }
+
+    // Pull the tweet id out of a twitter.com / x.com status URL
+    extractTweetId(url) {
+        if (!url) return null;
+
+        const match = url.trim().match(/^(?:https?:\/\/)?(?:www\.|mobile\.)?(?:twitter\.com|x\.com)\/([A-Za-z0-9_]{1,15})\/status(?:es)?\/(\d+)/i);
+        return match ? match[2] : null;
+    }
+
+    // Get a single tweet with its author and what it replies to / quotes
+    async getTweet(tweetId) {
+        if (!this.bearerToken) {
+            throw new Error('Twitter Bearer Token not configured. Please add TWITTER_BEARER_TOKEN to environment variables.');
+        }
+
+        try {
+            console.log(`🔍 Fetching tweet: ${tweetId}`);
+
+            const response = await axios.get(`${this.baseURL}/tweets/${tweetId}`, {
+                headers: {
+                    'Authorization': `Bearer ${this.bearerToken}`
+                },
+                params: {
+                    'tweet.fields': 'author_id,created_at,public_metrics,referenced_tweets,conversation_id',
+                    'expansions': 'author_id',
+                    'user.fields': 'username'
+                },
+                timeout: 10000
+            });
+
+            if (!response.data.data) {
+                throw new Error(`404 Not Found: Tweet ${tweetId} not found`);
+            }
+
+            const author = (response.data.includes?.users || []).find(u => u.id === response.data.data.author_id);
+
+            return {
+                ...response.data.data,
+                authorUsername: author ? author.username : null
+            };
+        } catch (error) {
+            console.error('❌ Twitter getTweet error:', {
+                status: error.response?.status,
+                data: error.response?.data,
+                message: error.message
+            });
+
+            if (error.response?.status === 401) {
+                throw new Error('401 Unauthorized: Invalid Twitter API credentials');
+            } else if (error.response?.status === 404) {
+                throw new Error(`404 Not Found: Tweet ${tweetId} not found`);
+            } else if (error.response?.status === 429) {
+                throw new Error('429 Rate Limited: Twitter API requests exceeded. Please wait before trying again.');
+            } else if (!error.response) {
+                throw error;
+            } else {
+                throw new Error(`Twitter API Error: ${error.response.status} - ${error.message}`);
+            }
+        }
+    }
+
+    // The user's own retweet of a tweet, made at or after `since`. Reads their timeline page by page,
+    // since retweeted_by only lists recent retweeters and doesn't say when they retweeted.
+    async findRetweet(username, tweetId, since) {
+        const profile = await this.getUserProfile(username);
+        let paginationToken = null;
+
+        try {
+            for (let page = 0; page < RETWEET_SEARCH_MAX_PAGES; page++) {
+                const params = {
+                    'max_results': 100,
+                    'start_time': new Date(since).toISOString(),
+                    'tweet.fields': 'created_at,referenced_tweets'
+                };
+                if (paginationToken) params.pagination_token = paginationToken;
+
+                const response = await axios.get(`${this.baseURL}/users/${profile.id}/tweets`, {
+                    headers: {
+                        'Authorization': `Bearer ${this.bearerToken}`
+                    },
+                    params,
+                    timeout: 10000
+                });
+
+                const retweet = (response.data.data || []).find(tweet =>
+                    (tweet.referenced_tweets || []).some(ref => ref.type === 'retweeted' && ref.id === tweetId)
+                );
+                if (retweet) return retweet;
+
+                paginationToken = response.data.meta?.next_token;
+                if (!paginationToken) break;
+            }
+
+            return null;
+        } catch (error) {
+            console.error('❌ Error fetching retweets:', error.message);
+            throw new Error(`Twitter API Error: ${error.response?.status || 'Unknown'} - ${error.message}`);
         }
     }
 
@@ -147,6 +256,43 @@ class TwitterService {
         }
     }
 
+    // Current follower and engagement figures for a handle. Unlike calculateAverageEngagement,
+    // API errors are thrown so callers can keep the last good numbers.
+    async getAccountMetrics(username, userProfile = null) {
+        const profile = userProfile || await this.getUserProfile(username);
+
+        if (!profile) {
+            throw new Error(`Twitter user @${username} not found`);
+        }
+
+        const response = await axios.get(`${this.baseURL}/users/${profile.id}/tweets`, {
+            headers: {
+                'Authorization': `Bearer ${this.bearerToken}`
+            },
+            params: {
+                'max_results': 20,
+                'tweet.fields': 'public_metrics,created_at'
+            },
+            timeout: 10000
+        });
+
+        const tweets = response.data.data || [];
+        const totalEngagement = tweets.reduce((sum, tweet) => {
+            const metrics = tweet.public_metrics;
+            return sum + metrics.like_count + metrics.retweet_count + metrics.reply_count;
+        }, 0);
+
+        return {
+            followers: profile.public_metrics.followers_count,
+            following: profile.public_metrics.following_count,
+            tweets: profile.public_metrics.tweet_count,
+            verified: profile.verified,
+            averageEngagement: tweets.length > 0 ? Math.round(totalEngagement / tweets.length) : 0,
+            userValue: this.calculateUserValue(profile),
+            accountCreatedAt: profile.created_at ? new Date(profile.created_at) : undefined
+        };
+    }
+
     // Calculate average engagement from recent tweets
     async calculateAverageEngagement(username) {
         try {
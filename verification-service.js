@@ -0,0 +1,157 @@
+// verification-service.js - Twitter bio verification policy, retries and audit trail
+const TwitterService = require('./twitter-service');
+const { User, VerificationAudit } = require('./models');
+
+// Wait this long before each background recheck; after the last one we give up
+const RETRY_DELAYS_MINUTES = [5, 15, 30, 60, 120, 240];
+
+// The bypass can only ever be switched on in these environments
+const DEV_BYPASS_ENVIRONMENTS = ['development', 'test'];
+
+class VerificationService {
+    constructor() {
+        this.twitterService = new TwitterService();
+        this.environment = process.env.NODE_ENV || 'production';
+
+        const bypassRequested = process.env.VERIFICATION_DEV_BYPASS === 'true';
+        this.devBypassEnabled = bypassRequested && DEV_BYPASS_ENVIRONMENTS.includes(this.environment);
+
+        console.log('🔐 VerificationService initialized:');
+        console.log('  - Dev bypass:', this.devBypassEnabled ? 'ENABLED' : 'Disabled');
+
+        if (bypassRequested && !this.devBypassEnabled) {
+            console.warn(`⚠️ VERIFICATION_DEV_BYPASS ignored - only allowed when NODE_ENV is ${DEV_BYPASS_ENVIRONMENTS.join(' or ')}`);
+        }
+    }
+
+    // Look for the code in the bio. Twitter outages come back as 'retry', never as a pass.
+    async checkBio(twitterHandle, verificationCode) {
+        try {
+            const result = await this.twitterService.verifyBioCode(twitterHandle, verificationCode);
+
+            if (result.verified) {
+                return { outcome: 'verified', profile: result.profile };
+            }
+
+            return { outcome: 'failed', reason: result.reason };
+        } catch (error) {
+            // The account itself doesn't exist - retrying won't help
+            if (error.status === 404) {
+                return { outcome: 'failed', reason: error.message };
+            }
+
+            return { outcome: 'retry', error };
+        }
+    }
+
+    async markVerified(user, { method, trigger, detail }) {
+        if (method === 'dev_bypass' && !this.devBypassEnabled) {
+            throw new Error('Verification dev bypass is not enabled in this environment');
+        }
+
+        const updatedUser = await User.findByIdAndUpdate(user._id, {
+            twitterVerified: true,
+            verificationStatus: 'verified',
+            verificationMethod: method,
+            verificationCode: null,
+            verificationExpires: null,
+            verifiedAt: new Date(),
+            verificationRetry: { attempts: 0, nextAttemptAt: null, lastError: null }
+        }, { new: true });
+
+        await this.record(user, 'verified', { method, trigger, detail });
+        return updatedUser;
+    }
+
+    // Code wasn't in the bio (or the account is gone) - the user has to try again themselves
+    async markFailed(user, { trigger, reason }) {
+        if (trigger !== 'user') {
+            await User.findByIdAndUpdate(user._id, {
+                verificationStatus: 'unverified',
+                verificationRetry: { attempts: 0, nextAttemptAt: null, lastError: null }
+            });
+        }
+
+        await this.record(user, 'failed', { method: 'bio_code', trigger, detail: reason });
+    }
+
+    // Park the user in verification_pending_retry. Returns null once retries are used up.
+    async scheduleRetry(user, { trigger, error }) {
+        // A fresh check by the user starts the schedule over; rechecks continue it
+        const attempts = trigger === 'user' ? 1 : (user.verificationRetry?.attempts || 0) + 1;
+        const delayMinutes = RETRY_DELAYS_MINUTES[attempts - 1];
+
+        if (delayMinutes === undefined) {
+            await User.findByIdAndUpdate(user._id, {
+                verificationStatus: 'unverified',
+                verificationCode: null,
+                verificationExpires: null,
+                verificationRetry: { attempts, nextAttemptAt: null, lastError: error.message }
+            });
+
+            await this.record(user, 'retry_exhausted', { method: 'bio_code', trigger, detail: error.message });
+            return null;
+        }
+
+        const nextAttemptAt = new Date(Date.now() + (delayMinutes * 60 * 1000));
+
+        await User.findByIdAndUpdate(user._id, {
+            verificationStatus: 'verification_pending_retry',
+            verificationRetry: { attempts, nextAttemptAt, lastError: error.message }
+        });
+
+        await this.record(user, 'retry_scheduled', {
+            method: 'bio_code',
+            trigger,
+            detail: `Attempt ${attempts} at ${nextAttemptAt.toISOString()}: ${error.message}`
+        });
+
+        return nextAttemptAt;
+    }
+
+    // Claim users whose recheck is due. Pushing nextAttemptAt forward stops another run taking them too.
+    async claimDueRetries(limit = 25) {
+        const now = new Date();
+        const leaseUntil = new Date(now.getTime() + (10 * 60 * 1000));
+        const due = await User.find({
+            verificationStatus: 'verification_pending_retry',
+            'verificationRetry.nextAttemptAt': { $lte: now }
+        }).limit(limit);
+
+        const claimed = [];
+
+        for (const user of due) {
+            const lockedUser = await User.findOneAndUpdate(
+                {
+                    _id: user._id,
+                    verificationStatus: 'verification_pending_retry',
+                    'verificationRetry.nextAttemptAt': user.verificationRetry.nextAttemptAt
+                },
+                { 'verificationRetry.nextAttemptAt': leaseUntil },
+                { new: true }
+            );
+
+            if (lockedUser) claimed.push(lockedUser);
+        }
+
+        return claimed;
+    }
+
+    async record(user, event, { method, trigger, detail }) {
+        try {
+            await VerificationAudit.create({
+                userId: user.telegramId,
+                twitterHandle: user.twitterHandle,
+                event,
+                method,
+                trigger,
+                detail,
+                environment: this.environment
+            });
+        } catch (error) {
+            console.error(`❌ Failed to write verification audit for ${user.telegramId}:`, error.message);
+        }
+    }
+}
+
+module.exports = VerificationService;